@@ -38,6 +38,8 @@ module.exports = (grunt) => {
         library: 'Vex',
         libraryTarget: 'umd',
         libraryExport: 'default',
+        // Lets the bundle load outside of browsers, e.g., with the SVG_STRING backend in Node.
+        globalObject: 'this',
       },
       devtool: (process.env.VEX_GENMAP || mode === 'production') ? 'source-map' : false,
       module: {
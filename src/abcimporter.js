@@ -0,0 +1,811 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements an importer for tunes in ABC notation. Every line
+// of the tune is read with a `Parser` grammar into a plain model of header
+// fields and measures of note events, which is then turned into VexFlow
+// objects with a `Factory` and laid out with a `ScoreLayout`.
+//
+// The header fields `X`, `T`, `M`, `L`, `K` and `Q` are understood (other
+// fields are kept in `fields`), along with notes, rests, chords, ties,
+// slurs, broken rhythms, tuplets, chord symbols, bar lines, repeats and first
+// and second endings. Notes written without spaces between them are beamed.
+// Decorations (e.g., `~`, `.` or `!trill!`) and grace notes are skipped.
+// Line breaks in the tune are not kept: the layout breaks lines to fit
+// its width.
+//
+// ```javascript
+// const vf = new Vex.Flow.Factory({ renderer: { elementId: 'score' } });
+// const result = vf.ABCImporter({ width: 600 }).import(abcString);
+// vf.draw();
+// ```
+
+/* eslint max-classes-per-file: "off" */
+
+import { Vex } from './vex';
+import { Flow } from './tables';
+import { Parser } from './parser';
+import { KeyManager } from './keymanager';
+import { Barline } from './stavebarline';
+import { Volta } from './stavevolta';
+import {
+  MAJOR_KEYS,
+  MINOR_KEYS,
+  buildGroupedVoice,
+  restKeyForClef,
+  ticksToDuration,
+} from './musicxmlimporter';
+
+// To enable logging for this class. Set `Vex.Flow.ABCImporter.DEBUG` to `true`.
+function L(...args) { if (ABCImporter.DEBUG) Vex.L('Vex.Flow.ABCImporter', args); }
+
+export const X = Vex.MakeException('ABCImporterError');
+
+// ABC accidentals to VexFlow accidental codes.
+export const ACCIDENTALS = {
+  '^': '#',
+  '^^': '##',
+  '_': 'b',
+  '__': 'bb',
+  '=': 'n',
+};
+
+// Key signatures of each mode, relative to the major key on the same tonic.
+const MODES = {
+  maj: 0,
+  ion: 0,
+  mix: -1,
+  dor: -2,
+  m: -3,
+  min: -3,
+  aeo: -3,
+  phr: -4,
+  loc: -5,
+  lyd: 1,
+};
+
+const CLEFS = {
+  treble: 'treble',
+  bass: 'bass',
+  alto: 'alto',
+  tenor: 'tenor',
+  perc: 'percussion',
+  percussion: 'percussion',
+};
+
+// Reads an ABC length (e.g., `2`, `/`, `3/2` or `//`) as a fraction of the unit length.
+function parseLength(length) {
+  const [, num, slashes, den] = /^([0-9]*)(\/*)([0-9]*)$/.exec(length || '');
+  const denominator = slashes.length
+    ? (den ? parseInt(den, 10) : 2) * Math.pow(2, slashes.length - 1)
+    : 1;
+  return (num ? parseInt(num, 10) : 1) / denominator;
+}
+
+// Reads an `M:` field into `{ spec, beats, beatType }`, or `null` for free meter.
+function parseMeter(value) {
+  if (value === 'none') return null;
+  if (value === 'C') return { spec: 'C', beats: 4, beatType: 4 };
+  if (value === 'C|') return { spec: 'C|', beats: 2, beatType: 2 };
+
+  const match = /^([0-9]+(?:\+[0-9]+)*)\/([0-9]+)$/.exec(value);
+  if (!match) throw new X('Unsupported meter: ' + value);
+  const beats = match[1].split('+').reduce((total, beat) => total + parseInt(beat, 10), 0);
+  const beatType = parseInt(match[2], 10);
+  return { spec: beats + '/' + beatType, beats, beatType };
+}
+
+// Reads a `K:` field into the VexFlow key signature and clef.
+function parseKey(value) {
+  const [, tonic = 'C', modeAndClef] = /^(none|HP|Hp|[A-G][#b]?)?\s*(.*)$/.exec(value);
+  const [, mode = '', rest] = /^(?:(maj|min|ion|aeo|dor|phr|lyd|mix|loc|m)[a-z]*(?=\s|$))?\s*(.*)$/i.exec(modeAndClef);
+  const result = { key: 'C', clef: null };
+
+  if (tonic === 'Hp') {
+    result.key = 'D';
+  } else if (tonic !== 'none' && tonic !== 'HP') {
+    const fifths = 'FCGDAEB'.indexOf(tonic.charAt(0)) - 1 +
+      ({ '#': 7, 'b': -7 }[tonic.charAt(1)] || 0) +
+      MODES[mode.toLowerCase() || 'maj'];
+    const keys = MODES[mode.toLowerCase()] === MODES.min ? MINOR_KEYS : MAJOR_KEYS;
+    result.key = keys[fifths + 7];
+    if (!result.key) throw new X('Unsupported key: ' + value);
+  }
+
+  rest.split(/\s+/).filter(word => word).forEach(word => {
+    const clef = CLEFS[word.replace(/^clef=/, '')];
+    if (!clef) throw new X('Unsupported key: ' + value);
+    result.clef = clef;
+  });
+
+  return result;
+}
+
+// Reads a `Q:` field, e.g., `"Allegro" 1/4=120`, into a `StaveTempo` tempo.
+function parseTempo(value, unitTicks) {
+  const match = /^(?:"([^"]*)")?\s*(?:([0-9]+)\/([0-9]+)\s*=\s*)?([0-9]+)?\s*(?:"([^"]*)")?$/.exec(value);
+  if (!match) throw new X('Unsupported tempo: ' + value);
+
+  const [, before, num, den, bpm, after] = match;
+  const tempo = {};
+  if (before || after) tempo.name = before || after;
+  if (bpm) {
+    const ticks = num ? Flow.RESOLUTION * parseInt(num, 10) / parseInt(den, 10) : unitTicks;
+    const duration = ticksToDuration(ticks);
+    if (!duration) throw new X('Unsupported tempo: ' + value);
+    tempo.duration = duration.duration;
+    tempo.dots = duration.dots;
+    tempo.bpm = parseInt(bpm, 10);
+  }
+  return tempo;
+}
+
+class Grammar {
+  constructor(builder) {
+    this.builder = builder;
+  }
+
+  begin() { return this.LINE; }
+
+  LINE() {
+    return {
+      expect: [this.FIELD, this.MUSIC],
+      or: true,
+    };
+  }
+  FIELD() {
+    return {
+      expect: [this.FIELDNAME, this.FIELDVALUE, this.EOL],
+      run: (state) => this.builder.setField(state.matches[0].charAt(0), state.matches[1].trim()),
+    };
+  }
+  MUSIC() {
+    return {
+      expect: [this.ELEMENTS, this.EOL],
+    };
+  }
+  ELEMENTS() {
+    return {
+      expect: [this.ELEMENT],
+      zeroOrMore: true,
+    };
+  }
+  ELEMENT() {
+    return {
+      expect: [
+        this.SPACE, this.BARLINE, this.INLINEFIELD, this.ENDING, this.TUPLET,
+        this.SLURSTART, this.SLUREND, this.CHORDSYMBOL, this.BROKENRHYTHM,
+        this.DECORATION, this.GRACENOTES, this.CONTINUATION, this.PIECE,
+      ],
+      or: true,
+    };
+  }
+  PIECE() {
+    return {
+      expect: [this.NOTEORCHORD, this.LENGTH, this.TIE],
+      run: (state) => this.builder.commitPiece(state.matches[1], state.matches[2]),
+    };
+  }
+  NOTEORCHORD() {
+    return {
+      expect: [this.CHORD, this.REST, this.NOTE],
+      or: true,
+    };
+  }
+  CHORD() {
+    return {
+      expect: [this.LBRACKET, this.CHORDNOTES, this.RBRACKET],
+    };
+  }
+  CHORDNOTES() {
+    return {
+      expect: [this.CHORDNOTE],
+      oneOrMore: true,
+    };
+  }
+  CHORDNOTE() {
+    return {
+      expect: [this.NOTE, this.LENGTH, this.TIE],
+      run: (state) => this.builder.setChordNoteOptions(state.matches[1], state.matches[2]),
+    };
+  }
+  NOTE() {
+    return {
+      expect: [this.ACCIDENTAL, this.PITCH, this.OCTAVE],
+      run: (state) => this.builder.addNote(state.matches[0], state.matches[1], state.matches[2]),
+    };
+  }
+  ACCIDENTAL() {
+    return {
+      expect: [this.ACCIDENTALS],
+      maybe: true,
+    };
+  }
+  OCTAVE() {
+    return {
+      expect: [this.OCTAVES],
+      maybe: true,
+    };
+  }
+  REST() {
+    return {
+      token: '[zxZ]',
+      noSpace: true,
+      run: (state) => this.builder.addRest(state.matchedString),
+    };
+  }
+  SPACE() {
+    return {
+      token: '[ \\t]+',
+      noSpace: true,
+      run: () => this.builder.breakBeam(),
+    };
+  }
+  BARLINE() {
+    return {
+      token: '(?:\\|\\]|\\[\\||::|:*\\|\\|?:*)(?:\\[?[0-9][0-9,-]*)?',
+      noSpace: true,
+      run: (state) => this.builder.addBarline(state.matchedString),
+    };
+  }
+  ENDING() {
+    return {
+      token: '\\[[0-9][0-9,-]*',
+      noSpace: true,
+      run: (state) => this.builder.addBarline(state.matchedString.slice(1)),
+    };
+  }
+  INLINEFIELD() {
+    return {
+      token: '\\[[A-Za-z]:[^\\]]*\\]',
+      noSpace: true,
+      run: (state) => this.builder.setField(state.matchedString.charAt(1), state.matchedString.slice(3, -1).trim()),
+    };
+  }
+  TUPLET() {
+    return {
+      token: '\\([2-9](?::[0-9]*)?(?::[0-9]*)?',
+      noSpace: true,
+      run: (state) => this.builder.startTuplet(state.matchedString.slice(1)),
+    };
+  }
+  SLURSTART() {
+    return {
+      token: '\\((?![0-9])',
+      noSpace: true,
+      run: () => this.builder.startSlur(),
+    };
+  }
+  SLUREND() {
+    return {
+      token: '\\)',
+      noSpace: true,
+      run: () => this.builder.endSlur(),
+    };
+  }
+  CHORDSYMBOL() {
+    return {
+      token: '"[^"]*"',
+      noSpace: true,
+      run: (state) => this.builder.addChordSymbol(state.matchedString.slice(1, -1)),
+    };
+  }
+  BROKENRHYTHM() {
+    return {
+      token: '<+|>+',
+      noSpace: true,
+      run: (state) => this.builder.setBrokenRhythm(state.matchedString),
+    };
+  }
+
+  // In the body, only the fields allowed there are read, so that music
+  // starting with a note and a bar line (e.g., `A:|`) isn't taken for a field.
+  FIELDNAME() { return { token: this.builder.inBody ? '[IKLMmNPQRrsTUVWw]:' : '[A-Za-z]:' }; }
+  FIELDVALUE() { return { token: '.*', noSpace: true }; }
+  CONTINUATION() { return { token: '\\\\', noSpace: true }; }
+  DECORATION() { return { token: '[.~HLMOPSTuv]|![^!]*!|\\+[^+]*\\+', noSpace: true }; }
+  GRACENOTES() { return { token: '\\{[^}]*\\}', noSpace: true }; }
+  ACCIDENTALS() { return { token: '\\^\\^|\\^|__|_|=', noSpace: true }; }
+  PITCH() { return { token: '[A-Ga-g]', noSpace: true }; }
+  OCTAVES() { return { token: "[,']+", noSpace: true }; }
+  LENGTH() { return { token: '[0-9]*/*[0-9]*', noSpace: true }; }
+  TIE() { return { token: '-?', noSpace: true }; }
+  LBRACKET() { return { token: '\\[', noSpace: true }; }
+  RBRACKET() { return { token: '\\]', noSpace: true }; }
+  EOL() { return { token: '$' }; }
+}
+
+class Builder {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.tune = {
+      number: null,
+      titles: [],
+      fields: {},
+      meter: { spec: '4/4', beats: 4, beatType: 4 },
+      unitTicks: null,
+      key: 'C',
+      clef: 'treble',
+      tempo: null,
+      measures: [],
+    };
+
+    this.inBody = false;
+    this.meter = this.tune.meter;
+    this.key = 'C';
+    this.keyManager = new KeyManager('C');
+    this.clef = 'treble';
+    this.measure = null;
+    this.next = {};
+    this.barAccidentals = {};
+    this.tiedPitches = {};
+    this.beamGroup = 0;
+    this.tuplet = null;
+    this.brokenRhythm = null;
+    this.chordSymbols = [];
+    this.slurStarts = 0;
+    this.resetPiece();
+  }
+
+  getTune() { return this.tune; }
+
+  resetPiece() {
+    this.piece = {
+      keys: [],
+      accidentals: [],
+      ties: [],
+      length: 1,
+      rest: null,
+    };
+  }
+
+  setField(name, value) {
+    L('setField:', name, value);
+    const { tune } = this;
+    if (!tune.fields[name]) tune.fields[name] = [];
+    tune.fields[name].push(value);
+
+    switch (name) {
+      case 'X':
+        tune.number = parseInt(value, 10);
+        break;
+      case 'T':
+        if (!this.inBody) tune.titles.push(value);
+        break;
+      case 'M':
+        this.meter = parseMeter(value);
+        if (!this.inBody) tune.meter = this.meter;
+        break;
+      case 'L':
+        this.unitTicks = Flow.RESOLUTION * parseLength(value);
+        if (!this.inBody) tune.unitTicks = this.unitTicks;
+        break;
+      case 'Q':
+        if (!this.inBody) tune.tempo = value;
+        break;
+      case 'K': {
+        const { key, clef } = parseKey(value);
+        this.key = key;
+        this.keyManager = new KeyManager(key);
+        if (clef) this.clef = clef;
+        if (!this.inBody) this.startBody();
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // The `K:` field ends the header.
+  startBody() {
+    const { tune } = this;
+    tune.key = this.key;
+    tune.clef = this.clef;
+
+    // The default unit length is a sixteenth for meters under 3/4.
+    if (tune.unitTicks === null) {
+      const short = tune.meter && tune.meter.beats / tune.meter.beatType < 0.75;
+      tune.unitTicks = Flow.RESOLUTION / (short ? 16 : 8);
+    }
+    this.unitTicks = tune.unitTicks;
+
+    if (tune.tempo !== null) tune.tempo = parseTempo(tune.tempo, tune.unitTicks);
+    this.inBody = true;
+  }
+
+  checkBody() {
+    if (!this.inBody) throw new X('Music before the K: field');
+  }
+
+  startMeasure() {
+    const { measures } = this.tune;
+    const previous = measures[measures.length - 1];
+    this.measure = {
+      key: this.key,
+      meter: this.meter,
+      clef: this.clef,
+      changes: {
+        key: !previous || previous.key !== this.key,
+        meter: !previous || previous.meter !== this.meter,
+        clef: !previous || previous.clef !== this.clef,
+      },
+      begBarType: this.next.begBarType,
+      endBarType: Barline.type.SINGLE,
+      ending: this.next.ending,
+      events: [],
+    };
+
+    measures.push(this.measure);
+    this.next = {};
+    return this.measure;
+  }
+
+  addBarline(bar) {
+    L('addBarline:', bar);
+    this.checkBody();
+    const ending = /[0-9][0-9,-]*$/.exec(bar);
+    const symbol = bar.replace(/\[?[0-9][0-9,-]*$/, '');
+    const { measures } = this.tune;
+
+    let type = Barline.type.SINGLE;
+    if (symbol === '|]') type = Barline.type.END;
+    else if (symbol === '||' || symbol === '[|') type = Barline.type.DOUBLE;
+    else if (symbol.charAt(0) === ':') type = Barline.type.REPEAT_END;
+
+    if (this.measure) {
+      this.measure.endBarType = type;
+      this.measure = null;
+    } else if (type !== Barline.type.SINGLE && measures.length) {
+      measures[measures.length - 1].endBarType = type;
+    }
+
+    if (symbol.length > 1 && symbol.charAt(symbol.length - 1) === ':') {
+      this.next.begBarType = Barline.type.REPEAT_BEGIN;
+    }
+    if (ending) this.next.ending = ending[0];
+
+    this.barAccidentals = {};
+    this.breakBeam();
+  }
+
+  breakBeam() {
+    this.beamGroup++;
+  }
+
+  startTuplet(spec) {
+    L('startTuplet:', spec);
+    const [p, q, r] = spec.split(':').map(value => parseInt(value, 10));
+    const compound = this.meter && this.meter.beats % 3 === 0 && this.meter.beatType === 8;
+    const defaults = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 };
+
+    this.tuplet = {
+      num_notes: p,
+      notes_occupied: q || defaults[p] || (compound ? 3 : 2),
+      remaining: r || p,
+    };
+  }
+
+  // Slurs start on the next note, and end on the last one.
+  startSlur() {
+    this.checkBody();
+    this.slurStarts++;
+  }
+
+  endSlur() {
+    const { measures } = this.tune;
+    const events = this.measure ? this.measure.events : [];
+    const last = events[events.length - 1] ||
+      (measures.length ? measures[measures.length - 1].events.slice(-1)[0] : undefined);
+    if (!last) throw new X('Slur end without a previous note');
+    last.slurEnds++;
+  }
+
+  addChordSymbol(text) {
+    this.chordSymbols.push(text);
+  }
+
+  setBrokenRhythm(symbols) {
+    const events = this.measure ? this.measure.events : [];
+    const last = events[events.length - 1];
+    if (!last) throw new X('Broken rhythm without a previous note');
+
+    // `>` dots the previous note and halves the next one, `>>` double dots it, etc.
+    const short = 1 / Math.pow(2, symbols.length);
+    const long = 2 - short;
+    const first = symbols.charAt(0) === '>' ? long : short;
+    last.ticks *= first;
+    this.brokenRhythm = 2 - first;
+  }
+
+  addNote(accidental, pitch, octaves) {
+    L('addNote:', accidental, pitch, octaves);
+    this.checkBody();
+    const letter = pitch.toLowerCase();
+    let octave = letter === pitch ? 5 : 4;
+    (octaves || '').split('').forEach(mark => { octave += mark === "'" ? 1 : -1; });
+
+    const id = letter + octave;
+    const type = accidental ? ACCIDENTALS[accidental] : null;
+    if (type) this.barAccidentals[id] = type === 'n' ? '' : type;
+
+    // Accidentals last to the end of the bar, and across ties.
+    let alter = this.keyManager.scaleMap[letter].slice(1);
+    if (this.tiedPitches[id] !== undefined) alter = this.tiedPitches[id];
+    if (this.barAccidentals[id] !== undefined) alter = this.barAccidentals[id];
+
+    this.piece.keys.push(letter + alter + '/' + octave);
+    this.piece.accidentals.push(type ? { type } : null);
+    this.piece.ties.push(false);
+  }
+
+  setChordNoteOptions(length, tie) {
+    const { piece } = this;
+    if (piece.keys.length === 1) piece.length = parseLength(length);
+    if (tie) piece.ties[piece.ties.length - 1] = true;
+  }
+
+  addRest(type) {
+    this.checkBody();
+    this.piece.rest = type;
+  }
+
+  commitPiece(length, tie) {
+    L('commitPiece:', length, tie);
+    const { piece } = this;
+
+    // `Z` is a rest for a whole measure, or for as many measures as its length.
+    if (piece.rest === 'Z') {
+      for (let i = 0; i < (parseInt(length, 10) || 1); i++) {
+        if (this.measure && this.measure.events.length) this.addBarline('|');
+        (this.measure || this.startMeasure()).events.push({
+          keys: [],
+          rest: true,
+          measureRest: true,
+          ticks: Flow.RESOLUTION,
+          chordSymbols: this.chordSymbols,
+          slurStarts: 0,
+          slurEnds: 0,
+        });
+        this.chordSymbols = [];
+        this.addBarline('|');
+      }
+      this.resetPiece();
+      return;
+    }
+
+    const event = {
+      keys: piece.keys,
+      accidentals: piece.accidentals,
+      ties: tie ? piece.ties.map(() => true) : piece.ties,
+      ticks: this.unitTicks * piece.length * parseLength(length),
+      rest: piece.rest !== null,
+      ghost: piece.rest === 'x',
+      beam: this.beamGroup,
+      tuplet: null,
+      chordSymbols: this.chordSymbols,
+      slurStarts: this.slurStarts,
+      slurEnds: 0,
+    };
+
+    if (this.brokenRhythm !== null) {
+      event.ticks *= this.brokenRhythm;
+      this.brokenRhythm = null;
+    }
+
+    if (this.tuplet) {
+      event.tuplet = this.tuplet;
+      this.tuplet.remaining--;
+      if (this.tuplet.remaining === 0) this.tuplet = null;
+    }
+
+    this.tiedPitches = {};
+    event.keys.forEach((key, i) => {
+      if (!event.ties[i]) return;
+      const [name, octave] = key.split('/');
+      this.tiedPitches[name.charAt(0) + octave] = name.slice(1);
+    });
+
+    (this.measure || this.startMeasure()).events.push(event);
+    this.chordSymbols = [];
+    this.slurStarts = 0;
+    this.resetPiece();
+  }
+
+  finish() {
+    if (!this.inBody) throw new X('Tune has no K: field');
+    const { measures } = this.tune;
+    if (this.measure && !this.measure.events.length) measures.pop();
+    this.measure = null;
+  }
+}
+
+export class ABCImporter {
+  constructor(options = {}) {
+    this.setOptions(options);
+  }
+
+  setOptions(options) {
+    this.options = {
+      factory: null,
+      x: 10,
+      y: 40,
+      width: 600,
+      ...options,
+    };
+
+    this.factory = this.options.factory;
+    return this;
+  }
+
+  // Parse the first tune in `abc` into the plain tune model.
+  parse(abc) {
+    const builder = new Builder();
+    const parser = new Parser(new Grammar(builder));
+    const lines = abc.split(/\r\n|\r|\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+      // A blank line ends the tune.
+      if (lines[i].trim() === '') {
+        if (builder.inBody) break;
+        continue;
+      }
+
+      // Skip comments and stylesheet directives.
+      const line = lines[i].replace(/%.*$/, '').replace(/\s+$/, '');
+      if (line !== '') {
+        const result = parser.parse(line);
+        if (!result.success) {
+          throw new X('Error parsing line ' + (i + 1) + ' at column ' + (result.errorPos + 1) + ': ' + line, {
+            line: i + 1,
+            pos: result.errorPos,
+          });
+        }
+      }
+    }
+
+    builder.finish();
+    return builder.getTune();
+  }
+
+  // Import the first tune in `abc`, creating all VexFlow objects through the
+  // factory. Returns the tune model, the lines and systems of the layout, and
+  // the voice of every measure.
+  import(abc) {
+    if (!this.factory) throw new X('ABCImporter requires a factory');
+
+    const tune = this.parse(abc);
+    const { x, y, width } = this.options;
+    const layout = this.factory.ScoreLayout({ x, y, width });
+    const pendingTie = {};
+    const openSlurs = [];
+
+    const voices = tune.measures.map((measure, m) => {
+      const voice = this.buildVoice(measure, m, pendingTie, openSlurs);
+      layout.addMeasure([{
+        voices: [voice],
+        clef: measure.changes.clef ? measure.clef : undefined,
+        keySignature: measure.changes.key ? measure.key : undefined,
+        timeSignature: measure.changes.meter && measure.meter ? measure.meter.spec : undefined,
+        begBarType: measure.begBarType,
+        endBarType: measure.endBarType,
+      }]);
+      return voice;
+    });
+
+    const lines = layout.format();
+    const systems = [].concat(...lines.map(line => line.systems));
+    if (tune.tempo) systems[0].parts[0].stave.setTempo(tune.tempo, -10);
+    this.buildEndings(tune.measures, systems);
+
+    return { tune, lines, systems, voices };
+  }
+
+  buildVoice(measure, m, pendingTie, openSlurs) {
+    const { factory } = this;
+    const notes = [];
+
+    measure.events.forEach(event => {
+      const value = ticksToDuration(event.ticks);
+      if (!value) throw new X('Unsupported note length in measure ' + (m + 1));
+
+      if (event.ghost) {
+        notes.push({ note: factory.GhostNote({ duration: value.duration, dots: value.dots }) });
+        return;
+      }
+
+      const note = factory.StaveNote({
+        keys: event.keys.length ? event.keys : [restKeyForClef(measure.clef)],
+        duration: event.measureRest ? '1' : value.duration,
+        dots: value.dots,
+        type: event.rest ? 'r' : undefined,
+        clef: measure.clef,
+        auto_stem: true,
+        align_center: event.measureRest,
+      });
+
+      event.keys.forEach((key, i) => {
+        if (event.accidentals[i]) note.addAccidental(i, factory.Accidental({ type: event.accidentals[i].type }));
+      });
+      for (let i = 0; i < value.dots; i++) note.addDotToAll();
+
+      event.chordSymbols.forEach(text => {
+        const below = text.charAt(0) === '_';
+        note.addModifier(0, factory.Annotation({
+          text: /^[\^_]/.test(text) ? text.slice(1) : text,
+          vJustify: below ? 'bottom' : 'top',
+          fontWeight: '',
+        }));
+      });
+
+      if (!event.rest) this.buildTies(note, event, pendingTie);
+      this.buildSlurs(note, event, openSlurs);
+
+      // Notes written together are beamed, if they are shorter than a quarter.
+      const beamable = !event.rest && event.ticks < Flow.RESOLUTION / 4;
+      notes.push({ note, beam: beamable ? event.beam : null, tuplet: event.tuplet });
+    });
+
+    const time = measure.meter ? measure.meter.beats + '/' + measure.meter.beatType : '4/4';
+    return buildGroupedVoice(factory, time, notes);
+  }
+
+  buildTies(note, event, pendingTie) {
+    const pitch = key => key.charAt(0) + key.split('/')[1];
+
+    if (pendingTie.note) {
+      const from = pendingTie.note;
+      const first = [];
+      const last = [];
+      pendingTie.keys.forEach(({ key, index }) => {
+        const to = event.keys.findIndex(other => pitch(other) === pitch(key));
+        if (to === -1) return;
+        first.push(index);
+        last.push(to);
+      });
+
+      if (first.length) {
+        this.factory.StaveTie({ from, to: note, first_indices: first, last_indices: last });
+      }
+    }
+
+    // Each tied key keeps its index in the chord, so the tie starts on its notehead.
+    const keys = event.keys
+      .map((key, index) => ({ key, index }))
+      .filter(({ index }) => event.ties[index]);
+    pendingTie.note = keys.length ? note : null;
+    pendingTie.keys = keys;
+  }
+
+  // Slurs are nested: each `)` closes the innermost open slur.
+  buildSlurs(note, event, openSlurs) {
+    for (let i = 0; i < event.slurStarts; i++) openSlurs.push(note);
+    for (let i = 0; i < event.slurEnds; i++) {
+      const from = openSlurs.pop();
+      if (from && from !== note) this.factory.Curve({ from, to: note });
+    }
+  }
+
+  // Endings run until a repeat, a double bar, the next ending or the end of the tune.
+  buildEndings(measures, systems) {
+    let start = null;
+
+    measures.forEach((measure, m) => {
+      if (measure.ending) start = m;
+      if (start === null) return;
+
+      const next = measures[m + 1];
+      const end = !next || next.ending || measure.endBarType !== Barline.type.SINGLE;
+      let type = Volta.type.MID;
+      if (m === start) type = end ? Volta.type.BEGIN_END : Volta.type.BEGIN;
+      else if (end) type = Volta.type.END;
+
+      const label = m === start ? measures[start].ending + '.' : '';
+      systems[m].parts[0].stave.setVoltaType(type, label, -5);
+      if (end) start = null;
+    });
+  }
+}
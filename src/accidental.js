@@ -444,6 +444,16 @@ export class Accidental extends Modifier {
     this.reset();
   }
 
+  static fromJSON(json) {
+    const accidental = new Accidental(json.accidental);
+    if (json.cautionary) accidental.setAsCautionary();
+    return accidental.restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), accidental: this.type, cautionary: this.cautionary };
+  }
+
   reset() {
     const fontScale = this.render_options.font_scale;
     this.glyph = new Glyph(this.accidental.code, fontScale);
@@ -487,6 +497,19 @@ export class Accidental extends Modifier {
     }
   }
 
+  // Change the type of the accidental, e.g., after its note is transposed.
+  setType(type) {
+    const accidental = Flow.accidentalCodes(type);
+    if (!accidental) {
+      throw new Vex.RERR('ArgumentError', `Unknown accidental type: ${type}`);
+    }
+
+    this.type = type;
+    this.accidental = accidental;
+    this.reset();
+    return this;
+  }
+
   // If called, draws parenthesis around accidental.
   setAsCautionary() {
     this.cautionary = true;
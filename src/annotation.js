@@ -78,6 +78,20 @@ export class Annotation extends Modifier {
     return true;
   }
 
+  // Add annotations from the EasyScore `annotations` option, e.g.,
+  // `annotations="dolce, rit..above"`. A trailing `.above` or `.below`
+  // sets the position.
+  static easyScoreHook({ annotations }, note, builder) {
+    if (!annotations) return;
+
+    annotations
+      .split(',')
+      .map(annotationString => /^(.*?)(?:\.(above|below))?$/.exec(annotationString.trim()))
+      .filter(([, text]) => text)
+      .map(([, text, vJustify]) => builder.getFactory().Annotation({ text, vJustify: vJustify || 'below' }))
+      .map(annotation => note.addModifier(0, annotation));
+  }
+
   // ## Prototype Methods
   //
   // Annotations inherit from `Modifier` and is positioned correctly when
@@ -102,6 +116,24 @@ export class Annotation extends Modifier {
     this.setWidth(Flow.textWidth(text));
   }
 
+  static fromJSON(json) {
+    return new Annotation(json.text)
+      .setJustification(json.justification)
+      .setVerticalJustification(json.vert_justification)
+      .setFont(json.font.family, json.font.size, json.font.weight)
+      .restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      text: this.text,
+      justification: this.justification,
+      vert_justification: this.vert_justification,
+      font: { ...this.font },
+    };
+  }
+
   getCategory() { return Annotation.CATEGORY; }
 
   // Set font family, size, and weight. E.g., `Arial`, `10pt`, `Bold`.
@@ -201,8 +233,12 @@ export class Annotation extends Modifier {
         text_height / 2;
     }
 
+    y += this.y_shift;
+
     L('Rendering annotation: ', this.text, x, y);
+    this.setAttribute('el', this.context.openGroup('annotation', this.getAttribute('id')));
     this.context.fillText(this.text, x, y);
+    this.context.closeGroup();
     this.context.restore();
   }
 }
@@ -240,6 +240,14 @@ export class Articulation extends Modifier {
     this.reset();
   }
 
+  static fromJSON(json) {
+    return new Articulation(json.articulation).restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), articulation: this.type };
+  }
+
   reset() {
     this.articulation = Flow.articulationCodes(this.type);
     if (!this.articulation) {
@@ -312,8 +320,12 @@ export class Articulation extends Modifier {
       y += Math.abs(snappedLine - articLine) * staffSpace * offsetDirection + (padding * offsetDirection);
     }
 
+    y += this.y_shift;
+
     L(`Rendering articulation at (x: ${x}, y: ${y})`);
 
+    this.setAttribute('el', ctx.openGroup('articulation', this.getAttribute('id')));
     glyph.render(ctx, x, y);
+    ctx.closeGroup();
   }
 }
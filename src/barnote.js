@@ -40,6 +40,14 @@ export class BarNote extends Note {
     this.setType(type);
   }
 
+  static fromJSON(json, serializer) {
+    return new BarNote(json.barType).restoreFromJSON(json, serializer);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), barType: this.type };
+  }
+
   // Get and set the type of Bar note. `type` must be one of `Vex.Flow.Barline.type`.
   getType() { return this.type; }
   setType(type) {
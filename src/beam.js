@@ -7,6 +7,7 @@
 import { Vex } from './vex';
 import { Flow } from './tables';
 import { Element } from './element';
+import { BoundingBox } from './boundingbox';
 import { Fraction } from './fraction';
 import { Tuplet } from './tuplet';
 import { Stem } from './stem';
@@ -461,6 +462,24 @@ export class Beam extends Element {
     };
   }
 
+  // Stem directions are stored on the notes, so beams are rebuilt without
+  // `auto_stem`.
+  static fromJSON(json, serializer) {
+    const beam = new Beam(json.notes.map(id => serializer.getElement(id)), false);
+    beam.render_options = { ...beam.render_options, ...json.render_options };
+    beam.breakSecondaryAt(json.break_on_indices.slice());
+    return beam;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      notes: this.notes.map(note => note.getAttribute('id')),
+      render_options: { ...this.render_options },
+      break_on_indices: this.break_on_indices.slice(),
+    };
+  }
+
   // Get the notes in this beam
   getNotes() { return this.notes; }
 
@@ -807,6 +826,27 @@ export class Beam extends Element {
     }, this);
   }
 
+  // Get the `BoundingBox` of the beam lines, or `null` if the notes can't be
+  // beamed. The notes must be formatted.
+  getBoundingBox() {
+    if (this.unbeamable) return null;
+    if (!this.postFormatted) this.postFormat();
+
+    const firstStemX = this.notes[0].getStemX();
+    const lastStemX = this.notes[this.notes.length - 1].getStemX();
+    const beamY = this.getBeamYToDraw();
+
+    // Each level of beams is drawn 1.5 beam widths further from the beamY.
+    const beamThickness = this.render_options.beam_width * this.stem_direction;
+    const depth = beamThickness * ((1.5 * (this.getBeamCount() - 1)) + 1);
+
+    const ys = [firstStemX, lastStemX].map(x => this.getSlopeY(x, firstStemX, beamY, this.slope));
+    const top = Math.min(...ys, ...ys.map(y => y + depth));
+    const bottom = Math.max(...ys, ...ys.map(y => y + depth));
+
+    return new BoundingBox(firstStemX, top, (lastStemX + 1) - firstStemX, bottom - top);
+  }
+
   // Render the beam lines
   drawBeamLines() {
     this.checkContext();
@@ -875,8 +915,10 @@ export class Beam extends Element {
     }
 
     this.drawStems();
+    this.setAttribute('el', this.context.openGroup('beam', this.getAttribute('id')));
     this.applyStyle();
     this.drawBeamLines();
     this.restoreStyle();
+    this.context.closeGroup();
   }
 }
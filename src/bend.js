@@ -100,6 +100,19 @@ export class Bend extends Modifier {
     this.updateWidth();
   }
 
+  static fromJSON(json) {
+    return new Bend(json.text, json.release, json.phrase).restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      text: this.text,
+      release: this.release,
+      phrase: this.phrase.map(bend => ({ ...bend })),
+    };
+  }
+
   getCategory() { return Bend.CATEGORY; }
 
   setXShift(value) {
@@ -0,0 +1,85 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements a rendering context that draws nothing, but keeps
+// the bounding box of everything that would have been drawn. It is used to
+// measure elements whose extents are only known when they are drawn, such as
+// annotations, articulations and ornaments. Text is measured with the
+// `TextFont` metrics, as in `SVGStringContext`.
+//
+// ```javascript
+// const context = new Vex.Flow.BoundingBoxContext();
+// annotation.setContext(context).draw();
+// const bb = context.getBoundingBox(); // `null` if nothing was drawn
+// ```
+
+import { BoundingBox } from './boundingbox';
+import { BoundingBoxComputation } from './boundingboxcomputation';
+import { SVGStringContext } from './svgstringcontext';
+
+export class BoundingBoxContext extends SVGStringContext {
+  constructor() {
+    super();
+    this.clearBoundingBox();
+  }
+
+  clearBoundingBox() {
+    this.computation = new BoundingBoxComputation();
+    this.pen = { x: 0, y: 0 };
+    return this;
+  }
+
+  // Get the `BoundingBox` of everything drawn so far, or `null`.
+  getBoundingBox() {
+    const { x1, y1 } = this.computation;
+    if (isNaN(x1) || isNaN(y1)) return null;
+    return new BoundingBox(x1, y1, this.computation.width(), this.computation.height());
+  }
+
+  rect(x, y, width, height) {
+    this.computation.addPoint(x, y);
+    this.computation.addPoint(x + width, y + height);
+    return this;
+  }
+
+  fillRect(x, y, width, height) {
+    return this.rect(x, y, width, height);
+  }
+
+  moveTo(x, y) {
+    this.computation.addPoint(x, y);
+    this.pen = { x, y };
+    return this;
+  }
+
+  lineTo(x, y) {
+    return this.moveTo(x, y);
+  }
+
+  bezierCurveTo(x1, y1, x2, y2, x, y) {
+    this.computation.addBezierCurve(this.pen.x, this.pen.y, x1, y1, x2, y2, x, y);
+    this.pen = { x, y };
+    return this;
+  }
+
+  quadraticCurveTo(x1, y1, x, y) {
+    this.computation.addQuadraticCurve(this.pen.x, this.pen.y, x1, y1, x, y);
+    this.pen = { x, y };
+    return this;
+  }
+
+  // Arcs are taken as their whole circle.
+  arc(x, y, radius) {
+    return this.rect(x - radius, y - radius, radius * 2, radius * 2);
+  }
+
+  fillText(text, x, y) {
+    const metrics = this.measureText(text);
+    return this.rect(x, y + metrics.y, metrics.width, metrics.height);
+  }
+
+  // Nothing is drawn.
+  fill() { return this; }
+  stroke() { return this; }
+}
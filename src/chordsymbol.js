@@ -355,6 +355,19 @@ export class ChordSymbol extends Modifier {
     return true;
   }
 
+  // Add a chord symbol from the EasyScore `chordSymbol` option, e.g.,
+  // `chordSymbol="C7^b9"`. Anything after `^` is a superscript.
+  static easyScoreHook({ chordSymbol }, note, builder) {
+    if (!chordSymbol) return;
+
+    const [text, superscript] = chordSymbol.split('^');
+    const symbol = builder.getFactory().ChordSymbol({ text });
+    if (superscript) {
+      symbol.addGlyphOrText(superscript, { symbolModifier: ChordSymbol.symbolModifiers.SUPERSCRIPT });
+    }
+    note.addModifier(0, symbol);
+  }
+
   // ## Prototype Methods
   //
   // chordSymbol is a modifier that creates a chord symbol above/below a chord
@@ -382,6 +395,39 @@ export class ChordSymbol extends Modifier {
     };
   }
 
+  static fromJSON(json) {
+    const chordSymbol = new ChordSymbol()
+      .setHorizontal(json.horizontal)
+      .setVertical(json.vertical)
+      .setFont(json.font.family, json.font.size, json.font.weight)
+      .setEnableKerning(json.useKerning);
+
+    json.blocks.forEach(block => chordSymbol.addSymbolBlock(block));
+    return chordSymbol.restoreFromJSON(json);
+  }
+
+  toJSON() {
+    const { GLYPH, LINE } = ChordSymbol.symbolTypes;
+    const blocks = this.symbolBlocks.map(block => {
+      const json = { symbolType: block.symbolType, symbolModifier: block.symbolModifier, text: block.text };
+      if (block.symbolType === GLYPH) {
+        json.glyph = Object.keys(ChordSymbol.glyphs).find(name => ChordSymbol.glyphs[name].code === block.glyph.code);
+      } else if (block.symbolType === LINE) {
+        json.width = block.width;
+      }
+      return json;
+    });
+
+    return {
+      ...super.toJSON(),
+      blocks,
+      horizontal: this.horizontal,
+      vertical: this.vertical,
+      font: { ...this.font },
+      useKerning: this.useKerning,
+    };
+  }
+
   // ### pointsToPixels
   // The font size is specified in points, convert to 'pixels' in the svg space
   get pointsToPixels() {
@@ -672,7 +718,7 @@ export class ChordSymbol extends Modifier {
     // We're changing context parameters. Save current state.
     this.context.save();
     const classString = Object.keys(this.getAttribute('classes')).join(' ');
-    this.context.openGroup(classString, this.getAttribute('id'));
+    this.setAttribute('el', this.context.openGroup(classString, this.getAttribute('id')));
 
     const start = this.note.getModifierStartXY(Modifier.Position.ABOVE,
       this.index);
@@ -707,6 +753,8 @@ export class ChordSymbol extends Modifier {
       }
     }
 
+    y += this.y_shift;
+
     let x = start.x;
     if (this.horizontal === ChordSymbol.horizontalJustify.LEFT) {
       x = start.x;
@@ -83,6 +83,19 @@ export class Clef extends StaveModifier {
     L('Creating clef:', type);
   }
 
+  static fromJSON(json) {
+    return new Clef(json.clef, json.size, json.annotation);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      clef: this.type,
+      size: this.size,
+      annotation: this.annotation ? this.annotation.type : undefined,
+    };
+  }
+
   getCategory() { return Clef.CATEGORY; }
 
   setType(type, size, annotation) {
@@ -105,7 +118,7 @@ export class Clef extends StaveModifier {
       const line = this.musicFont.lookupMetric(`clef.annotations.${annotation}.${this.size}.${this.type}.line`);
       const x_shift = this.musicFont.lookupMetric(`clef.annotations.${annotation}.${this.size}.${this.type}.shiftX`);
 
-      this.annotation = { code, point, line, x_shift };
+      this.annotation = { type: annotation, code, point, line, x_shift };
 
       this.attachment = new Glyph(this.annotation.code, this.annotation.point);
       this.attachment.metrics.x_max = 0;
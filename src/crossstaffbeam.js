@@ -0,0 +1,239 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements beams whose notes belong to different staves of the
+// same `System`, as is common in piano music. Notes on the upper stave have
+// their stems pointing down, and notes on the lower staves have their stems
+// pointing up, so that the beam sits between the staves. The slope of the
+// beam is chosen so that every stem keeps a minimum length on both staves.
+//
+// Secondary beams are drawn on the side of the notes they belong to: above
+// the primary beam for the upper stave, and below it for the lower staves.
+//
+// The notes usually come from voices on each stave, padded with `GhostNote`s:
+//
+// ```javascript
+// const system = vf.System();
+// system.addStave({ voices: [trebleVoice] });
+// system.addStave({ voices: [bassVoice] });
+// vf.CrossStaffBeam({ notes: [bassNotes[0], bassNotes[1], trebleNotes[2], trebleNotes[3]] });
+// vf.draw();
+// ```
+
+import { Vex } from './vex';
+import { Beam } from './beam';
+import { Stem } from './stem';
+
+// To enable logging for this class. Set `Vex.Flow.CrossStaffBeam.DEBUG` to `true`.
+function L(...args) { if (CrossStaffBeam.DEBUG) Vex.L('Vex.Flow.CrossStaffBeam', args); }
+
+// Get the `y` of the note head closest to the beam.
+function getInnerHeadY(note) {
+  const ys = note.getYs();
+  return note.getStemDirection() === Stem.DOWN ? Math.max(...ys) : Math.min(...ys);
+}
+
+export class CrossStaffBeam extends Beam {
+  constructor(notes) {
+    super(notes, false);
+    this.setAttribute('type', 'CrossStaffBeam');
+
+    this.preFormatted = false;
+    // Beams between staves are kept flatter than beams on a single stave.
+    this.render_options = {
+      ...this.render_options,
+      max_slope: 0.1,
+      min_slope: -0.1,
+      min_stem_length: 25,
+    };
+  }
+
+  // Get the staves of the notes, from top to bottom.
+  getStaves() {
+    const staves = [];
+    this.notes.forEach(note => {
+      const stave = note.getStave();
+      if (stave && staves.indexOf(stave) === -1) staves.push(stave);
+    });
+
+    return staves.sort((a, b) => a.getYForLine(0) - b.getYForLine(0));
+  }
+
+  isCrossStaff() {
+    return this.getStaves().length > 1;
+  }
+
+  // Point the stems of the notes towards the beam. This needs the staves of the
+  // notes to be in place, and must happen before the notes are formatted, which
+  // is why `System.format()` calls it.
+  preFormat() {
+    if (this.preFormatted || !this.isCrossStaff()) return this;
+
+    const top = this.getStaves()[0];
+    this.notes.forEach(note => {
+      note.setStemDirection(note.getStave() === top ? Stem.DOWN : Stem.UP);
+      note.setBeam(this);
+    });
+
+    this.preFormatted = true;
+    return this;
+  }
+
+  // Get the minimum length of the stem of `note`, up to the primary beam,
+  // leaving room for its secondary beams.
+  getMinStemLength(note) {
+    const { min_stem_length, beam_width } = this.render_options;
+    return min_stem_length + ((note.getBeamCount() - 1) * beam_width * 1.5);
+  }
+
+  // Get the range of `y` values for the top of the primary beam, at the stem
+  // of the first note, that keep every stem at least its minimum length.
+  getBeamRange(slope) {
+    const { notes, render_options: { beam_width } } = this;
+    const firstStemX = notes[0].getStemX();
+    let lower = -Infinity;
+    let upper = Infinity;
+
+    for (let i = 0; i < notes.length; ++i) {
+      const note = notes[i];
+      const offset = (note.getStemX() - firstStemX) * slope;
+      const headY = getInnerHeadY(note);
+      if (note.getStemDirection() === Stem.DOWN) {
+        lower = Math.max(lower, headY + this.getMinStemLength(note) - beam_width - offset);
+      } else {
+        upper = Math.min(upper, headY - this.getMinStemLength(note) - offset);
+      }
+    }
+
+    return { lower, upper };
+  }
+
+  // Calculate the slope that stays closest to half the slope of the outer notes,
+  // while leaving enough room between the staves.
+  calculateSlope() {
+    const {
+      notes,
+      render_options: { max_slope, min_slope, slope_iterations, slope_cost },
+    } = this;
+
+    const firstNote = notes[0];
+    const lastNote = notes[notes.length - 1];
+    const idealSlope = (getInnerHeadY(lastNote) - getInnerHeadY(firstNote)) /
+      (lastNote.getStemX() - firstNote.getStemX()) / 2;
+    const increment = (max_slope - min_slope) / slope_iterations;
+    let minCost = Number.MAX_VALUE;
+    let bestSlope = 0;
+    let bestRange = null;
+
+    for (let slope = min_slope; slope <= max_slope; slope += increment) {
+      const range = this.getBeamRange(slope);
+      const overlap = Math.max(0, range.lower - range.upper);
+      const cost = (slope_cost * Math.abs(idealSlope - slope)) + (slope_cost * overlap);
+
+      if (cost < minCost) {
+        minCost = cost;
+        bestSlope = slope;
+        bestRange = range;
+      }
+    }
+
+    // Center the beam in the available room. When the staves are too close,
+    // the stems on both sides are shortened evenly.
+    this.slope = bestSlope;
+    this.y_shift = 0;
+    this.beam_y = (bestRange.lower + bestRange.upper) / 2;
+    L('Slope:', this.slope, 'beam y:', this.beam_y, 'range:', bestRange);
+  }
+
+  getBeamYToDraw() {
+    return this.beam_y;
+  }
+
+  // Get the beam lines of every duration, with the offset of each line from
+  // the primary beam. Secondary beams are stacked towards the note heads of the
+  // note they start at.
+  getBeamSegments() {
+    const beamWidth = this.render_options.beam_width;
+    const segments = [];
+
+    ['4', '8', '16', '32', '64'].forEach((duration, level) => {
+      this.getBeamLines(duration).forEach(({ start, end }) => {
+        const direction = this.getNoteAt(start).getStemDirection();
+        const offset = level * beamWidth * 1.5 * (direction === Stem.UP ? 1 : -1);
+        segments.push({ start, end, offset });
+      });
+    });
+
+    return segments;
+  }
+
+  // Extend each stem through all the beam lines over it: stems pointing up end
+  // at the top of the highest line, and stems pointing down at the bottom of
+  // the lowest one.
+  applyStemExtensions() {
+    const { notes, slope, render_options: { beam_width } } = this;
+    const firstStemX = notes[0].getStemX();
+    const segments = this.getBeamSegments();
+
+    notes.forEach(note => {
+      const stemX = note.getStemX();
+      const offsets = segments
+        .filter(({ start, end }) => Math.min(start, end) <= stemX && stemX <= Math.max(start, end) + 1)
+        .map(({ offset }) => offset);
+      const beamY = this.getSlopeY(stemX, firstStemX, this.beam_y, slope);
+      const { topY: stemTipY } = note.getStemExtents();
+      const extension = note.getStemDirection() === Stem.UP
+        ? stemTipY - (beamY + Math.min(0, ...offsets))
+        : (beamY + Math.max(0, ...offsets) + beam_width) - stemTipY;
+
+      note.stem.setExtension(note.getStem().getExtension() + extension);
+      note.stem.renderHeightAdjustment = -Stem.WIDTH / 2;
+    });
+  }
+
+  // Get the note whose stem is closest to `x`.
+  getNoteAt(x) {
+    return this.notes.reduce((closest, note) =>
+      (Math.abs(note.getStemX() - x) < Math.abs(closest.getStemX() - x) ? note : closest));
+  }
+
+  postFormat() {
+    if (this.postFormatted) return;
+    if (!this.isCrossStaff()) {
+      super.postFormat();
+      return;
+    }
+
+    this.preFormat();
+    this.calculateSlope();
+    this.applyStemExtensions();
+    this.postFormatted = true;
+  }
+
+  // Render the beam lines.
+  drawBeamLines() {
+    if (!this.isCrossStaff()) {
+      super.drawBeamLines();
+      return;
+    }
+
+    this.checkContext();
+
+    const beamWidth = this.render_options.beam_width;
+    const firstStemX = this.notes[0].getStemX();
+
+    this.getBeamSegments().forEach(({ start, end, offset }) => {
+      const startY = this.getSlopeY(start, firstStemX, this.beam_y, this.slope) + offset;
+      const endY = this.getSlopeY(end, firstStemX, this.beam_y, this.slope) + offset;
+
+      this.context.beginPath();
+      this.context.moveTo(start, startY);
+      this.context.lineTo(start, startY + beamWidth);
+      this.context.lineTo(end + 1, endY + beamWidth);
+      this.context.lineTo(end + 1, endY);
+      this.context.closePath();
+      this.context.fill();
+    });
+  }
+}
@@ -46,6 +46,21 @@ export class Curve extends Element {
     this.setNotes(from, to);
   }
 
+  static fromJSON(json, serializer) {
+    const from = serializer.getElement(json.from);
+    const to = serializer.getElement(json.to);
+    return new Curve(from, to, { ...json.render_options, cps: json.render_options.cps.map(cp => ({ ...cp })) });
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      from: this.from ? this.from.getAttribute('id') : null,
+      to: this.to ? this.to.getAttribute('id') : null,
+      render_options: { ...this.render_options, cps: this.render_options.cps.map(cp => ({ ...cp })) },
+    };
+  }
+
   setNotes(from, to) {
     if (!from && !to) {
       throw new Vex.RuntimeError(
@@ -65,6 +80,14 @@ export class Curve extends Element {
     return (!this.from || !this.to);
   }
 
+  /**
+   * @return {boolean} Returns true if the notes are on either side of a
+   * system break, in which case the curve is drawn in two halves.
+   */
+  isSplit() {
+    return !this.isPartial() && this.from.getStave().isAcrossSystemBreak(this.to.getStave());
+  }
+
   renderCurve(params) {
     const ctx = this.context;
     const cps = this.render_options.cps;
@@ -103,12 +126,9 @@ export class Curve extends Element {
     ctx.fill();
   }
 
-  draw() {
-    this.checkContext();
-    this.setRendered();
-
-    const first_note = this.from;
-    const last_note = this.to;
+  // Draw the curve from `first_note` to `last_note`. If either note is missing,
+  // the curve runs from the start, or up to the end, of the other note's stave.
+  drawSegment(first_note, last_note) {
     let first_x;
     let last_x;
     let first_y;
@@ -162,6 +182,23 @@ export class Curve extends Element {
       last_y,
       direction: stem_direction * (this.render_options.invert === true ? -1 : 1),
     });
+  }
+
+  // Draw the curve. When it is split, only the halves on the staves that
+  // `drawsOnStave(stave)` returns `true` for are drawn, e.g., the ones on a
+  // page (see `PageLayout.draw`).
+  draw(drawsOnStave = () => true) {
+    this.checkContext();
+    this.setRendered();
+
+    // Across a system break, the curve is drawn up to the end of the first
+    // system, and again from the start of the next one.
+    if (this.isSplit()) {
+      if (drawsOnStave(this.from.getStave())) this.drawSegment(this.from, null);
+      if (drawsOnStave(this.to.getStave())) this.drawSegment(null, this.to);
+    } else {
+      this.drawSegment(this.from, this.to);
+    }
     return true;
   }
 }
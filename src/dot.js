@@ -111,6 +111,10 @@ export class Dot extends Modifier {
     this.dot_shiftY = 0;
   }
 
+  static fromJSON(json) {
+    return new Dot().restoreFromJSON(json);
+  }
+
   getCategory() { return Dot.CATEGORY; }
 
   setNote(note) {
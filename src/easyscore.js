@@ -2,20 +2,67 @@
 //
 // This class implements a parser for a simple language to generate
 // VexFlow objects.
+//
+// Notes are separated by commas, e.g. `C#5/q, (C4 E4 G4)/h., B4/8[id="x"]`,
+// and can be tied, slurred, beamed and grouped into tuplets inline:
+//
+// * `C4/h~, C4/q` ties the pitches a note has in common with the next one (or
+//   ties it to the end of the stave),
+// * `(C4/8, D4, E4)` slurs the notes between the parentheses,
+// * `[C4/8, D4]` beams them, and
+// * `3{C4/8, D4, E4}` makes them a triplet (`3:2{ }` sets the notes occupied).
+//
+// Groups can be nested, e.g. `3{[(C4/8, D4, E4)]}`.
+//
+// Grace notes are written in braces before a note, e.g. `{D5, E5}C4/q`.
+// `{/D5}` slashes them, and `{D5}~` slurs them to the note.
+//
+// Notes take options in brackets: `id`, `class`, `articulations`,
+// `fingerings`, `lyrics`, `ornaments` (e.g. `"tr, turn.#.b"`), `annotations`
+// (e.g. `"dolce, rit..above"`), `chordSymbol` (e.g. `"C7^b9"`) and
+// `dynamics` (e.g. `"mf"`). Dynamics are drawn by a voice of their own, from
+// `dynamics(notes)`.
+//
+// Bar lines (`|`, `||`, `|.`, `|:`, `:|` and `:|:`) and clef, key and time
+// signature changes (`clef=bass`, `key=Eb`, `time=3/4`) can be written
+// between the notes, and become `BarNote`, `ClefNote`, `KeySigNote` and
+// `TimeSigNote` tickables. `measures()` splits the line into a voice for each
+// measure instead:
+//
+// ```javascript
+// const measures = score.measures('|: key=G, time=3/4, B4/q, A4, G4 | clef=bass, D3/h. :|');
+// measures.forEach(measure => layout.addMeasure([measure]));
+// ```
 
 /* eslint max-classes-per-file: "off" */
 
 import { Vex } from './vex';
 import { StaveNote } from './stavenote';
 import { Parser } from './parser';
+import { Voice } from './voice';
+import { Barline } from './stavebarline';
+import { Clef } from './clef';
 import { Articulation } from './articulation';
 import { FretHandFinger } from './frethandfinger';
+import { Lyric } from './lyric';
+import { Ornament } from './ornament';
+import { Annotation } from './annotation';
+import { ChordSymbol } from './chordsymbol';
 
 // To enable logging for this class. Set `Vex.Flow.EasyScore.DEBUG` to `true`.
 function L(...args) { if (EasyScore.DEBUG) Vex.L('Vex.Flow.EasyScore', args); }
 
 export const X = Vex.MakeException('EasyScoreError');
 
+const BAR_TYPES = {
+  '|': Barline.type.SINGLE,
+  '||': Barline.type.DOUBLE,
+  '|.': Barline.type.END,
+  '|:': Barline.type.REPEAT_BEGIN,
+  ':|': Barline.type.REPEAT_END,
+  ':|:': Barline.type.REPEAT_BOTH,
+};
+
 class Grammar {
   constructor(builder) {
     this.builder = builder;
@@ -25,21 +72,178 @@ class Grammar {
 
   LINE() {
     return {
-      expect: [this.PIECE, this.PIECES, this.EOL],
+      expect: [this.BARS, this.ENTRY, this.ENTRIES, this.MEASURES, this.EOL],
+      run: () => this.builder.commitLine(),
+    };
+  }
+  ENTRY() {
+    return {
+      expect: [this.DIRECTIVE, this.PIECE],
+      or: true,
+    };
+  }
+  ENTRIES() {
+    return {
+      expect: [this.COMMA, this.ENTRY],
+      zeroOrMore: true,
+    };
+  }
+  BARS() {
+    return {
+      expect: [this.BAR, this.MAYBECOMMA],
+      zeroOrMore: true,
+    };
+  }
+  MEASURES() {
+    return {
+      expect: [this.MAYBECOMMA, this.BAR, this.MAYBECOMMA, this.MEASURE],
+      zeroOrMore: true,
+    };
+  }
+  MEASURE() {
+    return {
+      expect: [this.ENTRY, this.ENTRIES],
+      maybe: true,
+    };
+  }
+  BAR() {
+    return {
+      expect: [this.BARLINE],
+      run: (state) => this.builder.addBarLine(state.matches[0]),
+    };
+  }
+  DIRECTIVE() {
+    return {
+      expect: [this.CLEF, this.KEYSIG, this.TIMESIG],
+      or: true,
+    };
+  }
+  CLEF() {
+    return {
+      expect: [this.CLEFWORD, this.EQUALS, this.CLEFTYPE],
+      run: (state) => this.builder.addClef(state.matches[2]),
+    };
+  }
+  KEYSIG() {
+    return {
+      expect: [this.KEYWORD, this.EQUALS, this.KEYSPEC],
+      run: (state) => this.builder.addKeySignature(state.matches[2]),
+    };
+  }
+  TIMESIG() {
+    return {
+      expect: [this.TIMEWORD, this.EQUALS, this.TIMESPEC],
+      run: (state) => this.builder.addTimeSignature(state.matches[2]),
     };
   }
   PIECE() {
     return {
-      expect: [this.CHORDORNOTE, this.PARAMS],
+      expect: [this.OPENERS, this.NOTEPIECE, this.CLOSERS],
+    };
+  }
+  NOTEPIECE() {
+    return {
+      expect: [this.GRACE, this.CHORDORNOTE, this.PARAMS, this.TIE],
       run: () => this.builder.commitPiece(),
     };
   }
-  PIECES() {
+  GRACE() {
+    return {
+      expect: [this.GRACESTART, this.GRACENOTE, this.GRACENOTES, this.GRACEEND],
+      maybe: true,
+    };
+  }
+  GRACESTART() {
+    return {
+      expect: [this.LBRACE, this.MAYBESLASH],
+      run: (state) => this.builder.openGrace(state.matches[1]),
+    };
+  }
+  GRACENOTES() {
+    return {
+      expect: [this.COMMA, this.GRACENOTE],
+      zeroOrMore: true,
+    };
+  }
+  GRACENOTE() {
+    return {
+      expect: [this.CHORDORNOTE, this.DURATION, this.DOTS],
+      run: () => this.builder.addGraceNote(),
+    };
+  }
+  GRACEEND() {
+    return {
+      expect: [this.RBRACE, this.MAYBETILDE],
+      run: (state) => this.builder.closeGrace(state.matches[1]),
+    };
+  }
+  OPENERS() {
+    return {
+      expect: [this.OPENER],
+      zeroOrMore: true,
+    };
+  }
+  OPENER() {
+    return {
+      expect: [this.SLURSTART, this.BEAMSTART, this.TUPLETSTART],
+      or: true,
+    };
+  }
+  CLOSERS() {
     return {
-      expect: [this.COMMA, this.PIECE],
+      expect: [this.CLOSER],
       zeroOrMore: true,
     };
   }
+  CLOSER() {
+    return {
+      expect: [this.SLUREND, this.BEAMEND, this.TUPLETEND],
+      or: true,
+    };
+  }
+  SLURSTART() {
+    return {
+      expect: [this.LSLUR],
+      run: () => this.builder.openGroup('slur'),
+    };
+  }
+  SLUREND() {
+    return {
+      expect: [this.RPAREN],
+      run: () => this.builder.closeGroup('slur'),
+    };
+  }
+  BEAMSTART() {
+    return {
+      expect: [this.LBRACKET],
+      run: () => this.builder.openGroup('beam'),
+    };
+  }
+  BEAMEND() {
+    return {
+      expect: [this.RBRACKET],
+      run: () => this.builder.closeGroup('beam'),
+    };
+  }
+  TUPLETSTART() {
+    return {
+      expect: [this.LTUPLET],
+      run: (state) => this.builder.openGroup('tuplet', state.matches[0]),
+    };
+  }
+  TUPLETEND() {
+    return {
+      expect: [this.RBRACE],
+      run: () => this.builder.closeGroup('tuplet'),
+    };
+  }
+  TIE() {
+    return {
+      expect: [this.TILDE],
+      maybe: true,
+      run: (state) => this.builder.setNoteTie(state.matches[0]),
+    };
+  }
   PARAMS() {
     return {
       expect: [this.DURATION, this.TYPE, this.DOTS, this.OPTS],
@@ -129,24 +333,40 @@ class Grammar {
     };
   }
 
-  KEY() { return { token: '[a-zA-Z][a-zA-Z0-9]*' }; }
-  DVAL() { return { token: '["][^"]*["]' }; }
-  SVAL() { return { token: "['][^']*[']" }; }
-  NOTENAME() { return { token: '[a-gA-G]' }; }
-  OCTAVE() { return { token: '[0-9]+' }; }
-  ACCIDENTALS() { return { token: 'bbs|bb|bss|bs|b|db|d|##|#|n|\\+\\+-|\\+-|\\+\\+|\\+|k|o' }; }
-  DURATIONS() { return { token: '[0-9whq]+' }; }
-  TYPES() { return { token: '[rRsSxX]' }; }
-  LPAREN() { return { token: '[(]' }; }
-  RPAREN() { return { token: '[)]' }; }
-  COMMA() { return { token: '[,]' }; }
-  DOT() { return { token: '[.]' }; }
-  SLASH() { return { token: '[/]' }; }
+  KEY() { return { token: '[a-zA-Z][a-zA-Z0-9]*', description: 'an option name' }; }
+  DVAL() { return { token: '["][^"]*["]', description: 'a quoted value' }; }
+  SVAL() { return { token: "['][^']*[']", description: 'a quoted value' }; }
+  NOTENAME() { return { token: '[a-gA-G]', description: 'a note name' }; }
+  OCTAVE() { return { token: '[0-9]+', description: 'an octave' }; }
+  ACCIDENTALS() { return { token: 'bbs|bb|bss|bs|b|db|d|##|#|n|\\+\\+-|\\+-|\\+\\+|\\+|k|o', description: 'an accidental' }; }
+  DURATIONS() { return { token: '[0-9whq]+', description: 'a duration' }; }
+  TYPES() { return { token: '[rRsSxX]', description: 'a note type' }; }
+  LPAREN() { return { token: '[(]', description: '"("' }; }
+  // A slur opens with a parenthesis that is followed by another one, or by
+  // a comma before the next parenthesis. Otherwise it opens a chord.
+  LSLUR() { return { token: '[(](?=\\s*[(]|[^()]*,)', description: '"("' }; }
+  LTUPLET() { return { token: '[0-9]+(?::[0-9]+)?[{]', description: 'a tuplet, e.g. "3{"' }; }
+  LBRACE() { return { token: '[{]', description: '"{"' }; }
+  RBRACE() { return { token: '[}]', description: '"}"' }; }
+  TILDE() { return { token: '[~]', description: '"~"' }; }
+  MAYBETILDE() { return { token: '[~]?' }; }
+  RPAREN() { return { token: '[)]', description: '")"' }; }
+  COMMA() { return { token: '[,]', description: '","' }; }
+  MAYBECOMMA() { return { token: '[,]?' }; }
+  BARLINE() { return { token: ':\\|:|:\\||\\|:|\\|\\||\\|\\.|\\|', description: 'a bar line' }; }
+  CLEFWORD() { return { token: 'clef', description: '"clef"' }; }
+  KEYWORD() { return { token: 'key', description: '"key"' }; }
+  TIMEWORD() { return { token: 'time', description: '"time"' }; }
+  CLEFTYPE() { return { token: '[a-z][a-z-]*', description: 'a clef' }; }
+  KEYSPEC() { return { token: '[A-G][#b]?m?', description: 'a key, e.g. "Eb"' }; }
+  TIMESPEC() { return { token: '[0-9]+/[0-9]+|C\\||C', description: 'a time signature, e.g. "3/4"' }; }
+  DOT() { return { token: '[.]', description: '"."' }; }
+  SLASH() { return { token: '[/]', description: '"/"' }; }
   MAYBESLASH() { return { token: '[/]?' }; }
-  EQUALS() { return { token: '[=]' }; }
-  LBRACKET() { return { token: '\\[' }; }
-  RBRACKET() { return { token: '\\]' }; }
-  EOL() { return { token: '$' }; }
+  EQUALS() { return { token: '[=]', description: '"="' }; }
+  LBRACKET() { return { token: '\\[', description: '"["' }; }
+  RBRACKET() { return { token: '\\]', description: '"]"' }; }
+  EOL() { return { token: '$', description: 'the end of the line' }; }
 }
 
 class Builder {
@@ -164,10 +384,37 @@ class Builder {
     this.elements = {
       notes: [],
       accidentals: [],
+      ties: [],
+      slurs: [],
+      beams: [],
+      tuplets: [],
+      measures: [],
     };
     this.rollingDuration = '8';
+    this.groups = [];
+    this.tieFrom = null;
+    this.grace = null;
     this.resetPiece();
     Object.assign(this.options, options);
+    this.startMeasure();
+  }
+
+  // Starts a new measure. When `options.measures` is set, clefs, key and time
+  // signatures at the start of a measure, and bar lines, are recorded on the
+  // measure rather than added as tickables.
+  startMeasure(begBarType) {
+    this.measure = { notes: [], time: this.options.time, begBarType };
+    this.elements.measures.push(this.measure);
+  }
+
+  // Adds a tickable that isn't a note.
+  addTickable(tickable) {
+    this.elements.notes.push(tickable);
+    this.measure.notes.push(tickable);
+  }
+
+  isMeasureStart() {
+    return this.options.measures && this.measure.notes.length === 0;
   }
 
   getFactory() { return this.factory; }
@@ -185,6 +432,7 @@ class Builder {
       duration: this.rollingDuration,
       dots: 0,
       type: undefined,
+      tie: false,
       options: {},
     };
   }
@@ -204,6 +452,192 @@ class Builder {
     if (type) this.piece.type = type;
   }
 
+  setNoteTie(tie) {
+    L('setNoteTie:', tie);
+    if (tie) this.piece.tie = true;
+  }
+
+  // Starts the grace notes before a note. Grace notes are sixteenths unless
+  // their duration is given, and don't change the duration of the notes after
+  // them. A `slash` is drawn through their stems.
+  openGrace(slash) {
+    L('openGrace:', slash);
+    this.grace = { notes: [], slash: !!slash, slur: false, rollingDuration: this.rollingDuration };
+    this.rollingDuration = '16';
+    this.resetPiece();
+  }
+
+  addGraceNote() {
+    L('addGraceNote');
+    const { factory } = this;
+    if (factory) {
+      const { chord, duration, dots } = this.piece;
+      const note = factory.GraceNote({
+        keys: chord.map(note => note.key + '/' + note.octave),
+        duration,
+        dots,
+        slash: this.grace.slash,
+        clef: this.options.clef,
+      });
+      chord.forEach(({ accid }, i) => {
+        if (accid) note.addAccidental(i, factory.Accidental({ type: accid }));
+      });
+      for (let i = 0; i < dots; i++) note.addDotToAll();
+      this.grace.notes.push(note);
+    }
+    this.resetPiece();
+  }
+
+  // Ends the grace notes. A `tie` (`~`) after them slurs them to the note.
+  closeGrace(tie) {
+    L('closeGrace:', tie);
+    this.grace.slur = !!tie;
+    this.rollingDuration = this.grace.rollingDuration;
+    this.resetPiece();
+  }
+
+  // Opens a slur, beam or tuplet group. Every note committed until the group
+  // is closed belongs to it. `spec` is the tuplet ratio, e.g. `3{` or `3:2{`.
+  openGroup(type, spec) {
+    L('openGroup:', type, spec);
+    const group = { type, notes: [] };
+    if (type === 'tuplet') {
+      const [num_notes, notes_occupied] = spec.slice(0, -1).split(':').map(Number);
+      group.options = notes_occupied ? { num_notes, notes_occupied } : { num_notes };
+    }
+    this.groups.push(group);
+  }
+
+  // Closes the innermost open group of `type` and creates its `Curve`,
+  // `Beam` or `Tuplet` from the notes in it.
+  closeGroup(type) {
+    L('closeGroup:', type);
+    const index = this.groups.map(group => group.type).lastIndexOf(type);
+    if (index === -1) throw new X(`No ${type} to close`);
+    const [{ notes, options }] = this.groups.splice(index, 1);
+
+    const { factory } = this;
+    if (!factory) return;
+
+    if (type === 'slur') {
+      if (notes.length < 2) throw new X('Slurs need at least two notes');
+      this.elements.slurs.push(factory.Curve({ from: notes[0], to: notes[notes.length - 1] }));
+    } else if (type === 'beam') {
+      const autoStem = this.options.stem.toLowerCase() === 'auto';
+      this.elements.beams.push(factory.Beam({ notes, options: { autoStem } }));
+    } else {
+      this.elements.tuplets.push(factory.Tuplet({ notes, options }));
+    }
+  }
+
+  // Ties `from` to `to`, joining the keys they have in common. Notes with no
+  // keys in common can't be tied (slur them instead).
+  addTie(from, to) {
+    const toKeys = to.getKeys();
+    const first_indices = [];
+    const last_indices = [];
+    from.getKeys().forEach((key, i) => {
+      const j = toKeys.indexOf(key);
+      if (j !== -1) {
+        first_indices.push(i);
+        last_indices.push(j);
+      }
+    });
+    if (!first_indices.length) throw new X('Tied notes have no pitch in common');
+
+    this.elements.ties.push(this.factory.StaveTie({ from, to, first_indices, last_indices }));
+  }
+
+  // Checks that every group is closed, and draws a tie from the last note
+  // to the end of the stave if it was left open.
+  commitLine() {
+    L('commitLine');
+    if (this.groups.length) throw new X(`Unclosed ${this.groups[this.groups.length - 1].type}`);
+    if (this.tieFrom && this.factory) {
+      const indices = this.tieFrom.getKeys().map((key, i) => i);
+      this.elements.ties.push(this.factory.StaveTie({
+        from: this.tieFrom,
+        first_indices: indices,
+        last_indices: indices,
+      }));
+    }
+    this.tieFrom = null;
+
+    // Drop the empty measure after a closing bar line. Clef, key and time
+    // signature changes after it go at the end of the measure before.
+    const { measures } = this.elements;
+    if (measures.length > 1 && this.measure.notes.length === 0) {
+      const { clef, keySignature, cancelKey, timeSignature } = measures.pop();
+      this.measure = measures[measures.length - 1];
+      if (this.factory) {
+        if (clef !== undefined) this.addTickable(this.factory.ClefNote({ type: clef, options: { size: 'small' } }));
+        if (keySignature !== undefined) this.addTickable(this.factory.KeySigNote({ key: keySignature, cancelKey }));
+        if (timeSignature !== undefined) this.addTickable(this.factory.TimeSigNote({ time: timeSignature }));
+      }
+    }
+  }
+
+  addBarLine(symbol) {
+    L('addBarLine:', symbol);
+    const type = BAR_TYPES[symbol];
+    const { REPEAT_BEGIN, REPEAT_END, REPEAT_BOTH } = Barline.type;
+
+    if (!this.options.measures) {
+      if (this.factory) this.addTickable(this.factory.BarNote({ type }));
+      return;
+    }
+
+    // Bar lines before the first note open the first measure.
+    if (this.elements.measures.length === 1 && this.isMeasureStart()) {
+      this.measure.begBarType = type === REPEAT_BOTH ? REPEAT_BEGIN : type;
+      return;
+    }
+
+    if (type === REPEAT_BOTH) {
+      this.measure.endBarType = REPEAT_END;
+    } else if (type !== REPEAT_BEGIN) {
+      this.measure.endBarType = type;
+    }
+    this.startMeasure(type === REPEAT_BEGIN || type === REPEAT_BOTH ? REPEAT_BEGIN : undefined);
+  }
+
+  addClef(clef) {
+    L('addClef:', clef);
+    if (!Clef.types[clef]) throw new X(`Unknown clef: ${clef}`);
+    this.options.clef = clef;
+
+    if (this.isMeasureStart()) {
+      this.measure.clef = clef;
+    } else if (this.factory) {
+      this.addTickable(this.factory.ClefNote({ type: clef, options: { size: 'small' } }));
+    }
+  }
+
+  addKeySignature(key) {
+    L('addKeySignature:', key);
+    const cancelKey = this.options.key;
+    this.options.key = key;
+
+    if (this.isMeasureStart()) {
+      this.measure.keySignature = key;
+      this.measure.cancelKey = cancelKey;
+    } else if (this.factory) {
+      this.addTickable(this.factory.KeySigNote({ key, cancelKey }));
+    }
+  }
+
+  addTimeSignature(time) {
+    L('addTimeSignature:', time);
+    this.options.time = time;
+
+    if (this.isMeasureStart()) {
+      this.measure.timeSignature = time;
+      this.measure.time = time;
+    } else if (this.factory) {
+      this.addTickable(this.factory.TimeSigNote({ time }));
+    }
+  }
+
   addNoteOption(key, value) {
     L('addNoteOption: key:', key, 'value:', value);
     this.piece.options[key] = value;
@@ -266,20 +700,53 @@ class Builder {
     // Attach dots.
     for (let i = 0; i < dots; i++) note.addDotToAll();
 
+    // Attach grace notes.
+    if (this.grace) {
+      const group = factory.GraceNoteGroup({ notes: this.grace.notes, slur: this.grace.slur });
+      if (this.grace.notes.length > 1) group.beamNotes();
+      note.addModifier(0, group);
+      this.grace = null;
+    }
+
     this.commitHooks.forEach(fn => fn(options, note, this));
 
-    this.elements.notes.push(note);
+    if (this.tieFrom) this.addTie(this.tieFrom, note);
+    this.tieFrom = this.piece.tie ? note : null;
+    this.groups.forEach(group => group.notes.push(note));
+
+    this.addTickable(note);
     this.elements.accidentals.concat(accids);
     this.resetPiece();
   }
 }
 
+// Returns a hint for common mistakes in a line that failed to parse.
+function suggest(line, { pos, found, expected }) {
+  if (found === 'end of line' && /,\s*$/.test(line)) return 'Remove the trailing comma.';
+  if (expected.indexOf('an octave') !== -1) {
+    // An octave after the offending characters means they're a bad accidental.
+    if (/^[^\s,/()[\]{}~]*[0-9]/.test(line.slice(pos))) {
+      return expected.indexOf('an accidental') !== -1 ? 'Accidentals are written like "C#4", "Cbb4" or "Cn4".' : undefined;
+    }
+    return 'Notes need an octave, e.g. "C4".';
+  }
+  if (expected.indexOf('","') !== -1 && /^"[a-gA-G([]"$/.test(found)) return 'Separate notes with commas.';
+  return undefined;
+}
+
 function setId({ id }, note) {
   if (id === undefined) return;
 
   note.setAttribute('id', id);
 }
 
+// Keeps the dynamics marking under `note` for `EasyScore.dynamics()`.
+function setDynamics({ dynamics }, note) {
+  if (!dynamics) return;
+
+  note.setAttribute('dynamics', dynamics);
+}
+
 function setClass(options, note) {
   if (!options.class) return;
 
@@ -312,8 +779,13 @@ export class EasyScore {
       commitHooks: [
         setId,
         setClass,
+        setDynamics,
         Articulation.easyScoreHook,
         FretHandFinger.easyScoreHook,
+        Lyric.easyScoreHook,
+        Ornament.easyScoreHook,
+        Annotation.easyScoreHook,
+        ChordSymbol.easyScoreHook,
       ],
       throwOnError: false, ...options
     };
@@ -331,11 +803,28 @@ export class EasyScore {
     return this;
   }
 
+  // Parses `line`. Syntax errors, and errors from the builder such as an
+  // unclosed group, are returned in `result.error` (or thrown if the
+  // `throwOnError` option is set).
   parse(line, options = {}) {
     this.builder.reset(options);
-    const result = this.parser.parse(line);
-    if (!result.success && this.options.throwOnError) {
-      throw new X('Error parsing line: ' + line, result);
+    let result;
+    try {
+      result = this.parser.parse(line);
+    } catch (e) {
+      if (!(e instanceof X)) throw e;
+      const error = this.parser.getRunError(e);
+      result = { success: false, errorPos: error.pos, error };
+    }
+    if (result.success) return result;
+
+    const suggestion = suggest(line, result.error);
+    if (suggestion) {
+      result.error.suggestion = suggestion;
+      result.error.message += '\n' + suggestion;
+    }
+    if (this.options.throwOnError) {
+      throw new X('Error parsing line: ' + result.error.message, result);
     }
     return result;
   }
@@ -356,6 +845,47 @@ export class EasyScore {
     return this.builder.getElements().notes;
   }
 
+  // Parses a line that spans several measures, and returns a voice for each
+  // measure, with the clef, key and time signature changes and bar lines
+  // around it, as `{ voices, clef, keySignature, timeSignature, begBarType,
+  // endBarType }`. These can be passed straight to `ScoreLayout.addMeasure`.
+  // The voices of the first and last measures are soft, so that they can be
+  // a pickup or an unfinished measure.
+  measures(line, options = {}) {
+    options = { clef: this.defaults.clef, stem: this.defaults.stem, time: this.defaults.time, ...options, measures: true };
+    this.parse(line, options);
+    const { measures } = this.builder.getElements();
+    return measures.map(({ notes, time, cancelKey, ...measure }, i) => {
+      const voices = [this.voice(notes, { time })];
+      if (notes.some(note => note.getAttribute('dynamics'))) voices.push(this.dynamics(notes, { time }));
+      if (i === 0 || i === measures.length - 1) voices.forEach(voice => voice.setMode(Voice.Mode.SOFT));
+      return { ...measure, voices };
+    });
+  }
+
+  // Returns a voice with the dynamics markings of `notes` (from the `dynamics`
+  // option), padded with ghost notes, to be formatted with the notes' voice.
+  // `line` is the stave line the markings are drawn on.
+  dynamics(notes, { line = 9, ...voiceOptions } = {}) {
+    const { factory } = this;
+    const tickables = notes
+      .filter(note => note.getTicks().value() > 0)
+      .map(note => {
+        const text = note.getAttribute('dynamics');
+        const duration = note.getDuration();
+        const tickable = text
+          ? factory.TextDynamics({ text, duration, line })
+          : factory.GhostNote({ duration });
+
+        // Match the dots and tuplets of the note.
+        const multiplier = note.getTickMultiplier();
+        tickable.setIntrinsicTicks(note.getIntrinsicTicks());
+        tickable.applyTickMultiplier(multiplier.numerator, multiplier.denominator);
+        return tickable;
+      });
+    return this.voice(tickables, voiceOptions);
+  }
+
   voice(notes, voiceOptions) {
     voiceOptions = { time: this.defaults.time, ...voiceOptions };
     return this.factory.Voice(voiceOptions).addTickables(notes);
@@ -0,0 +1,427 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This class implements a parser for a simple tablature language, in the
+// style of `EasyScore`, to generate `TabNote`s.
+//
+// Notes are separated by commas. A note is a fret and a string, e.g. `5/2`,
+// or a chord of them in parentheses, e.g. `(5/2 7/3)`, followed by an
+// optional duration, e.g. `:q` or `:8.`. Durations carry over to the next
+// notes. `x/6` is a muted string, and `r:q` is a rest.
+//
+// * `h`, `p`, `s` and `t` before a note join it to the previous note with a
+//   hammer-on, pull-off, slide or tap (`TabTie` or `TabSlide`),
+// * `b` after a position bends it a full tone, `b1/2` a semitone and `br`
+//   bends and releases it (`Bend`), and
+// * `v` after a position adds a vibrato, and `V` a harsh vibrato (`Vibrato`).
+//
+// ```javascript
+// const tab = vf.EasyTab();
+// const notes = tab.notes('5/3:8, h7/3, p5/3, (7/2 7/3b1/2):q, s9/3v:h');
+// vf.System().addStave({ stave: vf.TabStave(), voices: [tab.voice(notes)] });
+// ```
+//
+// `staveNotes()` derives the matching standard-notation `StaveNote`s from
+// the tuning, to draw above the tablature.
+
+/* eslint max-classes-per-file: "off" */
+
+import { Vex } from './vex';
+import { Parser } from './parser';
+import { Tuning } from './tuning';
+import { GhostNote } from './ghostnote';
+
+// To enable logging for this class. Set `Vex.Flow.EasyTab.DEBUG` to `true`.
+function L(...args) { if (EasyTab.DEBUG) Vex.L('Vex.Flow.EasyTab', args); }
+
+export const X = Vex.MakeException('EasyTabError');
+
+// The ties made by the connectors before a note.
+const CONNECTORS = {
+  h: { text: 'H' },
+  p: { text: 'P' },
+  t: { text: 'T' },
+  s: { slide: true },
+};
+
+class Grammar {
+  constructor(builder) {
+    this.builder = builder;
+  }
+
+  begin() { return this.LINE; }
+
+  LINE() {
+    return {
+      expect: [this.PIECE, this.PIECES, this.EOL],
+      run: () => this.builder.commitLine(),
+    };
+  }
+  PIECES() {
+    return {
+      expect: [this.COMMA, this.PIECE],
+      zeroOrMore: true,
+    };
+  }
+  PIECE() {
+    return {
+      expect: [this.CONNECTOR, this.NOTEORREST, this.DURATION, this.DOTS],
+      run: () => this.builder.commitPiece(),
+    };
+  }
+  CONNECTOR() {
+    return {
+      expect: [this.CONNECTORS],
+      maybe: true,
+      run: (state) => this.builder.setConnector(state.matches[0]),
+    };
+  }
+  NOTEORREST() {
+    return {
+      expect: [this.REST, this.CHORD, this.NOTE],
+      or: true,
+    };
+  }
+  REST() {
+    return {
+      expect: [this.RESTS],
+      run: () => this.builder.setRest(),
+    };
+  }
+  CHORD() {
+    return {
+      expect: [this.LPAREN, this.NOTES, this.RPAREN],
+    };
+  }
+  NOTES() {
+    return {
+      expect: [this.NOTE],
+      oneOrMore: true,
+    };
+  }
+  NOTE() {
+    return {
+      expect: [this.POSITION, this.MARKERS],
+    };
+  }
+  POSITION() {
+    return {
+      expect: [this.FRET, this.SLASH, this.STRING],
+      run: (state) => this.builder.addPosition(state.matches[0], state.matches[2]),
+    };
+  }
+  MARKERS() {
+    return {
+      expect: [this.MARKER],
+      zeroOrMore: true,
+    };
+  }
+  MARKER() {
+    return {
+      expect: [this.BEND, this.VIBRATO],
+      or: true,
+    };
+  }
+  BEND() {
+    return {
+      expect: [this.BENDS],
+      run: (state) => this.builder.addBend(state.matches[0]),
+    };
+  }
+  VIBRATO() {
+    return {
+      expect: [this.VIBRATOS],
+      run: (state) => this.builder.addVibrato(state.matches[0]),
+    };
+  }
+  DURATION() {
+    return {
+      expect: [this.COLON, this.DURATIONS],
+      maybe: true,
+      run: (state) => this.builder.setNoteDuration(state.matches[1]),
+    };
+  }
+  DOTS() {
+    return {
+      expect: [this.DOT],
+      zeroOrMore: true,
+      run: (state) => this.builder.setNoteDots(state.matches),
+    };
+  }
+
+  FRET() { return { token: '[0-9]+|[xX]', description: 'a fret' }; }
+  STRING() { return { token: '[0-9]+', description: 'a string' }; }
+  CONNECTORS() { return { token: '[hpst]', description: 'a hammer-on, pull-off, slide or tap' }; }
+  RESTS() { return { token: '[r]', description: 'a rest' }; }
+  BENDS() { return { token: 'b(?:[0-9]+/[0-9]+|[0-9]+)?r?', description: 'a bend' }; }
+  VIBRATOS() { return { token: '[vV]', description: 'a vibrato' }; }
+  DURATIONS() { return { token: '[0-9whq]+', description: 'a duration' }; }
+  LPAREN() { return { token: '[(]', description: '"("' }; }
+  RPAREN() { return { token: '[)]', description: '")"' }; }
+  COMMA() { return { token: '[,]', description: '","' }; }
+  COLON() { return { token: '[:]', description: '":"' }; }
+  SLASH() { return { token: '[/]', description: '"/"' }; }
+  DOT() { return { token: '[.]', description: '"."' }; }
+  EOL() { return { token: '$', description: 'the end of the line' }; }
+}
+
+class Builder {
+  constructor(factory) {
+    this.factory = factory;
+    this.reset();
+  }
+
+  reset(options = {}) {
+    this.options = {};
+    this.elements = {
+      notes: [],
+      ties: [],
+      slides: [],
+      bends: [],
+      vibratos: [],
+    };
+    this.rollingDuration = '8';
+    this.previous = null;
+    this.afterNote = false;
+    this.resetPiece();
+    Object.assign(this.options, options);
+  }
+
+  getFactory() { return this.factory; }
+
+  getElements() { return this.elements; }
+
+  resetPiece() {
+    L('resetPiece');
+    this.piece = {
+      positions: [],
+      bends: [],
+      vibratos: [],
+      duration: this.rollingDuration,
+      dots: 0,
+      rest: false,
+      connector: null,
+    };
+  }
+
+  setConnector(connector) {
+    L('setConnector:', connector);
+    if (connector) this.piece.connector = connector;
+  }
+
+  setRest() {
+    L('setRest');
+    this.piece.rest = true;
+  }
+
+  setNoteDuration(duration) {
+    L('setNoteDuration:', duration);
+    this.rollingDuration = this.piece.duration = duration || this.rollingDuration;
+  }
+
+  setNoteDots(dots) {
+    L('setNoteDots:', dots);
+    if (dots) this.piece.dots = dots.length;
+  }
+
+  addPosition(fret, str) {
+    L('addPosition:', fret, str);
+    if (Number(str) < 1) throw new X(`Invalid string: ${str}`);
+    this.piece.positions.push({ str: Number(str), fret: fret.toUpperCase() });
+  }
+
+  // Bends the last position. `spec` is `b`, followed by the amount (a full
+  // tone if not given) and `r` to release the bend.
+  addBend(spec) {
+    L('addBend:', spec);
+    const [, amount, release] = /^b([^r]*)(r?)$/.exec(spec);
+    this.piece.bends.push({
+      index: this.piece.positions.length - 1,
+      text: amount || 'Full',
+      release: release === 'r',
+    });
+  }
+
+  addVibrato(spec) {
+    L('addVibrato:', spec);
+    this.piece.vibratos.push({ index: this.piece.positions.length - 1, harsh: spec === 'V' });
+  }
+
+  // Joins `from` to `to` with the tie or slide for `connector`, on the
+  // strings they have in common, or all their positions in order if they
+  // have none.
+  addConnector(connector, from, to) {
+    const toStrings = to.getPositions().map(position => position.str);
+    const first_indices = [];
+    const last_indices = [];
+    from.getPositions().forEach(({ str }, i) => {
+      const j = toStrings.indexOf(str);
+      if (j !== -1) {
+        first_indices.push(i);
+        last_indices.push(j);
+      }
+    });
+    if (!first_indices.length) {
+      for (let i = 0; i < Math.min(from.getPositions().length, toStrings.length); i++) {
+        first_indices.push(i);
+        last_indices.push(i);
+      }
+    }
+
+    const { text, slide } = CONNECTORS[connector];
+    const params = { from, to, first_indices, last_indices };
+    if (slide) {
+      this.elements.slides.push(this.factory.TabSlide(params));
+    } else {
+      this.elements.ties.push(this.factory.TabTie({ ...params, text }));
+    }
+  }
+
+  commitLine() {
+    L('commitLine');
+    this.previous = null;
+    this.afterNote = false;
+  }
+
+  commitPiece() {
+    L('commitPiece');
+    const { factory } = this;
+    const { positions, bends, vibratos, duration, dots, rest, connector } = this.piece;
+
+    if (connector && !this.afterNote) throw new X(`No note before "${connector}"`);
+    this.afterNote = !rest;
+
+    if (!factory) {
+      this.resetPiece();
+      return;
+    }
+
+    if (rest) {
+      this.elements.notes.push(factory.GhostNote({ duration, dots }));
+      this.resetPiece();
+      return;
+    }
+
+    const note = factory.TabNote({ positions, duration, dots });
+
+    bends.forEach(({ index, text, release }) => {
+      const bend = factory.Bend({ text, release });
+      note.addModifier(bend, index);
+      this.elements.bends.push(bend);
+    });
+
+    vibratos.forEach(({ index, harsh }) => {
+      const vibrato = factory.Vibrato({ harsh });
+      note.addModifier(vibrato, index);
+      this.elements.vibratos.push(vibrato);
+    });
+
+    if (connector) this.addConnector(connector, this.previous, note);
+
+    this.elements.notes.push(note);
+    this.previous = note;
+    this.resetPiece();
+  }
+}
+
+export class EasyTab {
+  constructor(options = {}) {
+    this.setOptions(options);
+    this.defaults = {
+      time: '4/4',
+      tuning: 'standard',
+      clef: 'treble',
+    };
+  }
+
+  set(defaults) {
+    Object.assign(this.defaults, defaults);
+    return this;
+  }
+
+  setOptions(options) {
+    this.options = {
+      factory: null,
+      builder: null,
+      throwOnError: false, ...options
+    };
+
+    this.factory = this.options.factory;
+    this.builder = this.options.builder || new Builder(this.factory);
+    this.grammar = new Grammar(this.builder);
+    this.parser = new Parser(this.grammar);
+    return this;
+  }
+
+  setContext(context) {
+    if (this.factory) this.factory.setContext(context);
+    return this;
+  }
+
+  // Parses `line`. Syntax errors, and errors from the builder such as a
+  // connector without a note before it, are returned in `result.error` (or
+  // thrown if the `throwOnError` option is set).
+  parse(line, options = {}) {
+    this.builder.reset(options);
+    let result;
+    try {
+      result = this.parser.parse(line);
+    } catch (e) {
+      if (!(e instanceof X)) throw e;
+      const error = this.parser.getRunError(e);
+      result = { success: false, errorPos: error.pos, error };
+    }
+    if (!result.success && this.options.throwOnError) {
+      throw new X('Error parsing line: ' + result.error.message, result);
+    }
+    return result;
+  }
+
+  notes(line, options = {}) {
+    this.parse(line, options);
+    return this.builder.getElements().notes;
+  }
+
+  voice(notes, voiceOptions) {
+    voiceOptions = { time: this.defaults.time, ...voiceOptions };
+    return this.factory.Voice(voiceOptions).addTickables(notes);
+  }
+
+  // Returns the standard-notation `StaveNote`s for `notes`, with the pitches
+  // of their positions in `tuning` (a name in `Tuning.names` or a tuning
+  // string). Rests and notes on muted strings only become rests.
+  staveNotes(notes, options = {}) {
+    options = { tuning: this.defaults.tuning, clef: this.defaults.clef, ...options };
+    const { factory } = this;
+    const tuning = new Tuning(options.tuning);
+
+    return notes.map(note => {
+      const duration = note.getDuration();
+      const dots = note.dots;
+      const positions = note instanceof GhostNote
+        ? []
+        : note.getPositions().filter(({ fret }) => /^[0-9]+$/.test(fret));
+
+      if (!positions.length) {
+        return factory.StaveNote({ keys: ['b/4'], duration, dots, type: 'r', clef: options.clef });
+      }
+
+      // Sort the pitches from low to high, so accidentals line up with keys.
+      const keys = positions
+        .map(({ fret, str }) => ({
+          key: tuning.getNoteForFret(fret, str),
+          value: tuning.getValueForFret(fret, str),
+        }))
+        .sort((a, b) => a.value - b.value)
+        .map(({ key }) => key);
+
+      const staveNote = factory.StaveNote({ keys, duration, dots, clef: options.clef, auto_stem: true });
+      keys.forEach((key, i) => {
+        if (key.indexOf('#') !== -1) staveNote.addAccidental(i, factory.Accidental({ type: '#' }));
+      });
+      for (let i = 0; i < dots; i++) staveNote.addDotToAll();
+      return staveNote;
+    });
+  }
+}
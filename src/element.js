@@ -124,6 +124,17 @@ export class Element {
   setContext(context) { this.context = context; return this; }
   getBoundingBox() { return this.boundingBox; }
 
+  // Returns the state shared by all elements as plain data. Subclasses add
+  // what their static `fromJSON` needs to rebuild them, and the `Serializer`
+  // restores the fields here.
+  toJSON() {
+    const json = { type: this.attrs.type, id: this.attrs.id };
+    const classes = Object.keys(this.attrs.classes);
+    if (classes.length) json.classes = classes;
+    if (this.style) json.style = { ...this.style };
+    return json;
+  }
+
   // Validators
   checkContext() {
     if (!this.context) {
@@ -11,12 +11,15 @@
 import { Vex } from './vex';
 import { Accidental } from './accidental';
 import { Articulation } from './articulation';
+import { Ornament } from './ornament';
 import { Annotation } from './annotation';
 import { ChordSymbol } from './chordsymbol';
+import { Lyric } from './lyric';
 import { Formatter } from './formatter';
 import { FretHandFinger } from './frethandfinger';
 import { StringNumber } from './stringnumber';
 import { TextDynamics } from './textdynamics';
+import { Modifier } from './modifier';
 import { ModifierContext } from './modifiercontext';
 import { MultiMeasureRest } from './multimeasurerest';
 import { Renderer } from './renderer';
@@ -32,23 +35,38 @@ import { TickContext } from './tickcontext';
 import { Tuplet } from './tuplet';
 import { Voice } from './voice';
 import { Beam } from './beam';
+import { CrossStaffBeam } from './crossstaffbeam';
 import { Curve } from './curve';
 import { GraceNote } from './gracenote';
 import { GraceNoteGroup } from './gracenotegroup';
 import { NoteSubGroup } from './notesubgroup';
 import { EasyScore } from './easyscore';
+import { ScoreLayout } from './scorelayout';
+import { PageLayout } from './pagelayout';
+import { MusicXMLImporter } from './musicxmlimporter';
+import { ABCImporter } from './abcimporter';
+import { MEIImporter } from './meiimporter';
+import { MIDIImporter } from './midiimporter';
+import { Serializer } from './serializer';
 import { TimeSigNote } from './timesignote';
 import { KeySigNote } from './keysignote';
 import { ClefNote } from './clefnote';
 import { PedalMarking } from './pedalmarking';
 import { TextBracket } from './textbracket';
+import { StaveHairpin } from './stavehairpin';
 import { VibratoBracket } from './vibratobracket';
 import { GhostNote } from './ghostnote';
 import { BarNote } from './barnote';
 import { TabNote } from './tabnote';
 import { TabStave } from './tabstave';
+import { TabTie } from './tabtie';
+import { TabSlide } from './tabslide';
+import { Bend } from './bend';
+import { Vibrato } from './vibrato';
+import { EasyTab } from './easytab';
 import { TextNote } from './textnote';
 import { TextFont } from './textfont';
+import { SpatialIndex } from './spatialindex';
 
 // To enable logging for this class. Set `Vex.Flow.Factory.DEBUG` to `true`.
 function L(...args) { if (Factory.DEBUG) Vex.L('Vex.Flow.Factory', args); }
@@ -105,7 +123,8 @@ export class Factory {
     for (const key of ['stave', 'renderer', 'font']) {
       Object.assign(this.options[key], options[key]);
     }
-    if (this.options.renderer.elementId !== null || this.options.renderer.context) {
+    const { elementId, backend, context } = this.options.renderer;
+    if (elementId !== null || context || Renderer.isHeadless(backend)) {
       this.initRenderer();
     }
 
@@ -114,7 +133,7 @@ export class Factory {
 
   initRenderer() {
     const { elementId, backend, width, height, background } = this.options.renderer;
-    if (elementId === '') {
+    if (elementId === '' && !Renderer.isHeadless(backend)) {
       throw new X('HTML DOM element not set in Factory');
     }
 
@@ -305,23 +324,44 @@ export class Factory {
 
   ChordSymbol(params) {
     params = setDefaults(params, {
-      text: 'p',
-      vJustify: 'below',
+      text: '',
+      vJustify: 'top',
       hJustify: 'center',
-      fontFamily: 'Times',
-      fontSize: 14,
-      fontWeight: 'bold italic',
+      fontFamily: null,
+      fontSize: 12,
+      fontWeight: '',
       options: {},
     });
 
-    const chordSymbol = new ChordSymbol(params.text);
-    chordSymbol.setHorizontalJustification(params.hJustify);
-    chordSymbol.setVerticalJustification(params.vJustify);
-    chordSymbol.setFont(params.fontFamily, params.fontSize, params.fontWeight);
+    const chordSymbol = new ChordSymbol();
+    chordSymbol.setHorizontal(params.hJustify);
+    chordSymbol.setVertical(params.vJustify);
+    if (params.fontFamily) chordSymbol.setFont(params.fontFamily, params.fontSize, params.fontWeight);
+    if (params.text) chordSymbol.addGlyphOrText(params.text);
     chordSymbol.setContext(this.context);
     return chordSymbol;
   }
 
+  Lyric(params) {
+    params = setDefaults(params, {
+      text: '',
+      verse: 1,
+      hyphen: false,
+      extender: false,
+      fontFamily: 'Times',
+      fontSize: 12,
+      fontWeight: '',
+      options: {},
+    });
+
+    const lyric = new Lyric(params.text, params.verse);
+    lyric.setHyphen(params.hyphen);
+    lyric.setExtender(params.extender);
+    lyric.setFont(params.fontFamily, params.fontSize, params.fontWeight);
+    lyric.setContext(this.context);
+    return lyric;
+  }
+
   Articulation(params) {
     params = setDefaults(params, {
       type: 'a.',
@@ -335,6 +375,47 @@ export class Factory {
     return articulation;
   }
 
+  Ornament(params) {
+    params = setDefaults(params, {
+      type: 'mordent',
+      upperAccidental: null,
+      lowerAccidental: null,
+      delayed: false,
+      options: {},
+    });
+
+    const ornament = new Ornament(params.type);
+    if (params.upperAccidental) ornament.setUpperAccidental(params.upperAccidental);
+    if (params.lowerAccidental) ornament.setLowerAccidental(params.lowerAccidental);
+    if (params.delayed) ornament.setDelayed(true);
+    ornament.setContext(this.context);
+    return ornament;
+  }
+
+  Bend(params) {
+    params = setDefaults(params, {
+      text: 'Full',
+      release: false,
+      phrase: undefined,
+      options: {},
+    });
+
+    const bend = new Bend(params.text, params.release, params.phrase);
+    bend.setContext(this.context);
+    return bend;
+  }
+
+  Vibrato(params) {
+    params = setDefaults(params, {
+      harsh: false,
+      options: {},
+    });
+
+    const vibrato = new Vibrato().setHarsh(params.harsh);
+    vibrato.setContext(this.context);
+    return vibrato;
+  }
+
   TextDynamics(params) {
     params = setDefaults(params, {
       text: 'p',
@@ -451,6 +532,20 @@ export class Factory {
     return beam;
   }
 
+  CrossStaffBeam(params) {
+    params = setDefaults(params, {
+      notes: [],
+      options: {
+        secondaryBeamBreaks: [],
+      },
+    });
+
+    const beam = new CrossStaffBeam(params.notes).setContext(this.context);
+    beam.breakSecondaryAt(params.options.secondaryBeamBreaks);
+    this.renderQ.push(beam);
+    return beam;
+  }
+
   Curve(params) {
     params = setDefaults(params, {
       from: null,
@@ -488,6 +583,50 @@ export class Factory {
     return tie;
   }
 
+  TabTie(params) {
+    params = setDefaults(params, {
+      from: null,
+      to: null,
+      first_indices: [0],
+      last_indices: [0],
+      text: null,
+      options: {},
+    });
+
+    const tie = new TabTie({
+      first_note: params.from,
+      last_note: params.to,
+      first_indices: params.first_indices,
+      last_indices: params.last_indices,
+    }, params.text);
+
+    tie.setContext(this.context);
+    this.renderQ.push(tie);
+    return tie;
+  }
+
+  TabSlide(params) {
+    params = setDefaults(params, {
+      from: null,
+      to: null,
+      first_indices: [0],
+      last_indices: [0],
+      direction: undefined,
+      options: {},
+    });
+
+    const slide = new TabSlide({
+      first_note: params.from,
+      last_note: params.to,
+      first_indices: params.first_indices,
+      last_indices: params.last_indices,
+    }, params.direction);
+
+    slide.setContext(this.context);
+    this.renderQ.push(slide);
+    return slide;
+  }
+
   StaveLine(params) {
     params = setDefaults(params, {
       from: null,
@@ -562,6 +701,26 @@ export class Factory {
     return textBracket;
   }
 
+  StaveHairpin(params) {
+    params = setDefaults(params, {
+      from: null,
+      to: null,
+      type: StaveHairpin.type.CRESC,
+      position: 'below',
+      options: {},
+    });
+
+    const hairpin = new StaveHairpin({ first_note: params.from, last_note: params.to }, params.type);
+    hairpin.setPosition(typeof params.position === 'string'
+      ? Modifier.PositionString[params.position]
+      : params.position);
+    hairpin.setRenderOptions({ ...hairpin.render_options, ...params.options });
+
+    hairpin.setContext(this.context);
+    this.renderQ.push(hairpin);
+    return hairpin;
+  }
+
   System(params = {}) {
     params.factory = this;
     const system = new System(params).setContext(this.context);
@@ -569,11 +728,54 @@ export class Factory {
     return system;
   }
 
+  ScoreLayout(params = {}) {
+    params.factory = this;
+    return new ScoreLayout(params);
+  }
+
+  PageLayout(params = {}) {
+    params.factory = this;
+    return new PageLayout(params);
+  }
+
+  // Create a `SpatialIndex` of the staves, voices and other elements created
+  // so far. Query it after the score is drawn (or formatted).
+  SpatialIndex(params = {}) {
+    const index = new SpatialIndex(params);
+    [...this.staves, ...this.voices, ...this.renderQ].forEach(element => index.add(element));
+    return index;
+  }
+
   EasyScore(params = {}) {
     params.factory = this;
     return new EasyScore(params);
   }
 
+  EasyTab(params = {}) {
+    params.factory = this;
+    return new EasyTab(params);
+  }
+
+  MusicXMLImporter(params = {}) {
+    params.factory = this;
+    return new MusicXMLImporter(params);
+  }
+
+  ABCImporter(params = {}) {
+    params.factory = this;
+    return new ABCImporter(params);
+  }
+
+  MEIImporter(params = {}) {
+    params.factory = this;
+    return new MEIImporter(params);
+  }
+
+  MIDIImporter(params = {}) {
+    params.factory = this;
+    return new MIDIImporter(params);
+  }
+
   PedalMarking(params = {}) {
     params = setDefaults(params, {
       notes: [],
@@ -606,8 +808,34 @@ export class Factory {
     return textFont;
   }
 
+  // Returns the score built so far as a versioned JSON document (see
+  // `Serializer`). `draw()` resets the factory, so call this before drawing.
+  toJSON() {
+    return new Serializer().serialize({
+      staves: this.staves,
+      voices: this.voices,
+      systems: this.systems,
+      elements: this.renderQ,
+    });
+  }
+
+  // Adds the score in a document written by `toJSON()` to the factory.
+  fromJSON(json) {
+    const score = new Serializer({ factory: this }).deserialize(json);
+    this.staves.push(...score.staves);
+    this.voices.push(...score.voices);
+    this.systems.push(...score.systems);
+    this.renderQ.push(...score.elements);
+    if (score.staves.length) this.stave = score.staves[score.staves.length - 1];
+    return score;
+  }
+
   draw() {
-    this.systems.forEach(i => i.setContext(this.context).format());
+    // Systems laid out by a `ScoreLayout` are already formatted.
+    this.systems.forEach(i => {
+      i.setContext(this.context);
+      if (!i.isFormatted()) i.format();
+    });
     this.staves.forEach(i => i.setContext(this.context).draw());
     this.voices.forEach(i => i.setContext(this.context).draw());
     this.renderQ.forEach(i => {
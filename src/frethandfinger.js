@@ -123,6 +123,17 @@ export class FretHandFinger extends Modifier {
       weight: 'bold',
     };
   }
+
+  static fromJSON(json) {
+    return new FretHandFinger(json.finger)
+      .setOffsetX(json.x_offset)
+      .setOffsetY(json.y_offset)
+      .restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), finger: this.finger, x_offset: this.x_offset, y_offset: this.y_offset };
+  }
   getCategory() { return FretHandFinger.CATEGORY; }
   setFretHandFinger(number) { this.finger = number; return this; }
   setOffsetX(x) { this.x_offset = x; return this; }
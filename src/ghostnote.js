@@ -35,6 +35,10 @@ export class GhostNote extends StemmableNote {
     this.setWidth(0);
   }
 
+  static fromJSON(json, serializer) {
+    return new GhostNote(GhostNote.structFromJSON(json)).restoreFromJSON(json, serializer);
+  }
+
   isRest() { return true; }
 
   setStave(stave) {
@@ -25,6 +25,15 @@ export class GraceNote extends StaveNote {
     this.width = 3;
   }
 
+  static fromJSON(json, serializer) {
+    const note = new GraceNote({ ...StaveNote.structFromJSON(json), slash: json.slash });
+    return note.restoreFromJSON(json, serializer);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), slash: !!this.slash };
+  }
+
   getStemExtension() {
     if (this.stem_extension_override != null) {
       return this.stem_extension_override;
@@ -106,6 +106,26 @@ export class GraceNoteGroup extends Modifier {
     return this;
   }
 
+  static fromJSON(json, serializer) {
+    const group = new GraceNoteGroup(json.notes.map(note => serializer.fromJSON(note)), json.show_slur);
+    if (json.beamed) group.beamNotes();
+    // Keep the ids of the beams, which are drawn into SVG groups with them.
+    (json.beam_ids || []).forEach((id, i) => {
+      if (group.beams[i]) group.beams[i].setAttribute('id', id);
+    });
+    return group.restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      notes: this.grace_notes.map(note => note.toJSON()),
+      show_slur: this.show_slur,
+      beamed: this.beams.length > 0,
+      beam_ids: this.beams.map(beam => beam.getAttribute('id')),
+    };
+  }
+
   getCategory() { return GraceNoteGroup.CATEGORY; }
 
   preFormat() {
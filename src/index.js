@@ -5,6 +5,8 @@ import { Flow } from './tables';
 import { Element } from './element';
 import { Fraction } from './fraction';
 import { Renderer } from './renderer';
+import { PDFContext } from './pdfcontext';
+import { SVGStringContext } from './svgstringcontext';
 import { Formatter } from './formatter';
 import { Music } from './music';
 import { Glyph } from './glyph';
@@ -15,6 +17,7 @@ import { StaveTempo } from './stavetempo';
 import { Voice } from './voice';
 import { Accidental } from './accidental';
 import { Beam } from './beam';
+import { CrossStaffBeam } from './crossstaffbeam';
 import { StaveTie } from './stavetie';
 import { TabStave } from './tabstave';
 import { TabNote } from './tabnote';
@@ -28,6 +31,7 @@ import { TickContext } from './tickcontext';
 import { Articulation } from './articulation';
 import { Annotation } from './annotation';
 import { ChordSymbol } from './chordsymbol';
+import { Lyric } from './lyric';
 import { Barline } from './stavebarline';
 import { NoteHead } from './notehead';
 import { StaveConnector } from './staveconnector';
@@ -47,6 +51,7 @@ import { GraceNote } from './gracenote';
 import { GraceTabNote } from './gracetabnote';
 import { Tuning } from './tuning';
 import { KeyManager } from './keymanager';
+import { Transposer } from './transposer';
 import { StaveHairpin } from './stavehairpin';
 import { BoundingBox } from './boundingbox';
 import { Stroke } from './strokes';
@@ -71,6 +76,22 @@ import { System } from './system';
 import { Factory } from './factory';
 import { Parser } from './parser';
 import { EasyScore } from './easyscore';
+import { EasyTab } from './easytab';
+import { MusicXMLImporter } from './musicxmlimporter';
+import { MusicXMLExporter } from './musicxmlexporter';
+import { ABCImporter } from './abcimporter';
+import { MEIImporter } from './meiimporter';
+import { MIDIImporter } from './midiimporter';
+import { LilyPondExporter } from './lilypondexporter';
+import { Serializer } from './serializer';
+import { MIDIExporter } from './midiexporter';
+import { ScoreLayout } from './scorelayout';
+import { PageLayout } from './pagelayout';
+import { Skyline } from './skyline';
+import { Placement } from './placement';
+import { SpatialIndex } from './spatialindex';
+import { Interaction } from './interaction';
+import { BoundingBoxContext } from './boundingboxcontext';
 import { Registry } from './registry';
 import { StaveText } from './stavetext';
 import { GlyphNote } from './glyphnote';
@@ -85,6 +106,8 @@ Vex.Flow = Flow;
 Vex.Flow.Element = Element;
 Vex.Flow.Fraction = Fraction;
 Vex.Flow.Renderer = Renderer;
+Vex.Flow.SVGStringContext = SVGStringContext;
+Vex.Flow.PDFContext = PDFContext;
 Vex.Flow.Formatter = Formatter;
 Vex.Flow.Music = Music;
 Vex.Flow.Glyph = Glyph;
@@ -95,6 +118,7 @@ Vex.Flow.StaveTempo = StaveTempo;
 Vex.Flow.Voice = Voice;
 Vex.Flow.Accidental = Accidental;
 Vex.Flow.Beam = Beam;
+Vex.Flow.CrossStaffBeam = CrossStaffBeam;
 Vex.Flow.StaveTie = StaveTie;
 Vex.Flow.TabStave = TabStave;
 Vex.Flow.TabNote = TabNote;
@@ -108,6 +132,7 @@ Vex.Flow.TickContext = TickContext;
 Vex.Flow.Articulation = Articulation;
 Vex.Flow.Annotation = Annotation;
 Vex.Flow.ChordSymbol = ChordSymbol;
+Vex.Flow.Lyric = Lyric;
 Vex.Flow.Barline = Barline;
 Vex.Flow.NoteHead = NoteHead;
 Vex.Flow.StaveConnector = StaveConnector;
@@ -127,6 +152,7 @@ Vex.Flow.GraceNote = GraceNote;
 Vex.Flow.GraceTabNote = GraceTabNote;
 Vex.Flow.Tuning = Tuning;
 Vex.Flow.KeyManager = KeyManager;
+Vex.Flow.Transposer = Transposer;
 Vex.Flow.StaveHairpin = StaveHairpin;
 Vex.Flow.BoundingBox = BoundingBox;
 Vex.Flow.Stroke = Stroke;
@@ -151,6 +177,22 @@ Vex.Flow.System = System;
 Vex.Flow.Factory = Factory;
 Vex.Flow.Parser = Parser;
 Vex.Flow.EasyScore = EasyScore;
+Vex.Flow.EasyTab = EasyTab;
+Vex.Flow.MusicXMLImporter = MusicXMLImporter;
+Vex.Flow.MusicXMLExporter = MusicXMLExporter;
+Vex.Flow.ABCImporter = ABCImporter;
+Vex.Flow.MEIImporter = MEIImporter;
+Vex.Flow.MIDIImporter = MIDIImporter;
+Vex.Flow.LilyPondExporter = LilyPondExporter;
+Vex.Flow.Serializer = Serializer;
+Vex.Flow.MIDIExporter = MIDIExporter;
+Vex.Flow.ScoreLayout = ScoreLayout;
+Vex.Flow.PageLayout = PageLayout;
+Vex.Flow.Skyline = Skyline;
+Vex.Flow.Placement = Placement;
+Vex.Flow.SpatialIndex = SpatialIndex;
+Vex.Flow.Interaction = Interaction;
+Vex.Flow.BoundingBoxContext = BoundingBoxContext;
 Vex.Flow.Registry = Registry;
 Vex.Flow.StaveText = StaveText;
 Vex.Flow.GlyphNote = GlyphNote;
@@ -0,0 +1,244 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements an interaction layer for scores drawn with an
+// `SVGContext`. Elements such as staves, notes, beams and note modifiers
+// draw themselves into SVG groups with their ids, which the interaction
+// layer maps back to the elements in a `Registry`. DOM events on those
+// groups are dispatched with the element they landed on, and elements can be
+// selected and highlighted by recoloring their groups, without drawing the
+// score again.
+//
+// The elements must be registered before they are drawn:
+//
+// ```javascript
+// const registry = new Vex.Flow.Registry();
+// Vex.Flow.Registry.enableDefaultRegistry(registry);
+// // ... create and draw the score ...
+//
+// const interaction = new Vex.Flow.Interaction(context, registry);
+// interaction.on('click', (element, event) => interaction.select(element));
+// interaction.on('hover', element => interaction.highlight(element));
+// interaction.on('leave', element => interaction.unhighlight(element));
+// ```
+//
+// Handlers get the innermost element under the pointer, e.g., an
+// `Annotation` rather than the `StaveNote` it belongs to. The `hover` and
+// `leave` events are sent when the pointer moves onto or off an element;
+// other event types (`click`, `dblclick`, `mousedown`, etc.) are passed
+// through from the DOM.
+
+import { Vex } from './vex';
+import { Registry } from './registry';
+
+export const X = Vex.MakeException('InteractionError');
+
+// To enable logging for this class. Set `Vex.Flow.Interaction.DEBUG` to `true`.
+function L(...args) { if (Interaction.DEBUG) Vex.L('Vex.Flow.Interaction', args); }
+
+// The events made from `mouseover` and `mouseout`.
+const HOVER_EVENTS = ['hover', 'leave'];
+
+export class Interaction {
+  constructor(context, registry = Registry.getDefaultRegistry(), options = {}) {
+    if (!context || !context.svg || typeof context.svg.addEventListener !== 'function') {
+      throw new X('Interaction needs an SVGContext that draws into the DOM', context);
+    }
+    if (!registry) {
+      throw new X('Interaction needs a Registry');
+    }
+
+    this.context = context;
+    this.svg = context.svg;
+    this.registry = registry;
+    this.options = {
+      selectedClass: 'selected', // added to the selected elements
+      selectStyle: { fillStyle: '#1e88e5', strokeStyle: '#1e88e5' },
+      highlightStyle: { fillStyle: '#fb8c00', strokeStyle: '#fb8c00' },
+      ...options,
+    };
+
+    this.handlers = {};
+    this.listeners = {};
+    this.hovered = null;
+    this.selection = [];
+    this.highlights = {};
+    // The original colors of the painted DOM nodes, which are dropped with
+    // the nodes when the score is drawn again.
+    this.originals = new WeakMap();
+  }
+
+  // Call `handler(element, event)` for the events of `type` on elements.
+  on(type, handler) {
+    if (!this.handlers[type]) this.handlers[type] = [];
+    this.handlers[type].push(handler);
+
+    if (HOVER_EVENTS.indexOf(type) !== -1) {
+      this.listen('mouseover', event => this.hover(this.getElementForNode(event.target), event));
+      this.listen('mouseout', event => this.hover(this.getElementForNode(event.relatedTarget), event));
+    } else {
+      this.listen(type, event => {
+        const element = this.getElementForNode(event.target);
+        if (element) this.dispatch(type, element, event);
+      });
+    }
+    return this;
+  }
+
+  // Remove `handler`, or all handlers, for events of `type`.
+  off(type, handler) {
+    this.handlers[type] = handler ? (this.handlers[type] || []).filter(h => h !== handler) : [];
+    return this;
+  }
+
+  // Remove the DOM listeners, the selection and the highlights.
+  detach() {
+    Object.keys(this.listeners).forEach(type => this.svg.removeEventListener(type, this.listeners[type]));
+    this.listeners = {};
+    this.handlers = {};
+    this.hovered = null;
+    this.clearSelection();
+    Object.keys(this.highlights).forEach(id => this.unhighlight(this.registry.getElementById(id)));
+    this.highlights = {};
+    return this;
+  }
+
+  listen(type, listener) {
+    if (this.listeners[type]) return;
+    this.listeners[type] = listener;
+    this.svg.addEventListener(type, listener);
+  }
+
+  dispatch(type, element, event) {
+    L('Dispatching', type, 'to', element.getAttribute('id'));
+    (this.handlers[type] || []).forEach(handler => handler(element, event));
+  }
+
+  // Send `leave` for the element the pointer was on, and `hover` for
+  // `element`, if the pointer moved from one to the other.
+  hover(element, event) {
+    if (element === this.hovered) return;
+    const previous = this.hovered;
+    this.hovered = element;
+    if (previous) this.dispatch('leave', previous, event);
+    if (element) this.dispatch('hover', element, event);
+  }
+
+  // Returns the innermost registered element whose group contains the DOM
+  // `node`, or `null`.
+  getElementForNode(node) {
+    const prefix = Vex.Prefix('');
+    while (node && node !== this.svg) {
+      const id = node.getAttribute ? node.getAttribute('id') : null;
+      if (id && id.indexOf(prefix) === 0) {
+        const element = this.registry.getElementById(id.slice(prefix.length));
+        if (element) return element;
+      }
+      node = node.parentNode;
+    }
+    return null;
+  }
+
+  // Returns the SVG group that `element` was drawn into, or `null`.
+  getGroup(element) {
+    const id = Vex.Prefix(element.getAttribute('id'));
+    const group = element.getAttribute('el');
+    if (group && group.getAttribute && group.getAttribute('id') === id && this.svg.contains(group)) return group;
+
+    const groups = this.svg.getElementsByTagName('g');
+    for (let i = 0; i < groups.length; i++) {
+      if (groups[i].getAttribute('id') === id) return groups[i];
+    }
+    return null;
+  }
+
+  // Select `element`. Unless `options.add` is `true`, the other elements are
+  // deselected first.
+  select(element, options = {}) {
+    if (!options.add) this.selection.filter(e => e !== element).forEach(e => this.deselect(e));
+    if (this.isSelected(element)) return this;
+
+    this.selection.push(element);
+    element.addClass(this.options.selectedClass);
+    return this.paint(element);
+  }
+
+  deselect(element) {
+    if (!this.isSelected(element)) return this;
+
+    this.selection = this.selection.filter(e => e !== element);
+    element.removeClass(this.options.selectedClass);
+    return this.paint(element);
+  }
+
+  toggle(element, options = {}) {
+    return this.isSelected(element) ? this.deselect(element) : this.select(element, options);
+  }
+
+  clearSelection() {
+    this.selection.slice().forEach(element => this.deselect(element));
+    return this;
+  }
+
+  isSelected(element) { return this.selection.indexOf(element) !== -1; }
+  getSelection() { return this.selection.slice(); }
+
+  // Recolor `element` with `style` (`options.highlightStyle` by default),
+  // which has a `fillStyle` and a `strokeStyle`, as in `Element.setStyle`.
+  highlight(element, style = this.options.highlightStyle) {
+    this.highlights[element.getAttribute('id')] = style;
+    return this.paint(element);
+  }
+
+  unhighlight(element) {
+    if (!element) return this;
+    delete this.highlights[element.getAttribute('id')];
+    return this.paint(element);
+  }
+
+  isHighlighted(element) { return !!this.highlights[element.getAttribute('id')]; }
+
+  // Returns the style of the element with `id` if it is highlighted (or else
+  // selected), or `null`.
+  getStyle(id) {
+    if (this.highlights[id]) return this.highlights[id];
+    const element = this.registry.getElementById(id);
+    return element && this.isSelected(element) ? this.options.selectStyle : null;
+  }
+
+  // Returns the style of the innermost highlighted or selected element whose
+  // group contains `node`, or `null`.
+  getStyleForNode(node) {
+    const prefix = Vex.Prefix('');
+    while (node && node !== this.svg) {
+      const id = node.getAttribute ? node.getAttribute('id') : null;
+      if (id && id.indexOf(prefix) === 0) {
+        const style = this.getStyle(id.slice(prefix.length));
+        if (style) return style;
+      }
+      node = node.parentNode;
+    }
+    return null;
+  }
+
+  // Recolor the nodes in the group of `element`. Each node gets the style of
+  // the innermost highlighted or selected element it belongs to, which may be
+  // `element`, a modifier drawn inside it or an element it is drawn inside,
+  // or else its original colors.
+  paint(element) {
+    const group = this.getGroup(element);
+    if (!group) return this;
+
+    Array.prototype.slice.call(group.getElementsByTagName('*')).forEach(node => {
+      if (!this.originals.has(node)) {
+        this.originals.set(node, { fill: node.getAttribute('fill'), stroke: node.getAttribute('stroke') });
+      }
+      const { fill, stroke } = this.originals.get(node);
+      const style = this.getStyleForNode(node);
+      if (fill !== null) node.setAttribute('fill', style && fill !== 'none' ? style.fillStyle : fill);
+      if (stroke !== null) node.setAttribute('stroke', style && stroke !== 'none' ? style.strokeStyle : stroke);
+    });
+    return this;
+  }
+}
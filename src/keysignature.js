@@ -90,6 +90,25 @@ export class KeySignature extends StaveModifier {
     this.paddingForced = false;
   }
 
+  static fromJSON(json) {
+    const keySignature = new KeySignature(json.keySpec, json.cancelKeySpec, json.alterKeySpec);
+    if (json.padding !== undefined) {
+      keySignature.setPadding(json.padding);
+      keySignature.paddingForced = true;
+    }
+    return keySignature;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      keySpec: this.keySpec,
+      cancelKeySpec: this.cancelKeySpec,
+      alterKeySpec: this.alterKeySpec,
+      padding: this.paddingForced ? this.padding : undefined,
+    };
+  }
+
   getCategory() { return KeySignature.CATEGORY; }
 
   // Add an accidental glyph to the `KeySignature` instance which represents
@@ -0,0 +1,512 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements an exporter that converts VexFlow music into LilyPond
+// source. Like the `MusicXMLExporter`, it takes a list of measures, where each
+// measure is a `System` (or any object with a `parts` list of
+// `{ stave, voices }`), and writes one `\new Staff` per stave. Pitches are
+// written in absolute mode, with the key signature and the accidentals
+// earlier in the measure applied, so the `.ly` file sounds like the score.
+// Beams are written out explicitly (with auto-beaming turned off), and
+// `TextDynamics` in text voices are attached to the notes they line up with.
+// Ties and curves are not referenced by notes, so they have to be passed in.
+//
+// ```javascript
+// const ly = new Vex.Flow.LilyPondExporter({ title: 'Minuet' }).export(systems, {
+//   ties,
+//   curves,
+// });
+// ```
+
+import { Vex } from './vex';
+import { Flow } from './tables';
+import { Fraction } from './fraction';
+import { Barline } from './stavebarline';
+import { Clef } from './clef';
+import { KeyManager } from './keymanager';
+import { KeySignature } from './keysignature';
+import { TimeSignature } from './timesignature';
+import { StaveModifier } from './stavemodifier';
+import { Modifier } from './modifier';
+import { Stem } from './stem';
+import { Tuplet } from './tuplet';
+
+// To enable logging for this class. Set `Vex.Flow.LilyPondExporter.DEBUG` to `true`.
+function L(...args) { if (LilyPondExporter.DEBUG) Vex.L('Vex.Flow.LilyPondExporter', args); }
+
+export const X = Vex.MakeException('LilyPondExporterError');
+
+const DURATIONS = {
+  '1/2': '\\breve',
+  '1': '1',
+  '2': '2',
+  '4': '4',
+  '8': '8',
+  '16': '16',
+  '32': '32',
+  '64': '64',
+  '128': '128',
+};
+
+// Dutch note name suffixes (LilyPond's default input language).
+const ACCIDENTALS = {
+  '': '',
+  '#': 'is',
+  '##': 'isis',
+  'b': 'es',
+  'bb': 'eses',
+  'd': 'eh',
+  '+': 'ih',
+  'db': 'eseh',
+  '++': 'isih',
+};
+
+const CLEFS = {
+  'treble': 'treble',
+  'bass': 'bass',
+  'alto': 'alto',
+  'tenor': 'tenor',
+  'percussion': 'percussion',
+  'soprano': 'soprano',
+  'mezzo-soprano': 'mezzosoprano',
+  'baritone-c': 'baritone',
+  'baritone-f': 'varbaritone',
+  'subbass': 'subbass',
+  'french': 'french',
+  'tab': 'tab',
+};
+
+// Shorthands (`c'4-.`) and commands (`c'4-\fermata`) for articulation codes.
+const ARTICULATIONS = {
+  'a.': '.',
+  'av': '!',
+  'a>': '>',
+  'a-': '-',
+  'a^': '^',
+  'a+': '+',
+  'ao': '\\open',
+  'ah': '\\flageolet',
+  'a@': '\\fermata',
+  'a@a': '\\fermata',
+  'a@u': '\\fermata',
+  'a|': '\\upbow',
+  'am': '\\downbow',
+};
+
+// Dynamics that LilyPond predefines as `\p`, `\sfz`, etc. Anything else is
+// written as a dynamic markup.
+const DYNAMICS = [
+  'ppppp', 'pppp', 'ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff', 'ffff', 'fffff',
+  'fp', 'sf', 'sff', 'sp', 'spp', 'sfz', 'rfz',
+];
+
+function getModifier(stave, category) {
+  return stave.getModifiers(StaveModifier.Position.BEGIN, category)[0] || null;
+}
+
+function getType(tickable) {
+  return tickable.getAttribute('type');
+}
+
+// A duration of `ticks` as a multiple of a whole note, e.g., `s1*3/8`.
+function wholeMultiple(prefix, ticks) {
+  const value = new Fraction(ticks.numerator, ticks.denominator * Flow.RESOLUTION).simplify();
+  return prefix + '1' + (value.numerator === value.denominator ? '' : '*' + value.toString());
+}
+
+function quote(text) {
+  return '"' + String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+// Returns the `\bar` type between a measure ending with `end` and the next
+// one beginning with `begin`, or `null` for a plain bar line.
+function barBetween(end, begin) {
+  const { DOUBLE, END, REPEAT_BEGIN, REPEAT_END, REPEAT_BOTH, NONE } = Barline.type;
+  const closes = end === REPEAT_END || end === REPEAT_BOTH;
+  const opens = begin === REPEAT_BEGIN || begin === REPEAT_BOTH || end === REPEAT_BOTH;
+
+  if (closes && opens) return ':..:';
+  if (closes) return ':|.';
+  if (opens) return '.|:';
+
+  const bar = { [DOUBLE]: '||', [END]: '|.', [NONE]: '' }[end];
+  return bar === undefined ? null : bar;
+}
+
+export class LilyPondExporter {
+  constructor(options = {}) {
+    this.setOptions(options);
+  }
+
+  setOptions(options) {
+    this.options = {
+      title: null,
+      version: '2.22.0',
+      ...options,
+    };
+    return this;
+  }
+
+  // Export `measures` to a LilyPond string. Each entry of `measures` holds
+  // the staves of every part for one measure, in order. `ties` is a list of
+  // `StaveTie`s and `curves` a list of `Curve`s, written out as slurs.
+  export(measures, { ties = [], curves = [] } = {}) {
+    if (!measures.length) throw new X('No measures to export');
+
+    this.ties = this.indexTies(ties);
+    this.slurs = this.indexSlurs(curves);
+
+    const numStaves = measures[0].parts.length;
+    L('Exporting', measures.length, 'measures of', numStaves, 'staves');
+
+    const staves = [];
+    for (let s = 0; s < numStaves; s++) {
+      staves.push(...this.exportStaff(measures.map(measure => measure.parts[s])));
+    }
+
+    const lines = ['\\version ' + quote(this.options.version)];
+    if (this.options.title) {
+      lines.push('', '\\header {', '  title = ' + quote(this.options.title), '}');
+    }
+
+    return lines.concat([
+      '',
+      '\\score {',
+      '  <<',
+      ...staves.map(line => '    ' + line),
+      '  >>',
+      '  \\layout { }',
+      '}',
+      '',
+    ]).join('\n');
+  }
+
+  // Map each tied note to the key indices where ties start.
+  indexTies(ties) {
+    const index = new Map();
+
+    ties.forEach(tie => {
+      if (!tie.first_note || !tie.last_note) return;
+      if (!index.has(tie.first_note)) index.set(tie.first_note, []);
+      index.get(tie.first_note).push(...tie.first_indices);
+    });
+
+    return index;
+  }
+
+  // Map each slurred note to the slurs starting (with their direction) and
+  // ending on it. Curves across a missing note can't be written as slurs.
+  indexSlurs(curves) {
+    const index = new Map();
+    const get = note => {
+      if (!index.has(note)) index.set(note, { start: [], stop: 0 });
+      return index.get(note);
+    };
+
+    curves.forEach(curve => {
+      if (!curve.from || !curve.to) return;
+      // Curves bend away from the stem of their last note, see `Curve.draw`.
+      const direction = curve.to.getStemDirection() * (curve.render_options.invert ? -1 : 1);
+      get(curve.from).start.push(direction === Stem.DOWN ? '^' : '_');
+      get(curve.to).stop++;
+    });
+
+    return index;
+  }
+
+  // Returns the lines of the `\new Staff` for `parts`, one stave per measure.
+  exportStaff(parts) {
+    const voiceCount = Math.max(...parts.map(part => this.getMusicVoices(part.voices).length));
+    const attributes = this.getAttributes(parts);
+    const voices = [];
+
+    for (let v = 0; v < Math.max(voiceCount, 1); v++) {
+      const lines = ['\\autoBeamOff'];
+      if (voiceCount > 1) lines.unshift(['\\voiceOne', '\\voiceTwo', '\\voiceThree', '\\voiceFour'][v] || '\\voiceFour');
+
+      parts.forEach((part, m) => {
+        const tokens = [];
+        const totalTicks = part.voices[0].getTotalTicks();
+        const voice = this.getMusicVoices(part.voices)[v];
+
+        if (v === 0) {
+          const previous = m > 0 ? parts[m - 1] : null;
+          const bar = barBetween(previous ? previous.stave.getModifiers()[1].getType() : null,
+            part.stave.getModifiers()[0].getType());
+          if (bar !== null) tokens.push('\\bar ' + quote(bar));
+          tokens.push(...this.exportAttributes(attributes[m], previous ? attributes[m - 1] : null));
+        }
+
+        if (voice) {
+          tokens.push(this.exportVoice(voice, attributes[m].key, totalTicks, v === 0 ? this.getDynamics(part.voices) : []));
+        } else {
+          tokens.push(wholeMultiple('s', totalTicks));
+        }
+
+        tokens.push('|');
+        lines.push(tokens.join(' '));
+      });
+
+      if (v === 0) {
+        const bar = barBetween(parts[parts.length - 1].stave.getModifiers()[1].getType(), null);
+        if (bar !== null) lines.push('\\bar ' + quote(bar));
+      }
+
+      voices.push(lines);
+    }
+
+    if (voices.length === 1) {
+      return ['\\new Staff {', ...voices[0].map(line => '  ' + line), '}'];
+    }
+
+    return [
+      '\\new Staff <<',
+      ...[].concat(...voices.map(lines => [
+        '  \\new Voice {',
+        ...lines.map(line => '    ' + line),
+        '  }',
+      ])),
+      '>>',
+    ];
+  }
+
+  // Voices with notes. Voices without any `StaveNote` only carry text, such
+  // as dynamics, for the notes of the other voices.
+  getMusicVoices(voices) {
+    return voices.filter(voice => voice.getTickables().some(tickable => getType(tickable) === 'StaveNote'));
+  }
+
+  // Returns the `TextDynamics` in the text voices of a stave, with the tick
+  // offsets they start at.
+  getDynamics(voices) {
+    const dynamics = [];
+    voices
+      .filter(voice => this.getMusicVoices([voice]).length === 0)
+      .forEach(voice => {
+        const onset = new Fraction(0, 1);
+        voice.getTickables().forEach(tickable => {
+          if (tickable.shouldIgnoreTicks()) return;
+          if (getType(tickable) === 'TextDynamics') {
+            dynamics.push({ onset: onset.clone(), sequence: tickable.sequence });
+          }
+          onset.add(tickable.getTicks());
+        });
+      });
+
+    return dynamics;
+  }
+
+  // The clef, key and time signature in effect for each measure. Staves
+  // only show them at the start of a line or where they change, so the
+  // previous measure's values carry over.
+  getAttributes(parts) {
+    let current = null;
+    return parts.map(({ stave, voices }) => {
+      const clef = getModifier(stave, Clef.CATEGORY);
+      const keySignature = getModifier(stave, KeySignature.CATEGORY);
+      const timeSignature = getModifier(stave, TimeSignature.CATEGORY);
+      const { num_beats, beat_value } = voices[0].time;
+
+      current = {
+        clef: stave.clef,
+        key: 'C',
+        time: num_beats + '/' + beat_value,
+        ...current,
+      };
+      if (clef) current.clef = clef.type;
+      if (keySignature) current.key = keySignature.keySpec;
+      if (timeSignature) current.time = timeSignature.getTimeSpec();
+      return current;
+    });
+  }
+
+  // Returns the `\clef`, `\key` and `\time` commands for the attributes that
+  // differ from the previous measure.
+  exportAttributes(attributes, previous) {
+    const tokens = [];
+    const { clef, key, time } = attributes;
+
+    if (!previous || previous.clef !== clef) {
+      if (!CLEFS[clef]) throw new X('Unsupported clef: ' + clef);
+      tokens.push('\\clef ' + CLEFS[clef]);
+    }
+
+    if (!previous || previous.key !== key) {
+      const parts = new KeyManager(key).keyParts;
+      tokens.push('\\key ' + parts.root + ACCIDENTALS[parts.accidental || ''] +
+        (parts.type === 'm' ? ' \\minor' : ' \\major'));
+    }
+
+    if (!previous || previous.time !== time) {
+      const match = /^(\d+)\/(\d+)$/.exec(time);
+      if (time === 'C' || time === 'C|') {
+        tokens.push('\\defaultTimeSignature \\time ' + (time === 'C' ? '4/4' : '2/2'));
+      } else if (match) {
+        tokens.push('\\numericTimeSignature \\time ' + match[1] + '/' + match[2]);
+      } else {
+        throw new X('Unsupported time signature: ' + time);
+      }
+    }
+
+    return tokens;
+  }
+
+  // Returns the music of one voice in one measure. `dynamics` that line up
+  // with the notes are attached to them; otherwise they're written on spacer
+  // rests that run alongside the voice.
+  exportVoice(voice, keySpec, totalTicks, dynamics) {
+    const keyAlters = {};
+    const { scaleMap } = new KeyManager(keySpec);
+    Object.keys(scaleMap).forEach(letter => { keyAlters[letter] = scaleMap[letter].slice(1); });
+
+    const state = { keyAlters, altered: {}, totalTicks };
+    const onset = new Fraction(0, 1);
+    const events = [];
+
+    voice.getTickables().forEach(tickable => {
+      if (tickable.shouldIgnoreTicks()) return;
+      events.push({ onset: onset.toSimplifiedString(), tickable, music: this.exportTickable(tickable, state) });
+      onset.add(tickable.getTicks());
+    });
+
+    const onsets = events.map(event => event.onset);
+    const aligned = dynamics.every(dynamic => onsets.indexOf(dynamic.onset.toSimplifiedString()) !== -1);
+    if (aligned) {
+      dynamics.forEach(dynamic => {
+        events[onsets.indexOf(dynamic.onset.toSimplifiedString())].music += this.exportDynamic(dynamic.sequence);
+      });
+    }
+
+    const tokens = [];
+    events.forEach(({ tickable, music }) => {
+      const tuplet = tickable.getTuplet ? tickable.getTuplet() : null;
+      const notes = tuplet ? tuplet.getNotes() : [];
+
+      if (notes[0] === tickable) {
+        if (tuplet.location === Tuplet.LOCATION_BOTTOM) tokens.push('\\tweak direction #DOWN');
+        tokens.push('\\tuplet ' + tuplet.getNoteCount() + '/' + tuplet.getNotesOccupied() + ' {');
+      }
+      tokens.push(music);
+      if (notes[notes.length - 1] === tickable) tokens.push('}');
+    });
+
+    if (aligned) return tokens.join(' ');
+
+    L('Writing unaligned dynamics on spacer rests');
+    return '<< { ' + tokens.join(' ') + ' } { ' + this.exportSpacerDynamics(dynamics, totalTicks) + ' } >>';
+  }
+
+  // Spacer rests from the start of the measure to the first dynamic, and
+  // from each dynamic on to the next one (or the end of the measure).
+  exportSpacerDynamics(dynamics, totalTicks) {
+    const groups = [];
+    dynamics
+      .slice()
+      .sort((a, b) => a.onset.value() - b.onset.value())
+      .forEach(dynamic => {
+        const last = groups[groups.length - 1];
+        if (last && last.onset.equals(dynamic.onset)) {
+          last.music += this.exportDynamic(dynamic.sequence);
+        } else {
+          groups.push({ onset: dynamic.onset, music: this.exportDynamic(dynamic.sequence) });
+        }
+      });
+
+    const tokens = [];
+    if (groups[0].onset.value() > 0) tokens.push(wholeMultiple('s', groups[0].onset));
+    groups.forEach((group, i) => {
+      const end = groups[i + 1] ? groups[i + 1].onset : totalTicks;
+      tokens.push(wholeMultiple('s', end.clone().subtract(group.onset)) + group.music);
+    });
+
+    return tokens.join(' ');
+  }
+
+  exportDynamic(sequence) {
+    if (DYNAMICS.indexOf(sequence) !== -1) return '\\' + sequence;
+    return '_\\markup { \\dynamic ' + quote(sequence) + ' }';
+  }
+
+  exportTickable(tickable, state) {
+    const type = getType(tickable);
+    if (type === 'StaveNote') return this.exportNote(tickable, state);
+
+    const duration = type === 'GhostNote' ? DURATIONS[Flow.sanitizeDuration(tickable.getDuration())] : null;
+    if (duration) return 's' + duration + '.'.repeat(tickable.getDots() || 0);
+    return wholeMultiple('s', tickable.getTicks());
+  }
+
+  exportNote(note, state) {
+    const duration = DURATIONS[Flow.sanitizeDuration(note.getDuration())];
+    if (!duration) throw new X('Unsupported duration: ' + note.getDuration());
+
+    const modifiers = note.getModifiers();
+    const { dots } = note.getDurationDots();
+    const tied = this.ties.get(note) || [];
+    const slurs = this.slurs.get(note) || { start: [], stop: 0 };
+    const keys = note.getKeys();
+
+    let music;
+    if (note.isRest()) {
+      music = note.isCenterAligned() && duration === '1'
+        ? wholeMultiple('R', state.totalTicks)
+        : 'r' + duration + '.'.repeat(dots);
+    } else {
+      const allTied = keys.every((key, index) => tied.indexOf(index) !== -1);
+      const pitches = keys.map((key, index) => {
+        const accidental = modifiers.find(modifier =>
+          modifier.getCategory() === 'accidentals' && modifier.getIndex() === index);
+        const pitch = this.exportPitch(key, accidental, state);
+        return pitch + (!allTied && tied.indexOf(index) !== -1 ? '~' : '');
+      });
+
+      music = (pitches.length > 1 ? '<' + pitches.join(' ') + '>' : pitches[0]) + duration + '.'.repeat(dots);
+      if (allTied) music += '~';
+    }
+
+    modifiers
+      .filter(modifier => modifier.getCategory() === 'articulations' && ARTICULATIONS[modifier.type])
+      .forEach(articulation => {
+        let direction = articulation.position === Modifier.Position.ABOVE ? '^' : '_';
+        if (articulation.type === 'a@a') direction = '^';
+        if (articulation.type === 'a@u') direction = '_';
+        music += direction + ARTICULATIONS[articulation.type];
+      });
+
+    const beamNotes = note.beam ? note.beam.getNotes() : [];
+    if (beamNotes[0] === note) music += '[';
+    if (beamNotes.length && beamNotes[beamNotes.length - 1] === note) music += ']';
+
+    for (let i = 0; i < slurs.stop; i++) music += ')';
+    slurs.start.forEach(direction => { music += direction + '('; });
+
+    return music;
+  }
+
+  // Returns the absolute LilyPond pitch of `key` (e.g., `fis''` for `f#/5`),
+  // with `!` or `?` to force the accidental VexFlow shows. Keys without an
+  // accidental take the one from earlier in the measure, or the key signature.
+  exportPitch(key, accidental, state) {
+    const [name, octave] = key.split('/');
+    const letter = name.charAt(0).toLowerCase();
+    const id = letter + octave;
+    const current = state.altered[id] !== undefined ? state.altered[id] : state.keyAlters[letter];
+
+    let explicit = name.length > 1 ? name.slice(1).toLowerCase() : null;
+    if (explicit === null && accidental) explicit = accidental.type;
+    const alter = explicit === null ? current : explicit.replace(/^n$/, '');
+
+    if (ACCIDENTALS[alter] === undefined) throw new X('Unsupported accidental: ' + alter);
+    state.altered[id] = alter;
+
+    const shift = parseInt(octave, 10) - 3;
+    const marks = shift > 0 ? "'".repeat(shift) : ','.repeat(-shift);
+
+    let force = '';
+    if (accidental && accidental.cautionary) force = '?';
+    else if (accidental && alter === current) force = '!';
+
+    return letter + ACCIDENTALS[alter] + marks + force;
+  }
+}
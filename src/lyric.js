@@ -0,0 +1,248 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements lyric syllables as modifiers that can be attached to
+// notes. Each verse sits on its own line below the stave. A syllable can be
+// followed by a hyphen, which is centered between it and the next syllable
+// of the same verse, or by an extender line, which runs under the following
+// notes of a melisma up to the next syllable.
+//
+// Lyrics widen the notes they are attached to, so that the formatter never
+// lets the syllables of neighbouring notes overlap.
+//
+// See `tests/lyric_tests.js` for usage examples.
+
+import { Vex } from './vex';
+import { BoundingBox } from './boundingbox';
+import { Modifier } from './modifier';
+import { TextFont } from './textfont';
+
+// To enable logging for this class. Set `Vex.Flow.Lyric.DEBUG` to `true`.
+function L(...args) { if (Lyric.DEBUG) Vex.L('Vex.Flow.Lyric', args); }
+
+export class Lyric extends Modifier {
+  static get CATEGORY() { return 'lyrics'; }
+
+  // Text lines between the bottom of the stave and the first verse.
+  static get TEXT_LINE() { return 2; }
+
+  // Text lines between verses.
+  static get VERSE_SPACING() { return 2; }
+
+  // Minimum space between two syllables, or a syllable and its hyphen.
+  static get PADDING() { return 4; }
+
+  static get HYPHEN() { return '-'; }
+
+  // Arrange lyrics within a `ModifierContext`. The note is widened so that the
+  // widest syllable (and its hyphen) fits, centered on the note head.
+  static format(lyrics, state) {
+    if (!lyrics || lyrics.length === 0) return false;
+
+    let left = 0;
+    let right = 0;
+    lyrics.forEach(lyric => {
+      const half = (lyric.getWidth() / 2) - (lyric.getNote().getGlyphWidth() / 2) + (Lyric.PADDING / 2);
+      const hyphen = lyric.hasHyphen() ? lyric.getHyphenWidth() + Lyric.PADDING : 0;
+      left = Math.max(left, half);
+      right = Math.max(right, half + hyphen);
+    });
+
+    // Lyrics sit below the notes, so they can share space with modifiers on
+    // either side of the note head.
+    state.left_shift = Math.max(state.left_shift, left);
+    state.right_shift = Math.max(state.right_shift, right);
+    return true;
+  }
+
+  // Add lyrics from the EasyScore `lyrics` option, e.g., `lyrics="Hap-|A-"`.
+  // Verses are separated by `|`. A trailing `-` adds a hyphen, and a trailing
+  // `_` adds an extender.
+  static easyScoreHook({ lyrics }, note, builder) {
+    if (!lyrics) return;
+
+    lyrics.split('|').forEach((syllable, i) => {
+      const match = /^(.*?)([-_]?)$/.exec(syllable.trim());
+      if (!match[1]) return;
+      note.addModifier(0, builder.getFactory().Lyric({
+        text: match[1],
+        verse: i + 1,
+        hyphen: match[2] === '-',
+        extender: match[2] === '_',
+      }));
+    });
+  }
+
+  // Create a new `Lyric` with the syllable `text`, on verse `verse` (starting
+  // at `1`).
+  constructor(text, verse = 1) {
+    super();
+    this.setAttribute('type', 'Lyric');
+
+    this.text = text;
+    this.verse = verse;
+    this.hyphen = false;
+    this.extender = false;
+    this.position = Modifier.Position.BELOW;
+    this.setFont('Times', 12, '');
+  }
+
+  static fromJSON(json) {
+    return new Lyric(json.text, json.verse)
+      .setHyphen(json.hyphen)
+      .setExtender(json.extender)
+      .setFont(json.font.family, json.font.size, json.font.weight)
+      .restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      text: this.text,
+      verse: this.verse,
+      hyphen: this.hyphen,
+      extender: this.extender,
+      font: { ...this.font },
+    };
+  }
+
+  getCategory() { return Lyric.CATEGORY; }
+
+  getText() { return this.text; }
+
+  getVerse() { return this.verse; }
+  setVerse(verse) { this.verse = verse; return this; }
+
+  // A hyphen joins this syllable to the next syllable of the verse.
+  hasHyphen() { return this.hyphen; }
+  setHyphen(hyphen = true) { this.hyphen = hyphen; return this; }
+
+  // An extender line continues this syllable under the following notes.
+  hasExtender() { return this.extender; }
+  setExtender(extender = true) { this.extender = extender; return this; }
+
+  // Set font family, size, and weight. E.g., `Times`, `12`, `italic`. The
+  // width of the syllable is estimated from the matching `TextFont` metrics.
+  setFont(family, size, weight) {
+    this.font = { family, size, weight };
+    this.textFont = TextFont.getTextFontFromVexFontData(this.font).setFontSize(size);
+    this.setWidth(this.measureText(this.text));
+    return this;
+  }
+
+  measureText(text) {
+    return text.split('').reduce((width, c) => width + this.textFont.getWidthForCharacter(c), 0);
+  }
+
+  getHyphenWidth() { return this.measureText(Lyric.HYPHEN); }
+
+  // Get the lowest point of the notes (and stems) in the note's voice, so that
+  // all syllables of a verse sit on the same baseline below them.
+  getLowestY() {
+    return Math.max(...this.note.getVoice().getTickables().map(tickable => {
+      if (tickable.getAttribute('type') !== 'StaveNote') return -Infinity;
+      const ys = tickable.getYs();
+      if (!tickable.hasStem()) return Math.max(...ys);
+      const extents = tickable.getStemExtents();
+      return Math.max(...ys, extents.topY, extents.baseY);
+    }));
+  }
+
+  // Get the `y` of the text baseline.
+  getY() {
+    const stave = this.note.getStave();
+    const spacing = stave.getSpacingBetweenLines();
+    const firstVerse = Math.max(
+      stave.getYForBottomText(Lyric.TEXT_LINE),
+      this.getLowestY() + this.textFont.maxHeight + Lyric.PADDING
+    );
+    return firstVerse + ((this.verse - 1) * Lyric.VERSE_SPACING * spacing) + this.y_shift;
+  }
+
+  // Get the x coordinates of the text, centered on the note head.
+  getTextExtents() {
+    const center = this.note.getAbsoluteX() + (this.note.getGlyphWidth() / 2) + this.x_shift;
+    return { left: center - (this.width / 2), right: center + (this.width / 2) };
+  }
+
+  // Get the `BoundingBox` of the text, which needs a formatted note.
+  getBoundingBox() {
+    const { left, right } = this.getTextExtents();
+    const y = this.getY();
+    return new BoundingBox(left, y - this.textFont.maxHeight, right - left, this.textFont.maxHeight * 1.25);
+  }
+
+  // Find the next syllable of this verse in the note's voice. Returns the notes
+  // up to it (the melisma), and the syllable, or `null` if it is not in the voice.
+  findNextSyllable() {
+    const tickables = this.note.getVoice().getTickables();
+    const melisma = [];
+
+    for (let i = tickables.indexOf(this.note) + 1; i < tickables.length; i++) {
+      const tickable = tickables[i];
+      const next = (tickable.getModifiers ? tickable.getModifiers() : []).find(modifier =>
+        modifier.getCategory() === Lyric.CATEGORY && modifier.getVerse() === this.verse);
+      if (next) return { next, melisma };
+      if (!tickable.shouldIgnoreTicks()) melisma.push(tickable);
+    }
+
+    return { next: null, melisma };
+  }
+
+  drawHyphen(extents, next) {
+    const hyphenWidth = this.getHyphenWidth();
+    let x = extents.right + Lyric.PADDING;
+
+    // Center the hyphen between the two syllables.
+    if (next) {
+      const nextExtents = next.getTextExtents();
+      x = Math.max(x, ((extents.right + nextExtents.left) / 2) - (hyphenWidth / 2));
+    }
+
+    this.context.fillText(Lyric.HYPHEN, x, this.getY());
+  }
+
+  drawExtender(extents, melisma) {
+    // The melisma ends at the first rest.
+    const rest = melisma.findIndex(note => note.isRest && note.isRest());
+    const notes = rest === -1 ? melisma : melisma.slice(0, rest);
+    if (!notes.length) return;
+
+    const last = notes[notes.length - 1];
+    const x = last.getAbsoluteX() + last.getGlyphWidth();
+    if (x <= extents.right + Lyric.PADDING) return;
+
+    const y = this.getY();
+    this.context.beginPath();
+    this.context.setLineWidth(1);
+    this.context.moveTo(extents.right + Lyric.PADDING, y);
+    this.context.lineTo(x, y);
+    this.context.stroke();
+  }
+
+  draw() {
+    this.checkContext();
+
+    if (!this.note) {
+      throw new Vex.RERR('NoNoteForLyric', "Can't draw lyric without an attached note.");
+    }
+
+    this.setRendered();
+    const extents = this.getTextExtents();
+    const y = this.getY();
+
+    L('Rendering lyric:', this.text, extents.left, y);
+    this.context.save();
+    this.context.setFont(this.font.family, this.font.size, this.font.weight);
+    this.context.fillText(this.text, extents.left, y);
+
+    if (this.hyphen || this.extender) {
+      const { next, melisma } = this.findNextSyllable();
+      if (this.hyphen) this.drawHyphen(extents, next);
+      if (this.extender) this.drawExtender(extents, melisma);
+    }
+
+    this.context.restore();
+  }
+}
@@ -0,0 +1,919 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements an importer for MEI (Music Encoding Initiative)
+// documents. The `<score>` is first read into a plain model of staff
+// definitions, measures, layers and control events, which is then turned
+// into VexFlow objects with a `Factory` and laid out with a `ScoreLayout`.
+//
+// Every layer becomes a `Voice`, `<beam>` and `<tuplet>` become `Beam`s and
+// `Tuplet`s, ties become `StaveTie`s and slurs become `Curve`s. `<dynam>` and
+// `<dir>` are placed in voices of their own, as `TextDynamics` (or
+// `TextNote`s, for text that isn't a dynamic), at their `@tstamp` or
+// `@startid`.
+//
+// The `xml:id` of notes, chords, rests, beams, tuplets, ties, slurs,
+// directions, staves and measures is kept as the `id` of the VexFlow
+// element, and the elements are added to a `Registry`. Notes inside a chord
+// register their note head.
+//
+// Elements the importer doesn't understand are collected in the
+// `unsupported` list of the result (or thrown, if `throwOnUnsupported` is
+// set.)
+//
+// ```javascript
+// const vf = new Vex.Flow.Factory({ renderer: { elementId: 'score' } });
+// const result = vf.MEIImporter({ width: 800 }).import(meiString);
+// vf.draw();
+// result.registry.getElementById('note-0001').setStyle({ fillStyle: 'red' });
+// ```
+
+import { Vex } from './vex';
+import { Flow } from './tables';
+import { KeyManager } from './keymanager';
+import { Registry } from './registry';
+import { Barline } from './stavebarline';
+import { Stem } from './stem';
+import { Volta } from './stavevolta';
+import { Voice } from './voice';
+import {
+  CLEFS,
+  MAJOR_KEYS,
+  MINOR_KEYS,
+  restKeyForClef,
+  splitTicks,
+} from './musicxmlimporter';
+
+// To enable logging for this class. Set `Vex.Flow.MEIImporter.DEBUG` to `true`.
+function L(...args) { if (MEIImporter.DEBUG) Vex.L('Vex.Flow.MEIImporter', args); }
+
+export const X = Vex.MakeException('MEIImporterError');
+
+// `@dur` values to VexFlow durations.
+export const DURATIONS = {
+  'breve': '1/2',
+  '1': '1',
+  '2': '2',
+  '4': '4',
+  '8': '8',
+  '16': '16',
+  '32': '32',
+  '64': '64',
+  '128': '128',
+  '256': '256',
+};
+
+// `@accid` values to VexFlow accidental codes.
+export const ACCIDENTALS = {
+  's': '#',
+  'f': 'b',
+  'ss': '##',
+  'x': '##',
+  'ff': 'bb',
+  'n': 'n',
+};
+
+// `@left` and `@right` values of `<measure>` to barline types.
+const BARLINES = {
+  'single': Barline.type.SINGLE,
+  'dbl': Barline.type.DOUBLE,
+  'end': Barline.type.END,
+  'rptstart': Barline.type.REPEAT_BEGIN,
+  'rptend': Barline.type.REPEAT_END,
+  'rptboth': Barline.type.REPEAT_END,
+  'invis': Barline.type.NONE,
+};
+
+// `@symbol` values of `<staffGrp>` to connector types.
+const GROUP_SYMBOLS = {
+  'brace': 'brace',
+  'bracket': 'bracket',
+  'bracketsq': 'bracket',
+  'line': 'singleLeft',
+};
+
+// Layer and measure children that are handled.
+const EVENT_ELEMENTS = ['note', 'chord', 'rest', 'mRest', 'space', 'mSpace'];
+const CONTROL_ELEMENTS = ['tie', 'slur', 'dir', 'dynam'];
+
+// Letters that `TextDynamics` can draw.
+const DYNAMICS = /^[pmfszr]+$/;
+
+function children(node, name) {
+  return Array.prototype.filter.call(node.childNodes, child =>
+    child.nodeType === 1 && (name === undefined || child.nodeName === name));
+}
+
+function child(node, name) {
+  return children(node, name)[0] || null;
+}
+
+function xmlId(node) {
+  return node.getAttribute('xml:id') || null;
+}
+
+// References like `@startid` are URIs, usually just `#id`.
+function reference(node, name) {
+  const value = node.getAttribute(name);
+  return value ? value.replace(/^#/, '') : null;
+}
+
+// Reads `@key.sig` and `@key.mode` (or `<keySig>`) into a key signature.
+function readKey(sig, mode) {
+  const match = /^([0-7])([sf]?)$/.exec(sig);
+  if (!match) return null;
+
+  const fifths = parseInt(match[1], 10) * (match[2] === 'f' ? -1 : 1);
+  return (mode === 'minor' ? MINOR_KEYS : MAJOR_KEYS)[fifths + 7];
+}
+
+// Reads `@meter.count`, `@meter.unit` and `@meter.sym` (or `<meterSig>`) into a
+// `{ spec, count, unit }` meter.
+function readMeter(count, unit, sym) {
+  if (sym === 'common') return { spec: 'C', count: 4, unit: 4 };
+  if (sym === 'cut') return { spec: 'C|', count: 2, unit: 2 };
+  if (!count || !/^[0-9]+(\+[0-9]+)*$/.test(count) || !/^[0-9]+$/.test(unit || '')) return null;
+
+  const beats = count.split('+').reduce((total, beat) => total + parseInt(beat, 10), 0);
+  return { spec: count + '/' + unit, count: beats, unit: parseInt(unit, 10) };
+}
+
+export class MEIImporter {
+  constructor(options = {}) {
+    this.setOptions(options);
+  }
+
+  setOptions(options) {
+    this.options = {
+      factory: null,
+      registry: null,
+      x: 10,
+      y: 40,
+      width: 800,
+      spaceBetweenStaves: 12, // stave spaces
+      throwOnUnsupported: false,
+      ...options,
+    };
+
+    this.factory = this.options.factory;
+    return this;
+  }
+
+  // Records an element that could not be imported.
+  unsupported(element, location = {}) {
+    const entry = { element, ...location };
+    L('Unsupported element:', element, location.measure, location.staff);
+    if (this.options.throwOnUnsupported) {
+      throw new X('Unsupported MEI element: ' + element, entry);
+    }
+    this.unsupportedElements.push(entry);
+  }
+
+  // Parse `xml` (a string or a DOM `Document`) into the plain score model.
+  parse(xml) {
+    let doc = xml;
+    if (typeof xml === 'string') {
+      doc = new window.DOMParser().parseFromString(xml, 'application/xml');
+    }
+
+    const root = doc && doc.documentElement;
+    if (!root || root.nodeName === 'parsererror' || root.getElementsByTagName('parsererror').length > 0) {
+      throw new X('Invalid MEI document', xml);
+    }
+
+    const score = root.getElementsByTagName('score')[0];
+    if (root.nodeName !== 'mei' || !score) {
+      throw new X('Expected an <mei> document with a <score>, got: ' + root.nodeName);
+    }
+
+    const title = root.getElementsByTagName('title')[0];
+    this.unsupportedElements = [];
+    this.keyManagers = {};
+
+    const state = {
+      key: 'C',
+      meter: { spec: '4/4', count: 4, unit: 4 },
+      staves: {},
+      order: [],
+      groups: [],
+      previous: {},
+      ending: null,
+    };
+    const model = {
+      title: title ? title.textContent.trim() : '',
+      staves: [],
+      groups: state.groups,
+      measures: [],
+      endings: [],
+      unsupported: this.unsupportedElements,
+    };
+
+    this.readSection(score, state, model);
+    if (!model.measures.length) throw new X('MEI score has no measures');
+
+    model.staves = state.order.map(n => ({ n, label: state.staves[n].label }));
+    return model;
+  }
+
+  // Read the score definitions, sections, endings and measures of `node`.
+  readSection(node, state, model) {
+    children(node).forEach(element => {
+      switch (element.nodeName) {
+        case 'scoreDef':
+          this.readScoreDef(element, state);
+          break;
+        case 'staffDef':
+          this.readStaffDef(element, state);
+          break;
+        case 'section':
+          this.readSection(element, state, model);
+          break;
+        case 'ending': {
+          const ending = { n: element.getAttribute('n') || '', first: model.measures.length };
+          this.readSection(element, state, model);
+          ending.last = model.measures.length - 1;
+          if (ending.last >= ending.first) model.endings.push(ending);
+          break;
+        }
+        case 'measure':
+          model.measures.push(this.parseMeasure(element, state));
+          break;
+        case 'sb':
+        case 'pb':
+          // Lines and pages are broken by the layout.
+          break;
+        default:
+          this.unsupported(element.nodeName);
+      }
+    });
+  }
+
+  readScoreDef(node, state) {
+    const key = this.readKeyOf(node, state.key);
+    const meter = this.readMeterOf(node, state.meter);
+    const keyChanged = key !== state.key;
+    const meterChanged = meter !== state.meter;
+    state.key = key;
+    state.meter = meter;
+
+    // Score definitions apply to every staff.
+    Object.keys(state.staves).forEach(n => {
+      if (keyChanged) state.staves[n].key = key;
+      if (meterChanged) state.staves[n].meter = meter;
+    });
+
+    children(node).forEach(element => {
+      switch (element.nodeName) {
+        case 'staffGrp':
+          this.readStaffGrp(element, state);
+          break;
+        case 'keySig':
+        case 'meterSig':
+          break;
+        default:
+          this.unsupported(element.nodeName);
+      }
+    });
+  }
+
+  readStaffGrp(node, state) {
+    const first = state.order.length;
+    const isNew = [];
+
+    children(node).forEach(element => {
+      switch (element.nodeName) {
+        case 'staffGrp':
+          this.readStaffGrp(element, state);
+          break;
+        case 'staffDef':
+          isNew.push(!state.staves[element.getAttribute('n')]);
+          this.readStaffDef(element, state);
+          break;
+        case 'grpSym':
+        case 'label':
+          break;
+        default:
+          this.unsupported(element.nodeName);
+      }
+    });
+
+    // Connectors are taken from the first definition of the staves.
+    const grpSym = child(node, 'grpSym');
+    const symbol = node.getAttribute('symbol') || (grpSym && grpSym.getAttribute('symbol'));
+    const last = state.order.length - 1;
+    if (symbol && isNew.length && isNew.every(value => value) && last > first) {
+      if (GROUP_SYMBOLS[symbol]) {
+        state.groups.push({ first, last, type: GROUP_SYMBOLS[symbol] });
+      } else {
+        this.unsupported('grpSym');
+      }
+    }
+  }
+
+  readStaffDef(node, state) {
+    const n = node.getAttribute('n') || '1';
+    if (!state.staves[n]) {
+      state.staves[n] = { n, label: '', clef: 'treble', key: state.key, meter: state.meter };
+      state.order.push(n);
+    }
+
+    const staff = state.staves[n];
+    const label = child(node, 'label');
+    if (node.getAttribute('label')) staff.label = node.getAttribute('label');
+    if (label) staff.label = label.textContent.trim();
+
+    staff.key = this.readKeyOf(node, staff.key);
+    staff.meter = this.readMeterOf(node, staff.meter);
+    staff.clef = this.readClef(node.getAttribute('clef.shape'), node.getAttribute('clef.line'), staff.clef);
+
+    children(node).forEach(element => {
+      switch (element.nodeName) {
+        case 'clef':
+          staff.clef = this.readClef(element.getAttribute('shape'), element.getAttribute('line'), staff.clef);
+          break;
+        case 'label':
+        case 'keySig':
+        case 'meterSig':
+          break;
+        default:
+          this.unsupported(element.nodeName, { staff: n });
+      }
+    });
+  }
+
+  // The key signature given by the attributes or `<keySig>` of `node`, or `key`.
+  readKeyOf(node, key) {
+    const keySig = child(node, 'keySig');
+    const sig = node.getAttribute('key.sig') || (keySig && keySig.getAttribute('sig'));
+    if (!sig) return key;
+
+    const mode = node.getAttribute('key.mode') || (keySig && keySig.getAttribute('mode'));
+    const result = readKey(sig, mode);
+    if (!result) {
+      this.unsupported('keySig');
+      return key;
+    }
+    return result;
+  }
+
+  // The meter given by the attributes or `<meterSig>` of `node`, or `meter`.
+  readMeterOf(node, meter) {
+    const meterSig = child(node, 'meterSig');
+    const attribute = name => node.getAttribute('meter.' + name) || (meterSig && meterSig.getAttribute(name));
+    if (!attribute('count') && !attribute('sym')) return meter;
+
+    const result = readMeter(attribute('count'), attribute('unit'), attribute('sym'));
+    if (!result) {
+      this.unsupported('meterSig');
+      return meter;
+    }
+    return meter && meter.spec === result.spec ? meter : result;
+  }
+
+  readClef(shape, line, clef) {
+    if (!shape) return clef;
+    const result = shape === 'perc' ? 'percussion' : CLEFS[shape + (line || '')];
+    if (!result) {
+      this.unsupported('clef');
+      return clef;
+    }
+    return result;
+  }
+
+  getKeyManager(key) {
+    if (!this.keyManagers[key]) this.keyManagers[key] = new KeyManager(key);
+    return this.keyManagers[key];
+  }
+
+  parseMeasure(node, state) {
+    const number = node.getAttribute('n');
+    const measure = {
+      id: xmlId(node),
+      number,
+      begBarType: BARLINES[node.getAttribute('left')],
+      endBarType: BARLINES[node.getAttribute('right')],
+      staves: {},
+      controls: [],
+    };
+
+    if (node.getAttribute('right') === 'rptboth') measure.repeatBegin = true;
+
+    state.order.forEach(n => {
+      const { clef, key, meter } = state.staves[n];
+      const previous = state.previous[n];
+      measure.staves[n] = {
+        id: null,
+        clef,
+        key,
+        meter,
+        changes: {
+          clef: !previous || previous.clef !== clef,
+          key: !previous || previous.key !== key,
+          meter: !previous || previous.meter !== meter,
+        },
+        layers: [],
+      };
+    });
+
+    children(node).forEach(element => {
+      const location = { measure: number, staff: element.getAttribute('staff') || undefined };
+      if (element.nodeName === 'staff') {
+        const n = element.getAttribute('n') || '1';
+        const staff = measure.staves[n];
+        if (!staff) {
+          this.unsupported('staff', { measure: number, staff: n });
+          return;
+        }
+
+        staff.id = xmlId(element);
+        const accidentals = {};
+        children(element).forEach(layer => {
+          if (layer.nodeName === 'layer') {
+            staff.layers.push(this.parseLayer(layer, state.staves[n], staff, accidentals, { measure: number, staff: n }));
+          } else {
+            this.unsupported(layer.nodeName, { measure: number, staff: n });
+          }
+        });
+      } else if (CONTROL_ELEMENTS.indexOf(element.nodeName) !== -1) {
+        const control = this.parseControl(element, location);
+        if (control) measure.controls.push(control);
+      } else {
+        this.unsupported(element.nodeName, location);
+      }
+    });
+
+    // Changes are relative to the definitions at the start of the measure.
+    state.order.forEach(n => { state.previous[n] = { ...measure.staves[n] }; });
+    return measure;
+  }
+
+  // Read a `<layer>` into a list of events. `staffDef` is the current staff
+  // definition (which clef changes update), and `accidentals` holds the
+  // accidentals of the staff that last to the end of the measure.
+  parseLayer(node, staffDef, staff, accidentals, location) {
+    const layer = { n: node.getAttribute('n') || '1', events: [], beams: [], tuplets: [] };
+    const measureTicks = Flow.RESOLUTION * staff.meter.count / staff.meter.unit;
+    let cursor = 0;
+
+    const read = (parent, containers) => children(parent).forEach(element => {
+      const name = element.nodeName;
+      if (EVENT_ELEMENTS.indexOf(name) !== -1) {
+        const event = this.parseEvent(element, staffDef, accidentals, containers, measureTicks, location);
+        if (!event) return;
+        if (event.stem) containers.forEach(container => { if (container.autoStem) container.autoStem = false; });
+        event.onset = cursor;
+        cursor += event.ticks;
+        layer.events.push(event);
+      } else if (name === 'beam') {
+        const beam = { id: xmlId(element), autoStem: true, notes: [] };
+        layer.beams.push(beam);
+        read(element, containers.concat(beam));
+      } else if (name === 'tuplet') {
+        const tuplet = {
+          id: xmlId(element),
+          num: parseInt(element.getAttribute('num'), 10) || 3,
+          numbase: parseInt(element.getAttribute('numbase'), 10) || 2,
+          bracketed: element.getAttribute('bracket.visible') !== 'false',
+          showNumber: element.getAttribute('num.visible') !== 'false',
+          placement: element.getAttribute('num.place') || element.getAttribute('bracket.place'),
+          notes: [],
+        };
+        layer.tuplets.push(tuplet);
+        read(element, containers.concat(tuplet));
+      } else if (name === 'clef') {
+        staffDef.clef = this.readClef(element.getAttribute('shape'), element.getAttribute('line'), staffDef.clef);
+        layer.events.push({ clefChange: staffDef.clef, onset: cursor, ticks: 0 });
+      } else {
+        this.unsupported(name, location);
+      }
+    });
+
+    read(node, []);
+    return layer;
+  }
+
+  // Read a note, chord, rest or space into an event. Returns `null` for
+  // events that can't be represented (e.g., grace notes.)
+  parseEvent(node, staffDef, accidentals, containers, measureTicks, location) {
+    const name = node.nodeName;
+    if (node.getAttribute('grace')) {
+      this.unsupported('grace', location);
+      return null;
+    }
+
+    const event = {
+      id: xmlId(node),
+      keys: [],
+      noteIds: [],
+      accidentals: [],
+      ties: [],
+      slurs: [],
+      chord: name === 'chord',
+      rest: name === 'rest' || name === 'mRest',
+      space: name === 'space' || name === 'mSpace',
+      measureRest: name === 'mRest',
+      stem: node.getAttribute('stem.dir'),
+      containers,
+      clef: staffDef.clef,
+    };
+
+    if (name === 'mRest' || name === 'mSpace') {
+      event.duration = '1';
+      event.dots = 0;
+      event.ticks = measureTicks;
+    } else {
+      event.duration = DURATIONS[node.getAttribute('dur')];
+      if (!event.duration) {
+        this.unsupported('dur', location);
+        return null;
+      }
+
+      event.dots = parseInt(node.getAttribute('dots'), 10) || children(node, 'dot').length;
+      const ticks = Flow.durationToTicks(event.duration);
+      event.ticks = ticks * (2 - Math.pow(0.5, event.dots));
+      containers.forEach(container => {
+        if (container.numbase) event.ticks = event.ticks * container.numbase / container.num;
+      });
+    }
+
+    if (name === 'note' || name === 'chord') {
+      const notes = name === 'chord' ? children(node, 'note') : [node];
+      if (!notes.length) {
+        this.unsupported('chord', location);
+        return null;
+      }
+
+      notes.forEach(note => this.parseNote(note, event, staffDef, accidentals, location));
+      children(node).forEach(element => {
+        if (['note', 'accid', 'dot'].indexOf(element.nodeName) === -1) this.unsupported(element.nodeName, location);
+      });
+    } else if (event.rest) {
+      const ploc = node.getAttribute('ploc');
+      const oloc = node.getAttribute('oloc');
+      event.keys.push(ploc && oloc ? ploc + '/' + oloc : restKeyForClef(staffDef.clef));
+    }
+
+    (node.getAttribute('slur') || '').split(/\s+/).filter(slur => slur).forEach(slur => {
+      event.slurs.push({ type: slur.charAt(0), number: slur.slice(1) || '1' });
+    });
+
+    return event;
+  }
+
+  parseNote(node, event, staffDef, accidentals, location) {
+    const pname = node.getAttribute('pname');
+    const oct = node.getAttribute('oct');
+    if (!/^[a-g]$/.test(pname || '') || !/^[0-9]$/.test(oct || '')) {
+      this.unsupported('note', location);
+      return;
+    }
+
+    const accid = child(node, 'accid');
+    const attribute = name => node.getAttribute(name) || (accid && accid.getAttribute(name));
+    const written = attribute('accid');
+    const gestural = attribute('accid.ges');
+    const pitch = pname + oct;
+
+    let accidental = null;
+    if (written) {
+      if (ACCIDENTALS[written]) {
+        accidental = {
+          type: ACCIDENTALS[written],
+          cautionary: attribute('func') === 'caution' || attribute('enclose') === 'paren',
+        };
+        accidentals[pitch] = accidental.type === 'n' ? '' : accidental.type;
+      } else {
+        this.unsupported('accid', location);
+      }
+    }
+
+    // The sounding pitch comes from the gestural accidental, else from the
+    // accidentals earlier in the measure, else from the key signature.
+    let alter = this.getKeyManager(staffDef.key).scaleMap[pname].slice(1);
+    if (accidentals[pitch] !== undefined) alter = accidentals[pitch];
+    if (gestural && ACCIDENTALS[gestural]) alter = ACCIDENTALS[gestural] === 'n' ? '' : ACCIDENTALS[gestural];
+
+    const index = event.keys.length;
+    event.keys.push(pname + alter + '/' + oct);
+    event.noteIds.push(xmlId(node));
+    event.accidentals.push(accidental);
+
+    const tie = node.getAttribute('tie');
+    if (tie === 'i' || tie === 'm') event.ties.push({ type: 'start', index });
+    if (tie === 't' || tie === 'm') event.ties.push({ type: 'stop', index });
+
+    children(node).forEach(element => {
+      if (element.nodeName !== 'accid' && element.nodeName !== 'dot') this.unsupported(element.nodeName, location);
+    });
+  }
+
+  // Read a `<tie>`, `<slur>`, `<dir>` or `<dynam>`.
+  parseControl(node, location) {
+    const control = {
+      type: node.nodeName,
+      id: xmlId(node),
+      startid: reference(node, 'startid'),
+      endid: reference(node, 'endid'),
+      staff: (node.getAttribute('staff') || '1').split(/\s+/)[0],
+      tstamp: node.getAttribute('tstamp') ? parseFloat(node.getAttribute('tstamp')) : null,
+      place: node.getAttribute('place'),
+      curvedir: node.getAttribute('curvedir'),
+      text: node.textContent.trim(),
+    };
+
+    const spanner = control.type === 'tie' || control.type === 'slur';
+    if (spanner ? !control.startid || !control.endid : control.tstamp === null && !control.startid) {
+      this.unsupported(control.type, location);
+      return null;
+    }
+    return control;
+  }
+
+  // Import `xml` (a string or a DOM `Document`), creating all VexFlow objects
+  // through the factory. Returns the lines and systems of the layout, the
+  // voices of every measure and staff, the registry holding the elements
+  // with an `xml:id`, and the list of unsupported elements.
+  import(xml) {
+    if (!this.factory) throw new X('MEIImporter requires a factory');
+
+    const score = this.parse(xml);
+    const { x, y, width, spaceBetweenStaves } = this.options;
+    this.registry = this.options.registry || Registry.getDefaultRegistry() || new Registry();
+    this.notesById = {};
+
+    const layout = this.factory.ScoreLayout({ x, y, width, spaceBetweenStaves, connectors: score.groups });
+    const pendingTies = {};
+    const pendingSlurs = {};
+    let repeatBegin = false;
+
+    const measures = score.measures.map(measure => {
+      const staves = score.staves.map(({ n }) => {
+        const staff = measure.staves[n];
+        const voices = staff.layers.map(layer =>
+          this.buildVoice(layer, staff, n + ':' + layer.n, pendingTies, pendingSlurs));
+        if (!voices.length) voices.push(this.buildGhostVoice(staff.meter));
+        voices.push(...this.buildControlVoices(measure, staff, n));
+
+        return {
+          voices,
+          clef: staff.changes.clef ? staff.clef : undefined,
+          keySignature: staff.changes.key ? staff.key : undefined,
+          timeSignature: staff.changes.meter ? staff.meter.spec : undefined,
+          begBarType: repeatBegin ? Barline.type.REPEAT_BEGIN : measure.begBarType,
+          endBarType: measure.endBarType,
+        };
+      });
+
+      repeatBegin = measure.repeatBegin === true;
+      layout.addMeasure(staves);
+      return { voices: staves.map(stave => stave.voices) };
+    });
+
+    const lines = layout.format();
+    const systems = [].concat(...lines.map(line => line.systems));
+
+    score.measures.forEach((measure, m) => {
+      if (measure.id) this.register(systems[m], measure.id);
+      score.staves.forEach(({ n }, s) => {
+        if (measure.staves[n].id) this.register(systems[m].parts[s].stave, measure.staves[n].id);
+      });
+      measure.controls.forEach(control => this.buildSpanner(control, m));
+    });
+
+    score.endings.forEach(({ n, first, last }) => {
+      for (let m = first; m <= last; m++) {
+        let type = Volta.type.MID;
+        if (m === first) type = first === last ? Volta.type.BEGIN_END : Volta.type.BEGIN;
+        else if (m === last) type = Volta.type.END;
+        systems[m].parts[0].stave.setVoltaType(type, m === first ? n + '.' : '', -5);
+      }
+    });
+
+    return {
+      title: score.title,
+      lines,
+      systems,
+      measures,
+      registry: this.registry,
+      unsupported: score.unsupported,
+    };
+  }
+
+  register(element, id) {
+    if (id) this.registry.register(element, id);
+    return element;
+  }
+
+  buildGhostVoice(meter) {
+    const { factory } = this;
+    return factory.Voice({ time: meter.count + '/' + meter.unit })
+      .setMode(Voice.Mode.SOFT)
+      .addTickables(splitTicks(Flow.RESOLUTION * meter.count / meter.unit)
+        .map(duration => factory.GhostNote({ duration })));
+  }
+
+  buildVoice(layer, staff, voiceId, pendingTies, pendingSlurs) {
+    const { factory } = this;
+    const tickables = [];
+
+    layer.events.forEach(event => {
+      if (event.clefChange) {
+        tickables.push(factory.ClefNote({ type: event.clefChange, options: { size: 'small' } }));
+        return;
+      }
+
+      if (event.space) {
+        const ghost = factory.GhostNote({ duration: event.duration, dots: event.dots });
+        tickables.push(this.register(ghost, event.id));
+        return;
+      }
+
+      const note = factory.StaveNote({
+        keys: event.keys,
+        duration: event.duration,
+        dots: event.dots,
+        type: event.rest ? 'r' : undefined,
+        clef: event.clef,
+        auto_stem: event.stem === null,
+        align_center: event.measureRest,
+      });
+
+      if (event.stem === 'up') note.setStemDirection(Stem.UP);
+      if (event.stem === 'down') note.setStemDirection(Stem.DOWN);
+
+      event.accidentals.forEach((accidental, i) => {
+        if (!accidental) return;
+        const modifier = factory.Accidental({ type: accidental.type });
+        if (accidental.cautionary) modifier.setAsCautionary();
+        note.addAccidental(i, modifier);
+      });
+      for (let i = 0; i < event.dots; i++) note.addDotToAll();
+
+      // A single note is the `StaveNote`, notes of a chord are its note heads.
+      this.register(note, event.id);
+      if (event.chord) event.noteIds.forEach((id, i) => this.register(note.note_heads[i], id));
+
+      if (event.id) this.notesById[event.id] = { note, index: 0, onset: event.onset };
+      event.noteIds.forEach((id, index) => { if (id) this.notesById[id] = { note, index, onset: event.onset }; });
+
+      this.buildTies(note, event, pendingTies, voiceId);
+      this.buildSlurs(note, event, pendingSlurs, voiceId);
+      event.containers.forEach(container => container.notes.push(note));
+      tickables.push(note);
+    });
+
+    // As in `buildGroupedVoice`, tuplets are built before the voice.
+    layer.tuplets.forEach(tuplet => {
+      if (!tuplet.notes.length) return;
+      const options = {
+        num_notes: tuplet.num,
+        notes_occupied: tuplet.numbase,
+        bracketed: tuplet.bracketed,
+      };
+      if (!tuplet.showNumber) options.ratioed = false;
+      if (tuplet.placement === 'below') options.location = -1;
+      this.register(factory.Tuplet({ notes: tuplet.notes, options }), tuplet.id);
+    });
+
+    const meter = staff.meter;
+    const voice = factory.Voice({ time: meter.count + '/' + meter.unit })
+      .setMode(Voice.Mode.SOFT)
+      .addTickables(tickables);
+
+    layer.beams.forEach(beam => {
+      const notes = beam.notes.filter(note => note.getIntrinsicTicks() < Flow.durationToTicks('4'));
+      if (notes.length < 2) return;
+      this.register(factory.Beam({ notes, options: { autoStem: beam.autoStem } }), beam.id);
+    });
+
+    return voice;
+  }
+
+  buildTies(note, event, pendingTies, voiceId) {
+    event.keys.forEach((key, index) => {
+      const id = voiceId + ':' + key;
+      const types = event.ties.filter(tie => tie.index === index).map(tie => tie.type);
+
+      if (types.indexOf('stop') !== -1 && pendingTies[id]) {
+        const from = pendingTies[id];
+        this.factory.StaveTie({ from: from.note, to: note, first_indices: [from.index], last_indices: [index] });
+        delete pendingTies[id];
+      }
+
+      if (types.indexOf('start') !== -1) pendingTies[id] = { note, index };
+    });
+  }
+
+  buildSlurs(note, event, pendingSlurs, voiceId) {
+    event.slurs.forEach(({ type, number }) => {
+      const id = voiceId + ':' + number;
+      if (type === 't' && pendingSlurs[id]) {
+        this.factory.Curve({ from: pendingSlurs[id], to: note });
+        delete pendingSlurs[id];
+      }
+      if (type === 'i') pendingSlurs[id] = note;
+    });
+  }
+
+  // `<tie>` and `<slur>` elements may point to notes in later measures, so
+  // they are built once every note exists.
+  buildSpanner(control, m) {
+    if (control.type !== 'tie' && control.type !== 'slur') return;
+
+    const from = this.notesById[control.startid];
+    const to = this.notesById[control.endid];
+    if (!from || !to) {
+      this.unsupported(control.type, { measure: String(m + 1) });
+      return;
+    }
+
+    if (control.type === 'tie') {
+      this.register(this.factory.StaveTie({
+        from: from.note,
+        to: to.note,
+        first_indices: [from.index],
+        last_indices: [to.index],
+      }), control.id);
+      return;
+    }
+
+    // Slurs bend away from the stem of their last note. With `@curvedir`, an
+    // end is drawn at the stem tip when the stem points to that side.
+    let options = {};
+    if (control.curvedir === 'above' || control.curvedir === 'below') {
+      const side = control.curvedir === 'above' ? Stem.UP : Stem.DOWN;
+      const position = note => (note.getStemDirection() === side ? 'nearTop' : 'nearHead');
+      options = {
+        position: position(from.note),
+        position_end: position(to.note),
+        invert: to.note.getStemDirection() === side,
+      };
+    }
+    this.register(this.factory.Curve({ from: from.note, to: to.note, options }), control.id);
+  }
+
+  // Directions and dynamics of the staff are placed in voices of their own,
+  // padded with ghost notes. Events at the same time go to separate voices.
+  buildControlVoices(measure, staff, n) {
+    const { factory } = this;
+    const { meter } = staff;
+    const measureTicks = Flow.RESOLUTION * meter.count / meter.unit;
+    const voices = [];
+
+    const controls = measure.controls
+      .filter(control => (control.type === 'dir' || control.type === 'dynam') && control.staff === n)
+      .map(control => {
+        let onset = (control.tstamp - 1) * Flow.RESOLUTION / meter.unit;
+        if (control.startid) {
+          const start = this.notesById[control.startid];
+          if (!start) {
+            this.unsupported(control.type, { measure: measure.number, staff: n });
+            return null;
+          }
+          onset = start.onset;
+        }
+        return { ...control, onset: Math.max(0, Math.min(onset, measureTicks - Flow.durationToTicks('128'))) };
+      })
+      .filter(control => control)
+      .sort((a, b) => a.onset - b.onset);
+
+    controls.forEach(control => {
+      let voice = voices.find(({ onset }) => onset < control.onset);
+      if (!voice) {
+        voice = { onset: -1, controls: [] };
+        voices.push(voice);
+      }
+      voice.onset = control.onset;
+      voice.controls.push(control);
+    });
+
+    return voices.map(voice => {
+      const ghosts = ticks => splitTicks(ticks).map(duration => factory.GhostNote({ duration }));
+      const tickables = ghosts(voice.controls[0].onset);
+
+      // Every direction lasts until the next one in its voice, or the end of the measure.
+      voice.controls.forEach((control, i) => {
+        const next = i + 1 < voice.controls.length ? voice.controls[i + 1].onset : measureTicks;
+        const [duration, ...rest] = splitTicks(next - control.onset);
+        const below = control.place ? control.place === 'below' : control.type === 'dynam';
+        const line = below ? 12 : 0;
+        const text = control.type === 'dynam' && DYNAMICS.test(control.text)
+          ? factory.TextDynamics({ text: control.text, duration, line })
+          : factory.TextNote({
+            text: control.text,
+            duration,
+            line,
+            font: { family: 'Times', size: 12, weight: control.type === 'dynam' ? 'italic' : '' },
+          });
+
+        L('Control', control.type, control.text, 'at', control.onset);
+        tickables.push(this.register(text, control.id), ...rest.map(ticks => factory.GhostNote({ duration: ticks })));
+      });
+
+      return factory.Voice({ time: meter.count + '/' + meter.unit })
+        .setMode(Voice.Mode.SOFT)
+        .addTickables(tickables);
+    });
+  }
+}
@@ -0,0 +1,245 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements an exporter that converts `Voice`s into a type-1
+// Standard MIDI File. Each voice (or list of voices, played one after the
+// other, e.g., one voice per measure) becomes a track. A conductor track
+// holds the time signature and the `StaveTempo` markings found on the
+// staves of the voices.
+//
+// Note pitches come from `Flow.keyProperties`, adjusted by any accidental
+// modifier when the key itself has none (as with `EasyScore` notes). Key
+// signatures and accidentals carried through a measure are not applied.
+//
+// ```javascript
+// const bytes = new Vex.Flow.MIDIExporter().export([voice1, voice2], { ties });
+// const blob = new Blob([bytes], { type: 'audio/midi' });
+// ```
+
+import { Vex } from './vex';
+import { Flow } from './tables';
+import { StaveTempo } from './stavetempo';
+
+// To enable logging for this class. Set `Vex.Flow.MIDIExporter.DEBUG` to `true`.
+function L(...args) { if (MIDIExporter.DEBUG) Vex.L('Vex.Flow.MIDIExporter', args); }
+
+export const X = Vex.MakeException('MIDIExporterError');
+
+// Semitone offsets of accidental modifiers.
+const ALTERATIONS = { '#': 1, '##': 2, 'b': -1, 'bb': -2, 'n': 0 };
+
+// `Flow.keyProperties` places C4 at 48, MIDI places it at 60.
+const MIDI_OFFSET = 12;
+
+const PERCUSSION_CHANNEL = 9;
+
+// Encode `value` as a MIDI variable-length quantity: 7 bits per byte, most
+// significant first, with the high bit set on all but the last byte.
+function varLength(value) {
+  const bytes = [value % 128];
+  value = Math.floor(value / 128);
+  while (value > 0) {
+    bytes.unshift((value % 128) + 128);
+    value = Math.floor(value / 128);
+  }
+  return bytes;
+}
+
+// Big-endian bytes of an unsigned integer.
+function bigEndian(value, length) {
+  const bytes = [];
+  for (let i = 0; i < length; i++) {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  }
+  return bytes;
+}
+
+function ascii(text) {
+  return text.split('').map(c => c.charCodeAt(0) % 128);
+}
+
+function chunk(type, data) {
+  return [...ascii(type), ...bigEndian(data.length, 4), ...data];
+}
+
+export class MIDIExporter {
+  constructor(options = {}) {
+    this.setOptions(options);
+  }
+
+  setOptions(options) {
+    this.options = {
+      ppq: Flow.RESOLUTION / 4, // ticks per quarter note
+      tempo: 120, // quarter notes per minute, when no `StaveTempo` is found
+      velocity: 80,
+      names: [], // track names, one per voice
+      ...options,
+    };
+    return this;
+  }
+
+  // Export `voices` to a `Uint8Array` holding a Standard MIDI File. Each
+  // entry of `voices` is a `Voice`, or an array of `Voice`s that are played
+  // in sequence on the same track. `ties` is a list of `StaveTie`s.
+  export(voices, { ties = [] } = {}) {
+    if (!voices.length) throw new X('No voices to export');
+
+    const tracks = voices.map(track => (Array.isArray(track) ? track : [track]));
+    if (tracks.length + 1 > 0xffff) throw new X('Too many tracks');
+    if (this.options.ppq > 0x7fff) throw new X('Ticks per quarter note must be below 32768');
+
+    this.ties = this.indexTies(ties);
+    L('Exporting', tracks.length, 'tracks');
+
+    const trackChunks = [
+      chunk('MTrk', this.encodeEvents(this.getConductorEvents(tracks))),
+      ...tracks.map((track, i) => chunk('MTrk', this.encodeEvents(this.getTrackEvents(track, i)))),
+    ];
+
+    const header = chunk('MThd', [
+      ...bigEndian(1, 2), ...bigEndian(trackChunks.length, 2), ...bigEndian(this.options.ppq, 2),
+    ]);
+    return new Uint8Array([].concat(header, ...trackChunks));
+  }
+
+  // Map each note to the key indices that continue a tie from a previous note.
+  indexTies(ties) {
+    const index = new Map();
+    ties.forEach(tie => {
+      if (!tie.first_note || !tie.last_note) return;
+      if (!index.has(tie.last_note)) index.set(tie.last_note, []);
+      index.get(tie.last_note).push(...tie.last_indices);
+    });
+    return index;
+  }
+
+  // Convert VexFlow ticks to MIDI ticks.
+  toMIDITicks(ticks) {
+    return Math.round(ticks * this.options.ppq * 4 / Flow.RESOLUTION);
+  }
+
+  // Time signature and tempo events, taken from the first track's voices and
+  // the `StaveTempo`s on their staves.
+  getConductorEvents(tracks) {
+    const events = [];
+    const time = tracks[0][0].time;
+    const denominator = Math.round(Math.log2(time.beat_value));
+
+    events.push({ tick: 0, data: [0xff, 0x58, 0x04, time.num_beats, denominator, 24, 8] });
+
+    const tempos = [];
+    tracks.forEach(track => {
+      let ticks = 0;
+      let tick = 0;
+      track.forEach(voice => {
+        const stave = voice.stave;
+        if (stave) {
+          stave.getModifiers(undefined, StaveTempo.CATEGORY).forEach(modifier => {
+            const bpm = this.getQuarterNoteBPM(modifier.tempo);
+            if (bpm && !tempos.some(tempo => tempo.tick === tick)) tempos.push({ tick, bpm });
+          });
+        }
+        ticks += voice.getTotalTicks().value();
+        tick = this.toMIDITicks(ticks);
+      });
+    });
+
+    if (!tempos.some(tempo => tempo.tick === 0)) tempos.push({ tick: 0, bpm: this.options.tempo });
+
+    tempos.forEach(({ tick, bpm }) => {
+      const microseconds = Math.round(60000000 / bpm);
+      events.push({ tick, data: [0xff, 0x51, 0x03, ...bigEndian(microseconds, 3)] });
+    });
+
+    return events;
+  }
+
+  // Convert a `StaveTempo` tempo (e.g., `{ duration: '8', dots: 1, bpm: 60 }`)
+  // to quarter notes per minute. Returns `null` for tempos without a `bpm`.
+  getQuarterNoteBPM({ duration = '4', dots = 0, bpm }) {
+    if (!bpm) return null;
+    let quarters = Flow.durationToTicks(duration) / (Flow.RESOLUTION / 4);
+    quarters *= 2 - (1 / (2 ** dots));
+    return bpm * quarters;
+  }
+
+  // Get the MIDI note number of each key of `note`.
+  getPitches(note) {
+    const accidentals = note.getModifiers().filter(modifier => modifier.getCategory() === 'accidentals');
+
+    return note.getKeys().map((key, index) => {
+      const props = Flow.keyProperties(key);
+      let pitch = props.int_value + MIDI_OFFSET;
+
+      if (!props.accidental) {
+        const accidental = accidentals.find(modifier => modifier.getIndex() === index);
+        if (accidental) pitch += ALTERATIONS[accidental.type] || 0;
+      }
+
+      return pitch;
+    });
+  }
+
+  getTrackEvents(voices, trackIndex) {
+    const channel = trackIndex < PERCUSSION_CHANNEL ? trackIndex % 16 : (trackIndex + 1) % 16;
+    const notes = [];
+    const sounding = {};
+    const events = [];
+    // Positions are kept in VexFlow ticks, so that rounding errors of
+    // tuplets don't accumulate.
+    let ticks = 0;
+
+    const name = this.options.names[trackIndex];
+    if (name) events.push({ tick: 0, data: [0xff, 0x03, ...varLength(name.length), ...ascii(name)] });
+
+    voices.forEach(voice => voice.getTickables().forEach(tickable => {
+      if (tickable.shouldIgnoreTicks()) return;
+      const start = this.toMIDITicks(ticks);
+      ticks += tickable.getTicks().value();
+      const end = this.toMIDITicks(ticks);
+
+      if (tickable.getAttribute('type') === 'StaveNote' && !tickable.isRest()) {
+        const continued = this.ties.get(tickable) || [];
+        this.getPitches(tickable).forEach((pitch, index) => {
+          // Tied notes extend the note they continue instead of sounding again.
+          const previous = sounding[pitch];
+          if (continued.indexOf(index) !== -1 && previous && previous.end === start) {
+            previous.end = end;
+            return;
+          }
+
+          const note = { pitch, start, end };
+          sounding[pitch] = note;
+          notes.push(note);
+        });
+      }
+    }));
+
+    notes.forEach(({ pitch, start, end }) => {
+      events.push({ tick: start, data: [0x90 + channel, pitch, this.options.velocity] });
+      events.push({ tick: end, data: [0x80 + channel, pitch, 0], off: true });
+    });
+
+    return events;
+  }
+
+  // Sort `events` by time, with note-offs before anything else at the same
+  // tick, and encode them as delta-timed track data.
+  encodeEvents(events) {
+    const sorted = events
+      .map((event, order) => ({ ...event, order }))
+      .sort((a, b) => (a.tick - b.tick) || ((b.off ? 1 : 0) - (a.off ? 1 : 0)) || (a.order - b.order));
+
+    const data = [];
+    let tick = 0;
+    sorted.forEach(event => {
+      data.push(...varLength(event.tick - tick), ...event.data);
+      tick = event.tick;
+    });
+    data.push(0x00, 0xff, 0x2f, 0x00);
+
+    return data;
+  }
+}
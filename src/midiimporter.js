@@ -0,0 +1,580 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements an importer for Standard MIDI Files. `parse()` reads
+// the tracks of the file into notes with start and end times in MIDI ticks.
+// `quantize()` turns these into measures of notated events: onsets and ends
+// are snapped to a grid of `Flow.durationToTicks` values, beats whose onsets
+// fit triplets better than the grid become triplets, notes crossing bar lines
+// (or the edges of a triplet) are split and tied, and pitches are spelled with
+// a `KeyManager` for the key signature of the measure.
+//
+// `import()` creates a `Voice` for every track with notes in every measure,
+// with `Beam`s, `Tuplet`s and `StaveTie`s, and lays them out with a
+// `ScoreLayout`.
+//
+// Notes in a track that start together become chords. Overlapping notes are
+// cut at the next onset, so every track is read as a single voice.
+//
+// ```javascript
+// const vf = new Vex.Flow.Factory({ renderer: { elementId: 'score' } });
+// const response = await fetch('song.mid');
+// vf.MIDIImporter({ quantize: '16', width: 800 }).import(await response.arrayBuffer());
+// vf.draw();
+// ```
+
+import { Vex } from './vex';
+import { Flow } from './tables';
+import { Beam } from './beam';
+import { KeyManager } from './keymanager';
+import { Music } from './music';
+import {
+  MAJOR_KEYS,
+  MINOR_KEYS,
+  buildGroupedVoice,
+  restKeyForClef,
+  splitTicks,
+  ticksToDuration,
+} from './musicxmlimporter';
+
+// To enable logging for this class. Set `Vex.Flow.MIDIImporter.DEBUG` to `true`.
+function L(...args) { if (MIDIImporter.DEBUG) Vex.L('Vex.Flow.MIDIImporter', args); }
+
+export const X = Vex.MakeException('MIDIImporterError');
+
+// Note names for pitch classes outside of the key signature, by the
+// accidentals of the key.
+const SHARP_NAMES = Music.canonical_notes;
+const FLAT_NAMES = ['c', 'db', 'd', 'eb', 'e', 'f', 'gb', 'g', 'ab', 'a', 'bb', 'b'];
+const NATURAL_NAMES = ['c', 'c#', 'd', 'eb', 'e', 'f', 'f#', 'g', 'ab', 'a', 'bb', 'b'];
+
+// Returns the data of a MIDI file as an array of bytes.
+function toBytes(data) {
+  if (typeof data === 'string') {
+    return Array.prototype.map.call(data, c => c.charCodeAt(0) % 256);
+  }
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (data && typeof data.length === 'number') return data;
+  throw new X('MIDI data must be an ArrayBuffer, a byte array or a binary string');
+}
+
+// A cursor over the bytes of the file.
+function reader(bytes) {
+  let pos = 0;
+  const next = () => {
+    if (pos >= bytes.length) throw new X('Unexpected end of MIDI data at byte ' + pos);
+    return bytes[pos++];
+  };
+
+  return {
+    get pos() { return pos; },
+    set pos(value) { pos = value; },
+    byte: next,
+    uint(length) {
+      let value = 0;
+      for (let i = 0; i < length; i++) value = (value * 256) + next();
+      return value;
+    },
+    // Variable length quantities hold 7 bits in every byte, the high bit
+    // is set on all bytes but the last.
+    varint() {
+      let value = 0;
+      let byte;
+      do {
+        byte = next();
+        value = (value * 128) + (byte % 128);
+      } while (byte >= 128);
+      return value;
+    },
+    string(length) {
+      let value = '';
+      for (let i = 0; i < length; i++) value += String.fromCharCode(next());
+      return value;
+    },
+  };
+}
+
+// Key signature of a `FF 59` event with `sf` sharps (or flats, if negative.)
+function keyFromSignature(sf, minor) {
+  return (minor ? MINOR_KEYS : MAJOR_KEYS)[Math.max(-7, Math.min(7, sf)) + 7];
+}
+
+// Spells MIDI `pitch` in the current state of `keyManager`. Returns the
+// VexFlow key and the accidental to draw, if any.
+function spellPitch(keyManager, names, pitch) {
+  const value = pitch % 12;
+  const result = keyManager.selectNote(keyManager.scaleMapByValue[value] || names[value]);
+  const letter = result.note.charAt(0);
+
+  // B# and C flat belong to the octave of their letter.
+  let octave = Math.floor(pitch / 12) - 1;
+  if (letter === 'b' && value < 2) octave -= 1;
+  if (letter === 'c' && value > 9) octave += 1;
+
+  return {
+    key: result.note + '/' + octave,
+    accidental: result.change ? result.accidental || 'n' : null,
+  };
+}
+
+export class MIDIImporter {
+  constructor(options = {}) {
+    this.setOptions(options);
+  }
+
+  setOptions(options) {
+    this.options = {
+      factory: null,
+      x: 10,
+      y: 40,
+      width: 800,
+      spaceBetweenStaves: 12, // stave spaces
+      quantize: '16', // the shortest duration of the grid
+      tuplets: true, // detect triplets
+      key: null, // key signature, overriding the file
+      ...options,
+    };
+
+    this.factory = this.options.factory;
+    return this;
+  }
+
+  // Parse the MIDI file in `data` (an `ArrayBuffer`, an array of bytes or a
+  // binary string) into tracks of notes. Times are in MIDI ticks.
+  parse(data) {
+    const bytes = toBytes(data);
+    const input = reader(bytes);
+
+    if (bytes.length < 14 || input.string(4) !== 'MThd') {
+      throw new X('Invalid MIDI file: missing MThd header');
+    }
+
+    const headerLength = input.uint(4);
+    const song = {
+      format: input.uint(2),
+      trackCount: input.uint(2),
+      division: input.uint(2),
+      tracks: [],
+      tempos: [],
+      timeSignatures: [],
+      keySignatures: [],
+    };
+    input.pos = 8 + headerLength;
+
+    if (song.division >= 0x8000) throw new X('SMPTE time division is not supported');
+
+    while (input.pos < bytes.length && song.tracks.length < song.trackCount) {
+      const id = input.string(4);
+      const length = input.uint(4);
+      const end = input.pos + length;
+      if (end > bytes.length) throw new X('Unexpected end of MIDI data in chunk ' + id);
+
+      // Unknown chunks must be skipped.
+      if (id === 'MTrk') song.tracks.push(this.parseTrack(input, end, song));
+      input.pos = end;
+    }
+
+    const byTick = (a, b) => a.tick - b.tick;
+    song.tempos.sort(byTick);
+    song.timeSignatures.sort(byTick);
+    song.keySignatures.sort(byTick);
+    return song;
+  }
+
+  parseTrack(input, end, song) {
+    const track = { name: '', channel: null, notes: [] };
+    const sounding = {};
+    let tick = 0;
+    let running = null;
+
+    while (input.pos < end) {
+      tick += input.varint();
+      let status = input.byte();
+
+      if (status === 0xff) {
+        const type = input.byte();
+        const length = input.varint();
+        const start = input.pos;
+        running = null;
+
+        if (type === 0x03 && !track.name) {
+          track.name = input.string(length);
+        } else if (type === 0x51 && length === 3) {
+          song.tempos.push({ tick, bpm: 60000000 / input.uint(3) });
+        } else if (type === 0x58 && length >= 2) {
+          song.timeSignatures.push({ tick, num: input.byte(), den: Math.pow(2, input.byte()) });
+        } else if (type === 0x59 && length === 2) {
+          const sf = input.byte();
+          song.keySignatures.push({ tick, key: keyFromSignature(sf > 127 ? sf - 256 : sf, input.byte() === 1) });
+        } else if (type === 0x2f) {
+          break;
+        }
+        input.pos = start + length;
+      } else if (status === 0xf0 || status === 0xf7) {
+        const length = input.varint();
+        input.pos += length;
+        running = null;
+      } else {
+        // Channel messages may leave out a status equal to the previous one.
+        if (status < 0x80) {
+          if (running === null) throw new X('Invalid MIDI data: no running status at byte ' + (input.pos - 1));
+          status = running;
+          input.pos -= 1;
+        }
+        running = status;
+
+        const type = status - (status % 16);
+        const channel = status % 16;
+        const data1 = input.byte();
+        const data2 = type === 0xc0 || type === 0xd0 ? 0 : input.byte();
+        const id = channel + ':' + data1;
+
+        if (type === 0x90 && data2 > 0) {
+          if (!sounding[id]) sounding[id] = [];
+          sounding[id].push({ key: data1, channel, velocity: data2, start: tick });
+          if (track.channel === null) track.channel = channel;
+        } else if ((type === 0x80 || type === 0x90) && sounding[id] && sounding[id].length) {
+          const note = sounding[id].shift();
+          note.end = tick;
+          track.notes.push(note);
+        }
+      }
+    }
+
+    // Notes that are never released end with the track.
+    Object.keys(sounding).forEach(id => sounding[id].forEach(note => track.notes.push({ ...note, end: tick })));
+
+    track.notes.sort((a, b) => a.start - b.start || a.key - b.key);
+    return track;
+  }
+
+  // Builds the measures of the song from its time and key signatures. Changes
+  // take effect at the next bar line. Times are in VexFlow ticks.
+  buildMeasures(song, endTicks) {
+    const scale = Flow.RESOLUTION / 4 / song.division;
+    const timeSignatures = song.timeSignatures.length ? song.timeSignatures : [{ tick: 0, num: 4, den: 4 }];
+    const keySignatures = song.keySignatures.length ? song.keySignatures : [{ tick: 0, key: 'C' }];
+    const measures = [];
+    let start = 0;
+
+    const active = (changes, time) => changes.reduce((current, change) =>
+      (change.tick * scale <= time ? change : current), changes[0]);
+
+    do {
+      const { num, den } = active(timeSignatures, start);
+      const key = this.options.key || active(keySignatures, start).key;
+      const previous = measures[measures.length - 1];
+      const ticks = Flow.RESOLUTION * num / den;
+
+      measures.push({
+        start,
+        ticks,
+        num,
+        den,
+        key,
+        beat: Flow.RESOLUTION / den,
+        // Compound meters already divide their beats in three.
+        compound: num % 3 === 0 && num > 3 && den >= 8,
+        changes: {
+          time: !previous || previous.num !== num || previous.den !== den,
+          key: !previous || previous.key !== key,
+        },
+      });
+      start += ticks;
+    } while (start < endTicks);
+
+    return measures;
+  }
+
+  // Quantize the parsed `song` into measures, and tracks with the notated
+  // events of every measure.
+  quantize(song) {
+    const scale = Flow.RESOLUTION / 4 / song.division;
+    const tracks = song.tracks.filter(track => track.notes.length);
+    const endTicks = tracks.reduce((end, track) =>
+      track.notes.reduce((trackEnd, note) => Math.max(trackEnd, note.end * scale), end), 0);
+
+    // Quantization may move notes past the end of the last note, so there is
+    // a measure to spare.
+    const measures = this.buildMeasures(song, endTicks + Flow.RESOLUTION);
+
+    const score = {
+      measures,
+      tracks: tracks.map(track => this.quantizeTrack(track, measures, scale)),
+      tempo: song.tempos.length ? Math.round(song.tempos[0].bpm) : null,
+    };
+
+    const used = Math.max(...score.tracks.map(track => track.end), 1);
+    while (measures.length > 1 && measures[measures.length - 1].start >= used) {
+      measures.pop();
+      score.tracks.forEach(track => track.measures.pop());
+    }
+
+    return score;
+  }
+
+  quantizeTrack(track, measures, scale) {
+    const grid = Flow.durationToTicks(this.options.quantize);
+
+    // Returns the beat `ticks` falls in.
+    const beatAt = ticks => {
+      let m = measures.length - 1;
+      while (m > 0 && measures[m].start > ticks) m--;
+      const measure = measures[m];
+      const index = Math.max(0, Math.floor((ticks - measure.start) / measure.beat));
+      return { id: m + ':' + index, measure, start: measure.start + (index * measure.beat) };
+    };
+
+    // Triplets are used in beats where the onsets are closer to a triplet grid
+    // than to the straight grid.
+    const triplets = {};
+    if (this.options.tuplets) {
+      const beats = {};
+      track.notes.forEach(note => {
+        const ticks = note.start * scale;
+        const beat = beatAt(ticks);
+        if (beat.measure.compound) return;
+
+        const offset = ticks - beat.start;
+        const straight = Math.min(grid, beat.measure.beat);
+        const triplet = beat.measure.beat / 3;
+        const entry = beats[beat.id] || (beats[beat.id] = { straight: 0, triplet: 0, offGrid: false });
+        entry.straight += Math.abs(offset - (Math.round(offset / straight) * straight));
+        entry.triplet += Math.abs(offset - (Math.round(offset / triplet) * triplet));
+        entry.offGrid = entry.offGrid || Math.round(offset / triplet) % 3 !== 0;
+      });
+      Object.keys(beats).forEach(id => {
+        if (beats[id].offGrid && beats[id].triplet < beats[id].straight) {
+          triplets[id] = { num_notes: 3, notes_occupied: 2 };
+        }
+      });
+    }
+
+    const snap = ticks => {
+      const beat = beatAt(ticks);
+      const unit = triplets[beat.id] ? beat.measure.beat / 3 : Math.min(grid, beat.measure.beat);
+      return { ticks: beat.start + (Math.round((ticks - beat.start) / unit) * unit), unit };
+    };
+
+    // Notes starting together become chords, which last until the next onset.
+    const chords = [];
+    track.notes.forEach(note => {
+      const start = snap(note.start * scale);
+      const end = Math.max(snap(note.end * scale).ticks, start.ticks + start.unit);
+      const last = chords[chords.length - 1];
+      if (last && last.start === start.ticks) {
+        if (last.keys.indexOf(note.key) === -1) last.keys.push(note.key);
+        last.end = Math.max(last.end, end);
+      } else {
+        chords.push({ start: start.ticks, end, keys: [note.key] });
+      }
+    });
+
+    const segments = [];
+    let time = 0;
+    chords.forEach((chord, i) => {
+      const next = chords[i + 1];
+      if (chord.start > time) segments.push({ start: time, end: chord.start, keys: [] });
+      const end = next ? Math.min(chord.end, next.start) : chord.end;
+      segments.push({ start: chord.start, end, keys: chord.keys.sort((a, b) => a - b) });
+      time = end;
+    });
+
+    const lastMeasure = measures[measures.length - 1];
+    if (time < lastMeasure.start + lastMeasure.ticks) {
+      segments.push({ start: time, end: lastMeasure.start + lastMeasure.ticks, keys: [] });
+    }
+
+    // Segments are cut at bar lines and at the edges of triplets.
+    const cuts = measures.map(measure => measure.start);
+    Object.keys(triplets).forEach(id => {
+      const [m, index] = id.split(':').map(Number);
+      const start = measures[m].start + (index * measures[m].beat);
+      cuts.push(start, start + measures[m].beat);
+    });
+    cuts.sort((a, b) => a - b);
+
+    const averagePitch = track.notes.reduce((total, note) => total + note.key, 0) / track.notes.length;
+    const clef = averagePitch < 60 ? 'bass' : 'treble';
+    const result = {
+      name: track.name,
+      clef,
+      end: time,
+      measures: measures.map(() => ({ events: [] })),
+    };
+
+    segments.forEach(segment => {
+      // Notes starting off the beat are also cut at the next beat.
+      const beat = beatAt(segment.start);
+      const offBeat = beat.start < segment.start ? [beat.start + beat.measure.beat] : [];
+      const points = [segment.start]
+        .concat(cuts.concat(offBeat).filter(cut => cut > segment.start && cut < segment.end), segment.end)
+        .sort((a, b) => a - b)
+        .filter((point, i, all) => i === 0 || point !== all[i - 1]);
+
+      for (let i = 0; i < points.length - 1; i++) {
+        const { id, measure } = beatAt(points[i]);
+        const m = measures.indexOf(measure);
+        const tuplet = triplets[id] || null;
+        const tied = segment.keys.length > 0 && i < points.length - 2;
+        this.addEvents(result.measures[m].events, segment, points[i], points[i + 1], tuplet, i > 0, tied);
+      }
+    });
+
+    // Measures without notes get a measure rest.
+    result.measures.forEach((measure, m) => {
+      if (measure.events.every(event => event.rest)) {
+        measure.events = [{
+          keys: [],
+          pitches: [],
+          onset: measures[m].start,
+          ticks: measures[m].ticks,
+          duration: '1',
+          dots: 0,
+          rest: true,
+          measureRest: true,
+        }];
+      }
+    });
+
+    this.spellTrack(result, measures);
+    L('Quantized track', track.name, 'with', segments.length, 'segments and', Object.keys(triplets).length, 'triplets');
+    return result;
+  }
+
+  // Add the events for the part of `segment` from `start` to `end`. Lengths
+  // that aren't a single note are split into tied notes.
+  addEvents(events, segment, start, end, tuplet, continued, tied) {
+    // Notes of a triplet are written 3/2 as long as they sound.
+    const ratio = tuplet ? 3 / 2 : 1;
+    const written = Math.round((end - start) * ratio);
+    const single = ticksToDuration(written);
+    const values = single ? [single] : splitTicks(written).map(duration => ({ duration, dots: 0 }));
+
+    let onset = start;
+    values.forEach((value, i) => {
+      const ticks = Flow.durationToTicks(value.duration) * (2 - Math.pow(0.5, value.dots));
+      events.push({
+        pitches: segment.keys,
+        keys: [],
+        onset,
+        ticks,
+        duration: value.duration,
+        dots: value.dots,
+        rest: segment.keys.length === 0,
+        tuplet,
+        continued: continued || i > 0,
+        tied: segment.keys.length > 0 && (tied || i < values.length - 1),
+      });
+      onset += ticks / ratio;
+    });
+  }
+
+  // Spell the pitches of every event with a key manager for the key of the
+  // measure. Accidentals last until the bar line, and aren't repeated on notes
+  // that continue a tie.
+  spellTrack(track, measures) {
+    const keyManagers = {};
+    const spelled = {};
+
+    track.measures.forEach(({ events }, m) => {
+      const { key } = measures[m];
+      if (!keyManagers[key]) keyManagers[key] = new KeyManager(key);
+      const keyManager = keyManagers[key].reset();
+
+      let names = NATURAL_NAMES;
+      const index = Math.max(MAJOR_KEYS.indexOf(key), MINOR_KEYS.indexOf(key));
+      if (index < 7) names = FLAT_NAMES;
+      if (index > 7) names = SHARP_NAMES;
+
+      events.forEach(event => {
+        if (event.rest) {
+          event.keys = [restKeyForClef(track.clef)];
+          event.accidentals = [];
+          return;
+        }
+
+        const spellings = event.pitches.map(pitch => {
+          if (event.continued && spelled[pitch]) return { key: spelled[pitch].key, accidental: null };
+          return spellPitch(keyManager, names, pitch);
+        });
+        event.keys = spellings.map(spelling => spelling.key);
+        event.accidentals = spellings.map(spelling => spelling.accidental);
+        event.pitches.forEach((pitch, i) => { spelled[pitch] = spellings[i]; });
+      });
+    });
+  }
+
+  // Import the MIDI file in `data`, creating all VexFlow objects through the
+  // factory. Returns the parsed song, the quantized score, the lines and
+  // systems of the layout, and the voices of every measure and track.
+  import(data) {
+    if (!this.factory) throw new X('MIDIImporter requires a factory');
+
+    const song = this.parse(data);
+    const score = this.quantize(song);
+    if (!score.tracks.length) throw new X('MIDI file has no notes');
+
+    const { x, y, width, spaceBetweenStaves } = this.options;
+    const layout = this.factory.ScoreLayout({ x, y, width, spaceBetweenStaves });
+    const pendingTies = score.tracks.map(() => ({}));
+
+    const voices = score.measures.map((measure, m) => {
+      const staves = score.tracks.map((track, t) => {
+        const voice = this.buildVoice(track.measures[m].events, measure, track.clef, pendingTies[t]);
+        return {
+          voices: [voice],
+          clef: m === 0 ? track.clef : undefined,
+          keySignature: measure.changes.key ? measure.key : undefined,
+          timeSignature: measure.changes.time ? measure.num + '/' + measure.den : undefined,
+        };
+      });
+
+      layout.addMeasure(staves);
+      return staves.map(stave => stave.voices[0]);
+    });
+
+    const lines = layout.format();
+    const systems = [].concat(...lines.map(line => line.systems));
+    if (score.tempo) systems[0].parts[0].stave.setTempo({ duration: '4', bpm: score.tempo }, -10);
+
+    return { song, score, lines, systems, voices };
+  }
+
+  buildVoice(events, measure, clef, pendingTie) {
+    const { factory } = this;
+    const notes = [];
+    const group = Beam.getDefaultBeamGroups(measure.num + '/' + measure.den)[0].value() * Flow.RESOLUTION;
+
+    events.forEach(event => {
+      const note = factory.StaveNote({
+        keys: event.keys,
+        duration: event.duration,
+        dots: event.dots,
+        type: event.rest ? 'r' : undefined,
+        clef,
+        auto_stem: true,
+        align_center: event.measureRest,
+      });
+
+      event.accidentals.forEach((type, i) => {
+        if (type) note.addAccidental(i, factory.Accidental({ type }));
+      });
+      for (let i = 0; i < event.dots; i++) note.addDotToAll();
+
+      if (pendingTie.note && event.continued) {
+        const indices = event.keys.map((key, i) => i);
+        factory.StaveTie({ from: pendingTie.note, to: note, first_indices: indices, last_indices: indices });
+      }
+      pendingTie.note = event.tied ? note : null;
+
+      // Notes shorter than a quarter are beamed within their beam group.
+      const beamable = !event.rest && event.ticks < Flow.durationToTicks('4');
+      const groupId = event.tuplet || Math.floor((event.onset - measure.start) / group);
+      notes.push({ note, beam: beamable ? groupId : null, tuplet: event.tuplet });
+    });
+
+    return buildGroupedVoice(factory, measure.num + '/' + measure.den, notes);
+  }
+}
@@ -120,6 +120,17 @@ export class Modifier extends Element {
   }
   getXShift() { return this.x_shift; }
 
+  toJSON() {
+    return { ...super.toJSON(), index: this.index, position: this.position };
+  }
+
+  // Restores the state written by `Modifier.toJSON` that the constructor
+  // doesn't take.
+  restoreFromJSON(json) {
+    if (json.position !== undefined && json.position !== this.position) this.setPosition(json.position);
+    return this;
+  }
+
   // Render the modifier onto the canvas.
   draw() {
     this.checkContext();
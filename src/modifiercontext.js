@@ -18,6 +18,7 @@ import { Articulation } from './articulation';
 import { Ornament } from './ornament';
 import { Annotation } from './annotation';
 import { ChordSymbol } from './chordsymbol';
+import { Lyric } from './lyric';
 import { Bend } from './bend';
 import { Vibrato } from './vibrato';
 
@@ -56,6 +57,7 @@ export class ModifierContext {
       Ornament,
       Annotation,
       ChordSymbol,
+      Lyric,
       Bend,
       Vibrato,
     ];
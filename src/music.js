@@ -275,9 +275,8 @@ export class Music {
       let multiplier = 1;
       if (interval > 0) multiplier = -1;
 
-      // Possibly wrap around. (Add +1 for modulo operator)
-      const reverse_interval = (((noteValue + 1) + (rootValue + 1)) %
-        Music.NUM_TONES) * multiplier;
+      // Possibly wrap around, e.g., from B to C.
+      const reverse_interval = interval + (multiplier * Music.NUM_TONES);
 
       if (Math.abs(reverse_interval) > 2) {
         throw new Vex.RERR('BadArguments', `Notes not related: ${root}, ${noteValue})`);
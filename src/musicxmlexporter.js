@@ -0,0 +1,419 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements an exporter that converts rendered (or just
+// formatted) VexFlow music into a partwise MusicXML document. The exporter
+// takes a list of measures, where each measure is a `System` (or any object
+// with a `parts` list of `{ stave, voices }`), and walks the staves and the
+// tickables of their voices. Beams and tuplets are found through the notes
+// they are attached to; ties are not referenced by notes, so they have to be
+// passed in.
+//
+// ```javascript
+// const xml = new Vex.Flow.MusicXMLExporter().export(systems, {
+//   parts: [{ name: 'Piano', staves: 2 }],
+//   ties,
+// });
+// ```
+
+import { Vex } from './vex';
+import { Flow } from './tables';
+import { Fraction } from './fraction';
+import { Barline } from './stavebarline';
+import { Clef } from './clef';
+import { KeySignature } from './keysignature';
+import { TimeSignature } from './timesignature';
+import { StaveModifier } from './stavemodifier';
+import { Stem } from './stem';
+import { Tuplet } from './tuplet';
+import { DURATIONS, ACCIDENTALS, CLEFS, MAJOR_KEYS, MINOR_KEYS } from './musicxmlimporter';
+
+// To enable logging for this class. Set `Vex.Flow.MusicXMLExporter.DEBUG` to `true`.
+function L(...args) { if (MusicXMLExporter.DEBUG) Vex.L('Vex.Flow.MusicXMLExporter', args); }
+
+export const X = Vex.MakeException('MusicXMLExporterError');
+
+function invert(table) {
+  const result = {};
+  Object.keys(table).forEach(key => {
+    if (result[table[key]] === undefined) result[table[key]] = key;
+  });
+  return result;
+}
+
+const TYPES = invert(DURATIONS);
+const ACCIDENTAL_NAMES = invert(ACCIDENTALS);
+const CLEF_SIGNS = invert(CLEFS);
+
+// Articulation codes that map onto `<articulations>` children.
+const ARTICULATIONS = {
+  'a.': 'staccato',
+  'av': 'staccatissimo',
+  'a>': 'accent',
+  'a-': 'tenuto',
+  'a^': 'strong-accent',
+};
+
+const FERMATAS = {
+  'a@': 'upright',
+  'a@a': 'upright',
+  'a@u': 'inverted',
+};
+
+const ALTERS = { '': 0, 'n': 0, '#': 1, '##': 2, 'b': -1, 'bb': -2 };
+
+// A minimal XML tree: `el('note', { default-x: 10 }, el('chord'), ...)`.
+function el(name, attrs, ...children) {
+  return { name, attrs: attrs || {}, children: children.filter(c => c !== null && c !== undefined) };
+}
+
+function escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function serialize(node, indent = '') {
+  const attrs = Object.keys(node.attrs)
+    .map(key => ' ' + key + '="' + escape(node.attrs[key]) + '"')
+    .join('');
+
+  if (!node.children.length) return indent + '<' + node.name + attrs + '/>';
+
+  if (node.children.every(c => typeof c !== 'object')) {
+    return indent + '<' + node.name + attrs + '>' + escape(node.children.join('')) + '</' + node.name + '>';
+  }
+
+  return [
+    indent + '<' + node.name + attrs + '>',
+    ...node.children.map(c => serialize(c, indent + '  ')),
+    indent + '</' + node.name + '>',
+  ].join('\n');
+}
+
+function getModifier(stave, category) {
+  return stave.getModifiers(StaveModifier.Position.BEGIN, category)[0] || null;
+}
+
+export class MusicXMLExporter {
+  constructor(options = {}) {
+    this.setOptions(options);
+  }
+
+  setOptions(options) {
+    this.options = {
+      title: null,
+      software: 'VexFlow',
+      ...options,
+    };
+    return this;
+  }
+
+  // Export `measures` to a MusicXML string. Each entry of `measures` holds the
+  // staves of every part for one measure, in order. `parts` groups consecutive
+  // staves into parts (e.g., `{ name: 'Piano', staves: 2 }`); by default every
+  // stave is its own part. `ties` is a list of `StaveTie`s to export.
+  export(measures, { parts, ties = [] } = {}) {
+    if (!measures.length) throw new X('No measures to export');
+
+    const numStaves = measures[0].parts.length;
+    parts = parts || measures[0].parts.map((part, i) => ({ name: 'Part ' + (i + 1), staves: 1 }));
+
+    if (parts.reduce((total, part) => total + part.staves, 0) !== numStaves) {
+      throw new X('Parts must cover all ' + numStaves + ' staves');
+    }
+
+    this.ties = this.indexTies(ties);
+    this.divisions = this.getDivisions(measures);
+    L('Exporting', measures.length, 'measures with divisions', this.divisions);
+
+    let firstStave = 0;
+    const partList = [];
+    const partElements = [];
+
+    parts.forEach((part, p) => {
+      const id = 'P' + (p + 1);
+      const staves = [firstStave, firstStave + part.staves];
+      partList.push(el('score-part', { id }, el('part-name', {}, part.name || '')));
+      partElements.push(el('part', { id }, ...measures.map((measure, m) =>
+        this.exportMeasure(measures, m, staves))));
+      firstStave += part.staves;
+    });
+
+    const score = el('score-partwise', { version: '3.1' },
+      this.options.title ? el('work', {}, el('work-title', {}, this.options.title)) : null,
+      el('identification', {}, el('encoding', {}, el('software', {}, this.options.software))),
+      el('part-list', {}, ...partList),
+      ...partElements
+    );
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" ' +
+        '"http://www.musicxml.org/dtds/partwise.dtd">',
+      serialize(score),
+    ].join('\n');
+  }
+
+  // Map each tied note to the key indices where ties start and stop.
+  indexTies(ties) {
+    const index = new Map();
+    const get = note => {
+      if (!index.has(note)) index.set(note, { start: [], stop: [] });
+      return index.get(note);
+    };
+
+    ties.forEach(tie => {
+      if (tie.first_note) get(tie.first_note).start.push(...tie.first_indices);
+      if (tie.last_note) get(tie.last_note).stop.push(...tie.last_indices);
+    });
+
+    return index;
+  }
+
+  // Find the smallest number of divisions per quarter note that expresses
+  // every tickable's duration as an integer.
+  getDivisions(measures) {
+    const quarter = Flow.RESOLUTION / 4;
+    let divisions = 1;
+
+    measures.forEach(measure => measure.parts.forEach(({ voices }) => voices.forEach(voice =>
+      voice.getTickables().forEach(tickable => {
+        if (tickable.shouldIgnoreTicks()) return;
+        const ticks = tickable.getTicks();
+        const value = new Fraction(ticks.numerator, ticks.denominator * quarter).simplify();
+        divisions = Fraction.LCM(divisions, value.denominator);
+      }))));
+
+    return divisions;
+  }
+
+  getDuration(tickable) {
+    const ticks = tickable.getTicks();
+    return Math.round(ticks.value() * this.divisions * 4 / Flow.RESOLUTION);
+  }
+
+  exportMeasure(measures, m, [firstStave, lastStave]) {
+    const measure = measures[m];
+    const previous = m > 0 ? measures[m - 1] : null;
+    const staves = measure.parts.slice(firstStave, lastStave);
+    const multiStaff = staves.length > 1;
+    const children = [];
+
+    const attributes = this.exportAttributes(
+      staves.map(part => part.stave),
+      previous ? previous.parts.slice(firstStave, lastStave).map(part => part.stave) : null,
+      staves[0].voices[0]
+    );
+    if (attributes) children.push(attributes);
+
+    const begBarline = this.exportBarline(staves[0].stave.getModifiers()[0], 'left');
+    if (begBarline) children.push(begBarline);
+
+    let voiceNumber = 0;
+    let lastDuration = 0;
+    staves.forEach(({ voices }, s) => voices.forEach(voice => {
+      if (voiceNumber > 0 && lastDuration > 0) {
+        children.push(el('backup', {}, el('duration', {}, lastDuration)));
+      }
+      voiceNumber++;
+      lastDuration = 0;
+
+      voice.getTickables().forEach(tickable => {
+        if (tickable.shouldIgnoreTicks()) return;
+        const duration = this.getDuration(tickable);
+        lastDuration += duration;
+
+        if (tickable.getAttribute('type') !== 'StaveNote') {
+          children.push(el('forward', {},
+            el('duration', {}, duration),
+            el('voice', {}, voiceNumber),
+            multiStaff ? el('staff', {}, s + 1) : null));
+          return;
+        }
+
+        children.push(...this.exportNote(tickable, duration, voiceNumber, multiStaff ? s + 1 : null));
+      });
+    }));
+
+    const endBarline = this.exportBarline(staves[0].stave.getModifiers()[1], 'right');
+    if (endBarline) children.push(endBarline);
+
+    return el('measure', { number: m + 1 }, ...children);
+  }
+
+  // Returns an `<attributes>` element for the clefs, key and time signatures
+  // that differ from the previous measure, or `null` if nothing changed.
+  exportAttributes(staves, previousStaves, firstVoice) {
+    const children = [];
+    const stave = staves[0];
+
+    if (!previousStaves) children.push(el('divisions', {}, this.divisions));
+
+    const keySignature = getModifier(stave, KeySignature.CATEGORY);
+    if (keySignature || !previousStaves) {
+      const spec = keySignature ? keySignature.keySpec : 'C';
+      const minor = MINOR_KEYS.indexOf(spec) !== -1;
+      const fifths = (minor ? MINOR_KEYS : MAJOR_KEYS).indexOf(spec) - 7;
+      if (fifths < -7) throw new X('Unsupported key signature: ' + spec);
+      children.push(el('key', {}, el('fifths', {}, fifths), el('mode', {}, minor ? 'minor' : 'major')));
+    }
+
+    const timeSignature = getModifier(stave, TimeSignature.CATEGORY);
+    if (timeSignature || !previousStaves) {
+      const spec = timeSignature ? timeSignature.getTimeSpec() : null;
+      const symbol = { 'C': 'common', 'C|': 'cut' }[spec];
+      const match = /^(\d+)\/(\d+)$/.exec(spec);
+      const { num_beats, beat_value } = firstVoice.time;
+      children.push(el('time', symbol ? { symbol } : {},
+        el('beats', {}, match ? match[1] : num_beats),
+        el('beat-type', {}, match ? match[2] : beat_value)));
+    }
+
+    if (!previousStaves && staves.length > 1) children.push(el('staves', {}, staves.length));
+
+    staves.forEach((stave, s) => {
+      const clef = getModifier(stave, Clef.CATEGORY);
+      if (!clef && previousStaves) return;
+
+      const type = clef ? clef.type : stave.clef;
+      const attrs = staves.length > 1 ? { number: s + 1 } : {};
+      if (type === 'percussion' || type === 'tab') {
+        children.push(el('clef', attrs, el('sign', {}, type === 'tab' ? 'TAB' : 'percussion')));
+      } else {
+        const sign = CLEF_SIGNS[type] || 'G2';
+        children.push(el('clef', attrs, el('sign', {}, sign.charAt(0)), el('line', {}, sign.charAt(1))));
+      }
+    });
+
+    return children.length ? el('attributes', {}, ...children) : null;
+  }
+
+  exportBarline(barline, location) {
+    const type = barline.getType();
+    const { SINGLE, DOUBLE, END, REPEAT_BEGIN, REPEAT_END, REPEAT_BOTH, NONE } = Barline.type;
+
+    if (type === SINGLE) return null;
+    if (location === 'left') {
+      if (type !== REPEAT_BEGIN && type !== REPEAT_BOTH) return null;
+      return el('barline', { location },
+        el('bar-style', {}, 'heavy-light'),
+        el('repeat', { direction: 'forward' }));
+    }
+
+    if (type === REPEAT_END || type === REPEAT_BOTH) {
+      return el('barline', { location },
+        el('bar-style', {}, 'light-heavy'),
+        el('repeat', { direction: 'backward' }));
+    }
+
+    const style = { [DOUBLE]: 'light-light', [END]: 'light-heavy', [NONE]: 'none' }[type];
+    return style ? el('barline', { location }, el('bar-style', {}, style)) : null;
+  }
+
+  // Export a `StaveNote` as one `<note>` element per key.
+  exportNote(note, duration, voice, staff) {
+    const type = TYPES[Flow.sanitizeDuration(note.getDuration())];
+    const modifiers = note.getModifiers();
+    const dotCount = modifiers.filter(modifier =>
+      modifier.getCategory() === 'dots' && modifier.getIndex() === 0).length;
+    const ties = this.ties.get(note) || { start: [], stop: [] };
+    const tuplet = note.getTuplet();
+    const beam = note.beam;
+    const keys = note.isRest() ? [null] : note.getKeys();
+
+    return keys.map((key, index) => {
+      const accidental = modifiers.find(modifier =>
+        modifier.getCategory() === 'accidentals' && modifier.getIndex() === index);
+      const tied = [];
+      const notations = [];
+
+      if (ties.stop.indexOf(index) !== -1) tied.push('stop');
+      if (ties.start.indexOf(index) !== -1) tied.push('start');
+      tied.forEach(tieType => notations.push(el('tied', { type: tieType })));
+
+      if (index === 0) notations.push(...this.exportNotations(note, modifiers, tuplet));
+
+      let pitch;
+      if (key === null) {
+        pitch = el('rest', note.isCenterAligned() && type === 'whole' ? { measure: 'yes' } : {});
+      } else {
+        // EasyScore keeps accidentals out of the keys, so fall back to the
+        // accidental modifier to find the altered pitch.
+        const [name, octave] = key.split('/');
+        const accidentalType = name.length > 1 ? name.slice(1).toLowerCase() : (accidental && accidental.type) || '';
+        const alter = ALTERS[accidentalType];
+        pitch = el('pitch', {},
+          el('step', {}, name.charAt(0).toUpperCase()),
+          alter ? el('alter', {}, alter) : null,
+          el('octave', {}, octave));
+      }
+
+      const dots = [];
+      for (let i = 0; i < dotCount; i++) dots.push(el('dot'));
+
+      return el('note', {},
+        index > 0 ? el('chord') : null,
+        pitch,
+        el('duration', {}, duration),
+        ...tied.map(tieType => el('tie', { type: tieType })),
+        el('voice', {}, voice),
+        type ? el('type', {}, type) : null,
+        ...dots,
+        accidental && ACCIDENTAL_NAMES[accidental.type]
+          ? el('accidental', accidental.cautionary ? { cautionary: 'yes' } : {}, ACCIDENTAL_NAMES[accidental.type])
+          : null,
+        tuplet
+          ? el('time-modification', {},
+            el('actual-notes', {}, tuplet.getNoteCount()),
+            el('normal-notes', {}, tuplet.getNotesOccupied()))
+          : null,
+        note.hasStem() && key !== null
+          ? el('stem', {}, note.getStemDirection() === Stem.UP ? 'up' : 'down')
+          : null,
+        staff ? el('staff', {}, staff) : null,
+        beam && index === 0 ? this.exportBeam(note, beam) : null,
+        notations.length ? el('notations', {}, ...notations) : null
+      );
+    });
+  }
+
+  exportBeam(note, beam) {
+    const notes = beam.getNotes();
+    const position = notes.indexOf(note);
+    let value = 'continue';
+    if (position === 0) value = 'begin';
+    if (position === notes.length - 1) value = 'end';
+    return el('beam', { number: 1 }, value);
+  }
+
+  // Tuplet brackets, articulations and fermatas of `note`.
+  exportNotations(note, modifiers, tuplet) {
+    const notations = [];
+
+    if (tuplet) {
+      const notes = tuplet.getNotes();
+      const attrs = {
+        bracket: tuplet.bracketed ? 'yes' : 'no',
+        placement: tuplet.location === Tuplet.LOCATION_BOTTOM ? 'below' : 'above',
+      };
+      if (notes[0] === note) notations.push(el('tuplet', { type: 'start', ...attrs }));
+      if (notes[notes.length - 1] === note) notations.push(el('tuplet', { type: 'stop' }));
+    }
+
+    const articulations = modifiers.filter(modifier => modifier.getCategory() === 'articulations');
+    const marks = articulations
+      .filter(articulation => ARTICULATIONS[articulation.type])
+      .map(articulation => el(ARTICULATIONS[articulation.type]));
+    if (marks.length) notations.push(el('articulations', {}, ...marks));
+
+    articulations
+      .filter(articulation => FERMATAS[articulation.type])
+      .forEach(articulation => notations.push(el('fermata', { type: FERMATAS[articulation.type] })));
+
+    return notations;
+  }
+}
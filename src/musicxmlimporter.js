@@ -0,0 +1,774 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements an importer for partwise MusicXML documents. The
+// document is first read into a plain model of parts, measures and note
+// events, which is then turned into VexFlow objects with a `Factory`. Each
+// measure becomes a `System` holding one stave per part staff, and the
+// systems are laid out left to right.
+//
+// Elements the importer doesn't understand are not silently dropped: they
+// are collected in the `unsupported` list of the result (or thrown, if
+// `throwOnUnsupported` is set.)
+//
+// ```javascript
+// const vf = new Vex.Flow.Factory({ renderer: { elementId: 'score' } });
+// const result = vf.MusicXMLImporter().import(xmlString);
+// vf.draw();
+// ```
+
+import { Vex } from './vex';
+import { Flow } from './tables';
+import { Music } from './music';
+import { Barline } from './stavebarline';
+import { Stem } from './stem';
+import { Tuplet } from './tuplet';
+import { Voice } from './voice';
+
+// To enable logging for this class. Set `Vex.Flow.MusicXMLImporter.DEBUG` to `true`.
+function L(...args) { if (MusicXMLImporter.DEBUG) Vex.L('Vex.Flow.MusicXMLImporter', args); }
+
+export const X = Vex.MakeException('MusicXMLImporterError');
+
+// MusicXML `<type>` values to VexFlow durations.
+export const DURATIONS = {
+  'breve': '1/2',
+  'whole': '1',
+  'half': '2',
+  'quarter': '4',
+  'eighth': '8',
+  '16th': '16',
+  '32nd': '32',
+  '64th': '64',
+  '128th': '128',
+  '256th': '256',
+};
+
+// MusicXML `<accidental>` values to VexFlow accidental codes.
+export const ACCIDENTALS = {
+  'sharp': '#',
+  'flat': 'b',
+  'natural': 'n',
+  'double-sharp': '##',
+  'sharp-sharp': '##',
+  'flat-flat': 'bb',
+  'quarter-flat': 'd',
+  'quarter-sharp': '+',
+  'three-quarters-flat': 'db',
+  'three-quarters-sharp': '++',
+};
+
+// `<clef>` sign and line to VexFlow clef names.
+export const CLEFS = {
+  'G2': 'treble',
+  'G1': 'french',
+  'F4': 'bass',
+  'F3': 'baritone-f',
+  'F5': 'subbass',
+  'C1': 'soprano',
+  'C2': 'mezzo-soprano',
+  'C3': 'alto',
+  'C4': 'tenor',
+  'C5': 'baritone-c',
+};
+
+// `<bar-style>` values to barline types.
+const BAR_STYLES = {
+  'regular': Barline.type.SINGLE,
+  'light-light': Barline.type.DOUBLE,
+  'light-heavy': Barline.type.END,
+  'none': Barline.type.NONE,
+};
+
+// Key signatures indexed by `<fifths>` + 7.
+export const MAJOR_KEYS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+export const MINOR_KEYS = ['Abm', 'Ebm', 'Bbm', 'Fm', 'Cm', 'Gm', 'Dm', 'Am', 'Em', 'Bm', 'F#m', 'C#m', 'G#m', 'D#m', 'A#m'];
+
+// Child elements of `<note>` and `<notations>` that are handled.
+const NOTE_ELEMENTS = [
+  'pitch', 'rest', 'unpitched', 'chord', 'duration', 'voice', 'type', 'dot', 'accidental',
+  'stem', 'staff', 'beam', 'tie', 'time-modification', 'notations',
+];
+const NOTATION_ELEMENTS = ['tied', 'tuplet'];
+
+function children(node, name) {
+  return Array.prototype.filter.call(node.childNodes, child =>
+    child.nodeType === 1 && (name === undefined || child.nodeName === name));
+}
+
+function child(node, name) {
+  return children(node, name)[0] || null;
+}
+
+function text(node, name, defaultValue = null) {
+  const element = name ? child(node, name) : node;
+  return element ? element.textContent.trim() : defaultValue;
+}
+
+function number(node, name, defaultValue) {
+  const value = text(node, name);
+  return value === null ? defaultValue : parseFloat(value);
+}
+
+// Converts a tick count into a `{ duration, dots }` pair, or `null` if
+// the ticks can't be expressed as a single (dotted) note.
+export function ticksToDuration(ticks) {
+  const durations = Flow.durationToTicks.durations;
+  const names = Object.keys(durations);
+  for (let i = 0; i < names.length; i++) {
+    const base = durations[names[i]];
+    let total = base;
+    for (let dots = 0; dots < 3; dots++) {
+      if (total === ticks) return { duration: names[i], dots };
+      total += base / Math.pow(2, dots + 1);
+    }
+  }
+  return null;
+}
+
+// Splits `ticks` into a list of undotted durations, longest first.
+export function splitTicks(ticks) {
+  const durations = Flow.durationToTicks.durations;
+  const names = Object.keys(durations).filter(name => name !== '1/2');
+  const result = [];
+  names.forEach(name => {
+    while (ticks >= durations[name]) {
+      result.push(name);
+      ticks -= durations[name];
+    }
+  });
+  return result;
+}
+
+// Returns the key that sits on the middle line of the stave for `clef`. This
+// is where rests are placed unless a display position is given.
+export function restKeyForClef(clef) {
+  const shift = Flow.clefProperties(clef).line_shift;
+  const index = (4 * 7) + Music.root_indices.b - (shift * 2);
+  return Music.roots[index % 7] + '/' + Math.floor(index / 7);
+}
+
+// Returns the runs of consecutive `notes` that share the same `key`, e.g.,
+// `beam`. Notes without one end the run.
+function runsOf(notes, key) {
+  const runs = [];
+  let run = null;
+  notes.forEach(entry => {
+    const id = entry[key];
+    const has = id !== null && id !== undefined;
+    if (has && run && run.id === id) {
+      run.notes.push(entry.note);
+    } else {
+      run = has ? { id, notes: [entry.note] } : null;
+      if (run) runs.push(run);
+    }
+  });
+  return runs;
+}
+
+// Builds a soft voice in `time` for the importers that find the beams and
+// tuplets of their notes as they read them. Each of `notes` is a `{ note,
+// beam, tuplet }`: runs of notes with the same `beam` are beamed, and runs
+// with the same `tuplet` (a `{ num_notes, notes_occupied }`) are made into
+// a tuplet.
+export function buildGroupedVoice(factory, time, notes) {
+  // Tuplets change the ticks of their notes, so they are built before the voice.
+  runsOf(notes, 'tuplet').forEach(run => {
+    const { num_notes, notes_occupied } = run.id;
+    factory.Tuplet({ notes: run.notes, options: { num_notes, notes_occupied } });
+  });
+
+  const voice = factory.Voice({ time })
+    .setMode(Voice.Mode.SOFT)
+    .addTickables(notes.map(entry => entry.note));
+  runsOf(notes, 'beam')
+    .filter(run => run.notes.length > 1)
+    .forEach(run => factory.Beam({ notes: run.notes, options: { autoStem: true } }));
+  return voice;
+}
+
+export class MusicXMLImporter {
+  constructor(options = {}) {
+    this.setOptions(options);
+  }
+
+  setOptions(options) {
+    this.options = {
+      factory: null,
+      x: 10,
+      y: 10,
+      measureWidth: 250,
+      spaceBetweenStaves: 12, // stave spaces
+      throwOnUnsupported: false,
+      ...options,
+    };
+
+    this.factory = this.options.factory;
+    return this;
+  }
+
+  // Records an element that could not be imported.
+  unsupported(element, location = {}) {
+    const entry = { element, ...location };
+    L('Unsupported element:', element, location.part, location.measure);
+    if (this.options.throwOnUnsupported) {
+      throw new X('Unsupported MusicXML element: ' + element, entry);
+    }
+    this.unsupportedElements.push(entry);
+  }
+
+  // Parse `xml` (a string or a DOM `Document`) into the plain score model.
+  parse(xml) {
+    let doc = xml;
+    if (typeof xml === 'string') {
+      doc = new window.DOMParser().parseFromString(xml, 'application/xml');
+    }
+
+    const root = doc && doc.documentElement;
+    if (!root || root.nodeName === 'parsererror' || root.getElementsByTagName('parsererror').length > 0) {
+      throw new X('Invalid MusicXML document', xml);
+    }
+
+    if (root.nodeName !== 'score-partwise') {
+      throw new X('Only partwise MusicXML is supported, got: ' + root.nodeName);
+    }
+
+    this.unsupportedElements = [];
+    const partNames = {};
+    const partList = child(root, 'part-list');
+    if (partList) {
+      children(partList, 'score-part').forEach(scorePart => {
+        partNames[scorePart.getAttribute('id')] = text(scorePart, 'part-name', '');
+      });
+    }
+
+    const parts = children(root, 'part').map(part => this.parsePart(part, partNames));
+    return { parts, unsupported: this.unsupportedElements };
+  }
+
+  parsePart(partNode, partNames) {
+    const id = partNode.getAttribute('id');
+    const part = { id, name: partNames[id] || '', staves: 1, measures: [] };
+    const state = {
+      divisions: 1,
+      clefs: {},
+      clefAnnotations: {},
+      key: 'C',
+      time: { spec: '4/4', beats: 4, beatType: 4 },
+    };
+
+    children(partNode, 'measure').forEach(measureNode => {
+      part.measures.push(this.parseMeasure(measureNode, part, state));
+    });
+
+    return part;
+  }
+
+  parseMeasure(measureNode, part, state) {
+    const location = { part: part.id, measure: measureNode.getAttribute('number') };
+    const measure = {
+      number: location.measure,
+      key: state.key,
+      time: state.time,
+      clefs: { ...state.clefs },
+      clefAnnotations: { ...state.clefAnnotations },
+      changes: { key: false, time: false, clefs: {} },
+      barlines: {},
+      staves: {},
+    };
+
+    const getStaff = (number) => {
+      if (!measure.staves[number]) measure.staves[number] = { voices: {}, pendingClef: null };
+      return measure.staves[number];
+    };
+
+    let cursor = 0;
+    let lastEvent = null;
+
+    children(measureNode).forEach(node => {
+      switch (node.nodeName) {
+        case 'attributes':
+          this.parseAttributes(node, part, state, location);
+          if (cursor === 0) {
+            if (measure.key !== state.key) measure.changes.key = true;
+            if (measure.time !== state.time) measure.changes.time = true;
+            Object.keys(state.clefs).forEach(staff => {
+              if (measure.clefs[staff] !== state.clefs[staff]) measure.changes.clefs[staff] = true;
+            });
+            measure.key = state.key;
+            measure.time = state.time;
+            measure.clefs = { ...state.clefs };
+            measure.clefAnnotations = { ...state.clefAnnotations };
+          } else {
+            // Clef changes inside a measure become clef notes before the next note.
+            Object.keys(state.clefs).forEach(staff => {
+              getStaff(staff).pendingClef = state.clefs[staff];
+            });
+          }
+          break;
+        case 'note': {
+          const event = this.parseNote(node, state, location);
+          if (!event) break;
+          if (event.chord && lastEvent) {
+            lastEvent.keys.push(...event.keys);
+            lastEvent.accidentals.push(...event.accidentals);
+            lastEvent.ties.push(...event.ties);
+            break;
+          }
+
+          const staff = getStaff(event.staff);
+          if (!staff.voices[event.voice]) staff.voices[event.voice] = { events: [], ticks: 0 };
+          const voice = staff.voices[event.voice];
+          const time = cursor * Flow.RESOLUTION / (4 * state.divisions);
+
+          // Pad voices that start late, e.g. after a `<forward>`.
+          if (time > voice.ticks) {
+            splitTicks(time - voice.ticks).forEach(duration => {
+              voice.events.push({ ghost: true, duration });
+            });
+          }
+
+          if (staff.pendingClef) {
+            voice.events.push({ clefChange: staff.pendingClef });
+            staff.pendingClef = null;
+          }
+
+          event.clef = state.clefs[event.staff] || 'treble';
+          if (!event.keys.length) event.keys.push(restKeyForClef(event.clef));
+          voice.events.push(event);
+          voice.ticks = time + event.ticks;
+          cursor += event.divisions;
+          lastEvent = event;
+          break;
+        }
+        case 'backup':
+          cursor -= number(node, 'duration', 0);
+          break;
+        case 'forward':
+          cursor += number(node, 'duration', 0);
+          break;
+        case 'barline':
+          this.parseBarline(node, measure, location);
+          break;
+        default:
+          this.unsupported(node.nodeName, location);
+      }
+    });
+
+    return measure;
+  }
+
+  parseAttributes(node, part, state, location) {
+    children(node).forEach(attribute => {
+      switch (attribute.nodeName) {
+        case 'divisions':
+          state.divisions = number(attribute, null, 1);
+          break;
+        case 'staves':
+          part.staves = number(attribute, null, 1);
+          break;
+        case 'key': {
+          const fifths = number(attribute, 'fifths', 0);
+          const keys = text(attribute, 'mode') === 'minor' ? MINOR_KEYS : MAJOR_KEYS;
+          if (keys[fifths + 7] === undefined) {
+            this.unsupported('key', location);
+          } else {
+            state.key = keys[fifths + 7];
+          }
+          break;
+        }
+        case 'time': {
+          const beats = number(attribute, 'beats', 4);
+          const beatType = number(attribute, 'beat-type', 4);
+          const symbols = { common: 'C', cut: 'C|' };
+          const spec = symbols[attribute.getAttribute('symbol')] || (beats + '/' + beatType);
+          state.time = { spec, beats, beatType };
+          break;
+        }
+        case 'clef': {
+          const staff = attribute.getAttribute('number') || '1';
+          const sign = text(attribute, 'sign', 'G');
+          const clef = sign === 'percussion' ? 'percussion' : CLEFS[sign + text(attribute, 'line', '')];
+          if (!clef) {
+            this.unsupported('clef', location);
+          } else {
+            const octaveChange = number(attribute, 'clef-octave-change', 0);
+            state.clefs[staff] = clef;
+            state.clefAnnotations[staff] = { 1: '8va', '-1': '8vb' }[octaveChange];
+          }
+          break;
+        }
+        default:
+          this.unsupported(attribute.nodeName, location);
+      }
+    });
+  }
+
+  parseBarline(node, measure, location) {
+    const position = node.getAttribute('location') || 'right';
+    const style = text(node, 'bar-style');
+    const repeat = child(node, 'repeat');
+
+    children(node).forEach(element => {
+      if (element.nodeName !== 'bar-style' && element.nodeName !== 'repeat') {
+        this.unsupported(element.nodeName, location);
+      }
+    });
+
+    if (repeat) {
+      measure.barlines[position] = repeat.getAttribute('direction') === 'forward'
+        ? Barline.type.REPEAT_BEGIN
+        : Barline.type.REPEAT_END;
+    } else if (style !== null) {
+      if (BAR_STYLES[style] === undefined) {
+        this.unsupported('bar-style', location);
+      } else {
+        measure.barlines[position] = BAR_STYLES[style];
+      }
+    }
+  }
+
+  // Read a `<note>` element into a note event. Returns `null` for notes
+  // that can't be represented (e.g., grace and cue notes.)
+  parseNote(node, state, location) {
+    children(node).forEach(element => {
+      if (NOTE_ELEMENTS.indexOf(element.nodeName) === -1) this.unsupported(element.nodeName, location);
+    });
+
+    if (child(node, 'grace') || child(node, 'cue')) return null;
+
+    const divisions = number(node, 'duration', 0);
+    const event = {
+      chord: child(node, 'chord') !== null,
+      rest: child(node, 'rest') !== null,
+      staff: text(node, 'staff', '1'),
+      voice: text(node, 'voice', '1'),
+      stem: text(node, 'stem'),
+      keys: [],
+      accidentals: [],
+      ties: [],
+      beam: null,
+      tuplets: [],
+      divisions,
+      ticks: divisions * Flow.RESOLUTION / (4 * state.divisions),
+      dots: children(node, 'dot').length,
+    };
+
+    const type = text(node, 'type');
+    if (type !== null) {
+      event.duration = DURATIONS[type];
+      if (!event.duration) {
+        this.unsupported('type', location);
+        return null;
+      }
+    } else {
+      // Whole measure rests, and notes without a `<type>`.
+      const timeModification = child(node, 'time-modification');
+      const ratio = timeModification
+        ? number(timeModification, 'actual-notes', 1) / number(timeModification, 'normal-notes', 1)
+        : 1;
+      const value = ticksToDuration(event.ticks * ratio);
+      const rest = child(node, 'rest');
+      if (rest && rest.getAttribute('measure') === 'yes') {
+        event.duration = '1';
+        event.measureRest = true;
+      } else if (value) {
+        event.duration = value.duration;
+        event.dots = value.dots;
+      } else {
+        this.unsupported('duration', location);
+        return null;
+      }
+    }
+
+    const pitch = child(node, 'pitch');
+    const display = child(node, 'rest') || child(node, 'unpitched');
+    if (pitch) {
+      const alter = number(pitch, 'alter', 0);
+      const accidental = { 1: '#', 2: '##', '-1': 'b', '-2': 'bb' }[alter] || '';
+      event.keys.push(text(pitch, 'step').toLowerCase() + accidental + '/' + number(pitch, 'octave', 4));
+    } else if (display && child(display, 'display-step')) {
+      event.keys.push(text(display, 'display-step').toLowerCase() + '/' + number(display, 'display-octave', 4));
+    }
+
+    const accidental = child(node, 'accidental');
+    if (accidental) {
+      const code = ACCIDENTALS[text(accidental)];
+      if (code) {
+        event.accidentals.push({
+          type: code,
+          cautionary: accidental.getAttribute('cautionary') === 'yes' ||
+            accidental.getAttribute('parentheses') === 'yes',
+        });
+      } else {
+        this.unsupported('accidental', location);
+        event.accidentals.push(null);
+      }
+    } else {
+      event.accidentals.push(null);
+    }
+
+    children(node, 'beam').forEach(beam => {
+      if ((beam.getAttribute('number') || '1') === '1') event.beam = text(beam);
+    });
+
+    const timeModification = child(node, 'time-modification');
+    if (timeModification) {
+      event.timeModification = {
+        actual: number(timeModification, 'actual-notes', 3),
+        normal: number(timeModification, 'normal-notes', 2),
+      };
+    }
+
+    const notations = child(node, 'notations');
+    const tied = notations ? children(notations, 'tied') : [];
+    (tied.length ? tied : children(node, 'tie')).forEach(tie => {
+      event.ties.push({ type: tie.getAttribute('type'), key: event.keys[0] });
+    });
+
+    if (notations) {
+      children(notations).forEach(notation => {
+        if (NOTATION_ELEMENTS.indexOf(notation.nodeName) === -1) {
+          this.unsupported(notation.nodeName, location);
+        }
+      });
+
+      children(notations, 'tuplet').forEach(tuplet => {
+        event.tuplets.push({
+          type: tuplet.getAttribute('type'),
+          number: tuplet.getAttribute('number') || '1',
+          bracket: tuplet.getAttribute('bracket'),
+          placement: tuplet.getAttribute('placement'),
+        });
+      });
+    }
+
+    return event;
+  }
+
+  // Import `xml` (a string or a DOM `Document`), creating all VexFlow objects
+  // through the factory. Returns the created systems, the staves and voices of
+  // every part, and the list of unsupported elements.
+  import(xml) {
+    if (!this.factory) throw new X('MusicXMLImporter requires a factory');
+
+    const score = this.parse(xml);
+    const numMeasures = Math.max(0, ...score.parts.map(part => part.measures.length));
+    const systems = [];
+    const pendingTies = {};
+    let x = this.options.x;
+
+    const parts = score.parts.map(part => ({
+      id: part.id,
+      name: part.name,
+      measures: [],
+    }));
+
+    for (let m = 0; m < numMeasures; m++) {
+      const system = this.buildMeasure(score, parts, m, x, pendingTies);
+      systems.push(system);
+      x += system.options.width;
+    }
+
+    return { systems, parts, unsupported: score.unsupported };
+  }
+
+  // Build the system for measure `m` of every part at horizontal position `x`.
+  buildMeasure(score, parts, m, x, pendingTies) {
+    const staves = [];
+    const measureVoices = [];
+
+    score.parts.forEach((part, p) => {
+      const measure = part.measures[m];
+      const builtMeasure = { staves: [], voices: [] };
+      parts[p].measures.push(builtMeasure);
+      if (!measure) return;
+
+      for (let s = 1; s <= part.staves; s++) {
+        const staff = String(s);
+        const stave = this.buildStave(measure, staff, m === 0);
+        const voices = this.buildVoices(measure, staff, stave, pendingTies, part.id);
+        builtMeasure.staves.push(stave);
+        builtMeasure.voices.push(voices);
+        staves.push(stave);
+        measureVoices.push(voices);
+      }
+    });
+
+    // Leave room for the clefs, key and time signatures at the start of the measure.
+    const modifierWidth = Math.max(0, ...staves.map(stave => stave.getNoteStartX() - stave.getX()));
+    const width = this.options.measureWidth + modifierWidth;
+
+    const system = this.factory.System({
+      x,
+      y: this.options.y,
+      width,
+      spaceBetweenStaves: this.options.spaceBetweenStaves,
+    });
+
+    staves.forEach((stave, i) => {
+      stave.setX(x);
+      stave.setWidth(width);
+      system.addStave({ stave, voices: measureVoices[i] });
+    });
+
+    if (staves.length > 1) {
+      if (m === 0) system.addConnector('singleLeft');
+      system.addConnector('singleRight');
+    }
+
+    if (m === 0) {
+      parts.forEach(part => {
+        const partStaves = part.measures[0].staves;
+        if (partStaves.length > 1) {
+          this.factory.StaveConnector({
+            top_stave: partStaves[0],
+            bottom_stave: partStaves[partStaves.length - 1],
+            type: 'brace',
+          });
+        }
+      });
+    }
+
+    return system;
+  }
+
+  buildStave(measure, staff, isFirst) {
+    const stave = this.factory.Stave({ x: 0, y: 0, width: this.options.measureWidth });
+    const clef = measure.clefs[staff] || 'treble';
+
+    if (isFirst || measure.changes.clefs[staff]) stave.addClef(clef, 'default', measure.clefAnnotations[staff]);
+    else stave.clef = clef;
+    if (isFirst || measure.changes.key) stave.addKeySignature(measure.key);
+    if (isFirst || measure.changes.time) stave.addTimeSignature(measure.time.spec);
+
+    if (measure.barlines.left !== undefined) stave.setBegBarType(measure.barlines.left);
+    if (measure.barlines.right !== undefined) stave.setEndBarType(measure.barlines.right);
+
+    return stave;
+  }
+
+  buildVoices(measure, staff, stave, pendingTies, partId) {
+    const { factory } = this;
+    const staffModel = measure.staves[staff];
+    const time = measure.time.beats + '/' + measure.time.beatType;
+
+    // Every stave needs at least one voice to be formatted with the system.
+    if (!staffModel || !Object.keys(staffModel.voices).length) {
+      return [factory.Voice({ time })
+        .setMode(Voice.Mode.SOFT)
+        .addTickables(splitTicks(Flow.durationToTicks('1') * measure.time.beats / measure.time.beatType)
+          .map(duration => factory.GhostNote({ duration })))];
+    }
+
+    return Object.keys(staffModel.voices).map(voiceId => {
+      const tickables = [];
+      const beams = [];
+      const openTuplets = {};
+      let beamNotes = null;
+
+      staffModel.voices[voiceId].events.forEach(event => {
+        if (event.ghost) {
+          tickables.push(factory.GhostNote({ duration: event.duration }));
+          return;
+        }
+
+        if (event.clefChange) {
+          tickables.push(factory.ClefNote({ type: event.clefChange, options: { size: 'small' } }));
+          return;
+        }
+
+        const note = factory.StaveNote({
+          keys: event.keys,
+          duration: event.duration,
+          dots: event.dots,
+          type: event.rest ? 'r' : undefined,
+          clef: event.clef,
+          auto_stem: event.stem === null,
+          align_center: event.measureRest,
+        });
+
+        if (event.stem === 'up') note.setStemDirection(Stem.UP);
+        if (event.stem === 'down') note.setStemDirection(Stem.DOWN);
+
+        event.accidentals.forEach((accidental, i) => {
+          if (!accidental) return;
+          const modifier = factory.Accidental({ type: accidental.type });
+          if (accidental.cautionary) modifier.setAsCautionary();
+          note.addAccidental(i, modifier);
+        });
+
+        for (let i = 0; i < event.dots; i++) note.addDotToAll();
+
+        this.buildTies(note, event, pendingTies, partId + ':' + staff);
+
+        // Beams are built from the primary beam level only. Stems of beamed notes
+        // without an explicit `<stem>` are set by the beam.
+        if (event.beam === 'begin') {
+          beamNotes = { notes: [note], autoStem: event.stem === null };
+        } else if (beamNotes && (event.beam === 'continue' || event.beam === 'end')) {
+          beamNotes.notes.push(note);
+          beamNotes.autoStem = beamNotes.autoStem && event.stem === null;
+          if (event.beam === 'end') {
+            beams.push(beamNotes);
+            beamNotes = null;
+          }
+        }
+
+        Object.keys(openTuplets).forEach(number => openTuplets[number].notes.push(note));
+        event.tuplets.forEach(tuplet => {
+          if (tuplet.type === 'start') {
+            openTuplets[tuplet.number] = { notes: [note], tuplet, timeModification: event.timeModification };
+          } else if (tuplet.type === 'stop' && openTuplets[tuplet.number]) {
+            this.buildTuplet(openTuplets[tuplet.number]);
+            delete openTuplets[tuplet.number];
+          }
+        });
+
+        tickables.push(note);
+      });
+
+      // Close tuplets that weren't stopped before the end of the measure.
+      Object.keys(openTuplets).forEach(number => this.buildTuplet(openTuplets[number]));
+
+      const voice = factory.Voice({ time }).setMode(Voice.Mode.SOFT).addTickables(tickables);
+      beams.forEach(({ notes, autoStem }) => factory.Beam({ notes, options: { autoStem } }));
+      return voice;
+    });
+  }
+
+  buildTuplet({ notes, tuplet, timeModification }) {
+    const options = {};
+    if (timeModification) {
+      options.num_notes = timeModification.actual;
+      options.notes_occupied = timeModification.normal;
+    }
+    if (tuplet.bracket) options.bracketed = tuplet.bracket === 'yes';
+    if (tuplet.placement === 'below') options.location = Tuplet.LOCATION_BOTTOM;
+
+    this.factory.Tuplet({ notes, options });
+  }
+
+  buildTies(note, event, pendingTies, staffId) {
+    event.keys.forEach((key, index) => {
+      const id = staffId + ':' + key;
+      const ties = event.ties.filter(tie => tie.key === key);
+
+      if (ties.some(tie => tie.type === 'stop') && pendingTies[id]) {
+        const from = pendingTies[id];
+        this.factory.StaveTie({
+          from: from.note,
+          to: note,
+          first_indices: [from.index],
+          last_indices: [index],
+        });
+        delete pendingTies[id];
+      }
+
+      if (ties.some(tie => tie.type === 'start')) {
+        pendingTies[id] = { note, index };
+      }
+    });
+  }
+}
@@ -215,6 +215,45 @@ export class Note extends Tickable {
     };
   }
 
+  // Returns the `noteStruct` fields written by `Note.toJSON`.
+  static structFromJSON(json) {
+    return {
+      duration: json.duration,
+      dots: json.dots,
+      type: json.noteType,
+      align_center: json.align_center,
+    };
+  }
+
+  toJSON() {
+    const intrinsicTicks = this.getIntrinsicTicks();
+    const { dots, ticks } = this.getDurationDots();
+
+    const json = {
+      ...super.toJSON(),
+      duration: this.duration,
+      dots,
+      noteType: this.noteType,
+      modifiers: this.modifiers.map(modifier => modifier.toJSON()),
+    };
+
+    if (ticks !== intrinsicTicks) json.ticks = intrinsicTicks;
+    if (this.align_center) json.align_center = true;
+    if (this.x_shift) json.x_shift = this.x_shift;
+    if (this.stave) json.stave = this.stave.getAttribute('id');
+    return json;
+  }
+
+  // Restores the state written by `Note.toJSON` that isn't part of the
+  // `noteStruct`.
+  restoreFromJSON(json, serializer) {
+    if (json.ticks) this.setIntrinsicTicks(json.ticks);
+    if (json.x_shift) this.setXShift(json.x_shift);
+    if (json.stave) this.setStave(serializer.getElement(json.stave));
+    json.modifiers.forEach(modifier => this.addModifier(serializer.fromJSON(modifier), modifier.index));
+    return this;
+  }
+
   // Get and set the play note, which is arbitrary data that can be used by an
   // audio player.
   getPlayNote() { return this.playNote; }
@@ -333,6 +372,22 @@ export class Note extends Tickable {
   getNoteType() { return this.noteType; }
   setBeam() { return this; } // ignore parameters
 
+  // Returns the number of dots in the duration of the note, and the ticks
+  // of the dotted duration. `addDot` counts the dots it draws without
+  // changing the duration, so the dots are found from the ticks instead.
+  getDurationDots() {
+    const intrinsicTicks = this.getIntrinsicTicks();
+    let ticks = Flow.durationToTicks(this.duration);
+    let dotTicks = ticks;
+    let dots = 0;
+    while (ticks < intrinsicTicks && dotTicks > 1) {
+      dotTicks /= 2;
+      ticks += dotTicks;
+      dots++;
+    }
+    return { dots, ticks };
+  }
+
   // Attach this note to a modifier context.
   setModifierContext(mc) { this.modifierContext = mc; return this; }
 
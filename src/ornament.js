@@ -15,6 +15,7 @@ import { Modifier } from './modifier';
 import { TickContext } from './tickcontext';
 import { StaveNote } from './stavenote';
 import { Glyph } from './glyph';
+import { X } from './easyscore';
 
 // To enable logging for this class. Set `Vex.Flow.Ornament.DEBUG` to `true`.
 function L(...args) { if (Ornament.DEBUG) Vex.L('Vex.Flow.Ornament', args); }
@@ -116,6 +117,22 @@ export class Ornament extends Modifier {
     return ['bend', 'plungerClosed', 'plungerOpen'];
   }
 
+  // Add ornaments from the EasyScore `ornaments` option, e.g.,
+  // `ornaments="tr, turn.#.b"`. The accidentals after the name are drawn
+  // above and below the ornament.
+  static easyScoreHook({ ornaments }, note, builder) {
+    if (!ornaments) return;
+
+    ornaments
+      .split(',')
+      .map(ornamentString => ornamentString.trim().split('.'))
+      .map(([type, upperAccidental, lowerAccidental]) => {
+        if (!Flow.ornamentCodes(type)) throw new X(`Unknown ornament: ${type}`);
+        return builder.getFactory().Ornament({ type, upperAccidental, lowerAccidental });
+      })
+      .map(ornament => note.addModifier(0, ornament));
+  }
+
   // ### getMetrics
   // legacy ornaments have hard-coded metrics.  If additional ornament types are
   // added, get their metrics here.
@@ -184,6 +201,28 @@ export class Ornament extends Modifier {
     }
   }
 
+  static fromJSON(json) {
+    const ornament = new Ornament(json.ornament).setDelayed(json.delayed);
+    if (json.accidentalUpper) ornament.setUpperAccidental(json.accidentalUpper);
+    if (json.accidentalLower) ornament.setLowerAccidental(json.accidentalLower);
+    return ornament.restoreFromJSON(json);
+  }
+
+  toJSON() {
+    const { accidentals } = Flow.accidentalCodes;
+    const accidentalType = glyph => (glyph
+      ? Object.keys(accidentals).find(type => accidentals[type].code === glyph.code)
+      : null);
+
+    return {
+      ...super.toJSON(),
+      ornament: this.type,
+      delayed: this.delayed,
+      accidentalUpper: accidentalType(this.accidentalUpper),
+      accidentalLower: accidentalType(this.accidentalLower),
+    };
+  }
+
   getCategory() { return Ornament.CATEGORY; }
 
   // Set whether the ornament is to be delayed
@@ -220,7 +259,7 @@ export class Ornament extends Modifier {
     const stave = this.note.getStave();
 
     const classString = Object.keys(this.getAttribute('classes')).join(' ');
-    this.context.openGroup(classString, this.getAttribute('id'));
+    this.setAttribute('el', this.context.openGroup(classString, this.getAttribute('id')));
 
     // Get stem extents
     const stemExtents = this.note.getStem().getExtents();
@@ -0,0 +1,273 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements a page layout, which stacks the lines of a
+// `ScoreLayout` onto pages. The first page starts with the title, subtitle
+// and credits (the lyricist on the left and the composer on the right), and
+// later pages with a running header. Lines are placed between the margins
+// until a page is full, and page numbers are drawn at the foot of every page
+// but the first. Text is measured with `TextFont` metrics.
+//
+// Every page is drawn into a rendering context of its own:
+//
+// ```javascript
+// const layout = vf.PageLayout({ title: 'Minuet', composer: 'J. S. Bach' });
+// measures.forEach(measure => layout.addMeasure(measure));
+// layout.format();
+// layout.draw(page => Vex.Flow.Renderer.getSVGContext('page' + page.number, page.width, page.height));
+// ```
+
+import { Vex } from './vex';
+import { Renderer } from './renderer';
+import { Stave } from './stave';
+import { TextFont } from './textfont';
+
+// To enable logging for this class. Set `Vex.Flow.PageLayout.DEBUG` to `true`.
+function L(...args) { if (PageLayout.DEBUG) Vex.L('Vex.Flow.PageLayout', args); }
+
+export const X = Vex.MakeException('PageLayoutError');
+
+// Returns the stave that `element` is drawn on, or `null` if it has none.
+function getStave(element) {
+  if (!element) return null;
+  if (element instanceof Stave) return element;
+  if (element.parts) return element.parts[0].stave;
+  if (element.stave) return element.stave;
+  if (element.top_stave) return element.top_stave;
+
+  const notes = element.notes || [];
+  return getStave(notes[0] || element.first_note || element.last_note || element.from || element.to || element.start);
+}
+
+// Returns the staves of the notes that a spanner, such as a tie or a pedal
+// marking, runs between. These can be on different pages.
+function getSpannedStaves(element) {
+  const notes = Array.isArray(element.notes)
+    ? element.notes
+    : [element.first_note || element.from || element.start, element.last_note || element.to || element.stop];
+  return notes.map(getStave).filter(stave => stave);
+}
+
+export class PageLayout {
+  constructor(options = {}) {
+    this.setOptions(options);
+    this.pages = [];
+  }
+
+  setOptions(options) {
+    this.options = {
+      factory: null,
+      width: 816, // US Letter at 96 pixels per inch
+      height: 1056,
+      ...options,
+      margins: { top: 60, right: 60, bottom: 60, left: 60, ...options.margins },
+      // Options for the `ScoreLayout`, e.g., `spaceBetweenSystems`.
+      layout: { ...options.layout },
+      title: options.title || '',
+      subtitle: options.subtitle || '',
+      composer: options.composer || '',
+      lyricist: options.lyricist || '',
+      // Text at the top of every page but the first.
+      header: options.header === undefined ? options.title || '' : options.header,
+      pageNumbers: options.pageNumbers !== false,
+      spaceAfterTitles: 30, // pixels between the credits and the first line
+      // Text is measured with the metrics of the first family that `TextFont`
+      // has registered, so the default is one that it has.
+      fonts: {
+        title: { family: 'Roboto Slab,Times', size: 24, weight: 'bold', style: '' },
+        subtitle: { family: 'Roboto Slab,Times', size: 16, weight: '', style: '' },
+        credits: { family: 'Roboto Slab,Times', size: 12, weight: '', style: '' },
+        header: { family: 'Roboto Slab,Times', size: 10, weight: '', style: 'italic' },
+        pageNumber: { family: 'Roboto Slab,Times', size: 10, weight: '', style: '' },
+        ...options.fonts,
+      },
+    };
+
+    this.factory = this.options.factory;
+    if (!this.factory) throw new X('PageLayout requires a factory');
+
+    const { width, margins, layout } = this.options;
+    this.scoreLayout = this.factory.ScoreLayout({
+      ...layout,
+      x: margins.left,
+      y: margins.top,
+      width: width - margins.left - margins.right,
+    });
+    return this;
+  }
+
+  getScoreLayout() { return this.scoreLayout; }
+
+  // Add a measure. See `ScoreLayout.addMeasure`.
+  addMeasure(staves) {
+    this.scoreLayout.addMeasure(staves);
+    return this;
+  }
+
+  // Returns the width and height (the height of a capital letter) of `text`.
+  measureText(text, font) {
+    const textFont = TextFont.getTextFontFromVexFontData(font).setFontSize(font.size);
+    const width = text.split('').reduce((total, c) => total + textFont.getWidthForCharacter(c), 0);
+    return { width, height: textFont.maxHeight };
+  }
+
+  // Add a line of text to `page`, with its baseline below `y`. `align` is
+  // `left`, `center` or `right`, within the margins. Returns the y position
+  // below the text.
+  addText(page, text, font, align, y) {
+    if (!text) return y;
+
+    const { width, margins } = this.options;
+    const metrics = this.measureText(text, font);
+    const left = margins.left;
+    const right = width - margins.right;
+    const x = {
+      left,
+      center: left + (right - left - metrics.width) / 2,
+      right: right - metrics.width,
+    }[align];
+
+    page.texts.push({ text, font, x, y: y + metrics.height, width: metrics.width });
+    return y + metrics.height * 1.5;
+  }
+
+  // Add the titles and credits, or the running header, to the top of
+  // `page`, and the page number to its foot. Returns the y position of the
+  // first line of music.
+  addTexts(page) {
+    const { title, subtitle, composer, lyricist, header, pageNumbers, fonts, margins, height } = this.options;
+    let y = margins.top;
+
+    if (page.number === 1) {
+      y = this.addText(page, title, fonts.title, 'center', y);
+      y = this.addText(page, subtitle, fonts.subtitle, 'center', y);
+      y = Math.max(
+        this.addText(page, lyricist, fonts.credits, 'left', y),
+        this.addText(page, composer, fonts.credits, 'right', y)
+      );
+      if (title || subtitle || lyricist || composer) y += this.options.spaceAfterTitles;
+    } else {
+      y = this.addText(page, header, fonts.header, 'center', y);
+      if (pageNumbers) this.addText(page, String(page.number), fonts.pageNumber, 'center', height - margins.bottom / 2);
+    }
+
+    return y;
+  }
+
+  // Break the measures into lines, and the lines into pages. Returns the
+  // pages, each with its `number`, `width`, `height`, `lines` (see
+  // `ScoreLayout.format`) and `texts`.
+  format() {
+    const { scoreLayout } = this;
+    const { width, height, margins } = this.options;
+    const lines = scoreLayout.breakLines(scoreLayout.measure());
+    const spaceBetweenSystems = scoreLayout.options.spaceBetweenSystems;
+
+    const newPage = () => {
+      const page = { number: this.pages.length + 1, width, height, lines: [], texts: [] };
+      this.pages.push(page);
+      page.top = this.addTexts(page);
+      return page;
+    };
+
+    this.pages = [];
+    let page = newPage();
+    let y = page.top;
+
+    lines.forEach((measures, l) => {
+      const line = scoreLayout.formatLine(measures, l === lines.length - 1, y);
+      const system = line.systems[0];
+      const lineHeight = scoreLayout.getLineHeight(system);
+      const previous = page.lines[page.lines.length - 1];
+      if (previous) {
+        y += scoreLayout.getLineGap(previous, line);
+        scoreLayout.moveLine(line, y);
+      }
+
+      // The space between systems below the last line doesn't need to fit.
+      const bottom = y + lineHeight - system.parts[0].stave.space(spaceBetweenSystems);
+      if (bottom > height - margins.bottom && page.lines.length) {
+        page = newPage();
+        y = page.top;
+        scoreLayout.moveLine(line, y);
+      }
+
+      L('Page', page.number, 'line', l, 'at', y);
+      page.lines.push(line);
+      y += lineHeight;
+    });
+
+    scoreLayout.lines = [].concat(...this.pages.map(p => p.lines));
+    return this.pages;
+  }
+
+  // Returns the number of the page that `element` is drawn on, or 1 if it
+  // isn't on a stave.
+  getPageNumber(element) {
+    const stave = getStave(element);
+    const page = this.pages.find(p => p.lines.some(line =>
+      line.systems.some(system => system.parts.some(part => part.stave === stave))));
+    return page ? page.number : 1;
+  }
+
+  // Returns the numbers of the pages that `element` is drawn on, which are
+  // more than one for spanners across a page break.
+  getPageNumbers(element) {
+    const numbers = [this.getPageNumber(element)];
+    getSpannedStaves(element).forEach(stave => {
+      const number = this.getPageNumber(stave);
+      if (numbers.indexOf(number) === -1) numbers.push(number);
+    });
+    return numbers;
+  }
+
+  // Draw every page into its own context. `createContext(page)` returns the
+  // context for a page; it defaults to an `SVGStringContext` the size of the
+  // page. The contexts are kept in `page.context`. Spanners across a page
+  // break are drawn on each page, with only their parts on that page.
+  draw(createContext = page => Renderer.getSVGStringContext(page.width, page.height)) {
+    if (!this.pages.length) this.format();
+
+    const { factory } = this;
+    const previousContext = factory.getContext();
+    const onPage = (page, elements) => elements.filter(element => this.getPageNumber(element) === page.number);
+    const drawOnPage = (page, element) => {
+      const numbers = this.getPageNumbers(element);
+      if (numbers.indexOf(page.number) === -1) return;
+      if (numbers.length === 1) {
+        if (!element.isRendered()) element.setContext(page.context).draw();
+        return;
+      }
+      element.setContext(page.context).draw(stave => this.getPageNumber(stave) === page.number);
+    };
+
+    this.pages.forEach(page => {
+      const context = createContext(page);
+      page.context = context;
+      factory.setContext(context);
+
+      page.texts.forEach(({ text, font, x, y }) => {
+        context.save();
+        // The contexts take the style (e.g., `italic`) along with the weight.
+        context.setFont(font.family, font.size, [font.style, font.weight].filter(w => w).join(' '));
+        context.fillText(text, x, y);
+        context.restore();
+      });
+
+      const systems = onPage(page, factory.systems);
+      systems.forEach(system => {
+        system.setContext(context);
+        if (!system.isFormatted()) system.format();
+      });
+      onPage(page, factory.staves).forEach(stave => stave.setContext(context).draw());
+      onPage(page, factory.voices).forEach(voice => voice.setContext(context).draw());
+      factory.renderQ.forEach(element => drawOnPage(page, element));
+      systems.forEach(system => system.setContext(context).draw());
+    });
+
+    factory.setContext(previousContext);
+    factory.reset();
+    return this.pages;
+  }
+}
@@ -30,17 +30,79 @@ export class Parser {
   }
 
   // Parse `line` using current grammar. Returns {success: true} if the
-  // line parsed correctly, otherwise returns `{success: false, errorPos: N}`
-  // where `errorPos` is the location of the error in the string.
+  // line parsed correctly, otherwise returns `{success: false, errorPos: N,
+  // error}` where `errorPos` is the location of the error in the string, and
+  // `error` describes the furthest point the parser reached (see `getError`.)
   parse(line) {
     this.line = line;
     this.pos = 0;
     this.errorPos = -1;
+    this.rules = [];
+    this.furthest = { pos: -1, expected: [], rules: [] };
     const results = this.expect(this.grammar.begin());
     results.errorPos = this.errorPos;
+    if (!results.success) results.error = this.getError();
     return results;
   }
 
+  // Records a token that didn't match. Only the tokens tried at the furthest
+  // position are kept, as that's where the line stops making sense.
+  tokenFail(rule, name) {
+    if (this.pos > this.furthest.pos) this.furthest = { pos: this.pos, expected: [], rules: [] };
+    if (this.pos < this.furthest.pos) return;
+
+    const description = rule.description || name;
+    const parent = this.rules[this.rules.length - 1];
+    if (this.furthest.expected.indexOf(description) === -1) this.furthest.expected.push(description);
+    if (parent && this.furthest.rules.indexOf(parent) === -1) this.furthest.rules.push(parent);
+  }
+
+  // Returns the name of a grammar rule. Rules assigned to the grammar at
+  // runtime are anonymous, so they're looked up by key.
+  ruleName(rules) {
+    return rules.name || Object.keys(this.grammar).find(key => this.grammar[key] === rules) || '';
+  }
+
+  // Returns `{ pos, rule, rules, expected, found, message }` for the last
+  // failed parse: the character offset where it failed, the grammar rules
+  // being matched there (`rule` is the innermost one, e.g., `SINGLENOTE`),
+  // the descriptions of the tokens that were expected, what was found
+  // instead, and a message with a caret under the offending character, e.g.:
+  //
+  //     Unexpected "x" at position 5 in SINGLENOTE: expected an accidental or an octave
+  //     c4, dx4
+  //          ^
+  getError() {
+    const { expected, rules } = this.furthest;
+    const pos = Math.max(this.furthest.pos, 0);
+    const found = pos < this.line.length ? `"${this.line[pos]}"` : 'end of line';
+    const rule = rules[rules.length - 1];
+
+    const list = expected.length > 1
+      ? expected.slice(0, -1).join(', ') + ' or ' + expected[expected.length - 1]
+      : expected.join('');
+    const message = `Unexpected ${found} at position ${pos}` +
+      (rule ? ` in ${rule}` : '') +
+      (list ? `: expected ${list}` : '') +
+      `\n${this.line}\n${' '.repeat(pos)}^`;
+
+    return { pos, rule, rules: rules.slice(), expected: expected.slice(), found, message };
+  }
+
+  // Returns an error like `getError` for `error`, which was thrown by the
+  // `run` trigger of a rule (e.g., a builder that can't close a group), at
+  // the position the parser had reached. The thrown error is kept in `cause`.
+  getRunError(error) {
+    const pos = this.pos;
+    const found = pos < this.line.length ? `"${this.line[pos]}"` : 'end of line';
+    const rule = this.rules[this.rules.length - 1];
+    const message = `${error.message} at position ${pos}` +
+      (rule ? ` in ${rule}` : '') +
+      `\n${this.line}\n${' '.repeat(pos)}^`;
+
+    return { pos, rule, rules: this.rules.slice(), expected: [], found, message, cause: error };
+  }
+
   matchFail(returnPos) {
     if (this.errorPos === -1) this.errorPos = this.pos;
     this.pos = returnPos;
@@ -162,8 +224,11 @@ export class Parser {
         // Token match! Update position and throw away parsed portion
         // of string.
         this.pos += result.incrementPos;
+      } else {
+        this.tokenFail(rule, this.ruleName(rules));
       }
     } else if (rule.expect) {
+      this.rules.push(this.ruleName(rules));
       if (rule.oneOrMore) {
         result = this.expectOneOrMore(rule);
       } else if (rule.zeroOrMore) {
@@ -171,6 +236,7 @@ export class Parser {
       } else {
         result = this.expectOne(rule);
       }
+      this.rules.pop();
     } else {
       throw new X('Bad grammar! No `token` or `expect` property', rule);
     }
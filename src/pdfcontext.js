@@ -0,0 +1,589 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements a rendering context that produces a PDF document,
+// without a DOM or any external library. It implements the same drawing
+// interface as `SVGContext` and `CanvasContext`, and can be used with the
+// `Renderer.Backends.PDF` backend.
+//
+// Each page is drawn in its own coordinate space, with the origin at the top
+// left and one unit per point. Call `addPage()` to continue on a new page, and
+// `toPDF()` to get the document:
+//
+// ```javascript
+// const context = Vex.Flow.Renderer.getPDFContext(612, 792);
+// stave1.setContext(context).draw();
+// context.addPage();
+// stave2.setContext(context).draw();
+// const blob = new Blob([context.toPDF()], { type: 'application/pdf' });
+// ```
+//
+// Text is set in the standard PDF fonts (Helvetica, Times and Courier), which
+// every reader provides, and is measured with the `TextFont` metrics tables.
+// Groups become marked-content sequences tagged with their class and id.
+
+import { Vex } from './vex';
+import { TextFont } from './textfont';
+
+const TAU = Math.PI * 2;
+
+// As in `SVGContext`, font sizes are in points, which are 4/3 of a drawing
+// unit.
+const PIXELS_PER_POINT = 4 / 3;
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  orange: [255, 165, 0],
+  purple: [128, 0, 128],
+  brown: [165, 42, 42],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  silver: [192, 192, 192],
+};
+
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+
+// Format a number for a content stream: PDF does not allow exponents.
+function num(value) {
+  return String(+Number(value).toFixed(3));
+}
+
+// Parse a CSS color into `{ rgb: [r, g, b], alpha }`, with components from 0
+// to 1. Returns `null` for `none` and `transparent`.
+function parseColor(style) {
+  const color = String(style).trim().toLowerCase();
+  if (color === 'none' || color === 'transparent') return null;
+
+  let rgb = NAMED_COLORS[color];
+  let alpha = 1;
+
+  const hex = /^#([0-9a-f]{3,8})$/.exec(color);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split('').map(d => d + d).join('');
+    rgb = [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16));
+    if (digits.length === 8) alpha = parseInt(digits.substr(6, 2), 16) / 255;
+  }
+
+  const functional = /^rgba?\(([^)]*)\)$/.exec(color);
+  if (functional) {
+    const values = functional[1].split(',').map(value => parseFloat(value));
+    rgb = values.slice(0, 3);
+    if (values.length > 3) alpha = values[3];
+  }
+
+  if (!rgb) {
+    Vex.W('PDFContext: unknown color, using black:', style);
+    rgb = NAMED_COLORS.black;
+  }
+
+  return { rgb: rgb.map(c => c / 255), alpha };
+}
+
+// Get the standard PDF font closest to `font`.
+function getBaseFont({ family, weight, style }) {
+  const name = String(family).split(',')[0].trim().toLowerCase();
+  const bold = weight === 'bold' || Number(weight) >= 600;
+  const italic = style === 'italic';
+
+  let base = 'Helvetica';
+  if (/courier|mono/.test(name)) base = 'Courier';
+  else if (/times|georgia|garamond|^serif/.test(name)) base = 'Times';
+
+  if (base === 'Times') {
+    if (bold && italic) return 'Times-BoldItalic';
+    if (bold) return 'Times-Bold';
+    if (italic) return 'Times-Italic';
+    return 'Times-Roman';
+  }
+
+  if (!bold && !italic) return base;
+  return base + '-' + (bold ? 'Bold' : '') + (italic ? 'Oblique' : '');
+}
+
+// Escape `text` as a PDF string in `WinAnsiEncoding`. Characters outside of
+// Latin-1 are replaced by `?`.
+function pdfString(text) {
+  return '(' + String(text).split('').map(c => {
+    const code = c.charCodeAt(0);
+    if (c === '(' || c === ')' || c === '\\') return '\\' + c;
+    if (code >= 32 && code < 127) return c;
+    if (code >= 160 && code < 256) return '\\' + code.toString(8);
+    return '?';
+  }).join('') + ')';
+}
+
+export class PDFContext {
+  // US Letter, in points.
+  static get WIDTH() { return 612; }
+  static get HEIGHT() { return 792; }
+
+  constructor(width = PDFContext.WIDTH, height = PDFContext.HEIGHT) {
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+    this.fonts = {}; // base font name => resource name
+    this.opacities = {}; // opacity entry => graphics state resource name
+
+    this.path = [];
+    this.pen = { x: NaN, y: NaN };
+    this.groups = [];
+
+    this.state = {
+      scale: { x: 1, y: 1 },
+      fill: 'black',
+      stroke: 'black',
+      lineWidth: 1,
+      lineDash: [],
+      lineCap: 'butt',
+      font: { family: 'Arial', size: 10, weight: 'normal', style: 'normal' },
+      shadow: { color: 'black', width: 0 },
+    };
+    this.background = 'white';
+    this.state_stack = [];
+
+    this.addPage();
+  }
+
+  // ### Pages:
+
+  // Start a new page, which becomes the current page. The page has the size
+  // of the previous page, unless `width` and `height` are given.
+  addPage(width = this.width, height = this.height) {
+    this.width = width;
+    this.height = height;
+    this.page = { width, height, scale: { ...this.state.scale }, content: [] };
+    this.pages.push(this.page);
+    this.beginPath();
+    return this;
+  }
+
+  getPageCount() { return this.pages.length; }
+
+  // Remove everything drawn on the current page.
+  clear() {
+    this.page.content = [];
+    this.groups = [];
+  }
+
+  // Add operators to the content stream of the current page.
+  write(...operators) {
+    this.page.content.push(operators.join(' '));
+    return this;
+  }
+
+  // ### Groups:
+
+  // Groups are marked-content sequences, so they can be found in the content
+  // streams. They have no effect on the rendering.
+  openGroup(cls, id) {
+    const group = { cls, id, page: this.page };
+    const properties = [];
+    if (cls) properties.push('/Class ' + pdfString(Vex.Prefix(cls)));
+    if (id) properties.push('/ID ' + pdfString(Vex.Prefix(id)));
+
+    this.groups.push(group);
+    this.write('/VexFlow <<', ...properties, '>> BDC');
+    return group;
+  }
+
+  closeGroup() {
+    const group = this.groups.pop();
+    if (group && group.page === this.page) this.write('EMC');
+  }
+
+  add() {}
+
+  // ### Styling & State Methods:
+
+  setFont(family, size, weight) {
+    // Like in `SVGContext`, italics can be given in the weight.
+    let style = 'normal';
+    if (typeof weight === 'string') {
+      if (weight.indexOf('italic') !== -1) style = 'italic';
+      weight = weight.indexOf('bold') !== -1 ? 'bold' : weight.replace(/italic| /g, '');
+    }
+
+    this.state.font = { family, size: Number(size), weight: weight || 'normal', style };
+    return this;
+  }
+
+  // Set the font from a CSS font string, e.g., `bold 10pt Arial`.
+  setRawFont(font) {
+    const parsed = { family: [], size: this.state.font.size, weight: 'normal', style: 'normal' };
+    font.trim().split(/\s+/).forEach(token => {
+      const size = /^([\d.]+)(pt|px)$/.exec(token);
+      if (size) {
+        parsed.size = parseFloat(size[1]) / (size[2] === 'px' ? PIXELS_PER_POINT : 1);
+      } else if (token === 'bold' || token === 'italic') {
+        parsed[token === 'bold' ? 'weight' : 'style'] = token;
+      } else {
+        parsed.family.push(token);
+      }
+    });
+
+    this.state.font = { ...parsed, family: parsed.family.join(' ') || this.state.font.family };
+    return this;
+  }
+
+  setFillStyle(style) {
+    this.state.fill = style;
+    return this;
+  }
+
+  setBackgroundFillStyle(style) {
+    this.background = style;
+    return this;
+  }
+
+  setStrokeStyle(style) {
+    this.state.stroke = style;
+    return this;
+  }
+
+  setShadowColor(style) {
+    this.state.shadow.color = style;
+    return this;
+  }
+
+  setShadowBlur(blur) {
+    this.state.shadow.width = blur;
+    return this;
+  }
+
+  setLineWidth(width) {
+    this.state.lineWidth = width;
+    return this;
+  }
+
+  // @param array {lineDash} as [dashInt, spaceInt, dashInt, spaceInt, etc...]
+  setLineDash(lineDash) {
+    if (!Array.isArray(lineDash)) {
+      throw new Vex.RERR('ArgumentError', 'lineDash must be an array of integers.');
+    }
+
+    this.state.lineDash = lineDash;
+    return this;
+  }
+
+  setLineCap(lineCap) {
+    this.state.lineCap = lineCap;
+    return this;
+  }
+
+  // ### Sizing & Scaling Methods:
+
+  // Resize the current page, and the pages added after it.
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.page.width = width;
+    this.page.height = height;
+    return this;
+  }
+
+  // Scale the drawing of the current page, and of the pages added after it.
+  scale(x, y) {
+    this.state.scale = { x, y };
+    this.page.scale = { x, y };
+    return this;
+  }
+
+  // ### Drawing helper methods:
+
+  // Get the name of the graphics state resource for an opacity entry, e.g.,
+  // `ca 0.5` for fills or `CA 0.5` for strokes.
+  getOpacity(key) {
+    if (!this.opacities[key]) {
+      this.opacities[key] = 'GS' + (Object.keys(this.opacities).length + 1);
+    }
+
+    return this.opacities[key];
+  }
+
+  // Get the name of the font resource for `baseFont`.
+  getFontResource(baseFont) {
+    if (!this.fonts[baseFont]) {
+      this.fonts[baseFont] = 'F' + (Object.keys(this.fonts).length + 1);
+    }
+
+    return this.fonts[baseFont];
+  }
+
+  // Get the operators that set the fill (`rg`) or stroke (`RG`) color, or
+  // `null` if nothing should be painted.
+  getColorOperators(style, operator, opacity = 1) {
+    const color = parseColor(style);
+    if (!color || color.alpha * opacity === 0) return null;
+
+    const operators = [...color.rgb.map(num), operator];
+    if (color.alpha * opacity < 1) {
+      const alpha = operator === 'rg' ? 'ca' : 'CA';
+      operators.unshift('/' + this.getOpacity(`${alpha} ${num(color.alpha * opacity)}`), 'gs');
+    }
+
+    return operators;
+  }
+
+  getStrokeOperators(style, lineWidth, opacity) {
+    const color = this.getColorOperators(style, 'RG', opacity);
+    if (!color) return null;
+
+    const { lineDash, lineCap } = this.state;
+    return [
+      ...color,
+      num(lineWidth), 'w',
+      '[' + lineDash.map(num).join(' ') + ']', '0', 'd',
+      LINE_CAPS[lineCap] || 0, 'J',
+    ];
+  }
+
+  // Paint the current path with the style operators, in its own graphics
+  // state so that styles don't leak between shapes.
+  paint(styleOperators, paintOperator) {
+    if (!styleOperators || this.path.length === 0) return this;
+    return this.write('q', ...styleOperators, ...this.path, paintOperator, 'Q');
+  }
+
+  // ### Shape & Path Methods:
+
+  rect(x, y, width, height, attributes) {
+    if (height < 0) {
+      y += height;
+      height *= -1;
+    }
+
+    const { fill = 'none', stroke = 'black', 'stroke-width': lineWidth = this.state.lineWidth } = attributes || {};
+    const rectangle = [num(x), num(y), num(width), num(height), 're'];
+    const fillOperators = this.getColorOperators(fill, 'rg');
+    const strokeOperators = this.getStrokeOperators(stroke, lineWidth);
+
+    if (fillOperators) this.write('q', ...fillOperators, ...rectangle, 'f', 'Q');
+    if (strokeOperators && lineWidth > 0) this.write('q', ...strokeOperators, ...rectangle, 'S', 'Q');
+    return this;
+  }
+
+  fillRect(x, y, width, height) {
+    return this.rect(x, y, width, height, { fill: this.state.fill, stroke: 'none' });
+  }
+
+  // Like `SVGContext`, this paints a rectangle in the background color.
+  clearRect(x, y, width, height) {
+    return this.rect(x, y, width, height, { fill: this.background, stroke: 'none' });
+  }
+
+  beginPath() {
+    this.path = [];
+    this.pen.x = NaN;
+    this.pen.y = NaN;
+    return this;
+  }
+
+  moveTo(x, y) {
+    this.path.push(num(x), num(y), 'm');
+    this.pen.x = x;
+    this.pen.y = y;
+    return this;
+  }
+
+  lineTo(x, y) {
+    if (isNaN(this.pen.x)) return this.moveTo(x, y);
+
+    this.path.push(num(x), num(y), 'l');
+    this.pen.x = x;
+    this.pen.y = y;
+    return this;
+  }
+
+  bezierCurveTo(x1, y1, x2, y2, x, y) {
+    if (isNaN(this.pen.x)) this.moveTo(x1, y1);
+
+    this.path.push(num(x1), num(y1), num(x2), num(y2), num(x), num(y), 'c');
+    this.pen.x = x;
+    this.pen.y = y;
+    return this;
+  }
+
+  // PDF has no quadratic curves, so they are raised to cubic ones.
+  quadraticCurveTo(x1, y1, x, y) {
+    if (isNaN(this.pen.x)) this.moveTo(x1, y1);
+
+    const { x: x0, y: y0 } = this.pen;
+    return this.bezierCurveTo(
+      x0 + ((2 / 3) * (x1 - x0)), y0 + ((2 / 3) * (y1 - y0)),
+      x + ((2 / 3) * (x1 - x)), y + ((2 / 3) * (y1 - y)),
+      x, y
+    );
+  }
+
+  // Add an arc like the canvas `arc` method: the arc is joined to the current
+  // point with a line, and approximated with one bezier per quarter turn.
+  arc(x, y, radius, startAngle, endAngle, antiClockwise) {
+    let sweep = antiClockwise ? startAngle - endAngle : endAngle - startAngle;
+    if (sweep >= TAU) {
+      sweep = TAU;
+    } else {
+      sweep %= TAU;
+      if (sweep < 0) sweep += TAU;
+    }
+    if (antiClockwise) sweep = -sweep;
+
+    const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+    const delta = sweep / segments;
+    const k = (4 / 3) * Math.tan(delta / 4);
+
+    this.lineTo(x + (radius * Math.cos(startAngle)), y + (radius * Math.sin(startAngle)));
+    for (let i = 0; i < segments; i++) {
+      const a0 = startAngle + (i * delta);
+      const a1 = a0 + delta;
+      this.bezierCurveTo(
+        x + (radius * (Math.cos(a0) - (k * Math.sin(a0)))), y + (radius * (Math.sin(a0) + (k * Math.cos(a0)))),
+        x + (radius * (Math.cos(a1) + (k * Math.sin(a1)))), y + (radius * (Math.sin(a1) - (k * Math.cos(a1)))),
+        x + (radius * Math.cos(a1)), y + (radius * Math.sin(a1))
+      );
+    }
+
+    return this;
+  }
+
+  closePath() {
+    this.path.push('h');
+    return this;
+  }
+
+  // Adapted from `SVGContext.glow()`: PDF has no blur, so the shadow is drawn
+  // as faint strokes of increasing width.
+  glow() {
+    const { color, width } = this.state.shadow;
+    if (width > 0) {
+      const num_paths = width / 2;
+      for (let i = 1; i <= num_paths; i++) {
+        const lineWidth = (width * 0.4) / num_paths * i;
+        const stroke = this.getStrokeOperators(color, lineWidth, 0.3 / num_paths);
+        this.paint(stroke && [...stroke, '1', 'j'], 'S');
+      }
+    }
+
+    return this;
+  }
+
+  fill(attributes) {
+    this.glow();
+
+    const { fill = this.state.fill } = attributes || {};
+    return this.paint(this.getColorOperators(fill, 'rg'), 'f');
+  }
+
+  stroke() {
+    this.glow();
+    return this.paint(this.getStrokeOperators(this.state.stroke, this.state.lineWidth), 'S');
+  }
+
+  // ### Text Methods:
+
+  // Get the `TextFont` with the metrics of the current font.
+  getTextFont() {
+    return TextFont.getTextFontFromVexFontData(this.state.font).setFontSize(this.state.font.size);
+  }
+
+  // Measure `text` from the font metrics. The box is relative to the baseline,
+  // like the box of an SVG `text` element.
+  measureText(text) {
+    const textFont = this.getTextFont();
+    const width = String(text).split('').reduce((total, c) => total + textFont.getWidthForCharacter(c), 0);
+    const height = textFont.maxHeight;
+
+    return { x: 0, y: -height, width, height };
+  }
+
+  fillText(text, x, y) {
+    if (!text || text.length <= 0) return;
+
+    const color = this.getColorOperators(this.state.fill, 'rg');
+    if (!color) return;
+
+    // Pages are drawn upside down (see `toPDF()`), so the text is flipped back.
+    const font = this.getFontResource(getBaseFont(this.state.font));
+    this.write(
+      'q', ...color, 'BT',
+      '/' + font, num(this.state.font.size * PIXELS_PER_POINT), 'Tf',
+      '1 0 0 -1', num(x), num(y), 'Tm',
+      pdfString(text), 'Tj',
+      'ET', 'Q'
+    );
+  }
+
+  save() {
+    this.state_stack.push({
+      ...this.state,
+      font: { ...this.state.font },
+      shadow: { ...this.state.shadow },
+    });
+    return this;
+  }
+
+  restore() {
+    const state = this.state_stack.pop();
+    if (state) this.state = state;
+    return this;
+  }
+
+  // ### Output:
+
+  // Get the PDF document as a `Uint8Array`.
+  toPDF() {
+    const objects = [];
+    const addObject = body => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    // Objects 1 to 3 are the catalog, the page tree, and the resources, which
+    // all pages share.
+    addObject('<< /Type /Catalog /Pages 2 0 R >>');
+    addObject(null);
+    addObject(null);
+
+    const fonts = Object.keys(this.fonts).map(baseFont =>
+      `/${this.fonts[baseFont]} ${addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`)} 0 R`);
+    const opacities = Object.keys(this.opacities).map(key =>
+      `/${this.opacities[key]} << /Type /ExtGState /${key} >>`);
+    objects[2] = `<< /Font << ${fonts.join(' ')} >> /ExtGState << ${opacities.join(' ')} >> >>`;
+
+    const kids = this.pages.map(page => {
+      // Flip the page, so that `y` goes down from the top left corner.
+      const content = [
+        `1 0 0 -1 0 ${num(page.height)} cm`,
+        `${num(page.scale.x)} 0 0 ${num(page.scale.y)} 0 0 cm`,
+        ...page.content,
+      ].join('\n');
+      const stream = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+      const pageObject = addObject(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+        `/Resources 3 0 R /Contents ${stream} 0 R >>`
+      );
+      return `${pageObject} 0 R`;
+    });
+    objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const offset = pdf.length;
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${('0000000000' + offset).slice(-10)} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Uint8Array.from(pdf, c => c.charCodeAt(0));
+  }
+}
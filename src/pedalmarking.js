@@ -129,7 +129,7 @@ export class PedalMarking extends Element {
   setLine(line) { this.line = line; return this; }
 
   // Draw the bracket based pedal markings
-  drawBracketed() {
+  drawBracketed(drawsOnStave = () => true) {
     const ctx = this.context;
     let is_pedal_depressed = false;
     let prev_x;
@@ -145,13 +145,37 @@ export class PedalMarking extends Element {
       const x = note.getAbsoluteX();
       const y = note.getStave().getYForBottomText(pedal.line + 3);
 
+      // Across a system break, a held pedal runs up to the end of the previous
+      // stave, and continues from the start of the note's stave.
+      const prev_note = notes[index - 1];
+      const after_break = !!prev_note && prev_note.getStave().isAcrossSystemBreak(note.getStave());
+      if (after_break && !is_pedal_depressed) {
+        if (drawsOnStave(prev_note.getStave())) {
+          ctx.beginPath();
+          ctx.moveTo(prev_x, prev_y);
+          ctx.lineTo(prev_note.getStave().getTieEndX(), prev_y);
+          ctx.stroke();
+          ctx.closePath();
+        }
+
+        prev_x = note.getStave().getTieStartX();
+        prev_y = y;
+      }
+
       // Throw if current note is positioned before the previous note
-      if (x < prev_x) {
+      if (!after_break && x < prev_x) {
         throw new Vex.RERR(
           'InvalidConfiguration', 'The notes provided must be in order of ascending x positions'
         );
       }
 
+      // Skip the notes on staves that are drawn elsewhere, e.g., on another page.
+      if (!drawsOnStave(note.getStave())) {
+        prev_x = x;
+        prev_y = y;
+        return;
+      }
+
       // Determine if the previous or next note are the same
       // as the current note. We need to keep track of this for
       // when adjustments are made for the release+depress action
@@ -206,7 +230,7 @@ export class PedalMarking extends Element {
 
   // Draw the text based pedal markings. This defaults to the traditional
   // "Ped" and "*"" symbols if no custom text has been provided.
-  drawText() {
+  drawText(drawsOnStave = () => true) {
     const ctx = this.context;
     let is_pedal_depressed = false;
     const pedal = this;
@@ -215,6 +239,7 @@ export class PedalMarking extends Element {
     this.notes.forEach(note => {
       is_pedal_depressed = !is_pedal_depressed;
       const stave = note.getStave();
+      if (!drawsOnStave(stave)) return;
       const x = note.getAbsoluteX();
       const y = stave.getYForBottomText(pedal.line + 3);
 
@@ -239,8 +264,10 @@ export class PedalMarking extends Element {
     });
   }
 
-  // Render the pedal marking in position on the rendering context
-  draw() {
+  // Render the pedal marking in position on the rendering context. Across a
+  // page break, only the markings on the staves that `drawsOnStave(stave)`
+  // returns `true` for are drawn (see `PageLayout.draw`).
+  draw(drawsOnStave = () => true) {
     const ctx = this.checkContext();
     this.setRendered();
 
@@ -253,9 +280,9 @@ export class PedalMarking extends Element {
 
     if (this.style === PedalMarking.Styles.BRACKET || this.style === PedalMarking.Styles.MIXED) {
       ctx.setLineWidth(this.render_options.bracket_line_width);
-      this.drawBracketed();
+      this.drawBracketed(drawsOnStave);
     } else if (this.style === PedalMarking.Styles.TEXT) {
-      this.drawText();
+      this.drawText(drawsOnStave);
     }
 
     ctx.restore();
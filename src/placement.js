@@ -0,0 +1,171 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements the placement pass, which runs after the notes are
+// formatted. Annotations, chord symbols, articulations and ornaments each
+// pick their text line on their own, so they can overlap one another, or the
+// ledger lines of neighbouring notes. The placement pass measures everything
+// above and below the stave, and pushes each item outward (starting with the
+// items closest to the stave) until it clears the notes and the items
+// already placed.
+//
+// `TextDynamics` and `StaveHairpin`s are then moved together, so that all the
+// dynamics on a side of the stave share a common baseline, with the hairpins
+// centered on it.
+//
+// `System.format` runs the placement pass for each of its staves. To use it
+// with the `Formatter` directly:
+//
+// ```javascript
+// formatter.joinVoices([voice]).format([voice], 400);
+// new Vex.Flow.Placement().format(stave, [voice], [hairpin]);
+// ```
+
+import { Vex } from './vex';
+import { Modifier } from './modifier';
+import { Skyline } from './skyline';
+import { StaveHairpin } from './stavehairpin';
+import { TextDynamics } from './textdynamics';
+
+// To enable logging for this class. Set `Vex.Flow.Placement.DEBUG` to `true`.
+function L(...args) { if (Placement.DEBUG) Vex.L('Vex.Flow.Placement', args); }
+
+const { ABOVE, BELOW } = Modifier.Position;
+
+export class Placement {
+  constructor(options = {}) {
+    this.options = {
+      padding: 0.5, // stave spaces between placed items
+      ...options,
+    };
+  }
+
+  // Place the modifiers of the notes in `voices`, the `TextDynamics` among
+  // the notes and the hairpins among `elements` on `stave`. The notes must be
+  // formatted. Returns the items that were placed, each with its `element`,
+  // `side` (`Modifier.Position.ABOVE` or `BELOW`), `bb` and the `dy` it was
+  // moved by.
+  format(stave, voices = [], elements = []) {
+    const padding = stave.space(this.options.padding);
+    const spacing = stave.getSpacingBetweenLines();
+
+    // The notes, and the items placed so far, on each side.
+    const notes = { [ABOVE]: new Skyline(Skyline.ABOVE), [BELOW]: new Skyline(Skyline.BELOW) };
+    const items = { [ABOVE]: new Skyline(Skyline.ABOVE), [BELOW]: new Skyline(Skyline.BELOW) };
+    const insert = (skyline, bb) => {
+      skyline[ABOVE].insert(bb.getX(), bb.getW(), bb.getY());
+      skyline[BELOW].insert(bb.getX(), bb.getW(), bb.getY() + bb.getH());
+    };
+
+    // Returns the distance `bb` has to move outward on `side` to clear the
+    // notes, and the items placed so far by `padding`.
+    const clearance = (side, bb) => {
+      const top = bb.getY();
+      const bottom = bb.getY() + bb.getH();
+      const noteY = notes[side].getY(bb.getX(), bb.getW());
+      const itemY = items[side].getY(bb.getX(), bb.getW());
+      if (side === ABOVE) {
+        return Math.min(0, noteY === null ? 0 : noteY - bottom, itemY === null ? 0 : itemY - padding - bottom);
+      }
+      return Math.max(0, noteY === null ? 0 : noteY - top, itemY === null ? 0 : itemY + padding - top);
+    };
+
+    const modifiers = [];
+    const dynamics = [];
+    voices.forEach(voice => voice.getTickables().forEach(note => {
+      if (note instanceof TextDynamics) {
+        dynamics.push(note);
+        return;
+      }
+
+      const bb = Skyline.getNoteBoundingBox(note);
+      if (bb) insert(notes, bb);
+      note.getModifiers().forEach(modifier => {
+        const side = Skyline.getPlacement(modifier);
+        if (side) modifiers.push({ element: modifier, side });
+      });
+    }));
+
+    const placed = [];
+    const measure = item => {
+      item.bb = Skyline.measure(item.element);
+      return item.bb;
+    };
+
+    // Place the modifiers on each side, closest to the stave first.
+    const distance = item => (item.side === ABOVE ? -(item.bb.getY() + item.bb.getH()) : item.bb.getY());
+    [ABOVE, BELOW].forEach(side => {
+      modifiers
+        .filter(item => item.side === side && measure(item))
+        .sort((a, b) => distance(a) - distance(b))
+        .forEach(item => {
+          item.dy = clearance(side, item.bb);
+          if (item.dy) {
+            item.element.setYShift(item.element.y_shift + item.dy);
+            item.bb.move(0, item.dy);
+          }
+          insert(items, item.bb);
+          placed.push(item);
+        });
+    });
+
+    // Line up the dynamics and hairpins on each side, and move them together.
+    const middle = stave.getYForLine((stave.getNumLines() - 1) / 2);
+    const groups = { [ABOVE]: [], [BELOW]: [] };
+    dynamics.forEach(note => {
+      const item = { element: note };
+      if (measure(item)) groups[item.bb.getY() + item.bb.getH() / 2 < middle ? ABOVE : BELOW].push(item);
+    });
+    elements.filter(element => element instanceof StaveHairpin).forEach(hairpin => {
+      const item = { element: hairpin };
+      if (measure(item)) groups[hairpin.position === ABOVE ? ABOVE : BELOW].push(item);
+    });
+
+    [ABOVE, BELOW].forEach(side => {
+      const group = groups[side];
+      if (!group.length) return;
+      group.forEach(item => { item.side = side; });
+
+      const texts = group.filter(item => item.element instanceof TextDynamics);
+      if (texts.length) {
+        const lines = texts.map(item => item.element.line);
+        const line = side === ABOVE ? Math.min(...lines) : Math.max(...lines);
+        texts.forEach(item => item.element.setLine(line));
+
+        // Center the hairpins on the dynamics, half a space above their baseline.
+        const center = stave.getYForLine(line - 3) - spacing / 2;
+        group.filter(item => item.element instanceof StaveHairpin).forEach(item => {
+          Placement.moveHairpin(item.element, center - (item.bb.getY() + item.bb.getH() / 2));
+        });
+        group.forEach(measure);
+      }
+
+      const shifts = group.map(item => clearance(side, item.bb));
+      const dy = side === ABOVE ? Math.min(...shifts) : Math.max(...shifts);
+      L('Moving', group.length, 'dynamics', side === ABOVE ? 'above' : 'below', 'by', dy);
+
+      group.forEach(item => {
+        if (item.element instanceof TextDynamics) {
+          item.element.setLine(item.element.line + dy / spacing);
+        } else {
+          Placement.moveHairpin(item.element, dy);
+        }
+        item.dy = dy;
+        item.bb.move(0, dy);
+        insert(items, item.bb);
+        placed.push(item);
+      });
+    });
+
+    return placed;
+  }
+
+  // Move `hairpin` down by `dy`.
+  static moveHairpin(hairpin, dy) {
+    // Hairpins above the stave move up as `y_shift` grows.
+    const y_shift = hairpin.render_options.y_shift + (hairpin.position === ABOVE ? -dy : dy);
+    hairpin.setRenderOptions({ ...hairpin.render_options, y_shift });
+    return hairpin;
+  }
+}
@@ -1,11 +1,14 @@
 // [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
 //
 // ## Description
-// Support for different rendering contexts: Canvas, Raphael
+// Support for different rendering contexts: Canvas, Raphael, SVG, and
+// the headless SVG string and PDF contexts
 
 import { CanvasContext } from './canvascontext';
+import { PDFContext } from './pdfcontext';
 import { RaphaelContext } from './raphaelcontext';
 import { SVGContext } from './svgcontext';
+import { SVGStringContext } from './svgstringcontext';
 import { Vex } from './vex';
 
 let lastContext = null;
@@ -17,9 +20,16 @@ export class Renderer {
       RAPHAEL: 2,
       SVG: 3,
       VML: 4,
+      SVG_STRING: 5,
+      PDF: 6,
     };
   }
 
+  // Headless backends don't render into an element.
+  static isHeadless(backend) {
+    return backend === Renderer.Backends.SVG_STRING || backend === Renderer.Backends.PDF;
+  }
+
   // End of line types
   static get LineEndType() {
     return {
@@ -68,6 +78,14 @@ export class Renderer {
     return Renderer.buildContext(elementId, Renderer.Backends.SVG, width, height, background);
   }
 
+  static getSVGStringContext(width, height, background) {
+    return Renderer.buildContext(null, Renderer.Backends.SVG_STRING, width, height, background);
+  }
+
+  static getPDFContext(width, height, background) {
+    return Renderer.buildContext(null, Renderer.Backends.PDF, width, height, background);
+  }
+
   static bolsterCanvasContext(ctx) {
     if (Renderer.USE_CANVAS_PROXY) {
       return new CanvasContext(ctx);
@@ -122,6 +140,16 @@ export class Renderer {
 
   constructor(elementId, backend) {
     this.elementId = elementId;
+    this.backend = backend;
+    this.paper = null;
+
+    // Render without a DOM.
+    if (Renderer.isHeadless(this.backend)) {
+      this.element = null;
+      this.ctx = this.backend === Renderer.Backends.PDF ? new PDFContext() : new SVGStringContext();
+      return;
+    }
+
     if (!this.elementId) {
       throw new Vex.RERR('BadArgument', 'Invalid id for renderer.');
     }
@@ -131,8 +159,6 @@ export class Renderer {
 
     // Verify backend and create context
     this.ctx = null;
-    this.paper = null;
-    this.backend = backend;
     if (this.backend === Renderer.Backends.CANVAS) {
       // Create context.
       if (!this.element.getContext) {
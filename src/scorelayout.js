@@ -0,0 +1,282 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements a score layout, which breaks a sequence of measures
+// into lines (systems) that fit a given width. Each measure holds the voices
+// of every stave, along with any clef, key or time signature changes. Every
+// measure is measured with `Formatter.preCalculateMinTotalWidth`, measures
+// are placed on a line until it is full, and the measures of each line are
+// stretched to justify it. The current clef and key signature are repeated
+// at the start of every line.
+//
+// The systems of a line are formatted as soon as the line is, so that its
+// staves (and the next line) can be moved apart where their contents would
+// overlap. Every measure of a line gets the same stave spacing.
+//
+// ```javascript
+// const layout = vf.ScoreLayout({ width: 800 });
+// layout.addMeasure([
+//   { voices: [trebleVoice], clef: 'treble', keySignature: 'G', timeSignature: '3/4' },
+//   { voices: [bassVoice], clef: 'bass', keySignature: 'G', timeSignature: '3/4' },
+// ]);
+// layout.format();
+// vf.draw();
+// ```
+
+import { Vex } from './vex';
+import { Flow } from './tables';
+import { Formatter } from './formatter';
+import { Skyline } from './skyline';
+import { Stave } from './stave';
+
+// To enable logging for this class. Set `Vex.Flow.ScoreLayout.DEBUG` to `true`.
+function L(...args) { if (ScoreLayout.DEBUG) Vex.L('Vex.Flow.ScoreLayout', args); }
+
+export const X = Vex.MakeException('ScoreLayoutError');
+
+export class ScoreLayout {
+  constructor(options = {}) {
+    this.setOptions(options);
+    this.measures = [];
+    this.lines = [];
+  }
+
+  setOptions(options) {
+    this.options = {
+      factory: null,
+      x: 10,
+      y: 10,
+      width: 500,
+      spaceBetweenStaves: 12, // stave spaces
+      spaceBetweenSystems: 4, // stave spaces, in addition to `spaceBetweenStaves`
+      measurePadding: 20, // space added to the minimum width of each measure
+      minMeasureWidth: 60,
+      justifyLastLine: false,
+      autoSpace: true, // move staves and lines apart so that their contents don't overlap
+      minClearance: 1, // stave spaces between the contents of adjacent staves
+      // Connectors drawn at the start of every line, e.g.,
+      // `{ first: 0, last: 1, type: 'brace' }`.
+      connectors: [],
+      ...options,
+    };
+
+    this.factory = this.options.factory;
+    return this;
+  }
+
+  // Add a measure. `staves` has an entry for each stave, from top to bottom:
+  // `{ voices, clef, keySignature, timeSignature, begBarType, endBarType }`.
+  // Clefs and signatures are only needed when they change.
+  addMeasure(staves) {
+    if (this.measures.length && staves.length !== this.measures[0].length) {
+      throw new X('Every measure must have ' + this.measures[0].length + ' staves');
+    }
+
+    this.measures.push(staves.map(stave => ({ voices: [], ...stave })));
+    return this;
+  }
+
+  // Width of the stave modifiers at the start of a measure.
+  getModifierWidth(staves) {
+    return Math.max(0, ...staves.map(({ clef, keySignature, timeSignature }) => {
+      const stave = new Stave(0, 0, 100);
+      if (clef) stave.addClef(clef);
+      if (keySignature) stave.addKeySignature(keySignature);
+      if (timeSignature) stave.addTimeSignature(timeSignature);
+      return stave.getNoteStartX() - stave.getX();
+    }));
+  }
+
+  // Minimum width of the notes of a measure, across all staves.
+  getContentWidth(staves) {
+    const formatter = new Formatter();
+    const voices = [];
+    staves.forEach(stave => {
+      if (!stave.voices.length) return;
+      formatter.joinVoices(stave.voices);
+      voices.push(...stave.voices);
+    });
+
+    const minWidth = voices.length ? formatter.preCalculateMinTotalWidth(voices) : 0;
+    return Math.max(this.options.minMeasureWidth, minWidth + this.options.measurePadding);
+  }
+
+  // Work out the clefs and key signatures in effect at every measure, and the
+  // widths of each measure at the start of a line and elsewhere.
+  measure() {
+    if (!this.factory) throw new X('ScoreLayout requires a factory');
+    if (!this.measures.length) throw new X('No measures to lay out');
+
+    const current = this.measures[0].map(() => ({ clef: 'treble', keySignature: null }));
+
+    return this.measures.map(staves => {
+      staves.forEach((stave, i) => {
+        if (stave.clef) current[i].clef = stave.clef;
+        if (stave.keySignature) current[i].keySignature = stave.keySignature;
+      });
+
+      const lineStart = staves.map((stave, i) => ({ ...stave, ...current[i], currentClef: current[i].clef }));
+
+      return {
+        staves: staves.map((stave, i) => ({ ...stave, currentClef: current[i].clef })),
+        lineStart,
+        contentWidth: this.getContentWidth(staves),
+        modifierWidth: this.getModifierWidth(staves),
+        lineStartModifierWidth: this.getModifierWidth(lineStart),
+      };
+    });
+  }
+
+  // Break `measured` into lines. Every line holds at least one measure.
+  breakLines(measured) {
+    const padding = Flow.DEFAULT_FONT_STACK[0].lookupMetric('stave.padding');
+    const lines = [];
+    let line = null;
+    let lineWidth = 0;
+
+    measured.forEach(measure => {
+      const width = measure.contentWidth + measure.modifierWidth + padding;
+      if (line && lineWidth + width <= this.options.width) {
+        line.push(measure);
+        lineWidth += width;
+        return;
+      }
+
+      line = [measure];
+      lineWidth = measure.contentWidth + measure.lineStartModifierWidth + padding;
+      lines.push(line);
+    });
+
+    return lines;
+  }
+
+  // Break the measures into lines and create a `System` for each measure.
+  // Returns the lines, each with its `y` position and `systems`.
+  format() {
+    const lines = this.breakLines(this.measure());
+    let y = this.options.y;
+
+    this.lines = [];
+    lines.forEach((measures, l) => {
+      const line = this.formatLine(measures, l === lines.length - 1, y);
+      const previous = this.lines[this.lines.length - 1];
+      if (previous) {
+        y += this.getLineGap(previous, line);
+        this.moveLine(line, y);
+      }
+
+      this.lines.push(line);
+      y += this.getLineHeight(line.systems[0]);
+    });
+
+    return this.lines;
+  }
+
+  // Create the systems of a line of `measured` measures (see `breakLines`) at
+  // `y`, stretched to the width of the layout unless it's the last line.
+  formatLine(measures, isLast, y) {
+    const padding = Flow.DEFAULT_FONT_STACK[0].lookupMetric('stave.padding');
+    const modifierWidths = measures.map((measure, m) =>
+      (m === 0 ? measure.lineStartModifierWidth : measure.modifierWidth) + padding);
+    const contentWidth = measures.reduce((total, measure) => total + measure.contentWidth, 0);
+    const fixedWidth = modifierWidths.reduce((total, width) => total + width, 0);
+
+    // Share the remaining space evenly between the measures, so that short
+    // measures aren't left cramped. Clefs and signatures are never stretched.
+    const extraWidth = isLast && !this.options.justifyLastLine
+      ? 0
+      : Math.max(0, (this.options.width - fixedWidth - contentWidth) / measures.length);
+
+    L('Line has', measures.length, 'measures, with extra width', extraWidth);
+
+    let x = this.options.x;
+    const systems = measures.map((measure, m) => {
+      const width = modifierWidths[m] + measure.contentWidth + extraWidth;
+      const system = this.buildSystem(m === 0 ? measure.lineStart : measure.staves, x, y, width, m === 0);
+      x += width;
+      return system;
+    });
+
+    systems.forEach(system => system.format());
+    if (this.options.autoSpace) {
+      // Use the widest gaps of any measure, so that the staves line up.
+      const gaps = systems
+        .map(system => system.getStaveGaps())
+        .reduce((widest, stave) => widest.map((gap, i) => Math.max(gap, stave[i])));
+      systems.forEach(system => system.spaceStaves(gaps));
+    }
+
+    const line = { y, systems };
+    systems.forEach(system => system.setLine(line));
+    return line;
+  }
+
+  // Get the height of the line of `system`, from its top to the top of the
+  // next line.
+  getLineHeight(system) {
+    const { spaceBetweenStaves, spaceBetweenSystems } = this.options;
+    const height = system.isFormatted()
+      ? system.lastY - system.options.y
+      : system.parts.reduce((total, part) =>
+        total + part.stave.space(part.spaceAbove + part.spaceBelow + spaceBetweenStaves), 0);
+    return height + system.parts[0].stave.space(spaceBetweenSystems);
+  }
+
+  // Get the distance `line` has to move down so that its first staves clear
+  // the contents of the last staves of `previous`.
+  getLineGap(previous, line) {
+    if (!this.options.autoSpace) return 0;
+
+    const below = new Skyline(Skyline.BELOW);
+    const above = new Skyline(Skyline.ABOVE);
+    previous.systems.forEach(system => below.merge(system.getSkylines().pop().below));
+    line.systems.forEach(system => above.merge(system.getSkylines()[0].above));
+
+    const clearance = line.systems[0].parts[0].stave.space(this.options.minClearance);
+    return Math.max(0, Skyline.distance(below, above) + clearance);
+  }
+
+  // Move `line`, which is formatted, to `y`.
+  moveLine(line, y) {
+    line.y = y;
+    line.systems.forEach(system => system.setY(y));
+    return line;
+  }
+
+  buildSystem(staves, x, y, width, isLineStart) {
+    const system = this.factory.System({
+      x,
+      y,
+      width,
+      spaceBetweenStaves: this.options.spaceBetweenStaves,
+      // The staves are spaced by the line. See `formatLine`.
+      autoSpace: false,
+      minClearance: this.options.minClearance,
+    });
+
+    staves.forEach(measure => {
+      const stave = system.addStave({ voices: measure.voices });
+      if (measure.clef) stave.addClef(measure.clef);
+      else stave.clef = measure.currentClef;
+      if (measure.keySignature) stave.addKeySignature(measure.keySignature);
+      if (measure.timeSignature) stave.addTimeSignature(measure.timeSignature);
+      if (measure.begBarType !== undefined) stave.setBegBarType(measure.begBarType);
+      if (measure.endBarType !== undefined) stave.setEndBarType(measure.endBarType);
+    });
+
+    if (staves.length > 1) system.addConnector('singleRight');
+    if (!isLineStart) return system;
+
+    if (staves.length > 1) system.addConnector('singleLeft');
+    this.options.connectors.forEach(({ first, last, type }) => {
+      this.factory.StaveConnector({
+        top_stave: system.parts[first].stave,
+        bottom_stave: system.parts[last].stave,
+        type,
+      });
+    });
+
+    return system;
+  }
+}
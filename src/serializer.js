@@ -0,0 +1,237 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements the `Serializer`, which writes a score to plain JSON
+// and reads it back. Every supported element has a `toJSON()` method and a
+// static `fromJSON(json, serializer)` that rebuilds it. Elements are written
+// with their `type` and `id` attributes:
+//
+// * staves are written with their stave modifiers,
+// * voices are written with their tickables, and notes with their modifiers,
+// * systems, beams, tuplets, ties, curves and connectors refer to the staves,
+//   voices and notes they belong to by id.
+//
+// Only the input to the formatter is stored, so a deserialized score must be
+// formatted (and drawn) again. The document carries a `version`, which is
+// bumped whenever the schema changes incompatibly.
+//
+// ```javascript
+// const json = JSON.stringify(vf.toJSON());
+// vf.draw();
+//
+// const copy = new Vex.Flow.Factory({ renderer: { elementId: 'copy' } });
+// copy.fromJSON(JSON.parse(json));
+// copy.draw();
+// ```
+
+import { Vex } from './vex';
+import { Element } from './element';
+import { Accidental } from './accidental';
+import { Annotation } from './annotation';
+import { Articulation } from './articulation';
+import { BarNote } from './barnote';
+import { Barline } from './stavebarline';
+import { Beam } from './beam';
+import { Bend } from './bend';
+import { ChordSymbol } from './chordsymbol';
+import { Clef } from './clef';
+import { Curve } from './curve';
+import { Dot } from './dot';
+import { FretHandFinger } from './frethandfinger';
+import { GhostNote } from './ghostnote';
+import { GraceNote } from './gracenote';
+import { GraceNoteGroup } from './gracenotegroup';
+import { KeySignature } from './keysignature';
+import { Lyric } from './lyric';
+import { Ornament } from './ornament';
+import { Repetition } from './staverepetition';
+import { Stave } from './stave';
+import { StaveConnector } from './staveconnector';
+import { StaveNote } from './stavenote';
+import { StaveSection } from './stavesection';
+import { StaveTempo } from './stavetempo';
+import { StaveText } from './stavetext';
+import { StaveTie } from './stavetie';
+import { StringNumber } from './stringnumber';
+import { Stroke } from './strokes';
+import { System } from './system';
+import { TabNote } from './tabnote';
+import { TabSlide } from './tabslide';
+import { TabStave } from './tabstave';
+import { TabTie } from './tabtie';
+import { TextDynamics } from './textdynamics';
+import { TextNote } from './textnote';
+import { TimeSignature } from './timesignature';
+import { Tremolo } from './tremolo';
+import { Tuplet } from './tuplet';
+import { Vibrato } from './vibrato';
+import { Voice } from './voice';
+import { Volta } from './stavevolta';
+
+// To enable logging for this class. Set `Vex.Flow.Serializer.DEBUG` to `true`.
+function L(...args) { if (Serializer.DEBUG) Vex.L('Vex.Flow.Serializer', args); }
+
+export const X = Vex.MakeException('SerializerError');
+
+// The classes that can be serialized, by their `type` attribute. The map is
+// built on first use, as `System` imports this module through `Factory`.
+let TYPES = null;
+function types() {
+  if (!TYPES) {
+    TYPES = {
+      Accidental,
+      Annotation,
+      Articulation,
+      BarNote,
+      Barline,
+      Beam,
+      Bend,
+      ChordSymbol,
+      Clef,
+      Curve,
+      Dot,
+      FretHandFinger,
+      GhostNote,
+      GraceNote,
+      GraceNoteGroup,
+      KeySignature,
+      Lyric,
+      Ornament,
+      Repetition,
+      Stave,
+      StaveConnector,
+      StaveNote,
+      StaveSection,
+      StaveTempo,
+      StaveText,
+      StaveTie,
+      StringNumber,
+      Stroke,
+      System,
+      TabNote,
+      TabSlide,
+      TabStave,
+      TabTie,
+      TextDynamics,
+      TextNote,
+      TimeSignature,
+      Tremolo,
+      Tuplet,
+      Vibrato,
+      Voice,
+      Volta,
+    };
+  }
+  return TYPES;
+}
+
+// Calls `fn` for the `id` of every element written inline in `json`.
+function visitIds(json, fn) {
+  if (Array.isArray(json)) {
+    json.forEach(item => visitIds(item, fn));
+  } else if (json && typeof json === 'object') {
+    if (typeof json.id === 'string' && types()[json.type]) fn(json.id);
+    Object.keys(json).forEach(key => visitIds(json[key], fn));
+  }
+}
+
+export class Serializer {
+  static get VERSION() { return 1; }
+
+  constructor({ factory = null } = {}) {
+    this.factory = factory;
+    this.elements = {};
+  }
+
+  // Returns the JSON document for a score. `elements` are the other elements
+  // to render, such as beams, tuplets, ties and connectors (for example, the
+  // render queue of a `Factory`). Notes among them are skipped if they are in
+  // one of the voices.
+  serialize({ staves = [], voices = [], systems = [], elements = [] } = {}) {
+    const check = element => {
+      if (!types()[element.getAttribute('type')]) {
+        throw new X(`Unsupported element: ${element.getAttribute('type')}`);
+      }
+      return element;
+    };
+
+    // Include the staves and voices the systems and notes refer to.
+    const allStaves = staves.slice();
+    const allVoices = voices.slice();
+    const addStave = stave => { if (stave && allStaves.indexOf(stave) === -1) allStaves.push(stave); };
+    systems.forEach(system => system.parts.forEach(part => {
+      addStave(part.stave);
+      part.voices.forEach(voice => { if (allVoices.indexOf(voice) === -1) allVoices.push(voice); });
+    }));
+    allVoices.forEach(voice => {
+      addStave(voice.stave);
+      voice.getTickables().forEach(tickable => addStave(tickable.stave));
+    });
+
+    const json = {
+      version: Serializer.VERSION,
+      staves: allStaves.map(stave => check(stave).toJSON()),
+      voices: allVoices.map(voice => check(voice).toJSON()),
+      systems: systems.map(system => check(system).toJSON()),
+    };
+
+    const written = {};
+    visitIds(json, id => { written[id] = true; });
+    json.elements = elements
+      .filter(element => !written[element.getAttribute('id')])
+      .map(element => check(element).toJSON());
+
+    L('Serialized:', json);
+    return json;
+  }
+
+  // Rebuilds the score written by `serialize`, returning the staves, voices,
+  // systems and other elements at the top level of `json`.
+  deserialize(json) {
+    if (!json || json.version === undefined) throw new X('Missing version');
+    if (json.version > Serializer.VERSION) {
+      throw new X(`Unsupported version: ${json.version} (expected ${Serializer.VERSION} or earlier)`);
+    }
+
+    this.elements = {};
+    const staves = json.staves.map(stave => this.fromJSON(stave));
+
+    // Tuplets change the ticks of their notes, so they must be created
+    // before the notes are added to their voices.
+    json.voices.forEach(voice => voice.tickables.forEach(tickable => this.fromJSON(tickable)));
+    const elements = json.elements.map(element => this.fromJSON(element));
+    const voices = json.voices.map(voice => this.fromJSON(voice));
+    const systems = json.systems.map(system => this.fromJSON(system));
+
+    return { staves, voices, systems, elements };
+  }
+
+  // Returns the element for `json`, creating it the first time its id is seen.
+  fromJSON(json) {
+    if (this.elements[json.id]) return this.elements[json.id];
+
+    const type = types()[json.type];
+    if (!type) throw new X(`Unsupported element: ${json.type}`);
+
+    const element = type.fromJSON(json, this);
+    element.setAttribute('id', json.id);
+    (json.classes || []).forEach(className => element.addClass(className));
+    if (json.style) element.setStyle({ ...json.style });
+    if (this.factory) element.setContext(this.factory.getContext());
+
+    // Keep new ids from clashing with the restored ones.
+    const match = /^auto(\d+)$/.exec(json.id);
+    if (match && Number(match[1]) >= Element.ID) Element.ID = Number(match[1]) + 1;
+
+    this.elements[json.id] = element;
+    return element;
+  }
+
+  // Returns the element with the given id, which must already be deserialized.
+  getElement(id) {
+    if (id === null || id === undefined) return null;
+    if (!this.elements[id]) throw new X(`Unknown element: ${id}`);
+    return this.elements[id];
+  }
+}
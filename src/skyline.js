@@ -0,0 +1,229 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements skylines, the outlines of everything drawn above or
+// below a stave. The x axis is split into narrow columns, and a skyline keeps
+// the highest (or lowest) `y` of the boxes inserted into each column.
+//
+// The distance between the bottom skyline of a stave and the top skyline of
+// the stave below it is how far the lower stave has to move down so that
+// nothing overlaps:
+//
+// ```javascript
+// const { below } = Skyline.fromStave(upper, upperVoices);
+// const { above } = Skyline.fromStave(lower, lowerVoices);
+// const overlap = Skyline.distance(below, above);
+// ```
+//
+// Elements that are only placed when they are drawn, such as annotations and
+// dynamics, are measured by drawing them into a `BoundingBoxContext`.
+
+import { Vex } from './vex';
+import { Annotation } from './annotation';
+import { Articulation } from './articulation';
+import { BoundingBox } from './boundingbox';
+import { BoundingBoxContext } from './boundingboxcontext';
+import { ChordSymbol } from './chordsymbol';
+import { Modifier } from './modifier';
+import { Ornament } from './ornament';
+
+// To enable logging for this class. Set `Vex.Flow.Skyline.DEBUG` to `true`.
+function L(...args) { if (Skyline.DEBUG) Vex.L('Vex.Flow.Skyline', args); }
+
+// Returns the bounding box of `element`, or `null` if it has none (or it
+// can't be computed yet).
+function getBoundingBox(element) {
+  if (typeof element.getBoundingBox !== 'function') return null;
+  try {
+    const bb = element.getBoundingBox();
+    return bb && isFinite(bb.getY()) && isFinite(bb.getH()) ? bb : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Returns `true` if the stem of `note` reaches into another stave.
+function isCrossStaff(note) {
+  return !!(note.beam && typeof note.beam.isCrossStaff === 'function' && note.beam.isCrossStaff());
+}
+
+export class Skyline {
+  static get ABOVE() { return 'above'; }
+  static get BELOW() { return 'below'; }
+
+  // Returns the distance `lower` has to move down so that it clears `upper`,
+  // where `upper` is a `BELOW` skyline and `lower` an `ABOVE` skyline. The
+  // distance is negative if they are already apart, and `-Infinity` if they
+  // don't share any columns.
+  static distance(upper, lower) {
+    let distance = -Infinity;
+    Object.keys(upper.columns).forEach(column => {
+      if (lower.columns[column] !== undefined) {
+        distance = Math.max(distance, upper.columns[column] - lower.columns[column]);
+      }
+    });
+    return distance;
+  }
+
+  // Returns `Modifier.Position.ABOVE` or `BELOW` for the annotations, chord
+  // symbols, articulations and ornaments placed above or below a note, or
+  // `null` for other modifiers.
+  static getPlacement(modifier) {
+    const { ABOVE, BELOW } = Modifier.Position;
+    switch (modifier.getCategory()) {
+      case Annotation.CATEGORY:
+        return {
+          [Annotation.VerticalJustify.TOP]: ABOVE,
+          [Annotation.VerticalJustify.BOTTOM]: BELOW,
+        }[modifier.vert_justification] || null;
+      case ChordSymbol.CATEGORY:
+        return modifier.getVertical() === ChordSymbol.verticalJustify.BOTTOM ? BELOW : ABOVE;
+      case Articulation.CATEGORY:
+        return modifier.getPosition();
+      case Ornament.CATEGORY:
+        // Jazz ornaments, such as falls and scoops, sit beside the note head.
+        return modifier.ornamentAlignWithNoteHead ? null : ABOVE;
+      default:
+        return null;
+    }
+  }
+
+  // Returns the `BoundingBox` of what `element` draws, or `null` if it draws
+  // nothing (or can't be drawn yet). The element is left as it was, along
+  // with the SVG group it was drawn into.
+  static measure(element) {
+    const context = new BoundingBoxContext();
+    const previous = element.getContext();
+    const rendered = element.isRendered();
+    const group = element.getAttribute('el');
+    try {
+      element.setContext(context).draw();
+      return context.getBoundingBox();
+    } catch (e) {
+      L('Unable to measure', element.getAttribute('type'), e);
+      return null;
+    } finally {
+      element.setContext(previous).setRendered(rendered).setAttribute('el', group);
+    }
+  }
+
+  // Returns the `BoundingBox` of `modifier`, measuring modifiers above and
+  // below notes.
+  static getModifierBoundingBox(modifier) {
+    return getBoundingBox(modifier) || (Skyline.getPlacement(modifier) ? Skyline.measure(modifier) : null);
+  }
+
+  // Returns the `ABOVE` and `BELOW` skylines of `stave`, the notes of
+  // `voices` and their modifiers, and other `elements` drawn with the stave
+  // (such as hairpins). The notes must be formatted. Set `options.modifiers`
+  // to `false` to leave out the modifiers.
+  static fromStave(stave, voices = [], elements = [], options = {}) {
+    const above = new Skyline(Skyline.ABOVE, options);
+    const below = new Skyline(Skyline.BELOW, options);
+    const insert = bb => {
+      if (!bb) return;
+      above.insert(bb.getX(), bb.getW(), bb.getY());
+      below.insert(bb.getX(), bb.getW(), bb.getY() + bb.getH());
+    };
+
+    insert(new BoundingBox(stave.getX(), stave.getYForLine(0), stave.getWidth(),
+      stave.getYForLine(stave.getNumLines() - 1) - stave.getYForLine(0)));
+
+    voices.forEach(voice => voice.getTickables().forEach(note => {
+      insert(Skyline.getNoteBoundingBox(note));
+      if (options.modifiers !== false && note.getModifiers) {
+        note.getModifiers().forEach(modifier => insert(Skyline.getModifierBoundingBox(modifier)));
+      }
+    }));
+    elements.forEach(element => insert(Skyline.measure(element)));
+
+    L('Skylines for stave at', stave.getY(), above, below);
+    return { above, below };
+  }
+
+  // Returns the box taken up by `note`. Notes without bounding boxes, such as
+  // `TextNote`s and `TextDynamics`, are measured, or take up a line of text
+  // at their `line`. Stems that reach into another stave are left out.
+  static getNoteBoundingBox(note) {
+    const stave = note.getStave();
+    if (!stave) return null;
+
+    if (isCrossStaff(note)) {
+      const ys = note.getYs();
+      const halfSpace = stave.getSpacingBetweenLines() / 2;
+      const top = Math.min(...ys) - halfSpace;
+      return new BoundingBox(note.getAbsoluteX(), top, note.getWidth(), Math.max(...ys) + halfSpace - top);
+    }
+
+    const bb = getBoundingBox(note) || Skyline.measure(note);
+    if (bb) return bb;
+    if (typeof note.line !== 'number') return null;
+
+    const spacing = stave.getSpacingBetweenLines();
+    const y = stave.getYForLine(note.line - 3);
+    return new BoundingBox(note.getAbsoluteX(), y - 2 * spacing, note.getWidth(), 2.5 * spacing);
+  }
+
+  constructor(direction = Skyline.ABOVE, options = {}) {
+    this.direction = direction;
+    this.options = {
+      resolution: 2, // width of a column in pixels
+      ...options,
+    };
+    this.columns = {};
+  }
+
+  isAbove() { return this.direction === Skyline.ABOVE; }
+
+  // Returns the columns from `x` to `x + width`.
+  getColumns(x, width) {
+    const { resolution } = this.options;
+    const first = Math.floor(x / resolution);
+    const last = Math.max(first, Math.ceil((x + width) / resolution) - 1);
+    const columns = [];
+    for (let column = first; column <= last; column++) columns.push(column);
+    return columns;
+  }
+
+  // Extend the skyline from `x` to `x + width` to `y`.
+  insert(x, width, y) {
+    if (!isFinite(x) || !isFinite(width) || !isFinite(y)) return this;
+
+    const pick = this.isAbove() ? Math.min : Math.max;
+    this.getColumns(x, width).forEach(column => {
+      const current = this.columns[column];
+      this.columns[column] = current === undefined ? y : pick(current, y);
+    });
+    return this;
+  }
+
+  // Returns the highest (`ABOVE`) or lowest (`BELOW`) `y` between `x` and
+  // `x + width`, or of the whole skyline if no range is given. Returns `null`
+  // if nothing is there.
+  getY(x, width) {
+    const columns = x === undefined
+      ? Object.keys(this.columns)
+      : this.getColumns(x, width).filter(column => this.columns[column] !== undefined);
+    if (!columns.length) return null;
+
+    const ys = columns.map(column => this.columns[column]);
+    return this.isAbove() ? Math.min(...ys) : Math.max(...ys);
+  }
+
+  // Move the skyline down by `dy`.
+  shift(dy) {
+    Object.keys(this.columns).forEach(column => { this.columns[column] += dy; });
+    return this;
+  }
+
+  // Merge `skyline`, which points in the same direction, into this one.
+  merge(skyline) {
+    const pick = this.isAbove() ? Math.min : Math.max;
+    Object.keys(skyline.columns).forEach(column => {
+      const current = this.columns[column];
+      this.columns[column] = current === undefined ? skyline.columns[column] : pick(current, skyline.columns[column]);
+    });
+    return this;
+  }
+}
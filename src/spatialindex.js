@@ -0,0 +1,205 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements a spatial index of rendered elements, used to find
+// the element at a point, e.g., the one under a mouse click. The index holds
+// the bounding boxes of staves, notes, note heads, note modifiers and beams,
+// in a grid of square cells.
+//
+// Elements are added before or after they are formatted. Their bounding
+// boxes are computed when the index is first queried, and again after
+// `build()` is called (e.g., when the score is formatted again).
+//
+// ```javascript
+// const index = new Vex.Flow.SpatialIndex().add(stave).add(voice).add(beam);
+// formatter.joinVoices([voice]).formatToStave([voice], stave);
+//
+// index.elementsAt(x, y); // the smallest first
+// index.nearest(x, y, { type: 'StaveNote' });
+// stave.getKeyForY(y); // e.g., 'c/5'
+// ```
+//
+// `Factory.SpatialIndex()` adds the staves, voices and other elements
+// created by the factory so far.
+
+import { Vex } from './vex';
+import { Note } from './note';
+import { Skyline } from './skyline';
+import { StaveNote } from './stavenote';
+import { Voice } from './voice';
+
+// To enable logging for this class. Set `Vex.Flow.SpatialIndex.DEBUG` to `true`.
+function L(...args) { if (SpatialIndex.DEBUG) Vex.L('Vex.Flow.SpatialIndex', args); }
+
+// Returns the bounding box of `element`, measuring it if it has none, or
+// `null` if it draws nothing (or can't be drawn yet).
+function getBoundingBox(element) {
+  let bb = null;
+  try {
+    bb = element.getBoundingBox();
+  } catch (e) {
+    L('No bounding box for', element.getAttribute('type'), e);
+  }
+  if (bb && isFinite(bb.getX()) && isFinite(bb.getY()) && isFinite(bb.getW()) && isFinite(bb.getH())) return bb;
+  return Skyline.measure(element);
+}
+
+// Returns the distance from (`x`, `y`) to `bb`, which is `0` inside it.
+function distance(bb, x, y) {
+  const dx = Math.max(bb.getX() - x, 0, x - (bb.getX() + bb.getW()));
+  const dy = Math.max(bb.getY() - y, 0, y - (bb.getY() + bb.getH()));
+  return Math.sqrt((dx * dx) + (dy * dy));
+}
+
+// Returns `true` if `entry` is of `type`, a type name (such as `'StaveNote'`)
+// or a list of them. Every entry matches an empty `type`.
+function isType(entry, type) {
+  if (!type) return true;
+  const name = entry.element.getAttribute('type');
+  return Array.isArray(type) ? type.indexOf(name) !== -1 : name === type;
+}
+
+export class SpatialIndex {
+  constructor(options = {}) {
+    this.options = {
+      cellSize: 50, // width and height of a grid cell in pixels
+      ...options,
+    };
+    this.elements = [];
+    this.clear();
+  }
+
+  // Remove the bounding boxes, which are computed again on the next query.
+  clear() {
+    this.entries = [];
+    this.cells = {};
+    this.built = false;
+    return this;
+  }
+
+  // Add `element` to the index. Voices add their notes; notes add their note
+  // heads and modifiers.
+  add(element) {
+    if (this.elements.indexOf(element) === -1) this.elements.push(element);
+    this.built = false;
+    return this;
+  }
+
+  // Compute the bounding boxes of the elements. The elements must be
+  // formatted.
+  build() {
+    this.clear();
+    const seen = [];
+    const insert = (element, bb, parent = null) => {
+      if (!bb || seen.indexOf(element) !== -1) return;
+      seen.push(element);
+
+      const entry = { element, bb, parent, area: bb.getW() * bb.getH() };
+      this.entries.push(entry);
+      this.getCells(bb.getX(), bb.getY(), bb.getW(), bb.getH()).forEach(cell => {
+        if (!this.cells[cell]) this.cells[cell] = [];
+        this.cells[cell].push(entry);
+      });
+    };
+
+    const addNote = note => {
+      if (seen.indexOf(note) !== -1) return;
+      insert(note, Skyline.getNoteBoundingBox(note));
+      if (note instanceof StaveNote && note.preFormatted) {
+        const bbs = note.getNoteHeadBoundingBoxes();
+        note.note_heads.forEach((notehead, index) => insert(notehead, bbs[index], note));
+      }
+      note.getModifiers().forEach(modifier => insert(modifier, getBoundingBox(modifier), note));
+    };
+
+    this.elements.forEach(element => {
+      if (element instanceof Voice) {
+        element.getTickables().forEach(addNote);
+      } else if (element instanceof Note) {
+        addNote(element);
+      } else {
+        insert(element, getBoundingBox(element));
+      }
+    });
+
+    L('Indexed', this.entries.length, 'elements');
+    this.built = true;
+    return this;
+  }
+
+  // Returns the grid cells from (`x`, `y`) to (`x + width`, `y + height`).
+  getCells(x, y, width, height) {
+    const { cellSize } = this.options;
+    const cells = [];
+    for (let column = Math.floor(x / cellSize); column <= Math.floor((x + width) / cellSize); column++) {
+      for (let row = Math.floor(y / cellSize); row <= Math.floor((y + height) / cellSize); row++) {
+        cells.push(`${column},${row}`);
+      }
+    }
+    return cells;
+  }
+
+  // Returns the entries of the index, each with its `element`, `bb` and the
+  // `parent` note of note heads and modifiers.
+  getEntries() {
+    if (!this.built) this.build();
+    return this.entries;
+  }
+
+  // Returns the indexed `BoundingBox` of `element`, or `null`.
+  getBoundingBox(element) {
+    const entry = this.getEntries().find(e => e.element === element);
+    return entry ? entry.bb : null;
+  }
+
+  // Returns the note that the note head or modifier `element` belongs to, or
+  // `null`.
+  getParent(element) {
+    const entry = this.getEntries().find(e => e.element === element);
+    return entry ? entry.parent : null;
+  }
+
+  // Returns the elements whose bounding boxes are within `options.tolerance`
+  // pixels of (`x`, `y`), smallest first. Set `options.type` to a type name
+  // (or a list of them) to return only those elements.
+  elementsAt(x, y, options = {}) {
+    const { type, tolerance = 0 } = options;
+    if (!this.built) this.build();
+
+    const entries = [];
+    this.getCells(x - tolerance, y - tolerance, 2 * tolerance, 2 * tolerance).forEach(cell => {
+      (this.cells[cell] || []).forEach(entry => {
+        if (entries.indexOf(entry) === -1 && isType(entry, type) && distance(entry.bb, x, y) <= tolerance) {
+          entries.push(entry);
+        }
+      });
+    });
+
+    return entries
+      .sort((a, b) => a.area - b.area)
+      .map(entry => entry.element);
+  }
+
+  // Returns the element nearest to (`x`, `y`), or `null`. Elements that
+  // contain the point are nearest, and the smallest of them wins. Set
+  // `options.type` to a type name (or a list of them), and
+  // `options.maxDistance` to a distance in pixels, to limit the search.
+  nearest(x, y, options = {}) {
+    const { type, maxDistance = Infinity } = options;
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.getEntries().forEach(entry => {
+      if (!isType(entry, type)) return;
+      const d = distance(entry.bb, x, y);
+      if (d > maxDistance) return;
+      if (d < nearestDistance || (d === nearestDistance && entry.area < nearest.area)) {
+        nearest = entry;
+        nearestDistance = d;
+      }
+    });
+
+    return nearest ? nearest.element : null;
+  }
+}
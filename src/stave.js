@@ -28,6 +28,7 @@ export class Stave extends Element {
     this.end_x = x + width;
     this.modifiers = [];  // stave modifiers (clef, key, time, barlines, coda, segno, etc.)
     this.measure = 0;
+    this.system = null; // the `System` this stave is part of, if any
     this.clef = 'treble';
     this.endClef = undefined;
     this.font = {
@@ -59,6 +60,38 @@ export class Stave extends Element {
     this.addEndModifier(new Barline(this.options.right_bar ? BARTYPE.SINGLE : BARTYPE.NONE));
   }
 
+  static fromJSON(json, serializer) {
+    return new Stave(json.x, json.y, json.width, { ...json.options }).restoreFromJSON(json, serializer);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      x: this.x,
+      y: this.y,
+      width: this.width,
+      options: { ...this.options, line_config: this.options.line_config.map(config => ({ ...config })) },
+      measure: this.measure,
+      clef: this.clef,
+      endClef: this.endClef,
+      font: { ...this.font },
+      modifiers: this.modifiers.map(modifier => modifier.toJSON()),
+    };
+  }
+
+  // Replaces the default bar lines and restores the modifiers written by
+  // `Stave.toJSON`, keeping their order.
+  restoreFromJSON(json, serializer) {
+    this.setConfigForLines(json.options.line_config.map(config => ({ ...config })));
+    this.setMeasure(json.measure);
+    this.font = { ...json.font };
+    this.modifiers = [];
+    json.modifiers.forEach(modifier => this.addModifier(serializer.fromJSON(modifier), modifier.position));
+    this.clef = json.clef;
+    this.endClef = json.endClef;
+    return this;
+  }
+
   space(spacing) { return this.options.spacing_between_lines_px * spacing; }
 
   resetLines() {
@@ -94,6 +127,23 @@ export class Stave extends Element {
   }
   getTieStartX() { return this.start_x; }
   getTieEndX() { return this.x + this.width; }
+
+  setSystem(system) { this.system = system; return this; }
+  getSystem() { return this.system; }
+
+  // Returns `true` if music running from this stave onto `stave` crosses a
+  // system break, i.e., the staves belong to systems on different lines.
+  // Spanners, such as ties and slurs, are drawn in two halves across a break.
+  // Systems placed by a `ScoreLayout` know their line, which may be at the
+  // same `y` as the next one on another page; others are on the same line
+  // if they are at the same `y`.
+  isAcrossSystemBreak(stave) {
+    const system = this.getSystem();
+    const other = stave.getSystem();
+    if (!system || !other || system === other) return false;
+    if (system.getLine() && other.getLine()) return system.getLine() !== other.getLine();
+    return system.options.y !== other.options.y;
+  }
   getX() { return this.x; }
   getNumLines() { return this.options.num_lines; }
   setNumLines(lines) {
@@ -101,6 +151,7 @@ export class Stave extends Element {
     this.resetLines();
     return this;
   }
+  getY() { return this.y; }
   setY(y) { this.y = y; return this; }
 
   getTopLineTopY() {
@@ -251,10 +302,9 @@ export class Stave extends Element {
     return y;
   }
 
+  // Does the reverse of `getYForLine`. Lines between the stave lines are
+  // fractional, e.g., the top space is line `0.5`.
   getLineForY(y) {
-    // Does the reverse of getYForLine - somewhat dumb and just calls
-    // getYForLine until the right value is reaches
-
     const options = this.options;
     const spacing = options.spacing_between_lines_px;
     const headroom = options.space_above_staff_ln;
@@ -280,6 +330,18 @@ export class Stave extends Element {
     return y;
   }
 
+  // Returns the key of a note whose head would be placed at `y` in `clef`
+  // (the stave's clef by default), e.g., `'c/4'`. The key is for the line or
+  // space nearest to `y`, and has no accidental.
+  getKeyForY(y, clef = this.clef) {
+    // Note lines count up from the bottom line, which is line 1 (see `getYForNote`).
+    const line = (5 - this.getLineForY(y)) - Flow.clefProperties(clef).line_shift;
+    const steps = Math.round(line * 2) + (4 * 7);
+    const octave = Math.floor(steps / 7);
+
+    return `${['c', 'd', 'e', 'f', 'g', 'a', 'b'][steps - (octave * 7)]}/${octave}`;
+  }
+
   getYForGlyphs() {
     return this.getYForLine(3);
   }
@@ -556,6 +618,7 @@ export class Stave extends Element {
 
     if (!this.formatted) this.format();
 
+    this.setAttribute('el', this.context.openGroup('stave', this.getAttribute('id')));
     const num_lines = this.options.num_lines;
     const width = this.width;
     const x = this.x;
@@ -595,6 +658,7 @@ export class Stave extends Element {
       this.context.restore();
     }
 
+    this.context.closeGroup();
     return this;
   }
 
@@ -104,6 +104,14 @@ export class Barline extends StaveModifier {
     this.setPosition(StaveModifier.Position.BEGIN);
     this.setType(type);
   }
+
+  static fromJSON(json) {
+    return new Barline(json.barline);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), barline: this.type };
+  }
   getCategory() { return Barline.CATEGORY; }
   getType() { return this.type; }
   setType(type) {
@@ -84,6 +84,28 @@ export class StaveConnector extends Element {
     this.texts = [];
   }
 
+  static fromJSON(json, serializer) {
+    const connector = new StaveConnector(serializer.getElement(json.top_stave), serializer.getElement(json.bottom_stave))
+      .setType(json.connector)
+      .setXShift(json.x_shift);
+
+    connector.setFont({ ...json.font });
+    json.texts.forEach(text => connector.setText(text.content, { ...text.options }));
+    return connector;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      top_stave: this.top_stave.getAttribute('id'),
+      bottom_stave: this.bottom_stave.getAttribute('id'),
+      connector: this.type,
+      x_shift: this.x_shift,
+      font: { ...this.font },
+      texts: this.texts.map(text => ({ content: text.content, options: { ...text.options } })),
+    };
+  }
+
   setType(type) {
     type = typeof(type) === 'string'
       ? StaveConnector.typeString[type]
@@ -248,17 +248,36 @@ export class StaveLine extends Element {
     }
   }
 
-  // Renders the `StaveLine` on the context
-  draw() {
-    const ctx = this.checkContext();
-    this.setRendered();
+  /**
+   * @return {boolean} Returns true if the connected notes are on either side
+   * of a system break, in which case the line is drawn in two halves.
+   */
+  isSplit() {
+    return !!this.first_note && !!this.last_note &&
+      this.first_note.getStave().isAcrossSystemBreak(this.last_note.getStave());
+  }
 
-    const first_note = this.first_note;
-    const last_note = this.last_note;
-    const render_options = this.render_options;
+  // Get the `y` on `stave` where the line crosses a system break, half-way
+  // between the pitches of the connected notes, so that both halves line up.
+  getBreakY(stave, first_index, last_index) {
+    const lines = [];
+    if (this.first_note) lines.push(this.first_note.getKeyProps()[first_index].line);
+    if (this.last_note) lines.push(this.last_note.getKeyProps()[last_index].line);
+    return stave.getYForNote(lines.reduce((sum, line) => sum + line, 0) / lines.length);
+  }
 
-    ctx.save();
-    this.applyLineStyle();
+  // Draw the lines from `first_note` to `last_note`. If either note is missing,
+  // the lines run from the start, or up to the end, of the other note's stave.
+  // Returns the start and end positions of the last line.
+  drawSegment(first_note, last_note) {
+    const ctx = this.context;
+    const render_options = this.render_options;
+    const arrows = {
+      ...render_options,
+      draw_start_arrow: render_options.draw_start_arrow && !!first_note,
+      draw_end_arrow: render_options.draw_end_arrow && !!last_note,
+    };
+    const notehead_width = (first_note || last_note).getGlyph().getWidth();
 
     // Cycle through each set of indices and draw lines
     let start_position;
@@ -267,35 +286,72 @@ export class StaveLine extends Element {
       const last_index = this.last_indices[i];
 
       // Get initial coordinates for the start/end of the line
-      start_position = first_note.getModifierStartXY(2, first_index);
-      end_position = last_note.getModifierStartXY(1, last_index);
-      const upwards_slope = start_position.y > end_position.y;
+      if (first_note) {
+        start_position = first_note.getModifierStartXY(2, first_index);
+      } else {
+        const stave = last_note.getStave();
+        start_position = { x: stave.getTieStartX(), y: this.getBreakY(stave, first_index, last_index) };
+      }
 
-      // Adjust `x` coordinates for modifiers
-      start_position.x += first_note.getMetrics().modRightPx + render_options.padding_left;
-      end_position.x -= last_note.getMetrics().modLeftPx + render_options.padding_right;
+      if (last_note) {
+        end_position = last_note.getModifierStartXY(1, last_index);
+      } else {
+        const stave = first_note.getStave();
+        end_position = { x: stave.getTieEndX(), y: this.getBreakY(stave, first_index, last_index) };
+      }
+      const upwards_slope = start_position.y > end_position.y;
 
-      // Adjust first `x` coordinates for displacements
-      const notehead_width = first_note.getGlyph().getWidth();
-      const first_displaced = first_note.getKeyProps()[first_index].displaced;
-      if (first_displaced && first_note.getStemDirection() === 1) {
-        start_position.x += notehead_width + render_options.padding_left;
+      if (first_note) {
+        // Adjust first `x` coordinates for modifiers and displacements
+        start_position.x += first_note.getMetrics().modRightPx + render_options.padding_left;
+        const first_displaced = first_note.getKeyProps()[first_index].displaced;
+        if (first_displaced && first_note.getStemDirection() === 1) {
+          start_position.x += notehead_width + render_options.padding_left;
+        }
       }
 
-      // Adjust last `x` coordinates for displacements
-      const last_displaced = last_note.getKeyProps()[last_index].displaced;
-      if (last_displaced && last_note.getStemDirection() === -1) {
-        end_position.x -= notehead_width + render_options.padding_right;
+      if (last_note) {
+        // Adjust last `x` coordinates for modifiers and displacements
+        end_position.x -= last_note.getMetrics().modLeftPx + render_options.padding_right;
+        const last_displaced = last_note.getKeyProps()[last_index].displaced;
+        if (last_displaced && last_note.getStemDirection() === -1) {
+          end_position.x -= notehead_width + render_options.padding_right;
+        }
       }
 
       // Adjust y position better if it's not coming from the center of the note
       start_position.y += upwards_slope ? -3 : 1;
       end_position.y += upwards_slope ? 2 : 0;
 
-      drawArrowLine(ctx, start_position, end_position, this.render_options);
+      drawArrowLine(ctx, start_position, end_position, arrows);
     });
 
+    return { start_position, end_position };
+  }
+
+  // Renders the `StaveLine` on the context. `drawsOnStave(stave)` picks the
+  // halves of a split line to draw, as for `Curve.draw`.
+  draw(drawsOnStave = () => true) {
+    const ctx = this.checkContext();
+    this.setRendered();
+
+    const render_options = this.render_options;
+
+    ctx.save();
+    this.applyLineStyle();
+
+    // Across a system break, the lines are drawn up to the end of the first
+    // system, and again from the start of the next one. The text goes with
+    // the first half.
+    const split = this.isSplit();
+    const drawsFirst = !split || drawsOnStave(this.first_note.getStave());
+    const { start_position, end_position } = drawsFirst
+      ? this.drawSegment(this.first_note, split ? null : this.last_note)
+      : {};
+    if (split && drawsOnStave(this.last_note.getStave())) this.drawSegment(null, this.last_note);
+
     ctx.restore();
+    if (!drawsFirst) return this;
 
     // Determine the x coordinate where to start the text
     const text_width = ctx.measureText(this.text).width;
@@ -315,9 +371,9 @@ export class StaveLine extends Element {
     let y;
     const vertical_position = render_options.text_position_vertical;
     if (vertical_position === StaveLine.TextVerticalPosition.TOP) {
-      y = first_note.getStave().getYForTopText();
+      y = (this.first_note || this.last_note).getStave().getYForTopText();
     } else if (vertical_position === StaveLine.TextVerticalPosition.BOTTOM) {
-      y = first_note.getStave().getYForBottomText(Flow.TEXT_HEIGHT_OFFSET_HACK);
+      y = (this.first_note || this.last_note).getStave().getYForBottomText(Flow.TEXT_HEIGHT_OFFSET_HACK);
     }
 
     // Draw the text
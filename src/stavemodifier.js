@@ -55,6 +55,10 @@ export class StaveModifier extends Element {
     return (index !== undefined && index < 2 ? 0 : this.padding);
   }
   setPadding(padding) { this.padding = padding; return this; }
+  toJSON() {
+    return { ...super.toJSON(), position: this.position };
+  }
+
   setLayoutMetrics(layoutMetrics) {
     this.layoutMetrics = layoutMetrics;
     return this;
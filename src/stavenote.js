@@ -348,6 +348,50 @@ export class StaveNote extends StemmableNote {
     this.buildFlag();
   }
 
+  static structFromJSON(json) {
+    return {
+      ...super.structFromJSON(json),
+      keys: json.keys,
+      clef: json.clef,
+      octave_shift: json.octave_shift,
+      stem_direction: json.stem_direction,
+    };
+  }
+
+  static fromJSON(json, serializer) {
+    return new StaveNote(StaveNote.structFromJSON(json)).restoreFromJSON(json, serializer);
+  }
+
+  toJSON() {
+    const json = {
+      ...super.toJSON(),
+      keys: this.keys.slice(),
+      stem_direction: this.getStemDirection(),
+    };
+
+    if (this.clef !== undefined) json.clef = this.clef;
+    if (this.octave_shift !== undefined) json.octave_shift = this.octave_shift;
+
+    const keyStyles = this.note_heads.map(noteHead => noteHead.getStyle() || null);
+    if (!this.style && keyStyles.some(style => style)) json.keyStyles = keyStyles;
+    return json;
+  }
+
+  restoreFromJSON(json, serializer) {
+    // `StaveNote.addModifier` takes the index first, so add the modifiers here.
+    super.restoreFromJSON({ ...json, modifiers: [] }, serializer);
+    json.modifiers.forEach(modifierJSON => {
+      const modifier = serializer.fromJSON(modifierJSON);
+      if (modifier.getCategory() === Dot.CATEGORY) modifier.setDotShiftY(this.glyph.dot_shiftY);
+      this.addModifier(modifierJSON.index, modifier);
+    });
+
+    (json.keyStyles || []).forEach((style, index) => {
+      if (style) this.setKeyStyle(index, style);
+    });
+    return this;
+  }
+
   reset() {
     super.reset();
 
@@ -565,6 +609,21 @@ export class StaveNote extends StemmableNote {
     return new BoundingBox(x, minY, w, maxY - minY);
   }
 
+  // Get the `BoundingBox` of each note head, in the order of `note_heads`. The
+  // note heads are placed as they are when the note is drawn.
+  getNoteHeadBoundingBoxes() {
+    if (!this.preFormatted) {
+      throw new Vex.RERR('UnformattedNote', "Can't call getNoteHeadBoundingBoxes on an unformatted note.");
+    }
+
+    const xBegin = this.getNoteHeadBeginX();
+    const spacing = this.getStave().getSpacingBetweenLines();
+    return this.note_heads.map(notehead => {
+      notehead.setX(xBegin);
+      return new BoundingBox(notehead.getAbsoluteX(), notehead.getY() - (spacing / 2), notehead.getWidth(), spacing);
+    });
+  }
+
   // Gets the line number of the bottom note in the chord.
   // If `isTopNote` is `true` then get the top note's line number instead
   getLineNumber(isTopNote) {
@@ -770,6 +829,17 @@ export class StaveNote extends StemmableNote {
     return this.keyProps[index].line;
   }
 
+  // Replace the keys of the note, e.g., after transposing it. The keys must
+  // match the existing modifier indices.
+  setKeys(keys) {
+    this.keys = keys;
+    this.keyProps = [];
+    this.displaced = false;
+    this.calculateKeyProps();
+    this.reset();
+    return this;
+  }
+
   // Add self to modifier context. `mContext` is the `ModifierContext`
   // to be added to.
   addToModifierContext(mContext) {
@@ -38,6 +38,20 @@ export class Repetition extends StaveModifier {
     };
   }
 
+  static fromJSON(json) {
+    return new Repetition(json.repetition, json.x, json.y_shift).setShiftX(json.x_shift);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      repetition: this.symbol_type,
+      x: this.x,
+      x_shift: this.x_shift,
+      y_shift: this.y_shift,
+    };
+  }
+
   getCategory() { return Repetition.CATEGORY; }
   setShiftX(x) { this.x_shift = x; return this; }
   setShiftY(y) { this.y_shift = y; return this; }
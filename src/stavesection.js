@@ -22,6 +22,23 @@ export class StaveSection extends StaveModifier {
     };
   }
 
+  static fromJSON(json) {
+    const section = new StaveSection(json.section, json.x, json.shift_y).setShiftX(json.shift_x);
+    section.font = { ...json.font };
+    return section;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      section: this.section,
+      x: this.x,
+      shift_x: this.shift_x,
+      shift_y: this.shift_y,
+      font: { ...this.font },
+    };
+  }
+
   getCategory() { return StaveSection.CATEGORY; }
   setStaveSection(section) { this.section = section; return this; }
   setShiftX(x) { this.shift_x = x; return this; }
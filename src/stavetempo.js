@@ -27,6 +27,23 @@ export class StaveTempo extends StaveModifier {
       glyph_font_scale: 30,  // font size for note
     };
   }
+
+  static fromJSON(json) {
+    const tempo = new StaveTempo({ ...json.tempo }, json.x, json.shift_y).setShiftX(json.shift_x);
+    tempo.font = { ...json.font };
+    return tempo;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      tempo: { ...this.tempo },
+      x: this.x,
+      shift_x: this.shift_x,
+      shift_y: this.shift_y,
+      font: { ...this.font },
+    };
+  }
   getCategory() { return StaveTempo.CATEGORY; }
   setTempo(tempo) { this.tempo = tempo; return this; }
   setShiftX(x) { this.shift_x = x; return this; }
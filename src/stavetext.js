@@ -29,6 +29,21 @@ export class StaveText extends StaveModifier {
     };
   }
 
+  static fromJSON(json) {
+    const text = new StaveText(json.text, json.position, { ...json.options });
+    text.setFont(json.font);
+    return text;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      text: this.text,
+      options: { ...this.options },
+      font: { ...this.font },
+    };
+  }
+
   getCategory() { return StaveText.CATEGORY; }
   setStaveText(text) { this.text = text; return this; }
   setShiftX(x) { this.shift_x = x; return this; }
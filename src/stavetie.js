@@ -42,6 +42,43 @@ export class StaveTie extends Element {
     this.setNotes(notes);
   }
 
+  static notesFromJSON(json, serializer) {
+    return {
+      first_note: serializer.getElement(json.first_note),
+      last_note: serializer.getElement(json.last_note),
+      first_indices: json.first_indices.slice(),
+      last_indices: json.last_indices.slice(),
+    };
+  }
+
+  static fromJSON(json, serializer) {
+    return new StaveTie(StaveTie.notesFromJSON(json.notes, serializer), json.text).restoreFromJSON(json);
+  }
+
+  toJSON() {
+    const id = note => (note ? note.getAttribute('id') : null);
+    return {
+      ...super.toJSON(),
+      notes: {
+        first_note: id(this.first_note),
+        last_note: id(this.last_note),
+        first_indices: this.first_indices.slice(),
+        last_indices: this.last_indices.slice(),
+      },
+      text: this.text,
+      direction: this.direction,
+      render_options: { ...this.render_options, font: { ...this.render_options.font } },
+      font: { ...this.font },
+    };
+  }
+
+  restoreFromJSON(json) {
+    this.render_options = { ...json.render_options, font: { ...json.render_options.font } };
+    this.setFont({ ...json.font });
+    if (json.direction !== null) this.setDirection(json.direction);
+    return this;
+  }
+
   setFont(font) { this.font = font; return this; }
   setDirection(direction) { this.direction = direction; return this; }
 
@@ -79,6 +116,15 @@ export class StaveTie extends Element {
     return (!this.first_note || !this.last_note);
   }
 
+  /**
+   * @return {boolean} Returns true if the tied notes are on either side of a
+   * system break, in which case the tie is drawn in two halves.
+   */
+  isSplit() {
+    return !this.isPartial() &&
+      this.first_note.getStave().isAcrossSystemBreak(this.last_note.getStave());
+  }
+
   renderTie(params) {
     if (params.first_ys.length === 0 || params.last_ys.length === 0) {
       throw new Vex.RERR('BadArguments', 'No Y-values to render');
@@ -95,12 +141,13 @@ export class StaveTie extends Element {
     const first_x_shift = this.render_options.first_x_shift;
     const last_x_shift = this.render_options.last_x_shift;
     const y_shift = this.render_options.y_shift * params.direction;
+    const { first_indices = this.first_indices, last_indices = this.last_indices } = params;
 
-    for (let i = 0; i < this.first_indices.length; ++i) {
+    for (let i = 0; i < first_indices.length; ++i) {
       const cp_x = ((params.last_x_px + last_x_shift) +
           (params.first_x_px + first_x_shift)) / 2;
-      const first_y_px = params.first_ys[this.first_indices[i]] + y_shift;
-      const last_y_px = params.last_ys[this.last_indices[i]] + y_shift;
+      const first_y_px = params.first_ys[first_indices[i]] + y_shift;
+      const last_y_px = params.last_ys[last_indices[i]] + y_shift;
 
       if (isNaN(first_y_px) || isNaN(last_y_px)) {
         throw new Vex.RERR('BadArguments', 'Bad indices for tie rendering.');
@@ -133,17 +180,15 @@ export class StaveTie extends Element {
     this.context.restore();
   }
 
-  draw() {
-    this.checkContext();
-    this.setRendered();
-
-    const first_note = this.first_note;
-    const last_note = this.last_note;
-
+  // Draw the tie from `first_note` to `last_note`. If either note is missing,
+  // the tie runs from the start, or up to the end, of the other note's stave.
+  drawSegment(first_note, last_note) {
     let first_x_px;
     let last_x_px;
     let first_ys;
     let last_ys;
+    let first_indices = this.first_indices;
+    let last_indices = this.last_indices;
     let stem_direction;
     if (first_note) {
       first_x_px = first_note.getTieRightX() + this.render_options.tie_spacing;
@@ -152,7 +197,7 @@ export class StaveTie extends Element {
     } else {
       first_x_px = last_note.getStave().getTieStartX();
       first_ys = last_note.getYs();
-      this.first_indices = this.last_indices;
+      first_indices = this.last_indices;
     }
 
     if (last_note) {
@@ -162,7 +207,7 @@ export class StaveTie extends Element {
     } else {
       last_x_px = first_note.getStave().getTieEndX();
       last_ys = first_note.getYs();
-      this.last_indices = this.first_indices;
+      last_indices = this.first_indices;
     }
 
     if (this.direction) {
@@ -174,10 +219,28 @@ export class StaveTie extends Element {
       last_x_px,
       first_ys,
       last_ys,
+      first_indices,
+      last_indices,
       direction: stem_direction,
     });
 
-    this.renderText(first_x_px, last_x_px);
+    return { first_x_px, last_x_px };
+  }
+
+  // Draw the tie. `drawsOnStave(stave)` picks the halves of a split tie to
+  // draw, as for `Curve.draw`.
+  draw(drawsOnStave = () => true) {
+    this.checkContext();
+    this.setRendered();
+
+    // Across a system break, the tie is drawn up to the end of the first
+    // system, and again from the start of the next one.
+    const split = this.isSplit();
+    if (!split || drawsOnStave(this.first_note.getStave())) {
+      const { first_x_px, last_x_px } = this.drawSegment(this.first_note, split ? null : this.last_note);
+      this.renderText(first_x_px, last_x_px);
+    }
+    if (split && drawsOnStave(this.last_note.getStave())) this.drawSegment(null, this.last_note);
     return true;
   }
 }
@@ -29,6 +29,20 @@ export class Volta extends StaveModifier {
     };
   }
 
+  static fromJSON(json) {
+    return new Volta(json.volta, json.number, json.x, json.y_shift);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      volta: this.volta,
+      number: this.number,
+      x: this.x,
+      y_shift: this.y_shift,
+    };
+  }
+
   getCategory() { return Volta.CATEGORY; }
   setShiftY(y) { this.y_shift = y; return this; }
 
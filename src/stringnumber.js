@@ -131,6 +131,26 @@ export class StringNumber extends Modifier {
       weight: 'bold',
     };
   }
+
+  static fromJSON(json) {
+    return new StringNumber(json.string_number)
+      .setOffsetX(json.x_offset)
+      .setOffsetY(json.y_offset)
+      .setDashed(json.dashed)
+      .setLineEndType(json.leg)
+      .restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      string_number: this.string_number,
+      x_offset: this.x_offset,
+      y_offset: this.y_offset,
+      dashed: this.dashed,
+      leg: this.leg,
+    };
+  }
   getCategory() { return StringNumber.CATEGORY; }
   getNote() { return this.note; }
   setNote(note) { this.note = note; return this; }
@@ -87,6 +87,14 @@ export class Stroke extends Modifier {
     this.setWidth(10);
   }
 
+  static fromJSON(json) {
+    return new Stroke(json.stroke, { all_voices: json.all_voices }).restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), stroke: this.type, all_voices: this.all_voices };
+  }
+
   getCategory() { return Stroke.CATEGORY; }
   getPosition() { return this.position; }
   addEndNote(note) { this.note_end = note; return this; }
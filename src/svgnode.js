@@ -0,0 +1,74 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements an in-memory SVG node, with the parts of the DOM
+// `Element` interface used by `SVGContext`. Nodes serialize themselves into
+// SVG markup with `toString()`. See `SVGStringContext`.
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export class SVGNode {
+  constructor(nodeName) {
+    this.nodeName = nodeName;
+    this.attributes = {};
+    this.childNodes = [];
+    this.parentNode = null;
+    this.style = {};
+    this.textContent = '';
+  }
+
+  get lastChild() {
+    return this.childNodes.length ? this.childNodes[this.childNodes.length - 1] : null;
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = value;
+  }
+
+  setAttributeNS(namespace, name, value) {
+    this.setAttribute(name, value);
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  appendChild(node) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  removeChild(node) {
+    const index = this.childNodes.indexOf(node);
+    if (index !== -1) {
+      this.childNodes.splice(index, 1);
+      node.parentNode = null;
+    }
+    return node;
+  }
+
+  // Serialize the node and its children into markup.
+  toString() {
+    const attributes = Object.keys(this.attributes)
+      .map(name => ` ${name}="${escapeXML(this.attributes[name])}"`)
+      .join('');
+    const content = this.childNodes.join('') + escapeXML(this.textContent);
+
+    return content
+      ? `<${this.nodeName}${attributes}>${content}</${this.nodeName}>`
+      : `<${this.nodeName}${attributes}/>`;
+  }
+}
@@ -0,0 +1,64 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements a headless SVG rendering context, which does not need
+// a DOM. It draws into an in-memory tree of SVG nodes, which can be serialized
+// into an SVG string with `toSVG()`. Since there is no browser to lay out text,
+// text is measured with the `TextFont` metrics tables.
+//
+// This is useful to render scores on a server, e.g., in Node:
+//
+// ```javascript
+// const vf = new Vex.Flow.Factory({
+//   renderer: { backend: Vex.Flow.Renderer.Backends.SVG_STRING, width: 500, height: 200 },
+// });
+// const score = vf.EasyScore();
+// vf.System().addStave({ voices: [score.voice(score.notes('C4/q, D4, E4, F4'))] });
+// vf.draw();
+// const svg = vf.getContext().toSVG();
+// ```
+
+import { SVGContext } from './svgcontext';
+import { SVGNode } from './svgnode';
+import { TextFont } from './textfont';
+
+export class SVGStringContext extends SVGContext {
+  constructor() {
+    // The SVG is attached to a detached container node, in place of the DOM
+    // element used by `SVGContext`.
+    super(new SVGNode('div'));
+    this.svg.setAttribute('xmlns', this.svgNS);
+  }
+
+  create(svgElementType) {
+    return new SVGNode(svgElementType);
+  }
+
+  // Get the `TextFont` that best matches the current font attributes.
+  getTextFont() {
+    const size = this.attributes['font-size'];
+    const points = parseFloat(size) * (/px$/.test(size) ? 0.75 : 1);
+
+    return TextFont.getTextFontFromVexFontData({
+      family: this.attributes['font-family'],
+      weight: this.attributes['font-weight'],
+      style: this.attributes['font-style'],
+    }).setFontSize(points);
+  }
+
+  // Measure `text` from the font metrics. The box is relative to the baseline,
+  // like the box of an SVG `text` element.
+  measureText(text) {
+    const textFont = this.getTextFont();
+    const width = String(text).split('').reduce((total, c) => total + textFont.getWidthForCharacter(c), 0);
+    const height = textFont.maxHeight;
+
+    return { x: 0, y: -height, width, height };
+  }
+
+  // Serialize the SVG.
+  toSVG() {
+    return this.svg.toString();
+  }
+}
@@ -3,11 +3,20 @@
 // This class implements a musical system, which is a collection of staves,
 // each which can have one or more voices. All voices across all staves in
 // the system are formatted together.
+//
+// Once the notes are formatted, the modifiers, dynamics and hairpins above
+// and below each stave are moved apart (see `Placement`), and then the staves
+// are moved apart where the skylines of their notes and modifiers (high
+// ledger notes, chord symbols, dynamics, etc.) would otherwise overlap. See
+// `Skyline`.
 
 import { Element } from './element';
 import { Factory } from './factory';
 import { Formatter } from './formatter';
 import { Note } from './note';
+import { Placement } from './placement';
+import { Skyline } from './skyline';
+import { StaveHairpin } from './stavehairpin';
 
 export class System extends Element {
   constructor(params = {}) {
@@ -17,6 +26,35 @@ export class System extends Element {
     this.parts = [];
   }
 
+  static fromJSON(json, serializer) {
+    const system = new System({ ...json.options, factory: serializer.factory });
+    json.parts.forEach(part => system.addStave({
+      ...part,
+      stave: serializer.getElement(part.stave),
+      voices: part.voices.map(id => serializer.getElement(id)),
+      options: { ...part.options },
+    }));
+    if (json.connector) system.connector = serializer.getElement(json.connector);
+    return system;
+  }
+
+  // Staves, voices and the connector are written by id, so they must be
+  // serialized alongside the system.
+  toJSON() {
+    const { factory, ...options } = this.options;
+    return {
+      ...super.toJSON(),
+      options: { ...options, details: { ...options.details } },
+      parts: this.parts.map(part => ({
+        ...part,
+        stave: part.stave.getAttribute('id'),
+        voices: part.voices.map(voice => voice.getAttribute('id')),
+        options: { ...part.options },
+      })),
+      connector: this.connector ? this.connector.getAttribute('id') : undefined,
+    };
+  }
+
   setOptions(options = {}) {
     this.options = {
       x: 10,
@@ -29,6 +67,9 @@ export class System extends Element {
       debugFormatter: false,
       formatIterations: 0,   // number of formatter tuning steps
       noPadding: false,
+      autoPlace: true,       // move modifiers above and below the staves apart
+      autoSpace: true,       // move staves apart so that their contents don't overlap
+      minClearance: 1,       // stave spaces between the contents of adjacent staves
       ...options,
       details: {
         alpha: 0.5,          // formatter tuner learning/shifting rate
@@ -39,6 +80,20 @@ export class System extends Element {
     this.factory = this.options.factory || new Factory({ renderer: { el: null } });
   }
 
+  // Move the system to `y`. Its staves are placed when it's formatted, or
+  // moved along with it if it already is.
+  setY(y) {
+    if (this.formatted) this.moveStaves(0, y - this.options.y);
+    this.options.y = y;
+    return this;
+  }
+
+  isFormatted() { return !!this.formatted; }
+
+  // Set the line of a `ScoreLayout` that the system is on.
+  setLine(line) { this.line = line; return this; }
+  getLine() { return this.line; }
+
   setContext(context) {
     super.setContext(context);
     this.factory.setContext(context);
@@ -77,6 +132,7 @@ export class System extends Element {
       });
     }
 
+    params.stave.setSystem(this);
     params.voices.forEach(voice =>
       voice
         .setContext(this.context)
@@ -116,6 +172,10 @@ export class System extends Element {
 
     // Update the start position of all staves.
     this.parts.forEach(part => part.stave.setNoteStartX(startX));
+
+    // Beams may span several staves (see `CrossStaffBeam`), so their stem
+    // directions can only be settled once all the staves are in place.
+    this.getBeams(allVoices).forEach(beam => beam.preFormat());
     const justifyWidth = this.options.noPadding ?
       this.options.width - this.options.x :
       this.options.width - (startX - this.options.x) - this.musicFont.lookupMetric('stave.padding');
@@ -129,6 +189,76 @@ export class System extends Element {
     this.startX = startX;
     this.debugNoteMetricsYs = debugNoteMetricsYs;
     this.lastY = y;
+    this.formatted = true;
+
+    // The notes were put on their staves before the staves were placed.
+    this.moveStaves(0, 0);
+
+    if (this.options.autoPlace) {
+      const placement = new Placement();
+      this.parts.forEach(part => placement.format(part.stave, part.voices, this.getHairpins(part.stave)));
+    }
+
+    if (this.options.autoSpace) this.spaceStaves(this.getStaveGaps());
+  }
+
+  // Get the `above` and `below` skylines of each stave. The system must be
+  // formatted.
+  getSkylines() {
+    return this.parts.map(part => Skyline.fromStave(part.stave, part.voices, this.getHairpins(part.stave)));
+  }
+
+  // Get the hairpins of the factory that start (or end) on `stave`.
+  getHairpins(stave) {
+    return this.factory.renderQ.filter(element => element instanceof StaveHairpin &&
+      (element.first_note || element.last_note).getStave() === stave);
+  }
+
+  // Get the distance each stave has to move down so that it clears the
+  // contents of the stave above it, by at least `minClearance`. The first
+  // stave never has to move.
+  getStaveGaps() {
+    const skylines = this.getSkylines();
+    return this.parts.map((part, i) => {
+      if (i === 0) return 0;
+      const clearance = part.stave.space(this.options.minClearance);
+      return Math.max(0, Skyline.distance(skylines[i - 1].below, skylines[i].above) + clearance);
+    });
+  }
+
+  // Move the staves down by `gaps` (see `getStaveGaps`). Each stave also
+  // moves by the gaps of the staves above it.
+  spaceStaves(gaps) {
+    let dy = 0;
+    gaps.forEach((gap, i) => {
+      dy += gap;
+      if (dy > 0) this.moveStaves(i, dy, i + 1);
+    });
+    this.lastY += dy;
+    return this;
+  }
+
+  // Move the staves from `first` up to (not including) `last`, with their
+  // notes, down by `dy`.
+  moveStaves(first, dy, last = this.parts.length) {
+    this.parts.slice(first, last).forEach(part => {
+      part.stave.setY(part.stave.getY() + dy);
+      part.voices.forEach(voice => voice.getTickables().forEach(tickable => tickable.setStave(part.stave)));
+    });
+    if (first === 0 && last === this.parts.length) {
+      this.lastY += dy;
+      this.debugNoteMetricsYs.forEach(d => { d.y += dy; });
+    }
+    return this;
+  }
+
+  // Get the beams of the notes in `voices`.
+  getBeams(voices) {
+    const beams = [];
+    voices.forEach(voice => voice.getTickables().forEach(tickable => {
+      if (tickable.beam && beams.indexOf(tickable.beam) === -1) beams.push(tickable.beam);
+    }));
+    return beams;
   }
 
   draw() {
@@ -163,6 +163,27 @@ export class TabNote extends StemmableNote {
     this.updateWidth();
   }
 
+  static fromJSON(json, serializer) {
+    const note = new TabNote({
+      ...TabNote.structFromJSON(json),
+      positions: json.positions,
+      stem_direction: json.stem_direction,
+    }, json.draw_stem);
+
+    if (json.ghost) note.setGhost(true);
+    return note.restoreFromJSON(json, serializer);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      positions: this.positions.map(position => ({ ...position })),
+      stem_direction: this.getStemDirection(),
+      draw_stem: !!this.render_options.draw_stem,
+      ghost: this.ghost,
+    };
+  }
+
   reset() {
     if (this.stave) this.setStave(this.stave);
   }
@@ -470,7 +491,7 @@ export class TabNote extends StemmableNote {
     this.setRendered();
     const render_stem = this.beam == null && this.render_options.draw_stem;
 
-    this.context.openGroup('tabnote', null, { pointerBBox: true });
+    this.setAttribute('el', this.context.openGroup('tabnote', this.getAttribute('id'), { pointerBBox: true }));
     this.drawPositions();
     this.drawStemThrough();
 
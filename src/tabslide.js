@@ -55,6 +55,14 @@ export class TabSlide extends TabTie {
     this.setNotes(notes);
   }
 
+  static fromJSON(json, serializer) {
+    return new TabSlide(TabSlide.notesFromJSON(json.notes, serializer), json.slide_direction).restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), slide_direction: this.slide_direction };
+  }
+
   renderTie(params) {
     if (params.first_ys.length === 0 || params.last_ys.length === 0) {
       throw new Vex.RERR('BadArguments', 'No Y-values to render');
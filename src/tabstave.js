@@ -16,6 +16,10 @@ export class TabStave extends Stave {
     this.setAttribute('type', 'TabStave');
   }
 
+  static fromJSON(json, serializer) {
+    return new TabStave(json.x, json.y, json.width, { ...json.options }).restoreFromJSON(json, serializer);
+  }
+
   getYForGlyphs() {
     return this.getYForLine(2.5);
   }
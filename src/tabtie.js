@@ -37,6 +37,10 @@ export class TabTie extends StaveTie {
     this.setNotes(notes);
   }
 
+  static fromJSON(json, serializer) {
+    return new TabTie(TabTie.notesFromJSON(json.notes, serializer), json.text).restoreFromJSON(json);
+  }
+
   draw() {
     this.checkContext();
     this.setRendered();
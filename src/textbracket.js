@@ -41,6 +41,12 @@ export class TextBracket extends Element {
     super();
     this.setAttribute('type', 'TextBracket');
 
+    // Either the start or the stop note can be omitted, in which case the
+    // bracket is drawn from the start, or up to the end, of the stave.
+    if (!start && !stop) {
+      throw new Vex.RERR('BadArguments', 'TextBracket needs to have either start or stop set.');
+    }
+
     this.start = start;
     this.stop = stop;
 
@@ -101,26 +107,37 @@ export class TextBracket extends Element {
   // Set the rendering `context` for the octave bracket
   setLine(line) { this.line = line; return this; }
 
-  // Draw the octave bracket on the rendering context
-  draw() {
+  // Returns true if the start and stop notes are on either side of a system
+  // break, in which case the bracket is drawn in two halves.
+  isSplit() {
+    return !!this.start && !!this.stop &&
+      this.start.getStave().isAcrossSystemBreak(this.stop.getStave());
+  }
+
+  // Draw the bracket from `start_note` to `stop_note`. If either note is
+  // missing, the bracket runs from the start, or up to the end, of the other
+  // note's stave. The text is repeated at the start of every segment, and the
+  // closing bracket is only drawn at the stop note. Returns the start and stop
+  // positions of the segment.
+  drawSegment(start_note, stop_note) {
     const ctx = this.context;
-    this.setRendered();
+    const stave = (start_note || stop_note).getStave();
 
     let y = 0;
     switch (this.position) {
       case TextBracket.Positions.TOP:
-        y = this.start.getStave().getYForTopText(this.line);
+        y = stave.getYForTopText(this.line);
         break;
       case TextBracket.Positions.BOTTOM:
-        y = this.start.getStave().getYForBottomText(this.line + Flow.TEXT_HEIGHT_OFFSET_HACK);
+        y = stave.getYForBottomText(this.line + Flow.TEXT_HEIGHT_OFFSET_HACK);
         break;
       default:
         throw new Vex.RERR('InvalidPosition', `The position ${this.position} is invalid`);
     }
 
     // Get the preliminary start and stop coordintates for the bracket
-    const start = { x: this.start.getAbsoluteX(), y };
-    const stop = { x: this.stop.getAbsoluteX(), y };
+    const start = { x: start_note ? start_note.getAbsoluteX() : stave.getTieStartX(), y };
+    const stop = { x: stop_note ? stop_note.getAbsoluteX() : stave.getTieEndX(), y };
 
     L('Rendering TextBracket: start:', start, 'stop:', stop, 'y:', y);
 
@@ -150,7 +167,8 @@ export class TextBracket extends Element {
     // Setup initial coordinates for the bracket line
     let start_x = start.x;
     let line_y = super_y;
-    const end_x = stop.x + this.stop.getGlyph().getWidth();
+    const end_x = stop_note ? stop.x + stop_note.getGlyph().getWidth() : stop.x;
+    const show_bracket = this.render_options.show_bracket && !!stop_note;
 
     // Adjust x and y coordinates based on position
     if (this.position === TextBracket.Positions.TOP) {
@@ -176,7 +194,7 @@ export class TextBracket extends Element {
         this.render_options.dash
       );
       // Ending Bracket
-      if (this.render_options.show_bracket) {
+      if (show_bracket) {
         Renderer.drawDashedLine(
           ctx,
           end_x,
@@ -191,7 +209,7 @@ export class TextBracket extends Element {
       ctx.moveTo(start_x, line_y);
       // Main line
       ctx.lineTo(end_x, line_y);
-      if (this.render_options.show_bracket) {
+      if (show_bracket) {
         // Ending bracket
         ctx.lineTo(end_x, line_y + bracket_height);
       }
@@ -200,5 +218,21 @@ export class TextBracket extends Element {
     }
 
     ctx.restore();
+    return { start, stop };
+  }
+
+  // Draw the octave bracket on the rendering context. `drawsOnStave(stave)`
+  // picks the halves of a split bracket to draw, as for `Curve.draw`.
+  draw(drawsOnStave = () => true) {
+    this.setRendered();
+
+    // Across a system break, the bracket runs up to the end of the first
+    // system, and again from the start of the next one.
+    if (this.isSplit()) {
+      if (drawsOnStave(this.start.getStave())) this.drawSegment(this.start, null);
+      if (drawsOnStave(this.stop.getStave())) this.drawSegment(null, this.stop);
+    } else {
+      this.drawSegment(this.start, this.stop);
+    }
   }
 }
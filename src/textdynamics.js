@@ -65,6 +65,15 @@ export class TextDynamics extends Note {
     L('New Dynamics Text: ', this.sequence);
   }
 
+  static fromJSON(json, serializer) {
+    const note = new TextDynamics({ ...TextDynamics.structFromJSON(json), text: json.text, line: json.line });
+    return note.restoreFromJSON(json, serializer);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), text: this.sequence, line: this.line };
+  }
+
   // Set the Stave line on which the note should be placed
   setLine(line) {
     this.line = line;
@@ -74,6 +83,7 @@ export class TextDynamics extends Note {
   // Preformat the dynamics text
   preFormat() {
     let total_width = 0;
+    this.glyphs = [];
     // Iterate through each letter
     this.sequence.split('').forEach(letter => {
       // Get the glyph data for the letter
@@ -114,6 +114,42 @@ export class TextNote extends Note {
     this.justification = TextNote.Justification.LEFT;
   }
 
+  static fromJSON(json, serializer) {
+    const note = new TextNote({
+      ...TextNote.structFromJSON(json),
+      text: json.text,
+      superscript: json.superscript,
+      subscript: json.subscript,
+      glyph: json.glyph,
+      font: json.font,
+      line: json.line,
+      smooth: json.smooth,
+      ignore_ticks: json.ignore_ticks,
+    });
+
+    note.setJustification(json.justification);
+    return note.restoreFromJSON(json, serializer);
+  }
+
+  toJSON() {
+    const glyph = this.glyph
+      ? Object.keys(TextNote.GLYPHS).find(name => TextNote.GLYPHS[name].code === this.glyph.code)
+      : undefined;
+
+    return {
+      ...super.toJSON(),
+      text: this.text,
+      superscript: this.superscript,
+      subscript: this.subscript,
+      glyph,
+      font: { ...this.font },
+      line: this.line,
+      smooth: this.smooth,
+      ignore_ticks: this.ignore_ticks,
+      justification: this.justification,
+    };
+  }
+
   // Set the horizontal justification of the TextNote
   setJustification(just) {
     this.justification = just;
@@ -65,6 +65,19 @@ export class TimeSignature extends StaveModifier {
     this.setPadding(padding);
   }
 
+  static fromJSON(json) {
+    return new TimeSignature(json.timeSpec, json.padding, json.validate_args);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      timeSpec: this.timeSpec,
+      padding: this.padding,
+      validate_args: this.validate_args,
+    };
+  }
+
   getCategory() { return TimeSignature.CATEGORY; }
 
   parseTimeSpec(timeSpec) {
@@ -163,7 +176,12 @@ export class TimeSignature extends StaveModifier {
     return this.timeSig;
   }
 
+  getTimeSpec() {
+    return this.timeSpec;
+  }
+
   setTimeSig(timeSpec) {
+    this.timeSpec = timeSpec;
     this.timeSig = this.parseTimeSpec(timeSpec);
     return this;
   }
@@ -0,0 +1,358 @@
+// [VexFlow](http://vexflow.com) - Copyright (c) Mohit Muthanna 2010.
+//
+// ## Description
+//
+// This file implements transposition by an interval, e.g., to write parts
+// for transposing instruments. Notes are spelled by the diatonic interval, so
+// that transposing `F#` up a major second gives `G#` and not `Ab`. When the
+// key of the music would become a key that has no key signature (e.g., `D#`
+// major), the enharmonic interval is used instead (giving `Eb` major). The
+// same happens for intervals given as a number of semitones, which are
+// spelled to land on the key with the fewest accidentals.
+//
+// ```javascript
+// // Bb clarinet: concert pitch in F major is written a major second up.
+// const transposer = new Vex.Flow.Transposer('M2', { key: 'F' });
+// transposer.transposeKeySpec('F'); // 'G'
+// transposer.transposeKey('bb/4'); // 'c/5'
+// transposer.transposeVoice(voice); // notes, accidentals, chord symbols, ...
+// ```
+//
+// Transposition changes the elements in place, and must happen before they are
+// formatted.
+
+import { Vex } from './vex';
+import { Flow } from './tables';
+import { Music } from './music';
+import { KeyManager } from './keymanager';
+import { ChordSymbol } from './chordsymbol';
+import { Tuning } from './tuning';
+
+// To enable logging for this class. Set `Vex.Flow.Transposer.DEBUG` to `true`.
+function L(...args) { if (Transposer.DEBUG) Vex.L('Vex.Flow.Transposer', args); }
+
+export const X = Vex.MakeException('TransposerError');
+
+// Semitone offsets of accidentals in note names.
+const ACCIDENTAL_VALUES = { 'bb': -2, 'b': -1, 'n': 0, '#': 1, '##': 2 };
+
+// Get the number of note names that `interval` spans, e.g., `2` for a third.
+function getDiatonicSteps(interval) {
+  if (Music.diatonic_accidentals[interval]) return Music.diatonic_accidentals[interval].note;
+  if (['u', 'S', 'H', 'T', 'W'].indexOf(interval) !== -1) return interval === 'u' ? 0 : 1;
+
+  return Number(/\d+$/.exec(interval)[0]) - 1;
+}
+
+// Get the pitch of a note name in an octave, counting semitones from C0.
+function getPitch(parts, octave) {
+  const rootValue = Music.root_values[Music.root_indices[parts.root]];
+  return (Number(octave) * Music.NUM_TONES) + rootValue + (ACCIDENTAL_VALUES[parts.accidental] || 0);
+}
+
+// Match the case of `name` to `original`, e.g., `Bb` for `B`.
+function matchCase(name, original) {
+  return original[0] === original[0].toUpperCase() ? name[0].toUpperCase() + name.slice(1) : name;
+}
+
+export class Transposer {
+  // Create a transposer by `interval`, which is an interval name from
+  // `Music.intervals` (e.g., `M2`, `p5`, `b3`) or a number of semitones.
+  //
+  // Options:
+  // * `direction`: `1` to transpose up (default), `-1` to transpose down.
+  // * `octaves`: octaves to add to the interval, e.g., `1` for a major ninth
+  //   with `M2`.
+  // * `key`: the key of the music, e.g., `Eb` or `C#m`. Defaults to `C`.
+  // * `tuning`: the `Tuning` (or tuning name) of tab notes.
+  // * `maxFret`: the highest fret of tab notes.
+  constructor(interval, options = {}) {
+    this.music = new Music();
+    this.interval = interval;
+    this.options = {
+      direction: 1,
+      octaves: 0,
+      key: 'C',
+      tuning: 'standard',
+      maxFret: 24,
+      ...options,
+    };
+
+    const { direction, key, tuning } = this.options;
+    if (direction !== 1 && direction !== -1) {
+      throw new X(`Invalid direction: ${direction}`);
+    }
+
+    if (typeof interval === 'number') {
+      // Negative intervals are a number of octaves down and some semitones up,
+      // e.g., `-2` is an octave down and ten semitones up.
+      this.semitones = ((interval % Music.NUM_TONES) + Music.NUM_TONES) % Music.NUM_TONES;
+      this.options.octaves += Math.floor(interval / Music.NUM_TONES);
+    } else {
+      this.semitones = this.music.getIntervalValue(interval);
+    }
+
+    this.tuning = tuning instanceof Tuning ? tuning : new Tuning(tuning);
+    this.key = this.getKeySpec(key);
+    this.sourceKeyManager = new KeyManager(this.key);
+    this.steps = this.chooseSteps(this.key, typeof interval === 'number' ? undefined : getDiatonicSteps(interval));
+    this.targetKey = this.transposeKeySpec(this.key);
+    this.targetKeyManager = new KeyManager(this.targetKey);
+
+    L('Interval:', interval, 'steps:', this.steps, 'key:', this.key, '->', this.targetKey);
+  }
+
+  // Get the key spec of `key` in `Flow.keySignature.keySpecs`.
+  getKeySpec(key) {
+    const parts = this.music.getKeyParts(key);
+    const spec = parts.root.toUpperCase() + (parts.accidental || '') + (parts.type === 'm' ? 'm' : '');
+    if (!Flow.keySignature.keySpecs[spec]) {
+      throw new X(`Invalid key: ${key}`);
+    }
+
+    return spec;
+  }
+
+  // Choose how many note names to move `key` by. The preferred number of
+  // `steps` is kept, unless the new key would have no key signature, in
+  // which case the enharmonic interval with the fewest accidentals is used.
+  // Without `steps` (for intervals in semitones), the spelling with the
+  // fewest accidentals is used.
+  chooseSteps(key, steps) {
+    const getKeySpec = s => Flow.keySignature.keySpecs[this.spellKeySpec(key, s)];
+    if (steps !== undefined && getKeySpec(steps)) return steps;
+
+    const candidates = steps === undefined ? [0, 1, 2, 3, 4, 5, 6] : [steps - 1, steps + 1];
+    const valid = candidates
+      .filter(s => getKeySpec(s))
+      .sort((a, b) => getKeySpec(a).num - getKeySpec(b).num);
+    if (!valid.length) {
+      throw new X(`Can't transpose key ${key} by ${this.interval}`);
+    }
+
+    return valid[0];
+  }
+
+  // Spell the note `name` (e.g., `c#`) moved by `steps` note names, or
+  // return `null` if it needs more than two accidentals.
+  spellNoteName(name, steps) {
+    const parts = this.music.getNoteParts(name);
+    const { direction } = this.options;
+    const rootIndex = Music.root_indices[parts.root] + (direction * steps);
+    const root = Music.roots[((rootIndex % 7) + 7) % 7];
+    const value = this.music.getRelativeNoteValue(this.music.getNoteValue(name.toLowerCase()), this.semitones, direction);
+
+    try {
+      return this.music.getRelativeNoteName(root, value);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  spellKeySpec(key, steps) {
+    const match = /^([A-G][b#]?)(m?)$/.exec(key);
+    const name = this.spellNoteName(match[1], steps);
+    return name && (name[0].toUpperCase() + name.slice(1) + match[2]);
+  }
+
+  // Transpose a note name without octave, e.g., `Bb` to `C`. Notes that would
+  // need more than two accidentals are spelled as in the new key.
+  transposeNoteName(name) {
+    let transposed = this.spellNoteName(name, this.steps);
+    if (!transposed) {
+      const value = this.music.getRelativeNoteValue(
+        this.music.getNoteValue(name.toLowerCase()), this.semitones, this.options.direction
+      );
+      transposed = this.targetKeyManager.scaleMapByValue[value] || this.music.getCanonicalNoteName(value);
+    }
+
+    return matchCase(transposed, name);
+  }
+
+  // Transpose a key spec, e.g., `Eb` or `F#m`.
+  transposeKeySpec(keySpec) {
+    const key = this.getKeySpec(keySpec);
+    return this.spellKeySpec(key, this.chooseSteps(key, this.steps));
+  }
+
+  // Transpose a `StaveNote` key, e.g., `c#/4` or `C/5/x2`. A key without an
+  // accidental is read like on a stave: with `accidental` (e.g., the type of
+  // its `Accidental`) when given, else in the key signature, so that `f/4` is
+  // an `F#` in `G` major.
+  transposeKey(key, accidental) {
+    const [name, octave, ...rest] = key.split('/');
+    const parts = this.music.getNoteParts(name);
+    if (!parts.accidental) {
+      parts.accidental = accidental || this.music.getNoteParts(this.sourceKeyManager.scaleMap[parts.root]).accidental;
+    }
+
+    const { direction, octaves } = this.options;
+    const pitch = getPitch(parts, octave) + (direction * (this.semitones + (octaves * Music.NUM_TONES)));
+
+    // The octave follows the note name, e.g., `b#/3` sounds like `c/4`.
+    const transposed = this.transposeNoteName(matchCase(parts.root + (parts.accidental || ''), name));
+    const transposedOctave = Math.round((pitch - getPitch(this.music.getNoteParts(transposed), 0)) / Music.NUM_TONES);
+
+    return [transposed, transposedOctave, ...rest].join('/');
+  }
+
+  // Transpose the keys of a `StaveNote` (or `GraceNote`), its accidentals,
+  // grace notes and chord symbols.
+  transposeNote(note) {
+    if (note.isRest()) return note;
+
+    const accidentals = note.getModifiers().filter(modifier =>
+      modifier.getCategory() === 'accidentals' && ACCIDENTAL_VALUES[modifier.type] !== undefined);
+    const keys = note.getKeys().map((key, index) => {
+      const accidental = accidentals.find(modifier => modifier.getIndex() === index);
+      return this.transposeKey(key, accidental && accidental.type);
+    });
+    note.setKeys(keys);
+
+    // The key signature changes with the notes, so accidentals are still
+    // needed, and become the accidental of the new note (or a natural).
+    accidentals.forEach(modifier => {
+      const parts = this.music.getNoteParts(keys[modifier.getIndex()].split('/')[0]);
+      modifier.setType(parts.accidental || 'n');
+    });
+
+    note.getModifiers().forEach(modifier => {
+      const category = modifier.getCategory();
+      if (category === 'gracenotegroups') {
+        modifier.getGraceNotes().forEach(graceNote => this.transposeNote(graceNote));
+      } else if (category === 'chordSymbol') {
+        this.transposeChordSymbol(modifier);
+      }
+    });
+
+    return note;
+  }
+
+  // Transpose the fret positions of a `TabNote`. A position that goes past the
+  // first or last fret moves to another string of the tuning.
+  transposeTabNote(note) {
+    const { direction, octaves, maxFret } = this.options;
+    const delta = direction * (this.semitones + (octaves * Music.NUM_TONES));
+    const positions = note.getPositions().map(({ str, fret }) => {
+      const value = parseInt(fret, 10);
+      if (isNaN(value)) return { str, fret };
+      return { str, fret: value + delta, original: fret };
+    });
+
+    const fits = ({ fret }) => typeof fret !== 'number' || (fret >= 0 && fret <= maxFret);
+    const used = positions.filter(fits).map(position => position.str);
+
+    note.positions = positions.map(position => {
+      const { str, fret, original } = position;
+      let transposed = { str, fret };
+
+      if (!fits(position)) {
+        const value = this.tuning.getValueForFret(parseInt(original, 10), str) + delta;
+        let best = null;
+        for (let s = 1; s <= this.tuning.numStrings; s++) {
+          const stringFret = value - this.tuning.getValueForString(s);
+          if (used.indexOf(s) === -1 && stringFret >= 0 && stringFret <= maxFret &&
+              (!best || stringFret < best.fret)) {
+            best = { str: s, fret: stringFret };
+          }
+        }
+
+        if (!best) {
+          throw new X(`No string for fret ${original} on string ${str} transposed by ${this.interval}`);
+        }
+        used.push(best.str);
+        transposed = best;
+      }
+
+      if (typeof original === 'string') transposed.fret = String(transposed.fret);
+      return transposed;
+    });
+
+    note.updateWidth();
+    return note;
+  }
+
+  // Transpose the roots of a `ChordSymbol`: the text at its start, and after
+  // a slash. Accidentals can be in the text (`Bb7`) or glyphs after it.
+  transposeChordSymbol(chordSymbol) {
+    const { TEXT, GLYPH } = ChordSymbol.symbolTypes;
+    const blocks = chordSymbol.symbolBlocks;
+    const glyphCode = block => (block && block.symbolType === GLYPH && block.glyph ? block.glyph.code : null);
+    const accidentalGlyphs = { accidentalSharp: '#', accidentalFlat: 'b' };
+    const transposed = [];
+    let expectRoot = true;
+
+    for (let i = 0; i < blocks.length; i++) {
+      const block = blocks[i];
+      const match = block.symbolType === TEXT && /^([A-G])(#|b)?(.*)$/.exec(block.text);
+
+      if (expectRoot && match) {
+        let accidental = match[2] || '';
+        const glyphAccidental = !accidental && accidentalGlyphs[glyphCode(blocks[i + 1])];
+        if (glyphAccidental) {
+          accidental = glyphAccidental;
+          i++;
+        }
+
+        const name = this.transposeNoteName(match[1] + accidental);
+        const parameters = { symbolModifier: block.symbolModifier };
+        if (match[2]) {
+          // Keep the accidental in the text, as given.
+          transposed.push(chordSymbol.getSymbolBlock({ ...parameters, text: name + match[3], symbolType: TEXT }));
+        } else {
+          transposed.push(chordSymbol.getSymbolBlock({ ...parameters, text: name[0], symbolType: TEXT }));
+          name.slice(1).split('').forEach(glyph =>
+            transposed.push(chordSymbol.getSymbolBlock({ ...parameters, glyph, symbolType: GLYPH })));
+          if (match[3]) transposed.push(chordSymbol.getSymbolBlock({ ...parameters, text: match[3], symbolType: TEXT }));
+        }
+      } else {
+        transposed.push(block);
+      }
+
+      // A slash introduces the bass note.
+      const last = blocks[i];
+      expectRoot = glyphCode(last) === 'csymDiagonalArrangementSlash' ||
+        (last.symbolType === TEXT && /\/$/.test(last.text));
+    }
+
+    chordSymbol.symbolBlocks = transposed;
+    return chordSymbol;
+  }
+
+  // Transpose a `KeySignature`, and the key it cancels.
+  transposeKeySignature(keySignature) {
+    const { keySpec, cancelKeySpec, alterKeySpec } = keySignature;
+    keySignature.setKeySig(
+      this.transposeKeySpec(keySpec),
+      cancelKeySpec ? this.transposeKeySpec(cancelKeySpec) : cancelKeySpec,
+      alterKeySpec
+    );
+    return keySignature;
+  }
+
+  // Transpose a tickable: `StaveNote`s, `GraceNote`s, `TabNote`s and
+  // `KeySigNote`s. Other tickables are left alone.
+  transposeTickable(tickable) {
+    const category = tickable.getCategory();
+    if (category === 'stavenotes' || category === 'gracenotes') {
+      this.transposeNote(tickable);
+    } else if (category === 'tabnotes') {
+      this.transposeTabNote(tickable);
+    } else if (tickable.getAttribute('type') === 'KeySigNote') {
+      this.transposeKeySignature(tickable.keySignature);
+    }
+
+    return tickable;
+  }
+
+  transposeVoice(voice) {
+    voice.getTickables().forEach(tickable => this.transposeTickable(tickable));
+    return voice;
+  }
+
+  // Transpose the key signatures of a `Stave`.
+  transposeStave(stave) {
+    stave.getModifiers(undefined, 'keysignatures').forEach(keySignature => this.transposeKeySignature(keySignature));
+    return stave;
+  }
+}
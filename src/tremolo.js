@@ -23,6 +23,14 @@ export class Tremolo extends Modifier {
     this.code = 'tremolo1';
   }
 
+  static fromJSON(json) {
+    return new Tremolo(json.num).restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), num: this.num };
+  }
+
   getCategory() { return Tremolo.CATEGORY; }
 
   draw() {
@@ -102,6 +102,26 @@ export class Tuplet extends Element {
     this.attach();
   }
 
+  static fromJSON(json, serializer) {
+    return new Tuplet(json.notes.map(id => serializer.getElement(id)), { ...json.options });
+  }
+
+  toJSON() {
+    const { beats_occupied, ...options } = this.options;
+    return {
+      ...super.toJSON(),
+      notes: this.notes.map(note => note.getAttribute('id')),
+      options: {
+        ...options,
+        num_notes: this.num_notes,
+        notes_occupied: this.notes_occupied,
+        bracketed: this.bracketed,
+        ratioed: this.ratioed,
+        location: this.location,
+      },
+    };
+  }
+
   attach() {
     for (let i = 0; i < this.notes.length; i++) {
       const note = this.notes[i];
@@ -56,6 +56,17 @@ export class Vibrato extends Modifier {
 
     this.setVibratoWidth(this.render_options.vibrato_width);
   }
+
+  static fromJSON(json) {
+    return new Vibrato()
+      .setHarsh(json.harsh)
+      .setVibratoWidth(json.vibrato_width)
+      .restoreFromJSON(json);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), harsh: this.render_options.harsh, vibrato_width: this.render_options.vibrato_width };
+  }
   getCategory() { return Vibrato.CATEGORY; }
   setHarsh(harsh) { this.render_options.harsh = harsh; return this; }
   setVibratoWidth(width) {
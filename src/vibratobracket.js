@@ -42,31 +42,52 @@ export class VibratoBracket extends Element {
   setLine(line) { this.line = line; return this; }
   setHarsh(harsh) { this.render_options.harsh = harsh; return this; }
 
-  // Draw the vibrato bracket on the rendering context
-  draw() {
-    const ctx = this.context;
-    this.setRendered();
+  // Returns true if the start and stop notes are on either side of a system
+  // break, in which case the vibrato is drawn in two halves.
+  isSplit() {
+    return !!this.start && !!this.stop &&
+      this.start.getStave().isAcrossSystemBreak(this.stop.getStave());
+  }
 
-    const y = (this.start)
-      ? this.start.getStave().getYForTopText(this.line)
-      : this.stop.getStave().getYForTopText(this.line);
+  // Draw the vibrato from `start` to `stop`, either of which can be missing.
+  // Returns the `x` range of the vibrato.
+  drawSegment(start, stop) {
+    const y = (start)
+      ? start.getStave().getYForTopText(this.line)
+      : stop.getStave().getYForTopText(this.line);
 
     // If start note is not set then vibrato will be drawn
     // from the beginning of the stave
-    const start_x = (this.start)
-      ? this.start.getAbsoluteX()
-      : this.stop.getStave().getTieStartX();
+    const start_x = (start)
+      ? start.getAbsoluteX()
+      : stop.getStave().getTieStartX();
 
     // If stop note is not set then vibrato will be drawn
     // until the end of the stave
-    const stop_x = (this.stop)
-      ? this.stop.getAbsoluteX() - this.stop.getWidth() - 5
-      : this.start.getStave().getTieEndX() - 10;
+    const stop_x = (stop)
+      ? stop.getAbsoluteX() - stop.getWidth() - 5
+      : start.getStave().getTieEndX() - 10;
 
     this.render_options.vibrato_width = stop_x - start_x;
 
     L('Rendering VibratoBracket: start_x:', start_x, 'stop_x:', stop_x, 'y:', y);
 
-    Vibrato.renderVibrato(ctx, start_x, y, this.render_options);
+    Vibrato.renderVibrato(this.context, start_x, y, this.render_options);
+    return { start_x, stop_x };
+  }
+
+  // Draw the vibrato bracket on the rendering context. `drawsOnStave(stave)`
+  // picks the halves of a split vibrato to draw, as for `Curve.draw`.
+  draw(drawsOnStave = () => true) {
+    this.setRendered();
+
+    // Across a system break, the vibrato runs up to the end of the first
+    // system, and again from the start of the next one.
+    if (this.isSplit()) {
+      if (drawsOnStave(this.start.getStave())) this.drawSegment(this.start, null);
+      if (drawsOnStave(this.stop.getStave())) this.drawSegment(null, this.stop);
+    } else {
+      this.drawSegment(this.start, this.stop);
+    }
   }
 }
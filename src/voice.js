@@ -72,6 +72,24 @@ export class Voice extends Element {
     this.voiceGroup = null;
   }
 
+  static fromJSON(json, serializer) {
+    const voice = new Voice({ ...json.time }, { ...json.options }).setMode(json.mode);
+    voice.addTickables(json.tickables.map(tickable => serializer.fromJSON(tickable)));
+    if (json.stave) voice.setStave(serializer.getElement(json.stave));
+    return voice;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      time: { ...this.time },
+      options: { ...this.options },
+      mode: this.mode,
+      stave: this.stave ? this.stave.getAttribute('id') : undefined,
+      tickables: this.tickables.map(tickable => tickable.toJSON()),
+    };
+  }
+
   // Get the total ticks in the voice
   getTotalTicks() { return this.totalTicks; }
 
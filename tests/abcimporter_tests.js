@@ -0,0 +1,260 @@
+/**
+ * VexFlow - ABCImporter Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.ABCImporter = (function() {
+  function tune(body, header) {
+    return 'X:1\nT:Test\n' + (header || 'M:4/4\nL:1/8\nK:C') + '\n' + body;
+  }
+
+  function events(measure) {
+    return measure.events.map(function(event) {
+      return event.keys.join('+') + ':' + (event.ticks / (VF.RESOLUTION / 8));
+    });
+  }
+
+  var ABCImporter = {
+    Start: function() {
+      QUnit.module('ABCImporter');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Parse Header', VFT.ABCImporter.parseHeader);
+      QUnit.test('Parse Keys', VFT.ABCImporter.parseKeys);
+      QUnit.test('Parse Notes', VFT.ABCImporter.parseNotes);
+      QUnit.test('Chords, Ties and Tuplets', VFT.ABCImporter.chordsTiesAndTuplets);
+      QUnit.test('Bar Lines and Repeats', VFT.ABCImporter.barLines);
+      QUnit.test('Errors', VFT.ABCImporter.errors);
+      QUnit.test('Comments and Directives', VFT.ABCImporter.comments);
+      QUnit.test('Slurs, Decorations and Grace Notes', VFT.ABCImporter.decorations);
+      QUnit.test('Import Objects', VFT.ABCImporter.importObjects);
+      VFT.runTests('Draw Tune', VFT.ABCImporter.drawTune);
+    },
+
+    parseHeader: function(assert) {
+      var importer = new VF.ABCImporter();
+      var result = importer.parse('%abc-2.1\nX:12\nT:The Title\nT:Subtitle\nC:Trad.\nM:6/8\nL:1/8\nQ:"Jig" 3/8=120\nK:Em\nEGB');
+
+      assert.equal(result.number, 12);
+      assert.deepEqual(result.titles, ['The Title', 'Subtitle']);
+      assert.deepEqual(result.fields.C, ['Trad.'], 'other fields are kept');
+      assert.deepEqual(result.meter, { spec: '6/8', beats: 6, beatType: 8 });
+      assert.equal(result.unitTicks, VF.RESOLUTION / 8);
+      assert.equal(result.key, 'Em');
+      assert.deepEqual(result.tempo, { name: 'Jig', duration: '4', dots: 1, bpm: 120 });
+
+      result = importer.parse('X:1\nM:2/4\nK:D\nD');
+      assert.equal(result.unitTicks, VF.RESOLUTION / 16, 'short meters default to sixteenths');
+      assert.equal(importer.parse('X:1\nM:C|\nL:1/4\nQ:90\nK:D\nD').tempo.duration, '4', 'tempo in unit lengths');
+      assert.deepEqual(importer.parse('X:1\nK:D\nD').meter, { spec: '4/4', beats: 4, beatType: 4 });
+      assert.equal(importer.parse('X:1\nM:none\nK:D\nD').meter, null, 'free meter');
+    },
+
+    parseKeys: function(assert) {
+      var importer = new VF.ABCImporter();
+      function key(value) {
+        var result = importer.parse('X:1\nK:' + value + '\nC');
+        return result.key + (result.clef === 'treble' ? '' : ' ' + result.clef);
+      }
+
+      assert.equal(key('G'), 'G');
+      assert.equal(key('Bb'), 'Bb');
+      assert.equal(key('F#m'), 'F#m');
+      assert.equal(key('A minor'), 'Am');
+      assert.equal(key('ADor'), 'G', 'modes use the signature of their major key');
+      assert.equal(key('D mixolydian'), 'G');
+      assert.equal(key('E phr'), 'C');
+      assert.equal(key('Flyd'), 'C');
+      assert.equal(key('none'), 'C');
+      assert.equal(key('Hp'), 'D');
+      assert.equal(key('G clef=bass'), 'G bass');
+      assert.equal(key('Dm alto'), 'Dm alto');
+    },
+
+    parseNotes: function(assert) {
+      var importer = new VF.ABCImporter();
+      var measures = importer.parse(tune('C,D c\'d/ e3/2 f// G>A B<c z2 x', 'M:4/4\nL:1/8\nK:D')).measures;
+      assert.deepEqual(events(measures[0]), [
+        'c#/3:1', 'd/4:1', 'c#/6:1', 'd/5:0.5', 'e/5:1.5', 'f#/5:0.25',
+        'g/4:1.5', 'a/4:0.5', 'b/4:0.5', 'c#/5:1.5', ':2', ':1',
+      ], 'octaves, key signature, lengths and broken rhythms');
+      assert.ok(measures[0].events[10].rest);
+      assert.ok(measures[0].events[11].ghost, 'x is an invisible rest');
+
+      measures = importer.parse(tune('^F F =F _B/ B// __E ^^g | F')).measures;
+      assert.deepEqual(events(measures[0]).map(function(event) { return event.split(':')[0]; }),
+        ['f#/4', 'f#/4', 'f/4', 'bb/4', 'bb/4', 'ebb/4', 'g##/5'], 'accidentals last to the end of the bar');
+      assert.deepEqual(measures[0].events.map(function(event) { return event.accidentals[0] && event.accidentals[0].type; }),
+        ['#', null, 'n', 'b', null, 'bb', '##']);
+      assert.equal(measures[1].events[0].keys[0], 'f/4');
+
+      var beams = importer.parse(tune('ABcd e2fg ab')).measures[0].events.map(function(event) { return event.beam; });
+      assert.equal(beams[0], beams[3], 'notes written together share a beam group');
+      assert.notEqual(beams[3], beams[4], 'spaces break beams');
+      assert.equal(beams[5], beams[6]);
+      assert.notEqual(beams[6], beams[7]);
+
+      var symbols = importer.parse(tune('"Am"A "^above"B "_below"c')).measures[0].events;
+      assert.deepEqual(symbols[0].chordSymbols, ['Am']);
+      assert.deepEqual(symbols[2].chordSymbols, ['_below']);
+    },
+
+    chordsTiesAndTuplets: function(assert) {
+      var importer = new VF.ABCImporter();
+      var measures = importer.parse(tune('[CEG]2 [C2E2] [^FA]/- | [FA]/ (3abc (3:2:2d2e (5fgabc', 'M:4/4\nL:1/8\nK:C')).measures;
+      var chords = measures[0].events;
+      assert.deepEqual(chords[0].keys, ['c/4', 'e/4', 'g/4']);
+      assert.equal(chords[0].ticks, VF.RESOLUTION / 4);
+      assert.equal(chords[1].ticks, VF.RESOLUTION / 4, 'chords take the length of their first note');
+      assert.deepEqual(chords[2].keys, ['f#/4', 'a/4']);
+      assert.deepEqual(chords[2].ties, [true, true]);
+      assert.deepEqual(measures[1].events[0].keys, ['f#/4', 'a/4'], 'accidentals are kept across ties');
+
+      var triplet = measures[1].events.slice(1, 4);
+      assert.ok(triplet[0].tuplet && triplet[0].tuplet === triplet[2].tuplet);
+      assert.equal(triplet[0].tuplet.num_notes, 3);
+      assert.equal(triplet[0].tuplet.notes_occupied, 2);
+
+      var duplet = measures[1].events.slice(4, 6);
+      assert.equal(duplet[0].tuplet, duplet[1].tuplet);
+      assert.equal(duplet[0].tuplet.num_notes, 3);
+      assert.equal(duplet[0].tuplet.notes_occupied, 2);
+      assert.equal(measures[1].events[6].tuplet.notes_occupied, 2);
+      assert.equal(measures[1].events[10].tuplet, measures[1].events[6].tuplet);
+
+      var compound = importer.parse(tune('(5abcde', 'M:6/8\nL:1/8\nK:C')).measures[0].events;
+      assert.equal(compound[0].tuplet.notes_occupied, 3, 'compound meters put five notes in the time of three');
+    },
+
+    barLines: function(assert) {
+      var importer = new VF.ABCImporter();
+      var type = VF.Barline.type;
+      var measures = importer.parse(tune('|:A4 B4|c8:|\n|1 d8:|2 e8||f8::g8[|a8|]')).measures;
+
+      assert.equal(measures.length, 7);
+      assert.deepEqual(measures.map(function(measure) { return measure.begBarType; }),
+        [type.REPEAT_BEGIN, undefined, undefined, undefined, undefined, type.REPEAT_BEGIN, undefined]);
+      assert.deepEqual(measures.map(function(measure) { return measure.endBarType; }),
+        [type.SINGLE, type.REPEAT_END, type.REPEAT_END, type.DOUBLE, type.REPEAT_END, type.DOUBLE, type.END]);
+      assert.equal(measures[2].ending, '1');
+      assert.equal(measures[3].ending, '2');
+
+      measures = importer.parse(tune('"C"Z2 | [M:3/4][K:G] F6 |', 'M:4/4\nL:1/8\nK:C')).measures;
+      assert.equal(measures.length, 3, 'Z rests fill measures');
+      assert.ok(measures[1].events[0].measureRest);
+      assert.deepEqual(measures[0].events[0].chordSymbols, ['C']);
+      assert.equal(measures[2].key, 'G');
+      assert.equal(measures[2].meter.spec, '3/4');
+      assert.ok(measures[2].changes.key && measures[2].changes.meter, 'inline fields change the key and meter');
+      assert.equal(measures[2].events[0].keys[0], 'f#/4');
+    },
+
+    errors: function(assert) {
+      var importer = new VF.ABCImporter();
+      assert.throws(function() { importer.parse('X:1\nT:No Key\n'); }, /K: field/);
+      assert.throws(function() { importer.parse('X:1\nABC\nK:C'); }, /before the K: field/);
+      assert.throws(function() { importer.parse('X:1\nK:C\nAB?C'); }, /line 3 at column 3/);
+      assert.throws(function() { importer.parse('X:1\nK:H\nA'); }, /Unsupported key/);
+      assert.throws(function() { importer.parse('X:1\nM:4\nK:C\nA'); }, /Unsupported meter/);
+      assert.throws(function() { new VF.ABCImporter().import('X:1\nK:C\nA'); }, /requires a factory/);
+
+      var vf = VF.Factory.newFromElementId(null);
+      assert.throws(function() { vf.ABCImporter().import('X:1\nK:C\nA5'); }, /Unsupported note length in measure 1/);
+
+      var first = importer.parse('X:1\nK:C\nAB\n\nX:2\nK:D\ncd');
+      assert.equal(first.number, 1, 'only the first tune is read');
+      assert.equal(first.measures[0].events.length, 2);
+    },
+
+    comments: function(assert) {
+      var importer = new VF.ABCImporter();
+      var measures = importer.parse('X:1\nK:C\n% comment\nCDEF|GABc|').measures;
+      assert.equal(measures.length, 2, 'a comment line does not end the tune');
+
+      measures = importer.parse('X:1\nK:C\nCDEF|\n%%staffsep 40\n  % indented comment\nGABc| % trailing\n\nDEFG|').measures;
+      assert.equal(measures.length, 2, 'directives are skipped, and a blank line ends the tune');
+      assert.deepEqual(events(measures[1]).map(function(event) { return event.split(':')[0]; }),
+        ['g/4', 'a/4', 'b/4', 'c/5']);
+
+      var body = importer.parse('X:1\nA:Area\nK:C\nA:|B:|2 c\nT:Part B\nd');
+      assert.deepEqual(body.fields.A, ['Area'], 'fields in the header');
+      assert.deepEqual(body.measures.map(events), [['a/4:1'], ['b/4:1'], ['c/5:1', 'd/5:1']],
+        'notes before a colon in the body are music');
+      assert.equal(body.measures[0].endBarType, VF.Barline.type.REPEAT_END);
+      assert.equal(body.measures[2].ending, '2');
+      assert.deepEqual(body.fields.T, ['Part B'], 'fields allowed in the body are read');
+    },
+
+    decorations: function(assert) {
+      var importer = new VF.ABCImporter();
+      var measures = importer.parse(tune('~B .c !trill!d +fermata+e | {g}A {/ag}B HTuv c2 |')).measures;
+      assert.deepEqual(events(measures[0]), ['b/4:1', 'c/5:1', 'd/5:1', 'e/5:1'], 'decorations are skipped');
+      assert.deepEqual(events(measures[1]), ['a/4:1', 'b/4:1', 'c/5:2'], 'grace notes are skipped');
+
+      var vf = VF.Factory.newFromElementId(null);
+      vf.ABCImporter({ width: 400 }).import(tune('(AB) ((cd) e | f) (3(gab) (c2)|'));
+      var curves = vf.renderQ.filter(function(element) { return element instanceof VF.Curve; });
+      assert.deepEqual(curves.map(function(curve) { return [curve.from.getKeys()[0], curve.to.getKeys()[0]]; }),
+        [['a/4', 'b/4'], ['c/5', 'd/5'], ['c/5', 'f/5'], ['g/5', 'b/5']],
+        'slurs are nested, run across bar lines, and a slur on one note is not drawn');
+      assert.equal(curves[3].from.getTuplet().getNoteCount(), 3, 'slurs inside tuplets');
+
+      assert.throws(function() { importer.parse('X:1\nK:C\n)A'); }, /Slur end without a previous note/);
+    },
+
+    importObjects: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var result = vf.ABCImporter({ width: 400 }).import(tune('|:"G"GABc (3def g2 | [G,B,D]4- [G,B,D]4 :|', 'M:4/4\nL:1/8\nQ:1/4=100\nK:G'));
+
+      assert.equal(result.voices.length, 2);
+      assert.equal(result.systems.length, 2);
+
+      var notes = result.voices[0].getTickables();
+      assert.equal(notes.length, 8);
+      assert.ok(notes[0].beam && notes[0].beam === notes[3].beam, 'beam attached');
+      assert.equal(notes[4].getTuplet().getNoteCount(), 3, 'tuplet attached');
+      assert.ok(notes[4].beam && notes[4].beam !== notes[3].beam);
+      assert.equal(notes[7].getDuration(), '4');
+      assert.deepEqual(notes[3].getKeys(), ['c/5']);
+      assert.equal(notes[0].getModifiers().filter(function(modifier) { return modifier.getCategory() === 'annotations'; }).length, 1);
+
+      var first = result.systems[0].parts[0].stave;
+      assert.equal(first.getModifiers(undefined, 'keysignatures').length, 1);
+      assert.equal(first.getModifiers(undefined, 'stavetempo').length, 1);
+      assert.equal(first.modifiers[0].getType(), VF.Barline.type.REPEAT_BEGIN);
+      assert.equal(result.systems[1].parts[0].stave.modifiers[1].getType(), VF.Barline.type.REPEAT_END);
+
+      var ties = vf.renderQ.filter(function(element) { return element instanceof VF.StaveTie; });
+      assert.equal(ties.length, 1);
+      assert.deepEqual(ties[0].notes.first_indices, [0, 1, 2], 'chords are tied note by note');
+
+      vf = VF.Factory.newFromElementId(null);
+      vf.ABCImporter({ width: 400 }).import(tune('[CE-G] [CEG] z4 |'));
+      ties = vf.renderQ.filter(function(element) { return element instanceof VF.StaveTie; });
+      assert.equal(ties.length, 1);
+      assert.deepEqual(ties[0].notes.first_indices, [1], 'partly tied chords start on the tied notehead');
+      assert.deepEqual(ties[0].notes.last_indices, [1]);
+    },
+
+    drawTune: function(options) {
+      var vf = VF.Test.makeFactory(options, 620, 300);
+      var abc = [
+        'X:1',
+        'T:Speed the Plough',
+        'M:4/4',
+        'L:1/8',
+        'Q:1/4=120',
+        'K:G',
+        '|:"G"GABG DGBd|"D"c2 ec BdAc|(3BcB A>G F2 [DF]2-|[DF]4 z4:|',
+        '|1 ^f=f_e2 c4|[2 g4 g2 z2|]',
+      ].join('\n');
+
+      var result = vf.ABCImporter({ width: 600 }).import(abc);
+      vf.draw();
+
+      options.assert.equal(result.lines.length, 2);
+      options.assert.equal(result.tune.measures[4].ending, '1');
+    },
+  };
+
+  return ABCImporter;
+})();
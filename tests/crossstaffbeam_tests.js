@@ -0,0 +1,116 @@
+/**
+ * VexFlow - CrossStaffBeam Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.CrossStaffBeam = (function() {
+  // Build the notes of a voice from `line`, where `_` stands for a ghost note,
+  // so that each stave only shows its share of the beamed notes.
+  function voice(vf, score, line, clef) {
+    var notes = line.split(', ').map(function(token) {
+      var ghost = /^_\/(\w+)$/.exec(token);
+      return ghost ? vf.GhostNote({ duration: ghost[1] }) : score.notes(token, { clef: clef })[0];
+    });
+    return { notes: notes, voice: score.voice(notes) };
+  }
+
+  function connect(system) {
+    system.addConnector('brace');
+    system.addConnector('singleLeft');
+  }
+
+  var CrossStaffBeam = {
+    Start: function() {
+      QUnit.module('CrossStaffBeam');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Stem Directions', VFT.CrossStaffBeam.stemDirections);
+      QUnit.test('Single Stave', VFT.CrossStaffBeam.singleStave);
+      VFT.runTests('Draw Arpeggios', VFT.CrossStaffBeam.drawArpeggios);
+      VFT.runTests('Draw Secondary Beams', VFT.CrossStaffBeam.drawSecondaryBeams);
+    },
+
+    stemDirections: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = vf.EasyScore();
+      var system = vf.System({ width: 400 });
+
+      var treble = voice(vf, score, '_/8, _/8, E4/8, G4/8, C5/h', 'treble');
+      var bass = voice(vf, score, 'C3/8, G3/8, _/8, _/8, C3/h', 'bass');
+      var upper = system.addStave({ voices: [treble.voice] });
+      var lower = system.addStave({ voices: [bass.voice] });
+
+      var notes = [bass.notes[0], bass.notes[1], treble.notes[2], treble.notes[3]];
+      var beam = vf.CrossStaffBeam({ notes: notes });
+      assert.ok(beam.isCrossStaff());
+
+      system.format();
+      var staves = beam.getStaves();
+      assert.ok(staves[0] === upper && staves[1] === lower, 'staves from top to bottom');
+      assert.equal(notes[0].getStemDirection(), VF.Stem.UP, 'lower stave stems point up');
+      assert.equal(notes[3].getStemDirection(), VF.Stem.DOWN, 'upper stave stems point down');
+      notes.forEach(function(note) { assert.equal(note.beam, beam, 'notes keep their beam'); });
+    },
+
+    singleStave: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = vf.EasyScore();
+      var notes = score.notes('C5/8, D5, E5, F5, G5/h', { stem: 'up' });
+      var system = vf.System();
+      system.addStave({ voices: [score.voice(notes)] });
+
+      var beam = vf.CrossStaffBeam({ notes: notes.slice(0, 4) });
+      system.format();
+
+      assert.notOk(beam.isCrossStaff());
+      assert.equal(notes[0].getStemDirection(), VF.Stem.UP, 'beams on one stave are left alone');
+    },
+
+    drawArpeggios: function(options) {
+      var vf = VF.Test.makeFactory(options, 500, 300);
+      var score = vf.EasyScore();
+      var system = vf.System({ width: 480 });
+
+      var treble = voice(vf, score, '_/8, _/8, E4/8, G4/8, C5/8, G4/8, _/8, _/8', 'treble');
+      var bass = voice(vf, score, 'C3/8, G3/8, _/8, _/8, _/8, _/8, E3/8, C3/8', 'bass');
+      var upper = system.addStave({ voices: [treble.voice] }).addClef('treble').addTimeSignature('4/4');
+      var lower = system.addStave({ voices: [bass.voice] }).addClef('bass').addTimeSignature('4/4');
+      connect(system);
+
+      var rising = [bass.notes[0], bass.notes[1], treble.notes[2], treble.notes[3]];
+      var falling = [treble.notes[4], treble.notes[5], bass.notes[6], bass.notes[7]];
+      var beams = [vf.CrossStaffBeam({ notes: rising }), vf.CrossStaffBeam({ notes: falling })];
+
+      vf.draw();
+
+      var assert = options.assert;
+      assert.ok(beams[0].slope < 0, 'the beam rises with the arpeggio');
+      assert.ok(beams[1].slope > 0, 'the beam falls with the arpeggio');
+      rising.concat(falling).forEach(function(note, i) {
+        var extents = note.getStemExtents();
+        assert.ok(extents.topY > upper.getBottomLineY() && extents.topY < lower.getYForLine(0),
+          'stem ' + i + ' ends between the staves');
+        assert.ok(Math.abs(extents.topY - extents.baseY) >= beams[0].render_options.min_stem_length, 'minimum stem length');
+      });
+    },
+
+    drawSecondaryBeams: function(options) {
+      var vf = VF.Test.makeFactory(options, 500, 300);
+      var score = vf.EasyScore();
+      var system = vf.System({ width: 480 });
+
+      var treble = voice(vf, score, 'E5/16, _/16, G5/16, _/16, (C5 E5)/8, _/8, B4/q, _/q', 'treble');
+      var bass = voice(vf, score, '_/16, A2/16, _/16, F2/16, _/8, (C3 E3)/8, _/q, G2/q', 'bass');
+      system.addStave({ voices: [treble.voice] }).addClef('treble');
+      system.addStave({ voices: [bass.voice] }).addClef('bass');
+      connect(system);
+
+      vf.CrossStaffBeam({ notes: [treble.notes[0], bass.notes[1], treble.notes[2], bass.notes[3]] });
+      vf.CrossStaffBeam({ notes: [treble.notes[4], bass.notes[5]] });
+
+      vf.draw();
+      options.assert.ok(true, 'Secondary Beams');
+    },
+  };
+
+  return CrossStaffBeam;
+})();
@@ -110,6 +110,35 @@ VF.Test.Curve = (function() {
         }
       ));
 
+      run('Curve Across System Break', VF.Test.makeSystemBreakTest(
+        [['c4/8, f4, d4, g4', { stem: 'up' }], ['d5/8, f5, d5, g4', { stem: 'down' }]],
+        function(vf, first, second) {
+          var curve = vf.Curve({ from: first[1], to: second[2] });
+
+          // Record the x range of each half.
+          var renderCurve = curve.renderCurve;
+          curve.halves = [];
+          curve.renderCurve = function(params) {
+            this.halves.push([params.first_x, params.last_x]);
+            return renderCurve.call(this, params);
+          };
+          return curve;
+        },
+        {
+          height: 280,
+          y: 30,
+          spacing: 120,
+          time: '2/4',
+          beam: true,
+          check: function(assert, curve, first, second) {
+            assert.deepEqual(curve.halves, [
+              [first[1].getTieRightX(), first[1].getStave().getTieEndX()],
+              [second[2].getStave().getTieStartX(), second[2].getTieLeftX()],
+            ], 'the curve runs to the end of the first system, and from the start of the next one');
+          },
+        }
+      ));
+
       run('Top Curve', createTest(
         ['c5/8, f4, d4, g5', { stem: 'up' }],
         ['d5/8, d6, d6, g5', { stem: 'down' }],
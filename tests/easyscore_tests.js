@@ -14,6 +14,12 @@ Vex.Flow.Test.EasyScore = (function() {
       QUnit.test('Chords', VFT.EasyScore.chords);
       QUnit.test('Dots', VFT.EasyScore.dots);
       QUnit.test('Options', VFT.EasyScore.options);
+      QUnit.test('Ties, Slurs, Beams and Tuplets', VFT.EasyScore.groups);
+      QUnit.test('Bar Lines and Directives', VFT.EasyScore.barLines);
+      QUnit.test('Measures', VFT.EasyScore.measures);
+      QUnit.test('Parse Errors', VFT.EasyScore.errors);
+      QUnit.test('Grace Notes', VFT.EasyScore.graceNotes);
+      QUnit.test('Dynamics', VFT.EasyScore.dynamics);
       VFT.runTests('Draw Basic', VFT.EasyScore.drawBasicTest);
       VFT.runTests('Draw Accidentals', VFT.EasyScore.drawAccidentalsTest);
       VFT.runTests('Draw Beams', VFT.EasyScore.drawBeamsTest);
@@ -21,6 +27,10 @@ Vex.Flow.Test.EasyScore = (function() {
       VFT.runTests('Draw Dots',  VFT.EasyScore.drawDotsTest);
       VFT.runTests('Draw Options', VFT.EasyScore.drawOptionsTest);
       VFT.runTests('Draw Fingerings', VFT.EasyScore.drawFingeringsTest);
+      VFT.runTests('Draw Ties, Slurs, Beams and Tuplets', VFT.EasyScore.drawGroupsTest);
+      VFT.runTests('Draw Bar Lines and Directives', VFT.EasyScore.drawBarLinesTest);
+      VFT.runTests('Draw Measures', VFT.EasyScore.drawMeasuresTest);
+      VFT.runTests('Draw Grace Notes, Ornaments and Dynamics', VFT.EasyScore.drawExpressionsTest);
     },
 
     basic: function(assert) {
@@ -123,6 +133,187 @@ Vex.Flow.Test.EasyScore = (function() {
 
       mustPass.forEach(function(line) { assert.equal(score.parse(line).success, true, line); });
       mustFail.forEach(function(line) { assert.equal(score.parse(line).success, false, line); });
+
+      var vf = new VF.Factory({ renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 600, height: 200 } });
+      var ornaments = vf.EasyScore();
+      assert.equal(ornaments.parse('C4/q[ornaments="tr, turn.#.b"]').success, true);
+      var error = ornaments.parse('C4/q[ornaments="tr, trill"]').error;
+      assert.ok(/^Unknown ornament: trill at position/.test(error.message), 'unknown ornaments are reported');
+    },
+
+    groups: function(assert) {
+      var score = new VF.EasyScore();
+      var mustPass = [
+        'c4/h~, c4/q, c4', 'c4/q~', '(c4 e4)/h~, (c4 e4)/h', 'c4/8[id="a"]~, c4',
+        '(c4/8, d4, e4)', '((c4 e4)/8, d4)', '((c4, d4), e4)', '(c5), (c4, d4)',
+        '[c4/8, d4], [e4, f4]', '[(c4 e4)/8, d4]', '3{c4/8, d4, e4}', '5:4{c4/16, d4, e4, f4, g4}',
+        '3{[(c4/8, d4, e4)]}', '[c4/8~, c4, 3{d4/16, e4, f4]}',
+      ];
+      var mustFail = ['c4~~, c4', '~c4', 'c4/8 [d4', '{c4, d4}', '3{c4, d4', '(c4, d4'];
+
+      mustPass.forEach(function(line) { assert.equal(score.parse(line).success, true, line); });
+      mustFail.forEach(function(line) { assert.equal(score.parse(line).success, false, line); });
+
+      var error = score.parse('c4, d4]').error;
+      assert.equal(error.pos, 7);
+      assert.equal(error.message, 'No beam to close at position 7 in CLOSER\nc4, d4]\n       ^');
+      assert.equal(error.cause.message, 'No beam to close');
+
+      error = score.parse('[c4, d4').error;
+      assert.equal(error.pos, 7);
+      assert.equal(error.found, 'end of line');
+      assert.ok(/^Unclosed beam at position 7/.test(error.message), 'unclosed groups are reported like syntax errors');
+
+      var vf = new VF.Factory({ renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 600, height: 200 } });
+      var slurs = vf.EasyScore();
+      error = slurs.parse('(c4, d4').error;
+      assert.ok(/^Unclosed slur at position 7/.test(error.message), 'errors from the builder are reported');
+      error = slurs.parse('c4, d4)').error;
+      assert.ok(/^No slur to close at position 7/.test(error.message));
+      error = slurs.parse('((c4)), d4').error;
+      assert.equal(error.pos, 6);
+      assert.ok(/^Slurs need at least two notes at position 6/.test(error.message));
+      assert.ok(/^Unknown clef: foo at position 8/.test(score.parse('clef=foo, c4').error.message));
+
+      var ties = vf.EasyScore();
+      ties.parse('(c4 e4)/h~, (e4 g4)/h');
+      var tie = ties.builder.getElements().ties[0];
+      assert.deepEqual([tie.first_indices, tie.last_indices], [[1], [0]], 'only the pitches in common are tied');
+      error = ties.parse('c4/h~, d4').error;
+      assert.ok(/^Tied notes have no pitch in common at position 9/.test(error.message), 'notes with no pitch in common');
+
+      var strict = new VF.EasyScore({ throwOnError: true });
+      assert.throws(function() { strict.parse('3{c4, d4'); }, /Error parsing line: Unclosed tuplet at position 8/);
+    },
+
+    barLines: function(assert) {
+      var score = new VF.EasyScore();
+      var mustPass = [
+        'c4 | d4', 'c4, | d4', 'c4 |, d4', '|: c4/w :|', 'c4 || d4 |.', 'c4 :|: d4', 'c4 | | d4',
+        'clef=bass, c3', 'c4, clef=alto, c4', 'key=Eb, time=3/4, c4/h.', 'c4 | time=C|, c4/w', 'time=C, c4/w',
+        '|: key=Bbm, (c4/8, d4) | clef=bass, c3/q :|',
+      ];
+      var mustFail = ['|', 'c4 d4', 'c4 |: :', 'clef=, c4', 'key=H, c4', 'time=3, c4', 'clef=bass c4'];
+
+      mustPass.forEach(function(line) { assert.equal(score.parse(line).success, true, line); });
+      mustFail.forEach(function(line) { assert.equal(score.parse(line).success, false, line); });
+    },
+
+    measures: function(assert) {
+      var vf = new VF.Factory({ renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 600, height: 200 } });
+      var score = vf.EasyScore();
+      var measures = score.measures('|: key=G, time=3/4, B4/q, A4, G4 | clef=bass, D3/h, clef=treble, D4/q :|: time=2/4, G4/h |.');
+
+      assert.equal(measures.length, 3);
+      assert.equal(measures[0].begBarType, VF.Barline.type.REPEAT_BEGIN);
+      assert.equal(measures[0].keySignature, 'G');
+      assert.equal(measures[0].timeSignature, '3/4');
+      assert.equal(measures[0].voices[0].getTickables().length, 3);
+      assert.equal(measures[0].voices[0].time.num_beats, 3);
+
+      var tickables = measures[1].voices[0].getTickables();
+      assert.equal(measures[1].clef, 'bass');
+      assert.equal(tickables[0].getKeyProps()[0].line, 3, 'notes follow the clef');
+      assert.equal(tickables[1].getAttribute('type'), 'ClefNote', 'clef changes within a measure are tickables');
+      assert.equal(tickables[2].clef, 'treble');
+      assert.equal(measures[1].endBarType, VF.Barline.type.REPEAT_END);
+
+      assert.equal(measures[2].begBarType, VF.Barline.type.REPEAT_BEGIN);
+      assert.equal(measures[2].timeSignature, '2/4');
+      assert.equal(measures[2].voices[0].time.num_beats, 2);
+      assert.equal(measures[2].endBarType, VF.Barline.type.END);
+
+      var strict = vf.EasyScore({ throwOnError: true });
+      assert.throws(function() { strict.measures('clef=violin, c4/w'); }, /Unknown clef: violin/);
+
+      var layout = vf.ScoreLayout({ width: 580 });
+      measures = score.measures('time=3/4, D4/q | G4/q, A4, B4 | C5/h |.');
+      assert.equal(measures[0].voices[0].getMode(), VF.Voice.Mode.SOFT, 'a pickup measure is soft');
+      assert.equal(measures[1].voices[0].getMode(), VF.Voice.Mode.STRICT);
+      assert.equal(measures[2].voices[0].getMode(), VF.Voice.Mode.SOFT, 'an unfinished last measure is soft');
+      measures.forEach(function(measure) { layout.addMeasure([measure]); });
+      layout.format();
+      assert.equal(layout.lines.length, 1, 'incomplete measures are formatted');
+
+      layout = vf.ScoreLayout({ width: 580 });
+      measures = score.measures('key=D, G4/w | G4/w | clef=bass, key=F');
+      assert.equal(measures.length, 2, 'directives after the last bar line make no measure');
+      tickables = measures[1].voices[0].getTickables();
+      assert.equal(tickables.length, 3);
+      assert.equal(tickables[1].getAttribute('type'), 'ClefNote', 'they end the last measure');
+      assert.equal(tickables[1].type, 'bass');
+      assert.equal(tickables[2].getAttribute('type'), 'KeySigNote');
+      assert.equal(tickables[2].keySignature.cancelKeySpec, 'D', 'the key signature cancels the one before');
+      measures.forEach(function(measure) { layout.addMeasure([measure]); });
+      layout.format();
+      assert.equal(layout.lines.length, 1);
+    },
+
+    graceNotes: function(assert) {
+      var score = new VF.EasyScore();
+      var mustPass = [
+        '{d5}c4', '{/d5}c4/q', '{d5/16, e5}~c4', '{(d5 f5)/8.}c4', '({d5}c4, d4)', '3{{d5}c4/8, d4, e4}', '{c5}(c4 e4)/h',
+      ];
+      var mustFail = ['{}c4', '{d5}', '{d5 c4', '{d5}}c4', 'c4{d5}', '{d5/q[id="x"]}c4'];
+
+      mustPass.forEach(function(line) { assert.equal(score.parse(line).success, true, line); });
+      mustFail.forEach(function(line) { assert.equal(score.parse(line).success, false, line); });
+    },
+
+    dynamics: function(assert) {
+      var vf = new VF.Factory({ renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 600, height: 200 } });
+      var score = vf.EasyScore();
+      var notes = score.notes('C4/8[dynamics="pp"], D4, E4/q., F4/8, G4/q[dynamics="sfz"]');
+      var voice = score.dynamics(notes, { line: 10 });
+
+      assert.deepEqual(voice.getTickables().map(function(t) { return t.getAttribute('type'); }),
+        ['TextDynamics', 'GhostNote', 'GhostNote', 'GhostNote', 'TextDynamics']);
+      assert.equal(voice.getTickables()[0].sequence, 'pp');
+      assert.equal(voice.getTickables()[0].line, 10);
+      assert.equal(voice.getTickables()[2].getTicks().value(), notes[2].getTicks().value(), 'ghost notes match dots');
+
+      var measures = score.measures('C4/h[dynamics="f"], D4 | E4/w');
+      assert.equal(measures[0].voices.length, 2, 'measures with dynamics get a dynamics voice');
+      assert.equal(measures[0].voices[1].getTickables()[0].sequence, 'f');
+      assert.equal(measures[1].voices.length, 1);
+
+      assert.equal(score.dynamics(notes).getTickables()[4].sequence, 'sfz', 'the markings stay with the notes of earlier lines');
+      var unmarked = score.notes('C4/w');
+      assert.equal(score.dynamics(unmarked).getTickables()[0].getAttribute('type'), 'GhostNote');
+    },
+
+    errors: function(assert) {
+      var score = new VF.EasyScore();
+      var error = score.parse('c4, dx/q').error;
+      assert.equal(error.pos, 5);
+      assert.equal(error.rule, 'SINGLENOTE');
+      assert.deepEqual(error.expected, ['an accidental', 'an octave']);
+      assert.equal(error.found, '"x"');
+      assert.equal(error.suggestion, 'Notes need an octave, e.g. "C4".');
+      assert.equal(error.message, 'Unexpected "x" at position 5 in SINGLENOTE: expected an accidental or an octave\n' +
+        'c4, dx/q\n     ^\nNotes need an octave, e.g. "C4".');
+      assert.equal(score.parse('c4, d/q').error.suggestion, 'Notes need an octave, e.g. "C4".');
+
+      error = score.parse('C4/q, Dx4').error;
+      assert.deepEqual(error.expected, ['an accidental', 'an octave']);
+      assert.equal(error.suggestion, 'Accidentals are written like "C#4", "Cbb4" or "Cn4".', 'the octave is there');
+
+      error = score.parse('c4 d4').error;
+      assert.equal(error.pos, 3);
+      assert.ok(error.expected.indexOf('","') !== -1, 'a comma is expected');
+      assert.equal(error.suggestion, 'Separate notes with commas.');
+
+      error = score.parse('c4/q, ').error;
+      assert.equal(error.found, 'end of line');
+      assert.equal(error.suggestion, 'Remove the trailing comma.');
+
+      error = score.parse('(c4 e4').error;
+      assert.equal(error.rule, 'CHORD');
+      assert.deepEqual(error.expected, ['a note name', '")"']);
+      assert.equal(error.suggestion, undefined);
+
+      var strict = new VF.EasyScore({ throwOnError: true });
+      assert.throws(function() { strict.parse('c4 d4'); }, /Error parsing line: Unexpected "d" at position 3/);
     },
 
     drawBasicTest: function(options) {
@@ -305,6 +496,120 @@ Vex.Flow.Test.EasyScore = (function() {
       assert.equal(notes[3].modifiers[2].finger, '5');
       assert.equal(notes[3].modifiers[2].position, VF.Modifier.Position.LEFT);
     },
+
+    drawGroupsTest: function(options) {
+      var vf = VF.Test.makeFactory(options, 600, 200);
+      var score = vf.EasyScore();
+      var system = vf.System();
+
+      var notes = score.notes('(C5/q~, C5/8, B4/8), 3{[(A4/8, G4, F4)]}, [(E4 G4)/8~, (G4 B4)/8~]', { stem: 'up' });
+      var elements = score.builder.getElements();
+      system.addStave({ voices: [score.voice(notes)] }).addClef('treble').addTimeSignature('4/4');
+
+      var assert = options.assert;
+      assert.equal(elements.ties.length, 3);
+      assert.equal(elements.ties[0].first_note, notes[0]);
+      assert.equal(elements.ties[0].last_note, notes[1]);
+      assert.deepEqual([elements.ties[1].first_indices, elements.ties[1].last_indices], [[1], [0]], 'common keys are tied');
+      assert.equal(elements.ties[2].first_note, notes[7]);
+      assert.equal(elements.ties[2].last_note, null, 'a tie at the end of the line goes to the end of the stave');
+      assert.deepEqual(elements.ties[2].first_indices, [0, 1]);
+
+      assert.equal(elements.slurs.length, 2);
+      assert.equal(elements.slurs[0].from, notes[0]);
+      assert.equal(elements.slurs[0].to, notes[2]);
+      assert.equal(elements.slurs[1].from, notes[3]);
+      assert.equal(elements.slurs[1].to, notes[5]);
+
+      assert.deepEqual(elements.beams.map(function(beam) { return beam.notes.length; }), [3, 2]);
+      assert.equal(elements.tuplets.length, 1);
+      assert.equal(elements.tuplets[0].num_notes, 3);
+      assert.equal(elements.tuplets[0].notes_occupied, 2);
+      assert.equal(notes[3].getTuplet(), elements.tuplets[0]);
+
+      vf.draw();
+    },
+
+    drawExpressionsTest: function(options) {
+      var vf = VF.Test.makeFactory(options, 600, 220);
+      var score = vf.EasyScore();
+      var system = vf.System();
+
+      var notes = score.notes(
+        '{/D5}C5/q[dynamics="p", ornaments="tr"], {E5/16, F5}~D5[annotations="dolce"], ' +
+        '3{E5/8, F5[ornaments="turn.#.b"], G5}, A4/q[dynamics="mf", chordSymbol="C7^b9", annotations="rit..above"]',
+        { stem: 'up' }
+      );
+      var dynamics = score.dynamics(notes);
+      system.addStave({ voices: [score.voice(notes), dynamics] }).addClef('treble').addTimeSignature('4/4');
+
+      var assert = options.assert;
+      function types(note) { return note.getModifiers().map(function(m) { return m.getAttribute('type'); }); }
+
+      var grace = notes[0].getModifiers().filter(function(m) { return m.getAttribute('type') === 'GraceNoteGroup'; })[0];
+      assert.equal(grace.getGraceNotes().length, 1);
+      assert.ok(grace.getGraceNotes()[0].slash, 'the grace note is slashed');
+      assert.notOk(grace.show_slur);
+
+      grace = notes[1].getModifiers().filter(function(m) { return m.getAttribute('type') === 'GraceNoteGroup'; })[0];
+      assert.equal(grace.getGraceNotes().length, 2);
+      assert.ok(grace.show_slur, 'the grace notes are slurred');
+      assert.equal(notes[1].getDuration(), 'q', 'grace notes keep the duration of the notes');
+      assert.equal(grace.beams.length, 1, 'the grace notes are beamed');
+      assert.ok(types(notes[1]).indexOf('Annotation') !== -1);
+
+      var turn = notes[3].getModifiers().filter(function(m) { return m.getAttribute('type') === 'Ornament'; })[0];
+      assert.equal(turn.type, 'turn');
+      assert.ok(turn.accidentalUpper && turn.accidentalLower);
+
+      var annotation = notes[5].getModifiers().filter(function(m) { return m.getAttribute('type') === 'Annotation'; })[0];
+      assert.equal(annotation.text, 'rit.');
+      assert.equal(annotation.vert_justification, VF.Annotation.VerticalJustify.TOP);
+      var chordSymbol = notes[5].getModifiers().filter(function(m) { return m.getAttribute('type') === 'ChordSymbol'; })[0];
+      assert.equal(chordSymbol.symbolBlocks[chordSymbol.symbolBlocks.length - 1].symbolModifier,
+        VF.ChordSymbol.symbolModifiers.SUPERSCRIPT);
+
+      assert.deepEqual(dynamics.getTickables().map(function(t) { return t.getAttribute('type'); }),
+        ['TextDynamics', 'GhostNote', 'GhostNote', 'GhostNote', 'GhostNote', 'TextDynamics']);
+      assert.equal(dynamics.getTickables()[2].getTicks().value(), notes[2].getTicks().value(), 'ghost notes match tuplets');
+
+      vf.draw();
+    },
+
+    drawBarLinesTest: function(options) {
+      var vf = VF.Test.makeFactory(options, 600, 200);
+      var score = vf.EasyScore();
+      var system = vf.System();
+
+      var notes = score.notes('C5/q, B4, A4, G4 || clef=bass, key=F, time=2/4, C3/q, D3 :|');
+      var types = notes.map(function(note) { return note.getAttribute('type'); });
+      system.addStave({ voices: [score.voice(notes, { time: '6/4' })] }).addClef('treble');
+
+      var assert = options.assert;
+      assert.deepEqual(types, [
+        'StaveNote', 'StaveNote', 'StaveNote', 'StaveNote', 'BarNote',
+        'ClefNote', 'KeySigNote', 'TimeSigNote', 'StaveNote', 'StaveNote', 'BarNote',
+      ]);
+      assert.equal(notes[4].getType(), VF.Barline.type.DOUBLE);
+      assert.equal(notes[10].getType(), VF.Barline.type.REPEAT_END);
+      assert.equal(notes[8].clef, 'bass');
+
+      vf.draw();
+    },
+
+    drawMeasuresTest: function(options) {
+      var vf = VF.Test.makeFactory(options, 600, 200);
+      var score = vf.EasyScore();
+      var layout = vf.ScoreLayout({ width: 580 });
+
+      score.measures('|: clef=treble, key=D, time=3/4, (F#4/8, E4, D4, E4), F#4/q ' +
+        '| [A4/8, G4], F#4/q, E4 | D4/h. :|', { stem: 'up' })
+        .forEach(function(measure) { layout.addMeasure([measure]); });
+      layout.format();
+      vf.draw();
+
+      options.assert.equal(layout.lines[0].systems.length, 3);
+    },
   };
 
   return EasyScore;
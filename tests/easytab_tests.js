@@ -0,0 +1,133 @@
+/**
+ * VexFlow - EasyTab Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+VF.Test.EasyTab = (function() {
+  var EasyTab = {
+    Start: function() {
+      QUnit.module('EasyTab');
+      var VFT = VF.Test;
+      QUnit.test('Basic', VFT.EasyTab.basic);
+      QUnit.test('Connectors', VFT.EasyTab.connectors);
+      QUnit.test('Bends and Vibratos', VFT.EasyTab.markers);
+      QUnit.test('Stave Notes', VFT.EasyTab.staveNotes);
+      VFT.runTests('Draw Tablature', VFT.EasyTab.drawTabTest);
+      VFT.runTests('Draw Tablature and Notation', VFT.EasyTab.drawNotationTest);
+    },
+
+    basic: function(assert) {
+      var tab = new VF.EasyTab();
+      var mustPass = [
+        '5/3', '5/3:8', '0/1:q., 12/6', '(5/2 7/3)', '(5/2 7/3):h', 'x/6', '(x/6 0/5 2/4)', 'r:q, 5/3', '5/3, h7/3',
+        '7/3b', '7/3b1/2', '7/3br, 7/3v', '(7/2 7/3b1/2):q',
+      ];
+      var mustFail = ['', '5', '5/', '/3', '5/3 7/3', '5/3,', '(5/2', '5/3:', '5/3:z', 'b5/3', 'v5/3'];
+
+      mustPass.forEach(function(line) { assert.equal(tab.parse(line).success, true, line); });
+      mustFail.forEach(function(line) { assert.equal(tab.parse(line).success, false, line); });
+
+      var error = tab.parse('5:q').error;
+      assert.equal(error.pos, 1);
+      assert.deepEqual(error.expected, ['"/"']);
+
+      error = tab.parse('h5/3').error;
+      assert.equal(error.pos, 4, 'after the note');
+      assert.ok(/^No note before "h" at position 4/.test(error.message), 'builder errors are reported');
+      assert.ok(/^No note before "s" at position 12/.test(tab.parse('5/3, r, s7/3').error.message));
+      assert.ok(/^Invalid string: 0/.test(tab.parse('5/0').error.message));
+      assert.throws(function() { new VF.EasyTab({ throwOnError: true }).parse('h5/3'); }, /Error parsing line: No note before "h"/);
+      assert.throws(function() { new VF.EasyTab({ throwOnError: true }).parse('5/3 7/3'); }, /Error parsing line: Unexpected "7"/);
+    },
+
+    connectors: function(assert) {
+      var vf = new VF.Factory({ renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 600, height: 200 } });
+      var tab = vf.EasyTab();
+      var notes = tab.notes('5/3:8, h7/3, p5/3, s9/3, t(12/1 9/3)');
+      var elements = tab.builder.getElements();
+
+      assert.equal(notes.length, 5);
+      assert.deepEqual(notes[0].getPositions(), [{ str: 3, fret: '5' }]);
+      assert.equal(notes[4].getDuration(), '8', 'durations carry over');
+
+      assert.deepEqual(elements.ties.map(function(tie) { return tie.text; }), ['H', 'P', 'T']);
+      assert.equal(elements.ties[0].first_note, notes[0]);
+      assert.equal(elements.ties[0].last_note, notes[1]);
+      assert.deepEqual([elements.ties[2].first_indices, elements.ties[2].last_indices], [[0], [1]], 'common strings are tied');
+
+      assert.equal(elements.slides.length, 1);
+      assert.equal(elements.slides[0].first_note, notes[2]);
+      assert.equal(elements.slides[0].slide_direction, VF.TabSlide.SLIDE_UP);
+    },
+
+    markers: function(assert) {
+      var vf = new VF.Factory({ renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 600, height: 200 } });
+      var tab = vf.EasyTab();
+      var notes = tab.notes('7/3b:q, (7/2 9/3b1/2r):q, 5/2v, 5/2V');
+      var elements = tab.builder.getElements();
+
+      assert.equal(elements.bends.length, 2);
+      assert.equal(elements.bends[0].getText(), 'Full');
+      assert.notOk(elements.bends[0].release);
+      assert.equal(elements.bends[1].getText(), '1/2');
+      assert.ok(elements.bends[1].release);
+      assert.equal(elements.bends[1].getIndex(), 1, 'bends go on their position in a chord');
+      assert.equal(elements.bends[1].getNote(), notes[1]);
+
+      assert.equal(elements.vibratos.length, 2);
+      assert.notOk(elements.vibratos[0].render_options.harsh);
+      assert.ok(elements.vibratos[1].render_options.harsh);
+      assert.equal(elements.vibratos[1].getNote(), notes[3]);
+    },
+
+    staveNotes: function(assert) {
+      var vf = new VF.Factory({ renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 600, height: 200 } });
+      var tab = vf.EasyTab();
+      var notes = tab.notes('0/1:q, (7/2 7/3):8., r:16, (x/6 x/5), 2/6:q');
+      var staveNotes = tab.staveNotes(notes);
+
+      assert.deepEqual(staveNotes.map(function(note) { return note.getKeys().join(' '); }),
+        ['E/5', 'D/5 F#/5', 'b/4', 'b/4', 'F#/3']);
+      assert.equal(staveNotes[1].getDuration(), '8');
+      assert.equal(staveNotes[1].getTicks().value(), notes[1].getTicks().value(), 'dots are kept');
+      var accidentals = staveNotes[1].getModifiers().filter(function(m) { return m.getAttribute('type') === 'Accidental'; });
+      assert.equal(accidentals.length, 1);
+      assert.equal(accidentals[0].getIndex(), 1, 'accidentals line up with the sorted keys');
+      assert.ok(staveNotes[2].isRest(), 'rests stay rests');
+      assert.ok(staveNotes[3].isRest(), 'muted strings become rests');
+
+      var dropD = tab.staveNotes(tab.notes('0/6:w'), { tuning: 'dropd' });
+      assert.deepEqual(dropD[0].getKeys(), ['D/3']);
+    },
+
+    drawTabTest: function(options) {
+      var vf = VF.Test.makeFactory(options, 600, 160);
+      var tab = vf.EasyTab();
+      var notes = tab.notes('5/3:8, h7/3, p5/3, s9/3, (7/2 7/3b1/2):q, (5/2 5/3v):q');
+
+      vf.System().addStave({ stave: vf.TabStave(), voices: [tab.voice(notes)] })
+        .addClef('tab')
+        .addTimeSignature('4/4');
+
+      vf.draw();
+      options.assert.ok(true, 'all pass');
+    },
+
+    drawNotationTest: function(options) {
+      var vf = VF.Test.makeFactory(options, 600, 260);
+      var tab = vf.EasyTab();
+      var notes = tab.notes('0/1:8, h3/1, (2/3 3/2):q, r:8, (x/6 3/5 2/4), s5/4:q');
+      var staveNotes = tab.staveNotes(notes);
+
+      var system = vf.System();
+      system.addStave({ voices: [tab.voice(staveNotes)] }).addClef('treble').addTimeSignature('4/4');
+      system.addStave({ stave: vf.TabStave(), voices: [tab.voice(notes)] }).addClef('tab').addTimeSignature('4/4');
+      system.addConnector();
+
+      vf.draw();
+      options.assert.ok(true, 'all pass');
+    },
+  };
+
+  return EasyTab;
+})();
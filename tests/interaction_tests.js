@@ -0,0 +1,203 @@
+/**
+ * VexFlow - Interaction Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.Interaction = (function() {
+  // Draw a stave with two beamed notes, a note with text above it and a
+  // half note, with all the elements in `registry`.
+  function drawScore(options, registry) {
+    VF.Registry.enableDefaultRegistry(registry);
+    var vf = VF.Test.makeFactory(options, 400, 150);
+    var score = vf.EasyScore();
+    var system = vf.System({ width: 350 });
+    var notes = score.notes('C5/8, E5/8, B4/q[annotations="dolce.above"], A4/h', { stem: 'up' });
+    var beam = vf.Beam({ notes: notes.slice(0, 2) });
+    var stave = system.addStave({ voices: [score.voice(notes)] }).addClef('treble');
+    var context = vf.getContext();
+    vf.draw();
+    VF.Registry.disableDefaultRegistry();
+
+    var annotation = notes[2].getModifiers().filter(function(modifier) {
+      return modifier.getCategory() === 'annotations';
+    })[0];
+    return { context: context, stave: stave, notes: notes, beam: beam, annotation: annotation };
+  }
+
+  function firstChild(element, tagName) {
+    return element.getAttribute('el').getElementsByTagName(tagName)[0];
+  }
+
+  function fire(node, type, relatedTarget) {
+    var event = document.createEvent('MouseEvents');
+    event.initMouseEvent(type, true, true, window, 0, 0, 0, 0, 0, false, false, false, false, 0, relatedTarget || null);
+    node.dispatchEvent(event);
+  }
+
+  function fills(element) {
+    return Array.prototype.map.call(element.getAttribute('el').getElementsByTagName('path'), function(path) {
+      return path.getAttribute('fill');
+    });
+  }
+
+  var Interaction = {
+    Start: function() {
+      QUnit.module('Interaction');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Errors', VFT.Interaction.errors);
+      VFT.runUITests('Elements For Nodes', VFT.Interaction.elementsForNodes);
+      VFT.runUITests('Events', VFT.Interaction.events);
+      VFT.runUITests('Selection And Highlighting', VFT.Interaction.selection);
+      VFT.runUITests('Nested Elements', VFT.Interaction.nested);
+    },
+
+    errors: function(assert) {
+      var registry = new VF.Registry();
+      assert.throws(function() { return new VF.Interaction(null, registry); }, /SVGContext/);
+      assert.throws(function() { return new VF.Interaction(new VF.SVGStringContext(), registry); }, /SVGContext/);
+      assert.throws(function() { return new VF.Interaction({ svg: document.createElement('div') }); }, /Registry/);
+    },
+
+    elementsForNodes: function(options) {
+      var assert = options.assert;
+      var registry = new VF.Registry();
+      var score = drawScore(options, registry);
+      var interaction = new VF.Interaction(score.context, registry);
+
+      assert.equal(interaction.getElementForNode(firstChild(score.notes[0], 'path')), score.notes[0]);
+      assert.equal(interaction.getElementForNode(firstChild(score.annotation, 'text')), score.annotation,
+        'the innermost element is found');
+      assert.equal(interaction.getElementForNode(score.annotation.getAttribute('el').parentNode), score.notes[2]);
+      assert.equal(interaction.getElementForNode(firstChild(score.stave, 'path')), score.stave);
+      assert.equal(interaction.getElementForNode(firstChild(score.beam, 'path')), score.beam);
+      assert.equal(interaction.getElementForNode(score.context.svg), null);
+      assert.equal(interaction.getElementForNode(null), null);
+
+      assert.equal(interaction.getGroup(score.notes[3]), score.notes[3].getAttribute('el'));
+      var group = score.annotation.getAttribute('el');
+      new VF.SpatialIndex().add(score.notes[2]).build();
+      assert.equal(interaction.getGroup(score.annotation), group, 'measuring keeps the group');
+      assert.equal(interaction.getGroup(new VF.StaveNote({ keys: ['c/4'], duration: 'q' })), null, 'not drawn');
+    },
+
+    events: function(options) {
+      var assert = options.assert;
+      var registry = new VF.Registry();
+      var score = drawScore(options, registry);
+      var interaction = new VF.Interaction(score.context, registry);
+
+      var events = [];
+      function record(type) {
+        return function(element) { events.push(type + ' ' + element.getAttribute('type')); };
+      }
+      var click = record('click');
+      interaction.on('click', click).on('hover', record('hover')).on('leave', record('leave'));
+
+      fire(firstChild(score.notes[0], 'path'), 'click');
+      fire(firstChild(score.beam, 'path'), 'click');
+      fire(score.context.svg, 'click');
+      assert.deepEqual(events, ['click StaveNote', 'click Beam'], 'clicks outside elements are ignored');
+
+      events = [];
+      var note = firstChild(score.notes[2], 'path');
+      var text = firstChild(score.annotation, 'text');
+      fire(note, 'mouseover');
+      fire(note, 'mouseout', text);
+      fire(text, 'mouseover');
+      fire(text, 'mouseout', score.context.svg);
+      assert.deepEqual(events, ['hover StaveNote', 'leave StaveNote', 'hover Annotation', 'leave Annotation']);
+
+      events = [];
+      interaction.off('click', click);
+      fire(firstChild(score.notes[0], 'path'), 'click');
+      assert.deepEqual(events, []);
+
+      interaction.detach();
+      fire(note, 'mouseover');
+      assert.deepEqual(events, [], 'detached');
+    },
+
+    selection: function(options) {
+      var assert = options.assert;
+      var registry = new VF.Registry();
+      var score = drawScore(options, registry);
+      var interaction = new VF.Interaction(score.context, registry, {
+        selectStyle: { fillStyle: 'blue', strokeStyle: 'blue' },
+        highlightStyle: { fillStyle: 'red', strokeStyle: 'red' },
+      });
+      var nodes = score.context.svg.getElementsByTagName('*').length;
+      var first = score.notes[0];
+      var second = score.notes[1];
+      var original = fills(first);
+
+      interaction.select(first);
+      assert.ok(first.hasClass('selected'));
+      assert.deepEqual(registry.getElementsByClass('selected'), [first]);
+      assert.ok(fills(first).every(function(fill) { return fill === 'blue'; }), 'selected');
+
+      interaction.select(second);
+      assert.deepEqual(interaction.getSelection(), [second]);
+      assert.deepEqual(fills(first), original, 'the colors are restored');
+      assert.notOk(first.hasClass('selected'));
+
+      interaction.toggle(first, { add: true });
+      assert.deepEqual(interaction.getSelection(), [second, first]);
+      interaction.highlight(first);
+      assert.ok(interaction.isHighlighted(first));
+      assert.ok(fills(first).every(function(fill) { return fill === 'red'; }), 'highlighted');
+      interaction.unhighlight(first);
+      assert.ok(fills(first).every(function(fill) { return fill === 'blue'; }), 'still selected');
+
+      var line = firstChild(score.stave, 'path');
+      var stroke = line.getAttribute('stroke');
+      interaction.highlight(score.stave, { fillStyle: 'green', strokeStyle: 'green' });
+      assert.equal(line.getAttribute('stroke'), 'green');
+      assert.equal(line.getAttribute('fill'), 'none', 'unfilled paths stay unfilled');
+
+      interaction.detach();
+      assert.deepEqual(interaction.getSelection(), []);
+      assert.deepEqual(fills(first), original);
+      assert.equal(line.getAttribute('stroke'), stroke);
+      assert.equal(score.context.svg.getElementsByTagName('*').length, nodes, 'nothing was drawn again');
+    },
+
+    nested: function(options) {
+      var assert = options.assert;
+      var registry = new VF.Registry();
+      var score = drawScore(options, registry);
+      var interaction = new VF.Interaction(score.context, registry, {
+        selectStyle: { fillStyle: 'blue', strokeStyle: 'blue' },
+        highlightStyle: { fillStyle: 'red', strokeStyle: 'red' },
+      });
+      var note = score.notes[2];
+      var head = Array.prototype.filter.call(note.getAttribute('el').getElementsByTagName('path'), function(path) {
+        return path.getAttribute('fill') !== 'none';
+      })[0];
+      var text = firstChild(score.annotation, 'text');
+      var originalHead = head.getAttribute('fill');
+      var originalText = text.getAttribute('fill');
+
+      interaction.highlight(score.annotation);
+      interaction.select(note);
+      assert.equal(text.getAttribute('fill'), 'red', 'the annotation keeps its own style');
+      assert.equal(head.getAttribute('fill'), 'blue');
+
+      interaction.unhighlight(score.annotation);
+      assert.equal(text.getAttribute('fill'), 'blue', 'the annotation gets the style of its note');
+
+      interaction.deselect(note);
+      assert.equal(text.getAttribute('fill'), originalText, 'the colors are restored');
+      assert.equal(head.getAttribute('fill'), originalHead);
+
+      interaction.select(note);
+      interaction.highlight(score.annotation);
+      interaction.deselect(note);
+      assert.equal(text.getAttribute('fill'), 'red');
+      assert.equal(head.getAttribute('fill'), originalHead);
+      interaction.unhighlight(score.annotation);
+      assert.equal(text.getAttribute('fill'), originalText);
+    },
+  };
+
+  return Interaction;
+})();
@@ -0,0 +1,139 @@
+/**
+ * VexFlow - LilyPondExporter Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.LilyPondExporter = (function() {
+  function lines(ly) {
+    return ly.split('\n').map(function(line) { return line.trim(); });
+  }
+
+  function newFactory() {
+    return new VF.Factory({
+      renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 900, height: 400 },
+    });
+  }
+
+  // The exporters' shared score, with dynamics and a slur on the treble stave.
+  function buildScore(vf) {
+    var dynamics = [
+      vf.TextDynamics({ text: 'p', duration: 'q' }),
+      vf.TextDynamics({ text: 'mf', duration: 'hd' }),
+    ];
+    var result = VF.Test.makeExportScore(vf, { voices: [vf.EasyScore().voice(dynamics)] });
+    result.curves = [vf.Curve({ from: result.notes[0], to: result.notes[2] })];
+    return result;
+  }
+
+  var LilyPondExporter = {
+    Start: function() {
+      QUnit.module('LilyPondExporter');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Export Header and Attributes', VFT.LilyPondExporter.exportAttributes);
+      QUnit.test('Export Notes', VFT.LilyPondExporter.exportNotes);
+      QUnit.test('Export Voices and Bar Lines', VFT.LilyPondExporter.exportVoices);
+      QUnit.test('Export Errors', VFT.LilyPondExporter.exportErrors);
+    },
+
+    exportAttributes: function(assert) {
+      var vf = newFactory();
+      var result = buildScore(vf);
+      vf.draw();
+      var ly = lines(new VF.LilyPondExporter({ title: 'Test "Score"' }).export(result.systems));
+
+      assert.equal(ly[0], '\\version "2.22.0"');
+      assert.ok(ly.indexOf('title = "Test \\"Score\\""') !== -1, 'title is quoted');
+      assert.equal(ly.filter(function(line) { return line === '\\new Staff {'; }).length, 2, 'one staff per stave');
+      assert.ok(ly.some(function(line) {
+        return line.indexOf('\\clef treble \\key g \\major \\numericTimeSignature \\time 4/4 ') === 0;
+      }), 'treble attributes');
+      assert.ok(ly.some(function(line) { return line.indexOf('\\clef bass \\key g \\major') === 0; }), 'bass attributes');
+      assert.ok(ly.indexOf('r1 |') !== -1, 'the clef carries over to the next line');
+      assert.equal(ly.filter(function(line) { return line === '\\bar "|."'; }).length, 2, 'final bar lines');
+    },
+
+    exportNotes: function(assert) {
+      var vf = newFactory();
+      var result = buildScore(vf);
+      vf.draw();
+      var ly = lines(new VF.LilyPondExporter().export(result.systems, { ties: result.ties, curves: result.curves }));
+
+      assert.ok(ly.indexOf('\\clef treble \\key g \\major \\numericTimeSignature \\time 4/4 ' +
+        '<c\' e\'>4_(\\p d\'8[\\mf e\'8]) \\tuplet 3/2 { fis\'8^. g\'8 a\'8 } b\'4~ |') !== -1,
+      'chords, slurs, dynamics, beams, tuplets, articulations and ties');
+      assert.ok(ly.indexOf('b\'2 fis\'!2 |') !== -1, 'accidentals in the key signature are forced');
+      assert.ok(ly.indexOf('\\clef bass \\key g \\major \\numericTimeSignature \\time 4/4 c2. b,4 |') !== -1,
+        'dots and low octaves');
+
+      var undotted = newFactory();
+      var system = undotted.System();
+      system.addStave({
+        voices: [undotted.Voice().addTickables([
+          undotted.StaveNote({ keys: ['c/4'], duration: 'hd' }),
+          undotted.StaveNote({ keys: ['d/4'], duration: 'q' }),
+        ])],
+      }).addClef('treble');
+      undotted.draw();
+
+      ly = lines(new VF.LilyPondExporter().export([system]));
+      assert.ok(ly.indexOf('\\clef treble \\key c \\major \\numericTimeSignature \\time 4/4 c\'2. d\'4 |') !== -1, 'dots are counted from the duration, not the drawn dots');
+    },
+
+    exportVoices: function(assert) {
+      var vf = newFactory();
+      var score = vf.EasyScore();
+      score.set({ clef: 'alto' });
+
+      var system = vf.System();
+      var dynamics = [
+        vf.GhostNote({ duration: '8' }),
+        vf.TextDynamics({ text: 'sfz', duration: '8' }),
+        vf.TextDynamics({ text: 'pf', duration: 'h' }),
+        vf.GhostNote({ duration: 'q' }),
+      ];
+      system.addStave({
+        voices: [
+          score.voice(score.notes('C5/h, Db5/h', { stem: 'up' })),
+          score.voice(score.notes('E4/q, F4/q, G4/h', { stem: 'down' })),
+          score.voice(dynamics),
+        ],
+      }).addClef('alto').addKeySignature('Bbm').addTimeSignature('C')
+        .setBegBarType(VF.Barline.type.REPEAT_BEGIN)
+        .setEndBarType(VF.Barline.type.REPEAT_END);
+
+      var next = vf.System({ x: system.options.x + system.options.width });
+      var rest = vf.StaveNote({ keys: ['c/4'], duration: 'wr', align_center: true });
+      next.addStave({ voices: [score.voice([rest])] }).addTimeSignature('C|')
+        .setBegBarType(VF.Barline.type.REPEAT_BEGIN)
+        .setEndBarType(VF.Barline.type.DOUBLE);
+      vf.draw();
+
+      var ly = lines(new VF.LilyPondExporter().export([system, next]));
+
+      assert.ok(ly.indexOf('\\new Staff <<') !== -1, 'simultaneous voices');
+      assert.deepEqual(ly.filter(function(line) { return /^\\voice/.test(line); }), ['\\voiceOne', '\\voiceTwo']);
+      assert.ok(ly.indexOf('\\bar ".|:" \\clef alto \\key bes \\minor \\defaultTimeSignature \\time 4/4 ' +
+        '<< { c\'\'2 des\'\'!2 } { s1*1/8 s1*1/8\\sfz s1*3/4_\\markup { \\dynamic "pf" } } >> |') !== -1,
+      'unaligned dynamics are written on spacer rests');
+      assert.ok(ly.indexOf('ees\'4 f\'4 ges\'2 |') !== -1, 'key signature applies to the second voice');
+      assert.ok(ly.indexOf('\\bar ":..:" \\defaultTimeSignature \\time 2/2 R1 |') !== -1, 'repeats and measure rests');
+      assert.ok(ly.indexOf('s1 |') !== -1, 'missing voices are filled with spacer rests');
+      assert.ok(ly.indexOf('\\bar "||"') !== -1, 'double bar line');
+    },
+
+    exportErrors: function(assert) {
+      var vf = newFactory();
+      var score = vf.EasyScore();
+      var system = vf.System();
+      var note = vf.StaveNote({ keys: ['c/4'], duration: '1' }).addAccidental(0, vf.Accidental({ type: 'o' }));
+      system.addStave({ voices: [score.voice([note])] }).addClef('treble');
+      vf.draw();
+
+      var exporter = new VF.LilyPondExporter();
+      assert.throws(function() { exporter.export([system]); }, /Unsupported accidental/);
+      assert.throws(function() { exporter.export([]); }, /No measures/);
+    },
+  };
+
+  return LilyPondExporter;
+})();
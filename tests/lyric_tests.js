@@ -0,0 +1,114 @@
+/**
+ * VexFlow - Lyric Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.Lyric = (function() {
+  function lyrics(note) {
+    return note.getModifiers().filter(function(modifier) { return modifier.getCategory() === 'lyrics'; });
+  }
+
+  var Lyric = {
+    Start: function() {
+      QUnit.module('Lyric');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('EasyScore Option', VFT.Lyric.easyScoreOption);
+      QUnit.test('Formatting Avoids Overlaps', VFT.Lyric.noOverlaps);
+      VFT.runTests('Draw Verses', VFT.Lyric.drawVerses);
+      VFT.runTests('Draw Hyphens and Extenders', VFT.Lyric.drawHyphensAndExtenders);
+    },
+
+    easyScoreOption: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = vf.EasyScore();
+      var notes = score.notes('C4/q[lyrics="Hap-|Al-"], D4[lyrics="py|ways"], E4[lyrics="day_"], F4');
+
+      var first = lyrics(notes[0]);
+      assert.equal(first.length, 2, 'one lyric per verse');
+      assert.equal(first[0].getText(), 'Hap');
+      assert.equal(first[0].getVerse(), 1);
+      assert.ok(first[0].hasHyphen(), 'trailing hyphen');
+      assert.equal(first[1].getText(), 'Al');
+      assert.equal(first[1].getVerse(), 2);
+
+      assert.notOk(lyrics(notes[1])[0].hasHyphen());
+      assert.equal(lyrics(notes[2])[0].getText(), 'day');
+      assert.ok(lyrics(notes[2])[0].hasExtender(), 'trailing underscore');
+      assert.equal(lyrics(notes[3]).length, 0);
+
+      var lyric = vf.Lyric({ text: 'la', verse: 3, hyphen: true });
+      assert.equal(lyric.getVerse(), 3);
+      assert.ok(lyric.getWidth() > 0, 'width is measured from font metrics');
+      assert.ok(vf.Lyric({ text: 'la la la' }).getWidth() > lyric.getWidth());
+    },
+
+    noOverlaps: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = vf.EasyScore();
+
+      function build(withLyrics) {
+        var line = withLyrics
+          ? 'C4/8[lyrics="Incomprehensibly-"], D4[lyrics="long-"], E4[lyrics="syllables"], F4[lyrics="everywhere"], ' +
+            'G4/h[lyrics="fin"]'
+          : 'C4/8, D4, E4, F4, G4/h';
+        var voice = score.voice(score.notes(line));
+        var formatter = new VF.Formatter().joinVoices([voice]);
+        return { voice: voice, width: formatter.preCalculateMinTotalWidth([voice]), formatter: formatter };
+      }
+
+      var plain = build(false);
+      var withLyrics = build(true);
+      assert.ok(withLyrics.width > plain.width + 100, 'lyrics widen the tick contexts');
+
+      var stave = vf.Stave({ x: 0, y: 0, width: 400 });
+      withLyrics.voice.setStave(stave);
+      withLyrics.formatter.format([withLyrics.voice], 0);
+
+      var syllables = withLyrics.voice.getTickables().map(function(note) { return lyrics(note)[0]; });
+      for (var i = 1; i < syllables.length; i++) {
+        var previous = syllables[i - 1].getTextExtents();
+        var current = syllables[i].getTextExtents();
+        var hyphen = syllables[i - 1].hasHyphen() ? syllables[i - 1].getHyphenWidth() : 0;
+        assert.ok(previous.right + hyphen <= current.left, syllables[i - 1].getText() + ' and ' + syllables[i].getText() + ' do not overlap');
+      }
+    },
+
+    drawVerses: function(options) {
+      var vf = VF.Test.makeFactory(options, 500, 200);
+      var score = vf.EasyScore();
+      var system = vf.System({ width: 480 });
+
+      system.addStave({
+        voices: [score.voice(score.notes(
+          'G4/q[lyrics="Twin-|Up"], G4[lyrics="kle,|a-"], D5[lyrics="twin-|bove"], D5[lyrics="kle|the"], ' +
+          'E5[lyrics="lit-|world"], E5[lyrics="tle|so"], D5/h[lyrics="star|high"]',
+          { stem: 'up' }
+        ), { time: '8/4' })],
+      }).addClef('treble').addTimeSignature('8/4');
+
+      vf.draw();
+      options.assert.ok(true, 'Verses');
+    },
+
+    drawHyphensAndExtenders: function(options) {
+      var vf = VF.Test.makeFactory(options, 500, 160);
+      var score = vf.EasyScore();
+      var system = vf.System({ width: 480 });
+
+      var notes = score.notes(
+        'C5/8[lyrics="Glo-"], D5, C5, B4, A4, B4, C5, A4, ' +
+        'B4/q[lyrics="ri-"], G4[lyrics="a_"], A4, B4/8/r, G4[lyrics="in"]',
+        { stem: 'down' }
+      );
+      score.beam(notes.slice(0, 4));
+      score.beam(notes.slice(4, 8));
+
+      system.addStave({ voices: [score.voice(notes, { time: '8/4' })] }).addClef('treble');
+      vf.draw();
+
+      options.assert.ok(true, 'Hyphens and Extenders');
+    },
+  };
+
+  return Lyric;
+})();
@@ -0,0 +1,304 @@
+/**
+ * VexFlow - MEIImporter Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.MEIImporter = (function() {
+  // Wraps `measures` in an MEI document with the given `<scoreDef>` content.
+  function mei(measures, scoreDef, attributes) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<mei xmlns="http://www.music-encoding.org/ns/mei" meiversion="4.0.1">',
+      '<meiHead><fileDesc><titleStmt><title>Test</title></titleStmt></fileDesc></meiHead>',
+      '<music><body><mdiv><score>',
+      '<scoreDef ' + (attributes || 'key.sig="0" meter.count="4" meter.unit="4"') + '>',
+      scoreDef || '<staffGrp><staffDef n="1" lines="5" clef.shape="G" clef.line="2"/></staffGrp>',
+      '</scoreDef>',
+      '<section>' + measures + '</section>',
+      '</score></mdiv></body></music></mei>',
+    ].join('');
+  }
+
+  function layer(content, n) {
+    return '<staff n="' + (n || 1) + '"><layer n="1">' + content + '</layer></staff>';
+  }
+
+  // Text notes measure their text when formatted, so the import tests render to a string.
+  function makeFactory() {
+    return new VF.Factory({ renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 600, height: 300 } });
+  }
+
+  function events(layer) {
+    return layer.events.map(function(event) {
+      return event.keys.join('+') + ':' + Math.round(event.ticks / (VF.RESOLUTION / 8) * 100) / 100;
+    });
+  }
+
+  var MEIImporter = {
+    Start: function() {
+      QUnit.module('MEIImporter');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Parse Score Definition', VFT.MEIImporter.parseScoreDef);
+      QUnit.test('Parse Layers', VFT.MEIImporter.parseLayers);
+      QUnit.test('Parse Controls', VFT.MEIImporter.parseControls);
+      QUnit.test('Unsupported Elements', VFT.MEIImporter.unsupported);
+      QUnit.test('Import Objects', VFT.MEIImporter.importObjects);
+      QUnit.test('Registry Ids', VFT.MEIImporter.registryIds);
+      VFT.runTests('Draw Score', VFT.MEIImporter.drawScore);
+    },
+
+    parseScoreDef: function(assert) {
+      var importer = new VF.MEIImporter();
+      var staffGrp = [
+        '<staffGrp symbol="brace">',
+        '<staffDef n="1" label="Piano" clef.shape="G" clef.line="2"/>',
+        '<staffDef n="2"><clef shape="F" line="4"/></staffDef>',
+        '</staffGrp>',
+      ].join('');
+      var result = importer.parse(mei('<measure n="1">' + layer('<mRest/>') + layer('<mRest/>', 2) + '</measure>',
+        staffGrp, 'key.sig="3f" key.mode="minor" meter.sym="cut"'));
+
+      assert.equal(result.title, 'Test');
+      assert.deepEqual(result.staves, [{ n: '1', label: 'Piano' }, { n: '2', label: '' }]);
+      assert.deepEqual(result.groups, [{ first: 0, last: 1, type: 'brace' }]);
+
+      var staves = result.measures[0].staves;
+      assert.equal(staves[1].clef, 'treble');
+      assert.equal(staves[2].clef, 'bass', '<clef> children');
+      assert.equal(staves[1].key, 'Cm');
+      assert.deepEqual(staves[2].meter, { spec: 'C|', count: 2, unit: 2 });
+
+      function staff(attributes) {
+        return importer.parse(mei('<measure>' + layer('<mRest/>') + '</measure>', undefined, attributes)).measures[0].staves[1];
+      }
+      assert.equal(staff('key.sig="2s"').key, 'D');
+      assert.equal(staff('key.sig="0" key.mode="minor"').key, 'Am');
+      assert.equal(staff('><keySig sig="4s" mode="major"/').key, 'E', '<keySig> children');
+      assert.deepEqual(staff('meter.count="3+2" meter.unit="8"').meter, { spec: '3+2/8', count: 5, unit: 8 });
+      assert.deepEqual(staff('meter.sym="common"').meter, { spec: 'C', count: 4, unit: 4 });
+
+      // Score definitions between measures change key and meter.
+      result = importer.parse(mei([
+        '<measure n="1">' + layer('<mRest/>') + '</measure>',
+        '<scoreDef key.sig="1s" meter.count="3" meter.unit="4"/>',
+        '<measure n="2">' + layer('<mRest/>') + '</measure>',
+        '<measure n="3">' + layer('<mRest/>') + '</measure>',
+      ].join('')));
+
+      assert.equal(result.measures[1].staves[1].key, 'G');
+      assert.equal(result.measures[1].staves[1].meter.spec, '3/4');
+      assert.deepEqual(result.measures[1].staves[1].changes, { clef: false, key: true, meter: true });
+      assert.deepEqual(result.measures[2].staves[1].changes, { clef: false, key: false, meter: false });
+      assert.equal(result.measures[1].staves[1].layers[0].events[0].ticks, VF.RESOLUTION * 3 / 4, 'measure rests fill the measure');
+    },
+
+    parseLayers: function(assert) {
+      var importer = new VF.MEIImporter();
+      var result = importer.parse(mei('<measure n="1">' + layer([
+        '<note xml:id="n1" pname="c" oct="5" dur="4" dots="1"/>',
+        '<beam xml:id="b1">',
+        '<note pname="f" oct="4" dur="8" accid="s"/>',
+        '<note pname="f" oct="4" dur="16"/>',
+        '<note pname="f" oct="5" dur="16"/>',
+        '</beam>',
+        '<tuplet xml:id="t1" num="3" numbase="2">',
+        '<chord xml:id="c1" dur="8"><note pname="b" oct="4"/><note xml:id="c1e" pname="e" oct="5"><accid accid="n"/></note></chord>',
+        '<rest dur="8"/>',
+        '<note pname="b" oct="4" dur="8" accid.ges="f"/>',
+        '</tuplet>',
+        '<space dur="8"/>',
+      ].join('')) + '</measure>', undefined, 'key.sig="2f" meter.count="4" meter.unit="4"'));
+
+      var events1 = result.measures[0].staves[1].layers[0];
+      assert.deepEqual(events(events1), [
+        'c/5:3', 'f#/4:1', 'f#/4:0.5', 'f/5:0.5', 'bb/4+e/5:0.67', 'b/4:0.67', 'bb/4:0.67', ':1',
+      ], 'accidentals last to the end of the measure on their own octave');
+
+      assert.equal(events1.events[0].id, 'n1');
+      assert.deepEqual(events1.events[4].noteIds, [null, 'c1e']);
+      assert.equal(events1.events[4].id, 'c1');
+      assert.equal(events1.events[1].accidentals[0].type, '#');
+      assert.equal(events1.events[2].accidentals[0], null, 'carried accidentals are not written');
+      assert.equal(events1.events[4].accidentals[1].type, 'n');
+      assert.equal(events1.events[6].accidentals[0], null, 'gestural accidentals are not written');
+      assert.equal(events1.beams[0].id, 'b1');
+      assert.equal(events1.tuplets[0].num, 3);
+      assert.ok(events1.events[7].space);
+      assert.equal(events1.events[3].onset, VF.RESOLUTION * 9 / 16, 'events have onsets');
+    },
+
+    parseControls: function(assert) {
+      var importer = new VF.MEIImporter();
+      var result = importer.parse(mei([
+        '<measure n="1" left="rptstart" right="dbl">',
+        layer('<note xml:id="a" pname="g" oct="4" dur="2" tie="i" slur="i1"/><note xml:id="b" pname="g" oct="4" dur="2" tie="t" slur="t1"/>'),
+        '<slur xml:id="s1" staff="1" startid="#a" endid="#b" curvedir="above"/>',
+        '<dynam xml:id="d1" staff="1" tstamp="1">mf</dynam>',
+        '<dir staff="1" startid="#b" place="above">rit.</dir>',
+        '<tie startid="#a"/>',
+        '</measure>',
+      ].join('')));
+
+      var measure = result.measures[0];
+      assert.equal(measure.begBarType, VF.Barline.type.REPEAT_BEGIN);
+      assert.equal(measure.endBarType, VF.Barline.type.DOUBLE);
+
+      var notes = measure.staves[1].layers[0].events;
+      assert.deepEqual(notes[0].ties, [{ type: 'start', index: 0 }]);
+      assert.deepEqual(notes[1].ties, [{ type: 'stop', index: 0 }]);
+      assert.deepEqual(notes[0].slurs, [{ type: 'i', number: '1' }]);
+
+      assert.equal(measure.controls.length, 3, 'ties without an end are dropped');
+      assert.deepEqual(measure.controls[0], {
+        type: 'slur', id: 's1', startid: 'a', endid: 'b', staff: '1', tstamp: null, place: null, curvedir: 'above', text: '',
+      });
+      assert.equal(measure.controls[1].tstamp, 1);
+      assert.equal(measure.controls[1].text, 'mf');
+      assert.equal(measure.controls[2].startid, 'b');
+      assert.deepEqual(result.unsupported, [{ element: 'tie', measure: '1', staff: undefined }]);
+    },
+
+    unsupported: function(assert) {
+      var importer = new VF.MEIImporter();
+      var xml = mei('<measure n="1">' + layer('<note pname="c" oct="5" dur="4" grace="acc"/><note pname="c" oct="5" dur="1"/>') +
+        '<fermata staff="1" tstamp="1"/></measure>');
+
+      var result = importer.parse(xml);
+      assert.deepEqual(result.unsupported.map(function(entry) { return entry.element; }), ['grace', 'fermata']);
+      assert.equal(result.measures[0].staves[1].layers[0].events.length, 1);
+
+      assert.throws(function() { return new VF.MEIImporter({ throwOnUnsupported: true }).parse(xml); }, /grace/);
+      assert.throws(function() { importer.parse('<mei><music/></mei>'); }, /score/);
+      assert.throws(function() { importer.parse('<mei>'); }, /Invalid MEI/);
+      assert.throws(function() { importer.parse(mei('')); }, /no measures/);
+      assert.throws(function() { importer.import(xml); }, /factory/);
+    },
+
+    importObjects: function(assert) {
+      var vf = makeFactory();
+      var staffGrp = '<staffGrp symbol="bracket"><staffDef n="1" clef.shape="G" clef.line="2"/><staffDef n="2" clef.shape="F" clef.line="4"/></staffGrp>';
+      var result = vf.MEIImporter({ width: 500 }).import(mei([
+        '<measure n="1">',
+        layer([
+          '<beam><note pname="e" oct="5" dur="8"/><note pname="d" oct="5" dur="8"/></beam>',
+          '<tuplet num="3" numbase="2"><note pname="c" oct="5" dur="8"/><note pname="d" oct="5" dur="8"/><note pname="e" oct="5" dur="8"/></tuplet>',
+          '<chord dur="2"><note pname="c" oct="5" tie="i"/><note pname="e" oct="5" tie="i"/></chord>',
+        ].join('')),
+        layer('<rest dur="1"/>', 2),
+        '<dynam staff="1" tstamp="1">p</dynam>',
+        '<dynam staff="1" tstamp="3">cresc.</dynam>',
+        '<dynam staff="1" tstamp="3">sf</dynam>',
+        '</measure>',
+        '<measure n="2" right="end">',
+        layer('<chord dur="1"><note pname="c" oct="5" tie="t"/><note pname="e" oct="5" tie="t"/></chord>'),
+        layer('<mRest/>', 2),
+        '</measure>',
+      ].join(''), staffGrp));
+
+      assert.equal(result.systems.length, 2);
+      assert.equal(result.measures[0].voices.length, 2);
+      assert.equal(result.measures[0].voices[0].length, 3, 'one voice for the layer and two for the dynamics');
+
+      var notes = result.measures[0].voices[0][0].getTickables();
+      assert.equal(notes.length, 6);
+      assert.ok(notes[0].beam && notes[0].beam === notes[1].beam, 'beam attached');
+      assert.equal(notes[2].getTuplet().getNoteCount(), 3, 'tuplet attached');
+
+      var dynamics = result.measures[0].voices[0][1].getTickables();
+      assert.ok(dynamics[0] instanceof VF.TextDynamics);
+      assert.equal(dynamics[0].getDuration(), '2', 'directions last until the next one');
+      assert.ok(dynamics[1] instanceof VF.TextNote, 'text that is not a dynamic is a TextNote');
+      dynamics = result.measures[0].voices[0][2].getTickables();
+      assert.ok(dynamics[0] instanceof VF.GhostNote);
+      assert.ok(dynamics[1] instanceof VF.TextDynamics, 'dynamics at the same time go to another voice');
+
+      var stave = result.systems[1].parts[0].stave;
+      assert.equal(stave.modifiers[1].getType(), VF.Barline.type.END);
+
+      var ties = vf.renderQ.filter(function(element) { return element instanceof VF.StaveTie; });
+      assert.equal(ties.length, 2, 'chords are tied note by note');
+      assert.deepEqual(ties[1].notes.first_indices, [1]);
+
+      var connectors = vf.renderQ.filter(function(element) {
+        return element instanceof VF.StaveConnector && element.type === VF.StaveConnector.type.BRACKET;
+      });
+      assert.equal(connectors.length, 1);
+    },
+
+    registryIds: function(assert) {
+      var vf = makeFactory();
+      var registry = new VF.Registry();
+      var result = vf.MEIImporter({ registry: registry }).import(mei([
+        '<measure xml:id="m1" n="1"><staff xml:id="st1" n="1"><layer n="1">',
+        '<beam xml:id="b1"><note xml:id="n1" pname="g" oct="4" dur="8"/><note xml:id="n2" pname="a" oct="4" dur="8"/></beam>',
+        '<chord xml:id="c1" dur="4"><note xml:id="c1a" pname="c" oct="5"/><note xml:id="c1b" pname="e" oct="5"/></chord>',
+        '<rest xml:id="r1" dur="2"/>',
+        '</layer></staff>',
+        '<slur xml:id="s1" staff="1" startid="#n1" endid="#c1b"/>',
+        '<dir xml:id="dir1" staff="1" startid="#r1">Solo</dir>',
+        '</measure>',
+        '<measure n="2">' + layer('<note xml:id="n3" pname="c" oct="5" dur="1"/>') + '</measure>',
+        '<tie xml:id="tie1" startid="#c1a" endid="#n3"/>',
+      ].join('')));
+
+      assert.equal(result.registry, registry);
+      assert.ok(registry.getElementById('n1') instanceof VF.StaveNote);
+      assert.equal(registry.getElementById('n1').getAttribute('id'), 'n1');
+      assert.ok(registry.getElementById('b1') instanceof VF.Beam);
+      assert.ok(registry.getElementById('c1') instanceof VF.StaveNote);
+      assert.ok(registry.getElementById('c1b') instanceof VF.NoteHead, 'notes of a chord are note heads');
+      assert.equal(registry.getElementById('c1').note_heads[1], registry.getElementById('c1b'));
+      assert.equal(registry.getElementById('r1').getNoteType(), 'r');
+      assert.ok(registry.getElementById('s1') instanceof VF.Curve);
+      assert.ok(registry.getElementById('dir1') instanceof VF.TextNote);
+      assert.ok(registry.getElementById('st1') instanceof VF.Stave);
+      assert.ok(registry.getElementById('m1') instanceof VF.System);
+      assert.ok(registry.getElementById('n3') instanceof VF.StaveNote);
+      assert.notOk(registry.getElementById('tie1'), 'controls outside of a measure are unsupported');
+    },
+
+    drawScore: function(options) {
+      var vf = VF.Test.makeFactory(options, 620, 320);
+      var registry = new VF.Registry();
+      var staffGrp = [
+        '<staffGrp symbol="brace">',
+        '<staffDef n="1" clef.shape="G" clef.line="2"/>',
+        '<staffDef n="2" clef.shape="F" clef.line="4"/>',
+        '</staffGrp>',
+      ].join('');
+      var xml = mei([
+        '<measure xml:id="m1" n="1" left="rptstart">',
+        layer([
+          '<beam><note xml:id="n1" pname="g" oct="4" dur="8"/><note pname="a" oct="4" dur="8"/>',
+          '<note pname="b" oct="4" dur="8"/><note pname="g" oct="4" dur="8"/></beam>',
+          '<tuplet num="3" numbase="2"><beam><note pname="d" oct="5" dur="8"/>',
+          '<note pname="c" oct="5" dur="8" accid="s"/><note pname="d" oct="5" dur="8"/></beam></tuplet>',
+          '<note xml:id="n2" pname="e" oct="5" dur="4" tie="i"/>',
+        ].join('')),
+        layer('<chord dur="2"><note pname="g" oct="2"/><note pname="d" oct="3"/></chord><note pname="b" oct="2" dur="2"/>', 2),
+        '<slur staff="1" startid="#n1" endid="#n2" curvedir="above"/>',
+        '<dynam staff="1" tstamp="1">mf</dynam>',
+        '<dir staff="1" tstamp="3" place="above">dolce</dir>',
+        '</measure>',
+        '<ending n="1"><measure n="2" right="rptend">',
+        layer('<note pname="e" oct="5" dur="2" tie="t"/><note pname="d" oct="5" dur="4"/><rest dur="4"/>'),
+        layer('<note pname="c" oct="3" dur="2"/><note pname="d" oct="3" dur="2"/>', 2),
+        '<dynam staff="2" tstamp="3">p</dynam>',
+        '</measure></ending>',
+        '<ending n="2"><measure n="3" right="end">',
+        layer('<chord dur="1"><note pname="g" oct="4"/><note pname="b" oct="4"/><note pname="d" oct="5"/></chord>'),
+        layer('<mRest/>', 2),
+        '</measure></ending>',
+      ].join(''), staffGrp);
+
+      var result = vf.MEIImporter({ width: 600, registry: registry }).import(xml);
+      vf.draw();
+
+      options.assert.equal(result.systems.length, 3);
+      options.assert.deepEqual(result.unsupported, []);
+      options.assert.ok(registry.getElementById('n1').getBoundingBox());
+    },
+  };
+
+  return MEIImporter;
+})();
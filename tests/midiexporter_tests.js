@@ -0,0 +1,167 @@
+/**
+ * VexFlow - MIDIExporter Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.MIDIExporter = (function() {
+  // Read a Standard MIDI File into `{ format, division, tracks }`, where each
+  // track is a list of `{ tick, status, data }` events with absolute ticks.
+  function readMIDI(bytes) {
+    var pos = 0;
+    function byte() { return bytes[pos++]; }
+    function uint(n) { var value = 0; for (var i = 0; i < n; i++) value = (value * 256) + byte(); return value; }
+    function varLength() { var value = 0; var b; do { b = byte(); value = (value * 128) + (b % 128); } while (b >= 128); return value; }
+    function type() { return String.fromCharCode(byte(), byte(), byte(), byte()); }
+
+    var result = {};
+    result.header = type();
+    uint(4);
+    result.format = uint(2);
+    var count = uint(2);
+    result.division = uint(2);
+    result.tracks = [];
+
+    for (var t = 0; t < count; t++) {
+      var track = { type: type(), events: [] };
+      var end = uint(4) + pos;
+      var tick = 0;
+      while (pos < end) {
+        tick += varLength();
+        var status = byte();
+        var data;
+        if (status === 0xff) {
+          var metaType = byte();
+          var length = varLength();
+          data = [metaType].concat(Array.prototype.slice.call(bytes, pos, pos + length));
+          pos += length;
+        } else {
+          data = [byte(), byte()];
+        }
+        track.events.push({ tick: tick, status: status, data: data });
+      }
+      result.tracks.push(track);
+    }
+
+    return result;
+  }
+
+  function noteOns(track) {
+    return track.events.filter(function(event) { return Math.floor(event.status / 16) === 0x9; });
+  }
+
+  function noteOffs(track) {
+    return track.events.filter(function(event) { return Math.floor(event.status / 16) === 0x8; });
+  }
+
+  var MIDIExporter = {
+    Start: function() {
+      QUnit.module('MIDIExporter');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('File Structure', VFT.MIDIExporter.structure);
+      QUnit.test('Pitches and Durations', VFT.MIDIExporter.pitches);
+      QUnit.test('Ties', VFT.MIDIExporter.ties);
+      QUnit.test('Tempo', VFT.MIDIExporter.tempo);
+    },
+
+    structure: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = vf.EasyScore();
+      var voices = [
+        score.voice(score.notes('C5/h, D5')),
+        score.voice(score.notes('C3/1', { clef: 'bass' }), { time: '4/4' }),
+      ];
+
+      var midi = readMIDI(new VF.MIDIExporter({ names: ['Right', 'Left'] }).export(voices));
+      assert.equal(midi.header, 'MThd');
+      assert.equal(midi.format, 1);
+      assert.equal(midi.division, VF.RESOLUTION / 4);
+      assert.equal(midi.tracks.length, 3, 'conductor track and one track per voice');
+      assert.equal(midi.tracks[1].type, 'MTrk');
+
+      var timeSignature = midi.tracks[0].events[0];
+      assert.deepEqual(timeSignature.data, [0x58, 4, 2, 24, 8]);
+
+      var name = midi.tracks[1].events[0];
+      assert.equal(String.fromCharCode.apply(null, name.data.slice(1)), 'Right');
+
+      var last = midi.tracks[2].events[midi.tracks[2].events.length - 1];
+      assert.deepEqual(last.data, [0x2f], 'tracks end with an end of track event');
+      assert.equal(noteOns(midi.tracks[2])[0].status, 0x91, 'each voice gets its own channel');
+
+      assert.throws(function() { new VF.MIDIExporter().export([]); }, /No voices/);
+    },
+
+    pitches: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = vf.EasyScore();
+      var notes = score.notes('(C4 E4 G4)/q, F#4/8, B4/8/r, Bb3/q').concat(
+        score.tuplet(score.notes('A4/8, A4, A4'))
+      );
+      notes.push(vf.StaveNote({ keys: ['c#/5'], duration: 'q' }).addAccidental(0, vf.Accidental({ type: '#' })));
+
+      var voice = score.voice(notes, { time: '5/4' });
+      var track = readMIDI(new VF.MIDIExporter().export([voice])).tracks[1];
+      var quarter = VF.RESOLUTION / 4;
+
+      var ons = noteOns(track);
+      assert.deepEqual(ons.map(function(event) { return event.data[0]; }), [60, 64, 67, 66, 58, 69, 69, 69, 73],
+        'rests are skipped and accidentals are applied once');
+      assert.deepEqual(ons.map(function(event) { return event.tick; }).slice(0, 5), [0, 0, 0, quarter, quarter * 2]);
+      assert.equal(ons[0].data[1], 80, 'default velocity');
+
+      var offs = noteOffs(track);
+      assert.equal(offs[3].tick, quarter * 1.5);
+      assert.equal(offs[7].tick, quarter * 4, 'tuplets end on the beat');
+      assert.equal(offs[8].tick, quarter * 5);
+    },
+
+    ties: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = vf.EasyScore();
+      var first = score.notes('(C4 E4)/h, (C4 E4)/h');
+      var second = score.notes('(C4 E4)/1');
+      var ties = [
+        vf.StaveTie({ from: first[0], to: first[1], first_indices: [0], last_indices: [0] }),
+        vf.StaveTie({ from: first[1], to: second[0], first_indices: [0, 1], last_indices: [0, 1] }),
+      ];
+
+      var midi = readMIDI(new VF.MIDIExporter().export([[score.voice(first), score.voice(second)]], { ties: ties }));
+      var track = midi.tracks[1];
+      var whole = VF.RESOLUTION;
+
+      var ons = noteOns(track);
+      assert.deepEqual(ons.map(function(event) { return [event.data[0], event.tick]; }), [[60, 0], [64, 0], [64, whole / 2]],
+        'tied notes are not struck again');
+
+      var offs = noteOffs(track);
+      assert.deepEqual(offs.map(function(event) { return [event.data[0], event.tick]; }), [[64, whole / 2], [60, whole * 2], [64, whole * 2]]);
+      assert.ok(track.events.indexOf(offs[0]) < track.events.indexOf(ons[2]), 'note off comes before note on');
+    },
+
+    tempo: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = vf.EasyScore();
+      var voices = [score.voice(score.notes('C4/1')), score.voice(score.notes('D4/1'))];
+      voices[0].setStave(vf.Stave().setTempo({ duration: 'q', bpm: 100 }, 0));
+      voices[1].setStave(vf.Stave().setTempo({ duration: '8', dots: 1, bpm: 60 }, 0));
+
+      var conductor = readMIDI(new VF.MIDIExporter().export([voices])).tracks[0];
+      var tempos = conductor.events.filter(function(event) { return event.data[0] === 0x51; });
+      function microseconds(event) { return (event.data[1] * 65536) + (event.data[2] * 256) + event.data[3]; }
+
+      assert.equal(tempos.length, 2);
+      assert.equal(tempos[0].tick, 0);
+      assert.equal(microseconds(tempos[0]), 600000);
+      assert.equal(tempos[1].tick, VF.RESOLUTION);
+      assert.equal(microseconds(tempos[1]), Math.round(60000000 / 45), 'dotted eighth tempo converted to quarters');
+
+      var named = score.voice(score.notes('C4/1'));
+      named.setStave(vf.Stave().setTempo({ name: 'Allegro' }, 0));
+      conductor = readMIDI(new VF.MIDIExporter({ tempo: 90 }).export([named])).tracks[0];
+      tempos = conductor.events.filter(function(event) { return event.data[0] === 0x51; });
+      assert.equal(microseconds(tempos[0]), Math.round(60000000 / 90), 'tempos without bpm use the default');
+    },
+  };
+
+  return MIDIExporter;
+})();
@@ -0,0 +1,304 @@
+/**
+ * VexFlow - MIDIImporter Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.MIDIImporter = (function() {
+  var DIVISION = 480;
+
+  function varint(value) {
+    var bytes = [value % 128];
+    value = Math.floor(value / 128);
+    while (value > 0) {
+      bytes.unshift((value % 128) + 128);
+      value = Math.floor(value / 128);
+    }
+    return bytes;
+  }
+
+  function uint(value, length) {
+    var bytes = [];
+    for (var i = 0; i < length; i++) {
+      bytes.unshift(value % 256);
+      value = Math.floor(value / 256);
+    }
+    return bytes;
+  }
+
+  function text(value) {
+    return value.split('').map(function(c) { return c.charCodeAt(0); });
+  }
+
+  // Builds a track chunk from `[tick, byte, ...]` events.
+  function track(events) {
+    var bytes = [];
+    var time = 0;
+    events
+      .slice()
+      .sort(function(a, b) { return a[0] - b[0]; })
+      .forEach(function(event) {
+        bytes = bytes.concat(varint(event[0] - time), event.slice(1));
+        time = event[0];
+      });
+    bytes = bytes.concat([0, 0xff, 0x2f, 0]);
+    return text('MTrk').concat(uint(bytes.length, 4), bytes);
+  }
+
+  // Note on and off events for `[key, start, end]` notes, in quarters.
+  function notes(list, channel) {
+    var events = [];
+    list.forEach(function(note) {
+      events.push([Math.round(note[1] * DIVISION), 0x90 + (channel || 0), note[0], 80]);
+      events.push([Math.round(note[2] * DIVISION), 0x80 + (channel || 0), note[0], 0]);
+    });
+    return events;
+  }
+
+  function meta(tick, type, data) {
+    return [tick, 0xff, type].concat(varint(data.length), data);
+  }
+
+  function midi(tracks, division) {
+    var bytes = text('MThd').concat(uint(6, 4), uint(1, 2), uint(tracks.length, 2), uint(division || DIVISION, 2));
+    tracks.forEach(function(events) { bytes = bytes.concat(track(events)); });
+    return bytes;
+  }
+
+  function events(measure) {
+    return measure.events.map(function(event) {
+      var value = event.keys.join('+') + ':' + event.duration + (event.dots ? 'd' : '') + (event.rest ? 'r' : '');
+      return value + (event.tuplet ? '3' : '') + (event.tied ? '~' : '');
+    });
+  }
+
+  function accidentals(measure) {
+    return measure.events.map(function(event) { return event.accidentals.join('+'); });
+  }
+
+  var MIDIImporter = {
+    Start: function() {
+      QUnit.module('MIDIImporter');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Parse', VFT.MIDIImporter.parse);
+      QUnit.test('Parse Errors', VFT.MIDIImporter.parseErrors);
+      QUnit.test('Quantize', VFT.MIDIImporter.quantize);
+      QUnit.test('Ties Across Bar Lines', VFT.MIDIImporter.ties);
+      QUnit.test('Triplets', VFT.MIDIImporter.triplets);
+      QUnit.test('Pitch Spelling', VFT.MIDIImporter.spelling);
+      QUnit.test('Import Objects', VFT.MIDIImporter.importObjects);
+      VFT.runTests('Draw Song', VFT.MIDIImporter.drawSong);
+    },
+
+    parse: function(assert) {
+      var conductor = [
+        meta(0, 0x03, text('Song')),
+        meta(0, 0x51, uint(500000, 3)),
+        meta(0, 0x58, [3, 2, 24, 8]),
+        meta(0, 0x59, [253, 0]),
+        meta(DIVISION * 6, 0x58, [6, 3, 24, 8]),
+      ];
+      // Running status, and a note on with velocity 0 as note off.
+      var piano = [
+        meta(0, 0x03, text('Piano')),
+        [0, 0xc1, 5],
+        [0, 0x91, 60, 90],
+        [0, 64, 90],
+        [DIVISION, 60, 0],
+        [DIVISION, 64, 0],
+        [DIVISION, 0xf0, 2, 1, 0xf7],
+        [DIVISION, 0x81, 67, 0],
+        [DIVISION * 2, 0x91, 67, 70],
+      ];
+      var bytes = midi([conductor, piano]);
+      var song = new VF.MIDIImporter().parse(bytes);
+
+      assert.equal(song.format, 1);
+      assert.equal(song.division, DIVISION);
+      assert.equal(song.tracks.length, 2);
+      assert.equal(song.tracks[0].name, 'Song');
+      assert.deepEqual(song.tracks[0].notes, []);
+      assert.deepEqual(song.tempos, [{ tick: 0, bpm: 120 }]);
+      assert.deepEqual(song.timeSignatures, [{ tick: 0, num: 3, den: 4 }, { tick: DIVISION * 6, num: 6, den: 8 }]);
+      assert.deepEqual(song.keySignatures, [{ tick: 0, key: 'Eb' }]);
+
+      var piano1 = song.tracks[1];
+      assert.equal(piano1.name, 'Piano');
+      assert.equal(piano1.channel, 1);
+      assert.deepEqual(piano1.notes, [
+        { key: 60, channel: 1, velocity: 90, start: 0, end: DIVISION },
+        { key: 64, channel: 1, velocity: 90, start: 0, end: DIVISION },
+        { key: 67, channel: 1, velocity: 70, start: DIVISION * 2, end: DIVISION * 2 },
+      ], 'notes that are never released end with the track');
+
+      var string = bytes.map(function(byte) { return String.fromCharCode(byte); }).join('');
+      assert.deepEqual(new VF.MIDIImporter().parse(string), song, 'binary strings');
+      assert.deepEqual(new VF.MIDIImporter().parse(new Uint8Array(bytes).buffer), song, 'array buffers');
+    },
+
+    parseErrors: function(assert) {
+      var importer = new VF.MIDIImporter();
+      var bytes = midi([notes([[60, 0, 1]])]);
+
+      assert.throws(function() { importer.parse(text('RIFF').concat(bytes.slice(4))); }, /MThd/);
+      assert.throws(function() { importer.parse(bytes.slice(0, bytes.length - 6)); }, /Unexpected end/);
+      assert.throws(function() { importer.parse(midi([notes([[60, 0, 1]])], 0xe728)); }, /SMPTE/);
+      assert.throws(function() { importer.parse(midi([[[0, 60, 90]]])); }, /running status/);
+      assert.throws(function() { importer.parse({}); }, /ArrayBuffer/);
+      assert.throws(function() { importer.import(bytes); }, /factory/);
+      assert.throws(function() { return new VF.MIDIImporter({ quantize: 'x' }).quantize(importer.parse(bytes)); }, /duration/);
+    },
+
+    quantize: function(assert) {
+      var importer = new VF.MIDIImporter();
+      // Played a little early and late, with a gap before the last note.
+      var song = importer.parse(midi([notes([
+        [60, 0.02, 0.95], [62, 0.98, 1.9], [64, 2.03, 2.49], [65, 2.52, 2.97], [67, 3.5, 3.98], [48, 0, 0.9],
+      ])]));
+      var score = importer.quantize(song);
+
+      assert.equal(score.measures.length, 1, 'trailing measures are removed');
+      assert.deepEqual(score.measures[0], {
+        start: 0,
+        ticks: VF.RESOLUTION,
+        num: 4,
+        den: 4,
+        key: 'C',
+        beat: VF.RESOLUTION / 4,
+        compound: false,
+        changes: { time: true, key: true },
+      });
+      assert.equal(score.tracks[0].clef, 'treble');
+      assert.deepEqual(events(score.tracks[0].measures[0]), [
+        'c/3+c/4:4', 'd/4:4', 'e/4:8', 'f/4:8', 'b/4:8r', 'g/4:8',
+      ], 'notes starting together are chords, gaps are rests');
+
+      song = importer.parse(midi([notes([[60, 0, 0.25], [62, 0.25, 1]])]));
+      assert.deepEqual(events(new VF.MIDIImporter({ tuplets: false }).quantize(song).tracks[0].measures[0]), ['c/4:16', 'd/4:8d', 'b/4:2dr']);
+      score = new VF.MIDIImporter({ quantize: '8', tuplets: false }).quantize(song);
+      assert.deepEqual(events(score.tracks[0].measures[0]), ['c/4:8', 'd/4:8', 'b/4:2dr'], 'coarser grids');
+
+      // Measures without notes get a measure rest.
+      score = importer.quantize(importer.parse(midi([notes([[40, 0, 4], [40, 8, 9]])])));
+      assert.equal(score.tracks[0].clef, 'bass');
+      assert.deepEqual(events(score.tracks[0].measures[1]), ['d/3:1r']);
+      assert.ok(score.tracks[0].measures[1].events[0].measureRest);
+      assert.deepEqual(events(score.tracks[0].measures[2]), ['e/2:4', 'd/3:2dr']);
+    },
+
+    ties: function(assert) {
+      var importer = new VF.MIDIImporter();
+      var score = importer.quantize(importer.parse(midi([notes([[60, 0, 3], [62, 3, 5.25], [64, 5.25, 8]])])));
+
+      assert.deepEqual(events(score.tracks[0].measures[0]), ['c/4:2d', 'd/4:4~']);
+      assert.deepEqual(events(score.tracks[0].measures[1]), ['d/4:4~', 'd/4:16', 'e/4:8d~', 'e/4:2'],
+        'notes are split at bar lines, and into notes that can be written');
+      assert.ok(score.tracks[0].measures[1].events[0].continued);
+      assert.notOk(score.tracks[0].measures[1].events[2].continued);
+
+      // Time signature changes take effect at the next bar line.
+      var conductor = [meta(0, 0x58, [3, 2, 24, 8]), meta(DIVISION * 4, 0x58, [2, 2, 24, 8])];
+      score = importer.quantize(importer.parse(midi([conductor, notes([[60, 0, 8]])])));
+      assert.deepEqual(score.measures.map(function(measure) { return measure.num + '/' + measure.den; }), ['3/4', '3/4', '2/4']);
+      assert.deepEqual(score.measures.map(function(measure) { return measure.changes.time; }), [true, false, true]);
+    },
+
+    triplets: function(assert) {
+      var importer = new VF.MIDIImporter();
+      var song = importer.parse(midi([notes([
+        [60, 0, 0.33], [62, 0.34, 0.65], [64, 0.68, 1],
+        [65, 1, 1.25], [67, 1.26, 1.5], [69, 1.5, 2],
+        [71, 2, 2.66], [72, 2.68, 3], [60, 3, 4],
+      ])]));
+      var measure = importer.quantize(song).tracks[0].measures[0];
+
+      assert.deepEqual(events(measure), [
+        'c/4:83', 'd/4:83', 'e/4:83', 'f/4:16', 'g/4:16', 'a/4:8', 'b/4:43', 'c/5:83', 'c/4:4',
+      ], 'beats closer to triplets become triplets');
+      assert.notEqual(measure.events[0].tuplet, measure.events[6].tuplet, 'every beat is a tuplet');
+
+      var straight = new VF.MIDIImporter({ tuplets: false }).quantize(song);
+      assert.notOk(straight.tracks[0].measures[0].events.some(function(event) { return event.tuplet; }));
+
+      // Compound meters are not divided in triplets.
+      var conductor = [meta(0, 0x58, [6, 3, 24, 8])];
+      var compound = importer.quantize(importer.parse(midi([conductor, notes([[60, 0, 0.5], [62, 0.5, 1], [64, 1, 1.5]])])));
+      assert.deepEqual(events(compound.tracks[0].measures[0]), ['c/4:8', 'd/4:8', 'e/4:8', 'b/4:4dr']);
+    },
+
+    spelling: function(assert) {
+      var importer = new VF.MIDIImporter();
+      var inEb = [meta(0, 0x59, [253, 0])];
+      var score = importer.quantize(importer.parse(midi([inEb, notes([
+        [63, 0, 1], [64, 1, 2], [64, 2, 3], [66, 3, 4], [63, 4, 5], [70, 5, 6], [71, 6, 7], [72, 7, 8],
+      ])])));
+
+      assert.deepEqual(events(score.tracks[0].measures[0]), ['eb/4:4', 'e/4:4', 'e/4:4', 'gb/4:4']);
+      assert.deepEqual(accidentals(score.tracks[0].measures[0]), ['', 'n', '', 'b'], 'accidentals last to the bar line');
+      assert.deepEqual(events(score.tracks[0].measures[1]), ['eb/4:4', 'bb/4:4', 'b/4:4', 'c/5:4']);
+      assert.deepEqual(accidentals(score.tracks[0].measures[1]), ['', '', 'n', '']);
+
+      var inE = [meta(0, 0x59, [4, 0])];
+      score = importer.quantize(importer.parse(midi([inE, notes([[63, 0, 1], [65, 1, 2], [70, 2, 3], [72, 3, 4]])])));
+      assert.deepEqual(events(score.tracks[0].measures[0]), ['d#/4:4', 'f/4:4', 'a#/4:4', 'c/5:4'], 'sharps in sharp keys');
+      assert.deepEqual(accidentals(score.tracks[0].measures[0]), ['', 'n', '#', 'n']);
+
+      score = importer.quantize(importer.parse(midi([notes([[61, 0, 1], [70, 1, 2], [61, 2, 4.5], [60, 4.5, 5]])])));
+      assert.deepEqual(events(score.tracks[0].measures[0]), ['c#/4:4', 'bb/4:4', 'c#/4:2~']);
+      assert.deepEqual(accidentals(score.tracks[0].measures[0]), ['#', 'b', '']);
+      assert.deepEqual(events(score.tracks[0].measures[1]), ['c#/4:8', 'c/4:8', 'b/4:2dr']);
+      assert.deepEqual(accidentals(score.tracks[0].measures[1]), ['', '', ''], 'tied notes do not repeat their accidentals');
+
+      var override = new VF.MIDIImporter({ key: 'D' }).quantize(importer.parse(midi([inEb, notes([[66, 0, 1]])])));
+      assert.deepEqual(events(override.tracks[0].measures[0]), ['f#/4:4', 'b/4:2dr']);
+      assert.equal(override.measures[0].key, 'D');
+    },
+
+    importObjects: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var conductor = [meta(0, 0x51, uint(600000, 3)), meta(0, 0x59, [1, 0])];
+      var melody = notes([
+        [67, 0, 0.5], [69, 0.5, 1], [71, 1, 1.33], [72, 1.33, 1.67], [74, 1.67, 2], [76, 2, 5],
+      ]);
+      var bass = notes([[43, 0, 2], [50, 2, 4], [43, 4, 8]], 1);
+      var result = vf.MIDIImporter({ width: 500 }).import(midi([conductor, melody, bass]));
+
+      assert.equal(result.song.tracks.length, 3);
+      assert.equal(result.score.tracks.length, 2, 'tracks without notes are left out');
+      assert.equal(result.voices.length, 2);
+      assert.equal(result.voices[0].length, 2, 'a voice for every track');
+
+      var melodyNotes = result.voices[0][0].getTickables();
+      assert.equal(melodyNotes.length, 6);
+      assert.ok(melodyNotes[0].beam && melodyNotes[0].beam === melodyNotes[1].beam, 'beam attached');
+      assert.equal(melodyNotes[2].getTuplet().getNoteCount(), 3, 'tuplet attached');
+      assert.ok(melodyNotes[2].beam && melodyNotes[2].beam !== melodyNotes[1].beam, 'tuplets are beamed on their own');
+      assert.equal(result.voices[0][1].getTickables()[0].getDuration(), '2');
+
+      var ties = vf.renderQ.filter(function(element) { return element instanceof VF.StaveTie; });
+      assert.equal(ties.length, 1);
+
+      var stave = result.systems[0].parts[0].stave;
+      assert.equal(stave.getModifiers(undefined, 'keysignatures').length, 1);
+      assert.equal(stave.getModifiers(undefined, 'stavetempo').length, 1);
+      assert.equal(result.systems[0].parts[1].stave.clef, 'bass');
+    },
+
+    drawSong: function(options) {
+      var vf = VF.Test.makeFactory(options, 620, 300);
+      var conductor = [meta(0, 0x51, uint(500000, 3)), meta(0, 0x58, [3, 2, 24, 8]), meta(0, 0x59, [254, 0])];
+      var melody = notes([
+        [70, 0.02, 0.98], [74, 1, 1.5], [72, 1.48, 2], [70, 2.01, 2.35], [69, 2.34, 2.67], [67, 2.66, 3],
+        [65, 3, 4.5], [68, 4.5, 5], [67, 5, 5.98], [74, 6, 6.25], [75, 6.25, 6.5], [74, 6.5, 7], [70, 7, 9],
+      ]);
+      var bass = notes([[46, 0, 3], [51, 3, 5.9], [53, 6, 6.5], [58, 6, 6.5], [46, 6.5, 9]], 1);
+
+      var result = vf.MIDIImporter({ width: 600 }).import(midi([conductor, melody, bass]));
+      vf.draw();
+
+      options.assert.equal(result.score.measures.length, 3);
+      options.assert.deepEqual(events(result.score.tracks[0].measures[0]), ['bb/4:4', 'd/5:8', 'c/5:8', 'bb/4:83', 'a/4:83', 'g/4:83']);
+    },
+  };
+
+  return MIDIImporter;
+})();
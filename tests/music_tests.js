@@ -187,7 +187,7 @@ VF.Test.Music = (function() {
     },
 
     relativeNoteNames: function() {
-      expect(9);
+      expect(11);
 
       var music = new VF.Music();
       equal(music.getRelativeNoteName('c', music.getNoteValue('c')), 'c');
@@ -205,6 +205,8 @@ VF.Test.Music = (function() {
 
       equal(music.getRelativeNoteName('b', music.getNoteValue('c#')), 'b##');
       equal(music.getRelativeNoteName('c', music.getNoteValue('b')), 'cb');
+      equal(music.getRelativeNoteName('c', music.getNoteValue('bb')), 'cbb');
+      equal(music.getRelativeNoteName('b', music.getNoteValue('c')), 'b#');
     },
 
     canonicalNotes: function() {
@@ -0,0 +1,118 @@
+/**
+ * VexFlow - MusicXMLExporter Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.MusicXMLExporter = (function() {
+  function parse(xml) {
+    return new window.DOMParser().parseFromString(xml, 'application/xml');
+  }
+
+  function texts(doc, selector) {
+    return Array.prototype.map.call(doc.querySelectorAll(selector), function(node) {
+      return node.textContent;
+    });
+  }
+
+  var MusicXMLExporter = {
+    Start: function() {
+      QUnit.module('MusicXMLExporter');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Export Attributes', VFT.MusicXMLExporter.exportAttributes);
+      QUnit.test('Export Notes', VFT.MusicXMLExporter.exportNotes);
+      QUnit.test('Export Parts', VFT.MusicXMLExporter.exportParts);
+      QUnit.test('Round Trip', VFT.MusicXMLExporter.roundTrip);
+    },
+
+    exportAttributes: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var result = VF.Test.makeExportScore(vf);
+      var doc = parse(new VF.MusicXMLExporter({ title: 'Test & Score' }).export(result.systems));
+
+      assert.equal(doc.querySelectorAll('parsererror').length, 0, 'well formed');
+      assert.equal(doc.documentElement.nodeName, 'score-partwise');
+      assert.deepEqual(texts(doc, 'work-title'), ['Test & Score']);
+      assert.deepEqual(texts(doc, 'part:first-of-type measure:first-of-type divisions'), ['6']);
+      assert.deepEqual(texts(doc, 'part:first-of-type fifths'), ['1']);
+      assert.deepEqual(texts(doc, 'part:first-of-type beats'), ['4']);
+      assert.deepEqual(texts(doc, 'part:last-of-type clef sign'), ['F']);
+      assert.equal(doc.querySelectorAll('part:first-of-type measure:last-of-type attributes').length, 0,
+        'unchanged attributes are not repeated');
+      assert.deepEqual(texts(doc, 'part:first-of-type measure:last-of-type barline bar-style'), ['light-heavy']);
+    },
+
+    exportNotes: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var result = VF.Test.makeExportScore(vf);
+      var doc = parse(new VF.MusicXMLExporter().export(result.systems, { ties: result.ties }));
+      var notes = doc.querySelectorAll('part:first-of-type measure:first-of-type note');
+
+      assert.equal(notes.length, 8, 'one note element per key');
+      assert.ok(notes[1].querySelector('chord'), 'second key is a chord note');
+      assert.equal(notes[0].querySelector('duration').textContent, '6');
+      assert.equal(notes[0].querySelector('stem').textContent, 'up');
+      assert.deepEqual(texts(notes[2], 'beam'), ['begin']);
+      assert.deepEqual(texts(notes[3], 'beam'), ['end']);
+      assert.equal(notes[4].querySelector('duration').textContent, '2');
+      assert.deepEqual(texts(notes[4], 'actual-notes'), ['3']);
+      assert.equal(notes[4].querySelector('tuplet').getAttribute('type'), 'start');
+      assert.ok(notes[4].querySelector('articulations staccato'), 'staccato exported');
+      assert.equal(notes[6].querySelector('tuplet').getAttribute('type'), 'stop');
+      assert.equal(notes[7].querySelector('tie').getAttribute('type'), 'start');
+
+      var tied = doc.querySelector('part:first-of-type measure:last-of-type note');
+      assert.equal(tied.querySelector('tied').getAttribute('type'), 'stop');
+      assert.deepEqual(texts(doc, 'part:first-of-type measure:last-of-type alter'), ['1']);
+      assert.equal(doc.querySelectorAll('part:last-of-type measure:first-of-type dot').length, 1, 'dotted half');
+      assert.deepEqual(texts(doc, 'part:first-of-type measure:first-of-type type'),
+        ['quarter', 'quarter', 'eighth', 'eighth', 'eighth', 'eighth', 'eighth', 'quarter']);
+    },
+
+    exportParts: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var result = VF.Test.makeExportScore(vf);
+      var exporter = new VF.MusicXMLExporter();
+      var doc = parse(exporter.export(result.systems, { parts: [{ name: 'Piano', staves: 2 }] }));
+
+      assert.deepEqual(texts(doc, 'part-name'), ['Piano']);
+      assert.equal(doc.querySelectorAll('part').length, 1);
+      assert.deepEqual(texts(doc, 'measure:first-of-type staves'), ['2']);
+      assert.deepEqual(texts(doc, 'measure:first-of-type backup duration'), ['24']);
+      assert.deepEqual(texts(doc, 'measure:first-of-type note staff').slice(-2), ['2', '2']);
+
+      assert.throws(function() { exporter.export(result.systems, { parts: [{ staves: 1 }] }); }, /Parts must cover/);
+      assert.throws(function() { exporter.export([]); }, /No measures/);
+    },
+
+    roundTrip: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var result = VF.Test.makeExportScore(vf);
+      var xml = new VF.MusicXMLExporter().export(result.systems, {
+        parts: [{ name: 'Piano', staves: 2 }],
+        ties: result.ties,
+      });
+
+      var importer = new VF.MusicXMLImporter();
+      var parsed = importer.parse(xml);
+      assert.deepEqual(parsed.unsupported.map(function(entry) { return entry.element; }), ['articulations'],
+        'only articulations are not imported');
+
+      var part = parsed.parts[0];
+      assert.equal(part.staves, 2);
+      assert.equal(part.measures[0].key, 'G');
+      assert.equal(part.measures[0].clefs['2'], 'bass');
+
+      var events = part.measures[0].staves['1'].voices['1'].events;
+      assert.deepEqual(events[0].keys, ['c/4', 'e/4']);
+      assert.equal(events[1].beam, 'begin');
+      assert.equal(events[3].timeModification.actual, 3);
+      assert.equal(events[6].ties[0].type, 'start');
+
+      var imported = vf.MusicXMLImporter().import(xml);
+      var again = parse(new VF.MusicXMLExporter().export(imported.systems, { parts: [{ name: 'Piano', staves: 2 }] }));
+      assert.deepEqual(texts(again, 'step'), texts(parse(xml), 'step'), 'pitches survive a second round trip');
+    },
+  };
+
+  return MusicXMLExporter;
+})();
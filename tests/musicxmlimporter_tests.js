@@ -0,0 +1,220 @@
+/**
+ * VexFlow - MusicXMLImporter Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.MusicXMLImporter = (function() {
+  function note(pitch, type, extra) {
+    var step = pitch.charAt(0).toUpperCase();
+    var octave = pitch.charAt(pitch.length - 1);
+    var alter = { '#': 1, 'b': -1 }[pitch.charAt(1)];
+    return '<note>' +
+      (extra && extra.chord ? '<chord/>' : '') +
+      (pitch === 'r'
+        ? '<rest/>'
+        : '<pitch><step>' + step + '</step>' + (alter ? '<alter>' + alter + '</alter>' : '') +
+          '<octave>' + octave + '</octave></pitch>') +
+      '<duration>' + ((extra && extra.duration) || 1) + '</duration>' +
+      '<voice>' + ((extra && extra.voice) || 1) + '</voice>' +
+      '<type>' + type + '</type>' +
+      ((extra && extra.body) || '') +
+      '</note>';
+  }
+
+  function score(parts) {
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<score-partwise version="3.1"><part-list>' +
+      parts.map(function(part, i) {
+        return '<score-part id="P' + (i + 1) + '"><part-name>Part ' + (i + 1) + '</part-name></score-part>';
+      }).join('') +
+      '</part-list>' +
+      parts.map(function(part, i) {
+        return '<part id="P' + (i + 1) + '">' + part.map(function(measure, m) {
+          return '<measure number="' + (m + 1) + '">' + measure + '</measure>';
+        }).join('') + '</part>';
+      }).join('') +
+      '</score-partwise>';
+  }
+
+  var ATTRIBUTES = '<attributes><divisions>2</divisions><key><fifths>-2</fifths></key>' +
+    '<time><beats>4</beats><beat-type>4</beat-type></time>' +
+    '<clef><sign>G</sign><line>2</line></clef></attributes>';
+
+  var MusicXMLImporter = {
+    Start: function() {
+      QUnit.module('MusicXMLImporter');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Parse Attributes', VFT.MusicXMLImporter.parseAttributes);
+      QUnit.test('Parse Notes', VFT.MusicXMLImporter.parseNotes);
+      QUnit.test('Unsupported Elements', VFT.MusicXMLImporter.unsupported);
+      QUnit.test('Invalid Documents', VFT.MusicXMLImporter.invalid);
+      QUnit.test('Import Objects', VFT.MusicXMLImporter.importObjects);
+      VFT.runTests('Draw Single Part', VFT.MusicXMLImporter.drawSinglePart);
+      VFT.runTests('Draw Piano Part', VFT.MusicXMLImporter.drawPianoPart);
+    },
+
+    parseAttributes: function(assert) {
+      var importer = new VF.MusicXMLImporter();
+      var xml = score([[
+        ATTRIBUTES + note('c4', 'whole', { duration: 8 }),
+        '<attributes><key><fifths>3</fifths><mode>minor</mode></key>' +
+          '<time symbol="common"><beats>4</beats><beat-type>4</beat-type></time>' +
+          '<clef><sign>F</sign><line>4</line></clef></attributes>' + note('r', 'whole', { duration: 8 }),
+      ]]);
+
+      var part = importer.parse(xml).parts[0];
+      assert.equal(part.name, 'Part 1');
+      assert.equal(part.measures.length, 2);
+      assert.equal(part.measures[0].key, 'Bb');
+      assert.equal(part.measures[0].time.spec, '4/4');
+      assert.equal(part.measures[0].clefs['1'], 'treble');
+      assert.equal(part.measures[1].key, 'F#m');
+      assert.equal(part.measures[1].time.spec, 'C');
+      assert.equal(part.measures[1].clefs['1'], 'bass');
+      assert.ok(part.measures[1].changes.key);
+      assert.ok(part.measures[1].changes.clefs['1']);
+      assert.equal(part.measures[1].staves['1'].voices['1'].events[0].keys[0], 'd/3', 'rests sit on the middle line');
+    },
+
+    parseNotes: function(assert) {
+      var importer = new VF.MusicXMLImporter();
+      var xml = score([[
+        ATTRIBUTES +
+        note('c#4', 'quarter', { duration: 3, body: '<dot/><accidental>sharp</accidental>' }) +
+        note('e4', 'quarter', { duration: 3, chord: true }) +
+        note('g4', 'eighth', { body: '<stem>down</stem><beam number="1">begin</beam>' }) +
+        note('a4', 'eighth', { body: '<beam number="1">end</beam><notations><tied type="start"/></notations>' }) +
+        '<backup><duration>5</duration></backup>' +
+        '<forward><duration>2</duration></forward>' +
+        note('c4', 'quarter', { duration: 2, voice: 2 }),
+      ]]);
+
+      var voices = importer.parse(xml).parts[0].measures[0].staves['1'].voices;
+      var events = voices['1'].events;
+      assert.equal(events.length, 3);
+      assert.deepEqual(events[0].keys, ['c#/4', 'e/4']);
+      assert.equal(events[0].dots, 1);
+      assert.equal(events[0].accidentals[0].type, '#');
+      assert.equal(events[0].accidentals[1], null);
+      assert.equal(events[1].stem, 'down');
+      assert.equal(events[1].beam, 'begin');
+      assert.equal(events[2].ties[0].type, 'start');
+
+      var second = voices['2'].events;
+      assert.equal(second.length, 2);
+      assert.ok(second[0].ghost, 'forward is padded with a ghost note');
+      assert.equal(second[0].duration, '4');
+    },
+
+    unsupported: function(assert) {
+      var importer = new VF.MusicXMLImporter();
+      var xml = score([[
+        ATTRIBUTES +
+        '<direction><direction-type><words>dolce</words></direction-type></direction>' +
+        note('c4', 'whole', { duration: 8, body: '<notations><fermata/></notations>' }),
+      ]]);
+
+      var unsupported = importer.parse(xml).unsupported;
+      assert.equal(unsupported.length, 2);
+      assert.equal(unsupported[0].element, 'direction');
+      assert.equal(unsupported[0].part, 'P1');
+      assert.equal(unsupported[0].measure, '1');
+      assert.equal(unsupported[1].element, 'fermata');
+
+      importer.setOptions({ throwOnUnsupported: true });
+      assert.throws(function() { importer.parse(xml); }, /direction/);
+    },
+
+    invalid: function(assert) {
+      var importer = new VF.MusicXMLImporter();
+      assert.throws(function() { importer.parse('<score-partwise>'); }, /Invalid MusicXML/);
+      assert.throws(function() { importer.parse('<score-timewise/>'); }, /partwise/);
+      assert.throws(function() { importer.import(score([[ATTRIBUTES]])); }, /factory/);
+    },
+
+    importObjects: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var xml = score([
+        [
+          ATTRIBUTES.replace('<divisions>2</divisions>', '<divisions>6</divisions>') +
+          note('c4', 'quarter', { duration: 6, body: '<notations><tied type="start"/></notations>' }) +
+          note('c4', 'quarter', { duration: 6, body: '<notations><tied type="stop"/></notations>' }) +
+          note('e4', 'eighth', { duration: 2, body: '<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>' +
+            '<beam number="1">begin</beam><notations><tuplet type="start" bracket="no"/></notations>' }) +
+          note('f4', 'eighth', { duration: 2, body: '<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>' +
+            '<beam number="1">continue</beam>' }) +
+          note('g4', 'eighth', { duration: 2, body: '<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>' +
+            '<beam number="1">end</beam><notations><tuplet type="stop"/></notations>' }) +
+          note('r', 'quarter', { duration: 6 }),
+        ],
+        [ATTRIBUTES + note('r', 'whole', { duration: 8 })],
+      ]);
+
+      var result = vf.MusicXMLImporter().import(xml);
+      assert.equal(result.systems.length, 1);
+      assert.equal(result.parts.length, 2);
+
+      var voices = result.parts[0].measures[0].voices[0];
+      assert.equal(voices.length, 1);
+
+      var notes = voices[0].getTickables();
+      assert.equal(notes.length, 6);
+      assert.ok(notes[2].getTuplet(), 'tuplet attached');
+      assert.equal(notes[2].getTuplet().getNoteCount(), 3);
+      assert.ok(notes[2].beam, 'beam attached');
+      assert.equal(notes[5].getNoteType(), 'r');
+      assert.equal(result.parts[0].measures[0].staves[0].getModifiers(undefined, 'keysignatures').length, 1);
+    },
+
+    drawSinglePart: function(options) {
+      var vf = VF.Test.makeFactory(options, 700, 160);
+      var xml = score([[
+        ATTRIBUTES +
+        note('c4', 'quarter', { duration: 2, body: '<accidental>sharp</accidental>' }) +
+        note('e4', 'eighth', { body: '<beam number="1">begin</beam>' }) +
+        note('f4', 'eighth', { body: '<beam number="1">end</beam>' }) +
+        note('g4', 'half', { duration: 4, body: '<notations><tied type="start"/></notations>' }),
+        note('g4', 'quarter', { duration: 2, body: '<notations><tied type="stop"/></notations>' }) +
+        note('b4', 'quarter', { duration: 2, body: '<accidental>natural</accidental>' }) +
+        note('r', 'half', { duration: 4 }) +
+        '<barline location="right"><bar-style>light-heavy</bar-style></barline>',
+      ]]);
+
+      var result = vf.MusicXMLImporter({ measureWidth: 280 }).import(xml);
+      vf.draw();
+
+      options.assert.equal(result.unsupported.length, 0);
+    },
+
+    drawPianoPart: function(options) {
+      var vf = VF.Test.makeFactory(options, 650, 280);
+      var xml = score([[
+        '<attributes><divisions>2</divisions><key><fifths>1</fifths></key>' +
+          '<time><beats>3</beats><beat-type>4</beat-type></time><staves>2</staves>' +
+          '<clef number="1"><sign>G</sign><line>2</line></clef>' +
+          '<clef number="2"><sign>F</sign><line>4</line></clef></attributes>' +
+        note('b4', 'quarter', { duration: 2, body: '<staff>1</staff>' }) +
+        note('d5', 'quarter', { duration: 2, chord: true, body: '<staff>1</staff>' }) +
+        note('a4', 'quarter', { duration: 2, body: '<staff>1</staff>' }) +
+        note('g4', 'quarter', { duration: 2, body: '<staff>1</staff>' }) +
+        '<backup><duration>6</duration></backup>' +
+        note('g2', 'half', { duration: 6, voice: 2, body: '<dot/><staff>2</staff>' }),
+        note('f4', 'half', { duration: 4, body: '<accidental>sharp</accidental><staff>1</staff>' }) +
+        note('r', 'quarter', { duration: 2, body: '<staff>1</staff>' }) +
+        '<backup><duration>6</duration></backup>' +
+        note('d3', 'eighth', { voice: 2, body: '<staff>2</staff><beam number="1">begin</beam>' }) +
+        note('a2', 'eighth', { voice: 2, body: '<staff>2</staff><beam number="1">continue</beam>' }) +
+        note('d3', 'eighth', { voice: 2, body: '<staff>2</staff><beam number="1">continue</beam>' }) +
+        note('f#3', 'eighth', { voice: 2, body: '<staff>2</staff><beam number="1">end</beam>' }) +
+        note('d3', 'quarter', { duration: 2, voice: 2, body: '<staff>2</staff>' }),
+      ]]);
+
+      var result = vf.MusicXMLImporter().import(xml);
+      vf.draw();
+
+      options.assert.equal(result.parts[0].measures[1].staves.length, 2);
+    },
+  };
+
+  return MusicXMLImporter;
+})();
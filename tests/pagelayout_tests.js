@@ -0,0 +1,251 @@
+/**
+ * VexFlow - PageLayout Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.PageLayout = (function() {
+  var MELODY = ['D5/q, G4/8, A4, B4, C5', 'D5/q, G4, G4', 'E5/q, C5/8, D5, E5, F#5', 'G5/q, G4, G4'];
+  var BASS = ['(G3 B3 D4)/h, A3/q', 'B3/h.', 'C4/h.', 'B3/h.'];
+
+  // A piano minuet of `count` measures.
+  function minuet(vf, count, options) {
+    var score = vf.EasyScore();
+    var layout = vf.PageLayout(options);
+
+    for (var m = 0; m < count; m++) {
+      var first = m === 0;
+      layout.addMeasure([
+        {
+          voices: [score.voice(score.notes(MELODY[m % 4]), { time: '3/4' })],
+          clef: first ? 'treble' : undefined,
+          keySignature: first ? 'G' : undefined,
+          timeSignature: first ? '3/4' : undefined,
+        },
+        {
+          voices: [score.voice(score.notes(BASS[m % 4], { clef: 'bass' }), { time: '3/4' })],
+          clef: first ? 'bass' : undefined,
+          keySignature: first ? 'G' : undefined,
+          timeSignature: first ? '3/4' : undefined,
+        },
+      ]);
+    }
+
+    return layout;
+  }
+
+  function texts(page) {
+    return page.texts.map(function(text) { return text.text; });
+  }
+
+  var PageLayout = {
+    Start: function() {
+      QUnit.module('PageLayout');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Page Breaking', VFT.PageLayout.pageBreaking);
+      QUnit.test('Titles and Credits', VFT.PageLayout.titles);
+      QUnit.test('Draw Pages', VFT.PageLayout.drawPages);
+      QUnit.test('Ties Across Pages', VFT.PageLayout.tiesAcrossPages);
+      QUnit.test('Errors', VFT.PageLayout.errors);
+      VFT.runTests('Draw First Page', VFT.PageLayout.drawFirstPage);
+    },
+
+    pageBreaking: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var layout = minuet(vf, 32, {
+        width: 500,
+        height: 700,
+        margins: { top: 40, bottom: 50 },
+        layout: { spaceBetweenSystems: 6 },
+        title: 'Minuet',
+      });
+      var pages = layout.format();
+
+      assert.ok(pages.length > 2, 'the lines are broken into pages');
+      assert.deepEqual(pages.map(function(page) { return page.number; }), pages.map(function(page, i) { return i + 1; }));
+
+      var scoreLayout = layout.getScoreLayout();
+      var bottomOf = function(line) {
+        var system = line.systems[0];
+        return line.y + scoreLayout.getLineHeight(system) - system.parts[0].stave.space(6);
+      };
+
+      var measures = 0;
+      pages.forEach(function(page, p) {
+        assert.ok(page.lines.length > 0, 'page ' + page.number + ' has lines');
+        assert.equal(page.lines[0].y, page.top, 'page ' + page.number + ' starts below its header');
+
+        page.lines.forEach(function(line, l) {
+          var staves = line.systems[0].parts;
+          var bottom = staves[staves.length - 1].stave.getBottomLineY();
+          measures += line.systems.length;
+
+          assert.ok(bottomOf(line) <= 700 - 50, 'page ' + page.number + ' line ' + l + ' fits');
+          assert.equal(line.systems[0].options.x, 60, 'lines start at the left margin');
+          line.systems.forEach(function(system) {
+            assert.equal(system.options.y, line.y, 'systems are moved with their line');
+          });
+          if (l > 0) assert.ok(line.y > page.lines[l - 1].y);
+          assert.ok(bottom > line.y);
+        });
+
+        if (p < pages.length - 1) {
+          var next = pages[p + 1].lines[0];
+          var last = page.lines[page.lines.length - 1];
+          var moved = { y: last.y + scoreLayout.getLineHeight(last.systems[0]), systems: next.systems };
+          assert.ok(bottomOf(moved) > 700 - 50, 'page ' + page.number + ' is full');
+        }
+      });
+      assert.equal(measures, 32, 'every measure is placed once');
+      assert.equal(layout.getScoreLayout().lines.length,
+        pages.reduce(function(total, page) { return total + page.lines.length; }, 0));
+    },
+
+    titles: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var layout = minuet(vf, 24, {
+        width: 600,
+        height: 800,
+        title: 'Minuet in G',
+        subtitle: 'from the Notebook for Anna Magdalena Bach',
+        composer: 'Christian Petzold',
+        lyricist: 'Arr. for piano',
+      });
+      var pages = layout.format();
+      var first = pages[0].texts;
+
+      assert.deepEqual(texts(pages[0]), ['Minuet in G', 'from the Notebook for Anna Magdalena Bach', 'Arr. for piano',
+        'Christian Petzold']);
+      assert.ok(Math.abs(first[0].x + first[0].width / 2 - 300) < 0.001, 'the title is centered');
+      assert.ok(first[1].y > first[0].y, 'the subtitle is below the title');
+      assert.equal(first[2].x, 60, 'the lyricist is on the left');
+      assert.ok(Math.abs(first[3].x + first[3].width - 540) < 0.001, 'the composer is on the right');
+      assert.equal(first[2].y, first[3].y, 'the credits are on one line');
+      assert.ok(pages[0].top > first[3].y, 'the music starts below the credits');
+
+      var fonts = layout.options.fonts;
+      var width = layout.measureText('Minuet in G', fonts.title).width;
+      assert.equal(first[0].width, width, 'text is measured with TextFont metrics');
+      assert.equal(VF.TextFont.getTextFontFromVexFontData(fonts.title).family, fonts.title.family.split(',')[0],
+        'the default fonts have TextFont metrics');
+      assert.ok(layout.measureText('Minuet in G', fonts.credits).width < width);
+
+      assert.ok(pages.length > 1);
+      assert.deepEqual(texts(pages[1]), ['Minuet in G', '2'], 'later pages have a header and a page number');
+      assert.ok(pages[1].texts[1].y > 800 - 60, 'the page number is in the bottom margin');
+      assert.ok(pages[1].top < pages[0].top);
+
+      var plain = minuet(VF.Factory.newFromElementId(null), 24, { height: 800, header: '', pageNumbers: false }).format();
+      assert.deepEqual(texts(plain[0]), []);
+      assert.deepEqual(texts(plain[1]), []);
+      assert.equal(plain[0].top, 60, 'without titles the music starts at the margin');
+    },
+
+    drawPages: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var layout = minuet(vf, 24, { height: 800, title: 'Minuet in G', composer: 'Christian Petzold' });
+      var pages = layout.draw();
+
+      assert.ok(pages.length > 1);
+      var notes = 0;
+      pages.forEach(function(page) {
+        var svg = page.context.toSVG();
+        var expected = 0;
+        page.lines.forEach(function(line) {
+          line.systems.forEach(function(system) {
+            system.parts.forEach(function(part) {
+              part.voices.forEach(function(voice) { expected += voice.getTickables().length; });
+            });
+          });
+        });
+        var staveNotes = (svg.match(/class="vf-stavenote"/g) || []).length;
+        notes += staveNotes;
+
+        assert.ok(svg.indexOf('width="816"') !== -1, 'page ' + page.number + ' has its own context');
+        assert.equal(staveNotes, expected, 'page ' + page.number + ' has only its own notes');
+        assert.ok(svg.indexOf('>' + (page.number === 1 ? 'Christian Petzold' : page.number) + '<') !== -1);
+      });
+      assert.equal(notes, 6 * (5 + 3 + 5 + 3) + 6 * (2 + 1 + 1 + 1), 'every note is drawn once');
+      assert.ok(/font-style="italic"[^>]*>Minuet in G</.test(pages[1].context.toSVG()), 'the header is in italics');
+
+      var contexts = [];
+      var other = VF.Factory.newFromElementId(null);
+      minuet(other, 8, { height: 800 }).draw(function(page) {
+        var context = VF.Renderer.getSVGStringContext(page.width, page.height);
+        contexts.push(context);
+        return context;
+      });
+      assert.ok(contexts.length > 0, 'contexts can be created for each page');
+    },
+
+    tiesAcrossPages: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = vf.EasyScore();
+      var layout = vf.PageLayout({ width: 400, height: 330 });
+      var notes = [];
+      for (var m = 0; m < 6; m++) {
+        var note = score.notes('C5/w')[0];
+        notes.push(note);
+        layout.addMeasure([{ voices: [score.voice([note])], clef: m === 0 ? 'treble' : undefined }]);
+      }
+      var ties = notes.slice(1).map(function(note, i) {
+        return vf.StaveTie({ from: notes[i], to: note, first_indices: [0], last_indices: [0] });
+      });
+      var pages = layout.format();
+
+      assert.ok(pages.length > 1);
+      assert.equal(pages[1].top, pages[0].top, 'without titles every page starts at the same height');
+      var broken = ties.filter(function(tie) {
+        return layout.getPageNumber(tie.first_note) !== layout.getPageNumber(tie.last_note);
+      });
+      assert.ok(broken.length > 0);
+      broken.forEach(function(tie) { assert.ok(tie.isSplit(), 'ties across a page break are split'); });
+      assert.notOk(ties[0].isSplit(), 'ties within a line are not split');
+
+      var tie = broken[0];
+      var segments = [];
+      var drawSegment = tie.drawSegment;
+      tie.drawSegment = function(first, last) {
+        segments.push({ first: first, last: last, context: this.context });
+        return drawSegment.call(this, first, last);
+      };
+      assert.deepEqual(layout.getPageNumbers(tie), [1, 2]);
+      layout.draw();
+
+      assert.equal(segments.length, 2, 'the tie is drawn in two halves');
+      assert.equal(segments[0].first, tie.first_note);
+      assert.equal(segments[0].last, null);
+      assert.equal(segments[0].context, pages[0].context, 'the first half is drawn on the first page');
+      assert.equal(segments[1].first, null);
+      assert.equal(segments[1].last, tie.last_note);
+      assert.equal(segments[1].context, pages[1].context, 'the second half is drawn on the next page');
+    },
+
+    errors: function(assert) {
+      assert.throws(function() { return new VF.PageLayout(); }, /factory/);
+      assert.throws(function() { VF.Factory.newFromElementId(null).PageLayout().format(); }, /No measures/);
+    },
+
+    drawFirstPage: function(options) {
+      var vf = VF.Test.makeFactory(options, 600, 700);
+      var layout = minuet(vf, 24, {
+        width: 600,
+        height: 700,
+        margins: { top: 30, left: 20, right: 20 },
+        layout: { connectors: [{ first: 0, last: 1, type: 'brace' }] },
+        title: 'Minuet in G',
+        subtitle: 'BWV Anh. 114',
+        composer: 'Christian Petzold',
+        lyricist: 'Notebook for Anna Magdalena Bach',
+      });
+
+      // Draw the first page here, and the rest off screen.
+      var pages = layout.draw(function(page) {
+        return page.number === 1 ? vf.getContext() : VF.Renderer.getSVGStringContext(page.width, page.height);
+      });
+
+      options.assert.ok(pages.length > 1);
+    },
+  };
+
+  return PageLayout;
+})();
@@ -37,6 +37,7 @@ Vex.Flow.Test.Parser = (function() {
       QUnit.test('Basic', VFT.Parser.basic);
       QUnit.test('Advanced', VFT.Parser.advanced);
       QUnit.test('Mixed', VFT.Parser.mixed);
+      QUnit.test('Errors', VFT.Parser.errors);
     },
 
     basic: function(assert) {
@@ -87,6 +88,37 @@ Vex.Flow.Test.Parser = (function() {
       mustPass.forEach(function(line) { assert.equal(parser.parse(line).success, true, line); });
       assertParseFail(assert, parser.parse('first second'), 6);
     },
+
+    errors: function(assert) {
+      var grammar = new TestGrammar();
+      var parser = new VF.Parser(grammar);
+
+      grammar.BEGIN = function() { return { expect: [grammar.LITTLELINE, grammar.EOL] }; };
+      assert.equal(parser.parse('first').error, undefined, 'no error on success');
+
+      var error = parser.parse('first second').error;
+      assert.equal(error.pos, 6);
+      assert.equal(error.rule, 'BEGIN');
+      assert.deepEqual(error.expected, ['COMMA', 'EOL']);
+      assert.equal(error.found, '"s"');
+      assert.equal(error.message, 'Unexpected "s" at position 6 in BEGIN: expected COMMA or EOL\nfirst second\n      ^');
+
+      // The error is reported at the furthest point reached, even if the
+      // parser backtracked from it.
+      var result = parser.parse('first,');
+      assert.equal(result.errorPos, 5);
+      assert.equal(result.error.pos, 6);
+      assert.equal(result.error.rule, 'WORDS');
+      assert.deepEqual(result.error.expected, ['WORD']);
+      assert.equal(result.error.found, 'end of line');
+
+      grammar.BEGIN = function() { return { expect: [grammar.BIGLINE, grammar.EOL] }; };
+      grammar.WORD = function() { return { token: '[a-zA-Z]+', description: 'a word' }; };
+      error = parser.parse('{first,second').error;
+      assert.equal(error.pos, 13);
+      assert.deepEqual(error.expected, ['COMMA', 'EXCLAIM', 'RBRACE']);
+      assert.equal(parser.parse('{!}').error.message, 'Unexpected "!" at position 1 in BIGLINE: expected a word\n{!}\n ^');
+    },
   };
 
   return Parser;
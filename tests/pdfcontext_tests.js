@@ -0,0 +1,170 @@
+/**
+ * VexFlow - PDFContext Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.PDFContext = (function() {
+  function toString(bytes) {
+    var text = '';
+    for (var i = 0; i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+    return text;
+  }
+
+  function contains(assert, pdf, text, message) {
+    assert.ok(pdf.indexOf(text) !== -1, message || text);
+  }
+
+  var PDFContext = {
+    Start: function() {
+      QUnit.module('PDFContext');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Document Structure', VFT.PDFContext.documentStructure);
+      QUnit.test('Paths', VFT.PDFContext.paths);
+      QUnit.test('Styles', VFT.PDFContext.styles);
+      QUnit.test('Text and Groups', VFT.PDFContext.textAndGroups);
+      QUnit.test('Draw Score', VFT.PDFContext.drawScore);
+    },
+
+    documentStructure: function(assert) {
+      var ctx = new VF.PDFContext(400, 300);
+      ctx.fillRect(10, 10, 20, 20);
+      ctx.addPage();
+      ctx.fillRect(10, 10, 20, 20);
+      ctx.addPage(200, 100);
+      assert.equal(ctx.getPageCount(), 3);
+
+      var pdf = toString(ctx.toPDF());
+      assert.equal(pdf.slice(0, 8), '%PDF-1.4');
+      assert.equal(pdf.slice(-6), '%%EOF\n');
+      contains(assert, pdf, '/Count 3');
+      assert.equal(pdf.split('/MediaBox [0 0 400 300]').length - 1, 2, 'pages keep the size of the previous page');
+      contains(assert, pdf, '/MediaBox [0 0 200 100]');
+      contains(assert, pdf, '1 0 0 -1 0 300 cm', 'pages are flipped');
+
+      // Every cross-reference entry points to its object.
+      var xref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+      assert.equal(pdf.substr(xref, 4), 'xref');
+      var entries = pdf.slice(xref).match(/^\d{10} 00000 n $/gm);
+      entries.forEach(function(entry, i) {
+        var offset = Number(entry.substr(0, 10));
+        assert.equal(pdf.substr(offset, String(i + 1).length + 6), (i + 1) + ' 0 obj', 'offset of object ' + (i + 1));
+      });
+
+      // Stream lengths are exact.
+      var streams = pdf.match(/\/Length (\d+) >>\nstream\n/g);
+      assert.equal(streams.length, 3, 'one content stream per page');
+      var start = pdf.indexOf(streams[0]) + streams[0].length;
+      var length = Number(/\d+/.exec(streams[0])[0]);
+      assert.equal(pdf.substr(start + length, 10), '\nendstream');
+    },
+
+    paths: function(assert) {
+      var ctx = new VF.PDFContext(100, 100);
+      ctx.beginPath();
+      ctx.moveTo(10, 20);
+      ctx.lineTo(30, 40.12345);
+      ctx.bezierCurveTo(1, 2, 3, 4, 5, 6);
+      ctx.quadraticCurveTo(5, 0, 11, 6);
+      ctx.closePath();
+      ctx.fill();
+
+      var pdf = toString(ctx.toPDF());
+      contains(assert, pdf, '10 20 m 30 40.123 l 1 2 3 4 5 6 c 5 2 7 2 11 6 c h f', 'quadratic curves are raised to cubic ones');
+
+      ctx = new VF.PDFContext(100, 100);
+      ctx.beginPath();
+      ctx.arc(50, 50, 10, 0, Math.PI * 2, false);
+      ctx.stroke();
+      pdf = toString(ctx.toPDF());
+      contains(assert, pdf, '60 50 m ', 'arcs start at the start angle');
+      assert.equal(pdf.split(' c ').length - 1, 4, 'circles take four beziers');
+      contains(assert, pdf, '60 50 c S', 'circles are closed');
+
+      ctx = new VF.PDFContext(100, 100);
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.arc(50, 50, 10, 0, Math.PI / 2, true);
+      ctx.stroke();
+      pdf = toString(ctx.toPDF());
+      contains(assert, pdf, '0 0 m 60 50 l ', 'arcs are joined to the current point');
+      assert.equal(pdf.split(' c ').length - 1, 3, 'anticlockwise arcs go the long way');
+      contains(assert, pdf, '50 60 c S');
+    },
+
+    styles: function(assert) {
+      var ctx = new VF.PDFContext(100, 100);
+      ctx.save();
+      ctx.setFillStyle('#F00');
+      ctx.setStrokeStyle('rgba(0, 0, 255, 0.5)');
+      ctx.setLineWidth(2);
+      ctx.setLineDash([3, 1]);
+      ctx.setLineCap('round');
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(10, 10);
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+      ctx.stroke();
+      ctx.setFillStyle('none');
+      ctx.fill();
+
+      var pdf = toString(ctx.toPDF());
+      contains(assert, pdf, 'q 1 0 0 rg 0 0 m 10 10 l f Q');
+      contains(assert, pdf, 'q /GS1 gs 0 0 1 RG 2 w [3 1] 0 d 1 J 0 0 m 10 10 l S Q', 'stroke color, width, dash and cap');
+      contains(assert, pdf, '/GS1 << /Type /ExtGState /CA 0.5 >>', 'alpha uses a graphics state');
+      contains(assert, pdf, 'q 0 0 0 RG 1 w [] 0 d 0 J 0 0 m 10 10 l S Q', 'restore resets the styles');
+      assert.equal(pdf.split(' f Q').length - 1, 1, 'nothing is filled with none');
+
+      assert.throws(function() { ctx.setLineDash(3); }, /lineDash/);
+    },
+
+    textAndGroups: function(assert) {
+      var ctx = new VF.PDFContext(100, 100);
+      var group = ctx.openGroup('note', 'n1');
+      ctx.setFont('Times', 12, 'bold italic');
+      ctx.fillText('(a\\b) é', 10, 20);
+      ctx.closeGroup();
+      ctx.setRawFont('9pt Courier');
+      ctx.fillText('x', 0, 0);
+
+      assert.equal(group.id, 'n1');
+      var pdf = toString(ctx.toPDF());
+      contains(assert, pdf, '/VexFlow << /Class (vf-note) /ID (vf-n1) >> BDC');
+      contains(assert, pdf, '/F1 16 Tf 1 0 0 -1 10 20 Tm (\\(a\\\\b\\) \\351) Tj', 'text is escaped and flipped');
+      contains(assert, pdf, 'ET Q\nEMC');
+      contains(assert, pdf, '/BaseFont /Times-BoldItalic');
+      contains(assert, pdf, '/F2 12 Tf');
+      contains(assert, pdf, '/BaseFont /Courier ');
+
+      ctx.setFont('Arial', 10);
+      var textFont = VF.TextFont.getTextFontFromVexFontData({ family: 'Arial' }).setFontSize(10);
+      assert.equal(ctx.measureText('Hi').width, textFont.getWidthForCharacter('H') + textFont.getWidthForCharacter('i'));
+    },
+
+    drawScore: function(assert) {
+      var vf = new VF.Factory({ renderer: { backend: VF.Renderer.Backends.PDF, width: 500, height: 200 } });
+      var ctx = vf.getContext();
+      assert.ok(ctx instanceof VF.PDFContext, 'factories do not need an element');
+      assert.equal(VF.Renderer.getPDFContext(300, 150).width, 300);
+
+      var score = vf.EasyScore();
+      vf.System().addStave({
+        voices: [score.voice(score.notes('C4/q[lyrics="Hi"], D4, E4, F4'))],
+      }).addClef('treble').addTimeSignature('4/4');
+      vf.draw();
+
+      ctx.addPage();
+      vf.reset();
+      vf.System().addStave({ voices: [score.voice(score.notes('G4/h, A4'))] });
+      vf.draw();
+
+      var pdf = toString(ctx.toPDF());
+      contains(assert, pdf, '/Count 2');
+      contains(assert, pdf, '/VexFlow << /Class (vf-stavenote)');
+      contains(assert, pdf, '(Hi) Tj', 'lyrics are drawn');
+    },
+  };
+
+  return PDFContext;
+})();
@@ -26,6 +26,56 @@ VF.Test.PedalMarking = (function() {
       };
     },
 
+    // Same as `test`, with the second measure on a new line. The pedal is held
+    // across the break.
+    systemBreakTest: function(makePedal) {
+      return VF.Test.makeSystemBreakTest(
+        [['b4/4, b4, b4, b4[stem="down"]', { stem: 'up' }], ['c4/4, c4, c4, c4', { stem: 'up' }]],
+        function(vf, first, second) {
+          var pedal = makePedal(vf, first, second);
+
+          // Record the x of each point of the lines drawn, one line per `moveTo`.
+          var draw = pedal.draw;
+          pedal.lines = [];
+          pedal.draw = function() {
+            var ctx = this.context;
+            var moveTo = ctx.moveTo;
+            var lineTo = ctx.lineTo;
+            var lines = this.lines;
+            ctx.moveTo = function(x, y) {
+              lines.push([x]);
+              return moveTo.call(this, x, y);
+            };
+            ctx.lineTo = function(x, y) {
+              if (lines.length) lines[lines.length - 1].push(x);
+              return lineTo.call(this, x, y);
+            };
+            try {
+              return draw.call(this);
+            } finally {
+              ctx.moveTo = moveTo;
+              ctx.lineTo = lineTo;
+            }
+          };
+          return pedal;
+        },
+        {
+          width: 300,
+          height: 300,
+          spacing: 140,
+          clef: 'treble',
+          check: function(assert, pedal, first, second) {
+            var endX = first[0].getStave().getTieEndX();
+            var startX = second[0].getStave().getTieStartX();
+            assert.ok(pedal.lines.some(function(line) { return line[line.length - 1] === endX; }),
+              'the first half runs to the end of the system');
+            assert.ok(pedal.lines.some(function(line) { return line[0] === startX; }),
+              'the second half starts the next system');
+          },
+        }
+      );
+    },
+
     Start: function() {
       var runTests = VF.Test.runTests;
       QUnit.module('PedalMarking');
@@ -57,6 +107,9 @@ VF.Test.PedalMarking = (function() {
       runTests('Release and Depress on Same Note 1', test(makeReleaseAndDepressedPedal('bracket')));
       runTests('Release and Depress on Same Note 2', test(makeReleaseAndDepressedPedal('mixed')));
 
+      runTests('Pedal Across System Break 1', PedalMarking.systemBreakTest(makeSimplePedal('bracket')));
+      runTests('Pedal Across System Break 2', PedalMarking.systemBreakTest(makeReleaseAndDepressedPedal('mixed')));
+
       runTests('Custom Text 1', test(function(factory, notes0, notes1) {
         var pedal = factory.PedalMarking({
           notes: [notes0[0], notes1[3]],
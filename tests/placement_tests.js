@@ -0,0 +1,138 @@
+/**
+ * VexFlow - Placement Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.Placement = (function() {
+  // A stave whose first note has an accent, a trill and a chord symbol above
+  // it, and whose last note has text, a staccato and a dynamic below it,
+  // with a hairpin between them.
+  function crowdedSystem(vf, autoPlace) {
+    var score = vf.EasyScore();
+    var system = vf.System({ width: 500, autoPlace: autoPlace !== false });
+    var notes = score.notes(
+      'A5/q[chordSymbol="C7", ornaments="tr", articulations="accent.above", dynamics="p"], B5/q, ' +
+      'C6/q[annotations="rit."], D4/q[annotations="sotto.below", dynamics="ff"]',
+      { stem: 'down' }
+    );
+    notes[3].addModifier(0, vf.Articulation({ type: 'a.', position: 'below' }));
+    var hairpin = vf.StaveHairpin({ from: notes[1], to: notes[2], type: VF.StaveHairpin.type.DECRESC });
+    var stave = system.addStave({ voices: [score.voice(notes), score.dynamics(notes)] }).addClef('treble');
+    return { system: system, stave: stave, notes: notes, hairpin: hairpin };
+  }
+
+  function modifier(note, category) {
+    return note.getModifiers().filter(function(m) { return m.getCategory() === category; })[0];
+  }
+
+  function bottom(bb) { return bb.getY() + bb.getH(); }
+
+  var Placement = {
+    Start: function() {
+      QUnit.module('Placement');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Bounding Box Context', VFT.Placement.boundingBoxContext);
+      QUnit.test('Modifier Placement', VFT.Placement.modifierPlacement);
+      QUnit.test('Dynamics And Hairpins', VFT.Placement.dynamicsAndHairpins);
+      QUnit.test('Disabled', VFT.Placement.disabled);
+      VFT.runTests('Draw Placement', VFT.Placement.drawPlacement);
+    },
+
+    boundingBoxContext: function(assert) {
+      var context = new VF.BoundingBoxContext();
+      assert.equal(context.getBoundingBox(), null, 'nothing drawn yet');
+
+      context.fillRect(10, 20, 30, 40);
+      context.beginPath();
+      context.moveTo(0, 50);
+      context.lineTo(5, 70);
+      context.stroke();
+      var bb = context.getBoundingBox();
+      assert.deepEqual([bb.getX(), bb.getY(), bb.getW(), bb.getH()], [0, 20, 40, 50]);
+
+      context.clearBoundingBox().arc(100, 100, 5, 0, Math.PI * 2, false);
+      bb = context.getBoundingBox();
+      assert.deepEqual([bb.getX(), bb.getY(), bb.getW(), bb.getH()], [95, 95, 10, 10]);
+
+      context.clearBoundingBox().fillText('dolce', 50, 100);
+      bb = context.getBoundingBox();
+      assert.ok(bb.getW() > 0 && bb.getY() < 100, 'text rises above its baseline');
+      assert.equal(context.svg.childNodes.length, 0, 'nothing is drawn into the SVG');
+    },
+
+    modifierPlacement: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var crowded = crowdedSystem(vf);
+      crowded.system.format();
+
+      var note = crowded.notes[0];
+      assert.equal(VF.Skyline.getPlacement(modifier(note, 'articulations')), VF.Modifier.Position.ABOVE);
+      assert.equal(VF.Skyline.getPlacement(modifier(note, 'ornaments')), VF.Modifier.Position.ABOVE);
+      assert.equal(VF.Skyline.getPlacement(modifier(note, 'chordSymbol')), VF.Modifier.Position.ABOVE);
+      assert.equal(VF.Skyline.getPlacement(modifier(crowded.notes[3], 'annotations')), VF.Modifier.Position.BELOW);
+
+      var padding = crowded.stave.space(0.5);
+      var accent = VF.Skyline.measure(modifier(note, 'articulations'));
+      var trill = VF.Skyline.measure(modifier(note, 'ornaments'));
+      var chord = VF.Skyline.measure(modifier(note, 'chordSymbol'));
+      assert.ok(bottom(trill) <= accent.getY() - padding + 0.01, 'the trill clears the accent');
+      assert.ok(bottom(chord) <= trill.getY() - padding + 0.01, 'the chord symbol clears the trill');
+
+      var low = crowded.notes[3];
+      var staccato = VF.Skyline.measure(modifier(low, 'articulations'));
+      var text = VF.Skyline.measure(modifier(low, 'annotations'));
+      assert.ok(staccato.getY() >= bottom(low.getBoundingBox()) - 0.01, 'the staccato clears the note');
+      assert.ok(text.getY() >= bottom(staccato) + padding - 0.01, 'the text clears the staccato');
+    },
+
+    dynamicsAndHairpins: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var crowded = crowdedSystem(vf);
+      crowded.system.format();
+
+      var dynamics = crowded.system.parts[0].voices[1].getTickables().filter(function(note) {
+        return note instanceof VF.TextDynamics;
+      });
+      assert.equal(dynamics.length, 2);
+      assert.equal(dynamics[0].line, dynamics[1].line, 'the dynamics share a line');
+
+      var text = VF.Skyline.measure(modifier(crowded.notes[3], 'annotations'));
+      var ff = VF.Skyline.measure(dynamics[1]);
+      assert.ok(ff.getY() >= bottom(text) + crowded.stave.space(0.5) - 0.01, 'the dynamics clear the text');
+
+      var hairpin = VF.Skyline.measure(crowded.hairpin);
+      var p = VF.Skyline.measure(dynamics[0]);
+      var center = hairpin.getY() + hairpin.getH() / 2;
+      assert.ok(center > p.getY() && center < bottom(p), 'the hairpin is centered beside the dynamics');
+
+      var placed = new VF.Placement().format(crowded.stave, crowded.system.parts[0].voices, [crowded.hairpin]);
+      assert.ok(placed.length >= 6);
+      assert.ok(placed.every(function(item) { return Math.abs(item.dy) < 0.01; }), 'placement is idempotent');
+    },
+
+    disabled: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var crowded = crowdedSystem(vf, false);
+      crowded.system.format();
+
+      var note = crowded.notes[0];
+      assert.equal(modifier(note, 'ornaments').y_shift, 0);
+      assert.equal(modifier(note, 'chordSymbol').y_shift, 0);
+      assert.equal(crowded.hairpin.render_options.y_shift, 0);
+
+      var accent = VF.Skyline.measure(modifier(note, 'articulations'));
+      var trill = VF.Skyline.measure(modifier(note, 'ornaments'));
+      assert.ok(bottom(trill) > accent.getY(), 'the trill overlaps the accent');
+    },
+
+    drawPlacement: function(options) {
+      var vf = VF.Test.makeFactory(options, 550, 250);
+      crowdedSystem(vf);
+      vf.draw();
+
+      options.assert.ok(true, 'all pass');
+    },
+  };
+
+  return Placement;
+})();
@@ -19,6 +19,7 @@ VF.Test.run = function() {
   VF.Test.TabStave.Start();
   VF.Test.TabSlide.Start();
   VF.Test.Beam.Start();
+  VF.Test.CrossStaffBeam.Start();
   VF.Test.Barline.Start();
   VF.Test.AutoBeamFormatting.Start();
   VF.Test.GraceNote.Start();
@@ -27,9 +28,11 @@ VF.Test.run = function() {
   VF.Test.VibratoBracket.Start();
   VF.Test.Annotation.Start();
   VF.Test.ChordSymbol.Start();
+  VF.Test.Lyric.Start();
   VF.Test.Tuning.Start();
   VF.Test.Music.Start();
   VF.Test.KeyManager.Start();
+  VF.Test.Transposer.Start();
   VF.Test.Articulation.Start();
   VF.Test.StaveConnector.Start();
   VF.Test.MultiMeasureRest.Start();
@@ -56,6 +59,23 @@ VF.Test.run = function() {
   VF.Test.Factory.Start();
   VF.Test.Parser.Start();
   VF.Test.EasyScore.Start();
+  VF.Test.EasyTab.Start();
+  VF.Test.MusicXMLImporter.Start();
+  VF.Test.MusicXMLExporter.Start();
+  VF.Test.ABCImporter.Start();
+  VF.Test.MEIImporter.Start();
+  VF.Test.MIDIImporter.Start();
+  VF.Test.LilyPondExporter.Start();
+  VF.Test.Serializer.Start();
+  VF.Test.MIDIExporter.Start();
+  VF.Test.ScoreLayout.Start();
+  VF.Test.PageLayout.Start();
+  VF.Test.Skyline.Start();
+  VF.Test.Placement.Start();
+  VF.Test.SpatialIndex.Start();
+  VF.Test.Interaction.Start();
+  VF.Test.SVGStringContext.Start();
+  VF.Test.PDFContext.Start();
   VF.Test.Registry.Start();
   VF.Test.BachDemo.Start();
   VF.Test.GlyphNote.Start();
@@ -0,0 +1,162 @@
+/**
+ * VexFlow - ScoreLayout Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.ScoreLayout = (function() {
+  var MELODY = [
+    'C5/q, D5, E5, F5', 'G5/h, E5', 'D5/8, E5, F5, G5, A5/q, G5', 'C5/w',
+    'E5/q, E5, F5, G5', 'G5/q, F5, E5, D5', 'C5/q, C5, D5, E5', 'E5/q, D5, D5/h',
+    'E5/8, F5, G5, A5, B5/q, A5', 'G5/w',
+  ];
+
+  var BASS = [
+    'C3/h, G2', 'C3/w', 'F2/h, G2', 'C3/w',
+    'C3/w', 'G2/w', 'A2/h, E2', 'G2/w',
+    'C3/h, F2', 'C3/w',
+  ];
+
+  function voices(score, notes, clef) {
+    return [score.voice(score.notes(notes, { clef: clef }))];
+  }
+
+  function pianoLayout(vf, options) {
+    var score = vf.EasyScore();
+    var layout = vf.ScoreLayout(options);
+
+    MELODY.forEach(function(melody, m) {
+      var first = m === 0;
+      layout.addMeasure([
+        {
+          voices: voices(score, melody, 'treble'),
+          clef: first ? 'treble' : undefined,
+          keySignature: first ? 'D' : undefined,
+          timeSignature: first ? '4/4' : undefined,
+        },
+        {
+          voices: voices(score, BASS[m], 'bass'),
+          clef: first ? 'bass' : undefined,
+          keySignature: first ? 'D' : undefined,
+          timeSignature: first ? '4/4' : undefined,
+          endBarType: m === MELODY.length - 1 ? VF.Barline.type.END : undefined,
+        },
+      ]);
+    });
+
+    return layout;
+  }
+
+  function modifiers(stave, category) {
+    return stave.getModifiers(VF.StaveModifier.Position.BEGIN, category).length;
+  }
+
+  var ScoreLayout = {
+    Start: function() {
+      QUnit.module('ScoreLayout');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Line Breaking', VFT.ScoreLayout.lineBreaking);
+      QUnit.test('Clefs and Key Signatures', VFT.ScoreLayout.clefs);
+      QUnit.test('Errors', VFT.ScoreLayout.errors);
+      VFT.runTests('Draw Piano Score', VFT.ScoreLayout.drawPianoScore);
+      VFT.runTests('Draw Clef Change', VFT.ScoreLayout.drawClefChange);
+    },
+
+    lineBreaking: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var lines = pianoLayout(vf, { width: 480 }).format();
+
+      assert.ok(lines.length > 1, 'measures are broken into several lines');
+      assert.equal(lines.reduce(function(total, line) { return total + line.systems.length; }, 0), MELODY.length);
+
+      lines.forEach(function(line, l) {
+        var first = line.systems[0];
+        var last = line.systems[line.systems.length - 1];
+        var end = last.options.x + last.options.width;
+
+        assert.equal(first.options.x, 10, 'line ' + l + ' starts at the left margin');
+        assert.ok(end <= 490 + 0.001, 'line ' + l + ' fits');
+        if (l < lines.length - 1) assert.ok(Math.abs(end - 490) < 0.001, 'line ' + l + ' is justified');
+        if (l > 0) assert.ok(line.y > lines[l - 1].y, 'line ' + l + ' is below the previous line');
+
+        line.systems.forEach(function(system, m) {
+          assert.equal(system.options.y, line.y);
+          if (m > 0) {
+            var previous = line.systems[m - 1];
+            assert.ok(Math.abs(system.options.x - (previous.options.x + previous.options.width)) < 0.001,
+              'measures are contiguous');
+          }
+        });
+      });
+
+      var wide = VF.Factory.newFromElementId(null);
+      assert.equal(pianoLayout(wide, { width: 5000 }).format().length, 1, 'everything fits on one wide line');
+    },
+
+    clefs: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var lines = pianoLayout(vf, { width: 480 }).format();
+
+      lines.forEach(function(line, l) {
+        var staves = line.systems[0].parts.map(function(part) { return part.stave; });
+        assert.equal(modifiers(staves[0], 'clefs'), 1, 'line ' + l + ' starts with a clef');
+        assert.equal(modifiers(staves[1], 'keysignatures'), 1, 'line ' + l + ' starts with a key signature');
+        assert.equal(modifiers(staves[1], 'timesignatures'), l === 0 ? 1 : 0, 'time signature only when given');
+        assert.equal(staves[1].getModifiers(VF.StaveModifier.Position.BEGIN, 'clefs')[0].type, 'bass');
+
+        line.systems.slice(1).forEach(function(system) {
+          assert.equal(modifiers(system.parts[0].stave, 'clefs'), 0, 'no clef inside a line');
+          assert.equal(system.parts[1].stave.clef, 'bass', 'the current clef is kept');
+        });
+      });
+    },
+
+    errors: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var layout = vf.ScoreLayout();
+      assert.throws(function() { layout.format(); }, /No measures/);
+
+      layout.addMeasure([{ voices: [] }]);
+      assert.throws(function() { layout.addMeasure([{ voices: [] }, { voices: [] }]); }, /1 staves/);
+      assert.throws(function() { new VF.ScoreLayout().addMeasure([{}]).format(); }, /factory/);
+    },
+
+    drawPianoScore: function(options) {
+      var vf = VF.Test.makeFactory(options, 500, 720);
+      var layout = pianoLayout(vf, {
+        width: 480,
+        spaceBetweenStaves: 10,
+        connectors: [{ first: 0, last: 1, type: 'brace' }],
+      });
+      var lines = layout.format();
+      vf.draw();
+
+      options.assert.ok(lines.length > 1);
+    },
+
+    drawClefChange: function(options) {
+      var vf = VF.Test.makeFactory(options, 500, 260);
+      var score = vf.EasyScore();
+      var layout = vf.ScoreLayout({ width: 480, justifyLastLine: true });
+      var notes = ['C5/q, B4, A4, G4', 'F4/q, E4, D4, C4', 'B3/q, A3, G3, F3', 'E3/q, D3, C3, B2', 'A2/w', 'C3/w'];
+
+      notes.forEach(function(line, m) {
+        var clef = m < 2 ? 'treble' : 'bass';
+        layout.addMeasure([{
+          voices: voices(score, line, clef),
+          clef: m === 0 || m === 2 ? clef : undefined,
+          keySignature: m === 0 ? 'Eb' : undefined,
+          timeSignature: m === 0 ? '4/4' : undefined,
+        }]);
+      });
+
+      var lines = layout.format();
+      vf.draw();
+
+      var last = lines[lines.length - 1].systems;
+      options.assert.equal(last[0].parts[0].stave.getModifiers(VF.StaveModifier.Position.BEGIN, 'clefs')[0].type, 'bass',
+        'the new clef is repeated on the next line');
+    },
+  };
+
+  return ScoreLayout;
+})();
@@ -0,0 +1,182 @@
+/**
+ * VexFlow - Serializer Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.Serializer = (function() {
+  function newFactory() {
+    return new VF.Factory({
+      renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 700, height: 400 },
+    });
+  }
+
+  // Serializes a score, draws it, and draws its deserialized copy. Returns
+  // the JSON documents and SVG output of both.
+  function roundTrip(build) {
+    var vf = newFactory();
+    build(vf);
+    var json = JSON.parse(JSON.stringify(vf.toJSON()));
+    vf.draw();
+
+    var copy = newFactory();
+    copy.fromJSON(JSON.parse(JSON.stringify(json)));
+    var copyJSON = JSON.parse(JSON.stringify(copy.toJSON()));
+    copy.draw();
+
+    return {
+      json: json,
+      copyJSON: copyJSON,
+      svg: vf.getContext().toSVG(),
+      copySVG: copy.getContext().toSVG(),
+    };
+  }
+
+  function buildScore(vf) {
+    var score = vf.EasyScore();
+    var system = vf.System();
+
+    var notes = score.notes('(C4 E4 G4)/q, D4/8, E4, F4/8, G4, A4, B4/q', { stem: 'up' });
+    score.beam(notes.slice(1, 3));
+    score.tuplet(notes.slice(3, 6));
+    notes[0].addAccidental(1, vf.Accidental({ type: 'b' }).setAsCautionary());
+    notes[0].addModifier(0, vf.Fingering({ number: '1' }));
+    notes[3].addArticulation(0, vf.Articulation({ type: 'a>', position: 'below' }));
+    notes[4].addAnnotation(0, vf.Annotation({ text: 'dolce', vJustify: 'below' }));
+    notes[6].addModifier(0, new VF.ChordSymbol().addText('C').addGlyphSuperscript('majorSeventh'));
+    notes[6].addModifier(0, new VF.Ornament('mordent').setUpperAccidental('#'));
+    notes[6].addModifier(0, vf.Lyric({ text: 'la', verse: 1 }).setHyphen(true));
+    notes[1].setStyle({ fillStyle: 'red', strokeStyle: 'red' });
+    notes[2].addClass('highlighted');
+
+    var grace = vf.GraceNoteGroup({
+      notes: [
+        vf.GraceNote({ keys: ['d/4'], duration: '16', slash: true }),
+        vf.GraceNote({ keys: ['e/4'], duration: '16', slash: true }),
+      ],
+    });
+    notes[6].addModifier(0, grace.beamNotes());
+
+    system.addStave({ voices: [score.voice(notes)] })
+      .addClef('treble', 'default', '8va')
+      .addKeySignature('Eb')
+      .addTimeSignature('4/4')
+      .setTempo({ duration: 'q', bpm: 80 }, 0)
+      .setSection('A', 0)
+      .setEndBarType(VF.Barline.type.REPEAT_END);
+
+    var bass = score.notes('C3/h., B2/q', { clef: 'bass', stem: 'down' });
+    bass[0].addDotToAll();
+    system.addStave({ voices: [score.voice(bass)] })
+      .addClef('bass')
+      .addKeySignature('Eb')
+      .addTimeSignature('4/4');
+    system.addConnector('brace');
+
+    vf.StaveTie({ from: notes[5], to: notes[6], first_indices: [0], last_indices: [0] }).setDirection(-1);
+    vf.Curve({ from: notes[0], to: notes[2], options: { invert: true } });
+    return notes;
+  }
+
+  var Serializer = {
+    Start: function() {
+      QUnit.module('Serializer');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Round Trip Score', VFT.Serializer.roundTripScore);
+      QUnit.test('Round Trip Modifiers', VFT.Serializer.roundTripModifiers);
+      QUnit.test('Round Trip Tablature', VFT.Serializer.roundTripTablature);
+      QUnit.test('Version and Errors', VFT.Serializer.errors);
+    },
+
+    roundTripScore: function(assert) {
+      var result = roundTrip(buildScore);
+
+      assert.equal(result.json.version, VF.Serializer.VERSION);
+      assert.equal(result.json.staves.length, 2);
+      assert.equal(result.json.voices.length, 2);
+      assert.equal(result.json.systems.length, 1);
+      assert.deepEqual(result.json.elements.map(function(element) { return element.type; }),
+        ['Beam', 'Tuplet', 'StaveConnector', 'StaveTie', 'Curve'], 'notes in voices are not repeated');
+      assert.deepEqual(result.copyJSON, result.json, 'the copy serializes to the same document');
+      assert.equal(result.copySVG, result.svg, 'the copy renders identically');
+    },
+
+    roundTripModifiers: function(assert) {
+      var result = roundTrip(buildScore);
+      var notes = result.json.voices[0].tickables;
+
+      var accidental = notes[0].modifiers.filter(function(m) { return m.type === 'Accidental'; })[0];
+      assert.equal(accidental.accidental, 'b');
+      assert.equal(accidental.index, 1);
+      assert.ok(accidental.cautionary);
+
+      var ornament = notes[6].modifiers.filter(function(m) { return m.type === 'Ornament'; })[0];
+      assert.equal(ornament.accidentalUpper, '#');
+
+      var chord = notes[6].modifiers.filter(function(m) { return m.type === 'ChordSymbol'; })[0];
+      assert.deepEqual(chord.blocks.map(function(b) { return b.text || b.glyph; }), ['C', 'majorSeventh']);
+
+      var group = notes[6].modifiers.filter(function(m) { return m.type === 'GraceNoteGroup'; })[0];
+      assert.ok(group.beamed);
+      assert.ok(group.notes[0].slash);
+
+      assert.deepEqual(notes[1].style, { fillStyle: 'red', strokeStyle: 'red' });
+      assert.deepEqual(notes[2].classes, ['highlighted']);
+      assert.equal(notes[3].ticks, undefined, 'tuplets are applied again on load');
+
+      var clef = result.json.staves[0].modifiers.filter(function(m) { return m.type === 'Clef'; })[0];
+      assert.equal(clef.annotation, '8va');
+      assert.equal(result.json.staves[0].modifiers[1].barline, VF.Barline.type.REPEAT_END);
+      assert.equal(result.json.voices[1].tickables[0].dots, 1);
+    },
+
+    roundTripTablature: function(assert) {
+      var result = roundTrip(function(vf) {
+        var stave = vf.TabStave();
+        stave.addClef('tab').addTimeSignature('4/4');
+        var notes = [
+          vf.TabNote({ positions: [{ str: 2, fret: 10 }, { str: 4, fret: 9 }], duration: 'q' }),
+          vf.TabNote({ positions: [{ str: 2, fret: 12 }], duration: 'q' }),
+          vf.TabNote({ positions: [{ str: 3, fret: 5 }], duration: 'h' }),
+        ];
+        notes[0].addModifier(new VF.Bend('Full'), 0);
+        notes[1].addModifier(new VF.Vibrato().setHarsh(true), 0);
+        vf.System().addStave({ stave: stave, voices: [vf.Voice().addTickables(notes)] });
+
+        vf.renderQ.push(new VF.TabSlide({
+          first_note: notes[0], last_note: notes[1], first_indices: [0], last_indices: [0],
+        }));
+        vf.renderQ.push(new VF.TabTie({
+          first_note: notes[1], last_note: notes[2], first_indices: [0], last_indices: [0],
+        }, 'H'));
+      });
+
+      assert.equal(result.json.staves[0].type, 'TabStave');
+      assert.deepEqual(result.json.voices[0].tickables[0].positions, [{ str: 2, fret: 10 }, { str: 4, fret: 9 }]);
+      assert.deepEqual(result.json.elements.map(function(element) { return element.type; }), ['TabSlide', 'TabTie']);
+      assert.deepEqual(result.copyJSON, result.json, 'the copy serializes to the same document');
+      assert.equal(result.copySVG, result.svg, 'the copy renders identically');
+    },
+
+    errors: function(assert) {
+      var serializer = new VF.Serializer();
+      assert.throws(function() { serializer.deserialize({ staves: [] }); }, /Missing version/);
+      assert.throws(function() {
+        serializer.deserialize({ version: VF.Serializer.VERSION + 1, staves: [], voices: [], systems: [], elements: [] });
+      }, /Unsupported version/);
+      assert.throws(function() {
+        serializer.deserialize({
+          version: 1, staves: [], voices: [], systems: [], elements: [{ type: 'Curve', id: 'c1', from: 'n1', to: 'n2' }],
+        });
+      }, /Unknown element: n1/);
+
+      var vf = newFactory();
+      vf.StaveLine({
+        from: vf.StaveNote({ keys: ['c/4'], duration: 'q' }),
+        to: vf.StaveNote({ keys: ['d/4'], duration: 'q' }),
+      });
+      assert.throws(function() { vf.toJSON(); }, /Unsupported element: StaveLine/);
+    },
+  };
+
+  return Serializer;
+})();
@@ -0,0 +1,181 @@
+/**
+ * VexFlow - Skyline Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.Skyline = (function() {
+  // A system whose middle stave has high notes and a chord symbol, just
+  // below a stave with low notes and text below them.
+  function crowdedSystem(vf, autoSpace) {
+    var score = vf.EasyScore();
+    var system = vf.System({ width: 500, autoSpace: autoSpace !== false });
+    var staves = [
+      system.addStave({
+        voices: [score.voice(score.notes('C4/q[annotations="dolce.below"], G3/q, E3/h', { stem: 'down' }))],
+      }).addClef('treble'),
+      system.addStave({
+        voices: [score.voice(score.notes('C4/q, D6/q[chordSymbol="C7"], E6/h', { stem: 'up' }))],
+      }).addClef('treble'),
+      system.addStave({ voices: [score.voice(score.notes('C4/w'))] }).addClef('treble'),
+    ];
+    return { system: system, staves: staves };
+  }
+
+  var Skyline = {
+    Start: function() {
+      QUnit.module('Skyline');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Skylines', VFT.Skyline.skylines);
+      QUnit.test('Stave Skylines', VFT.Skyline.staveSkylines);
+      QUnit.test('System Spacing', VFT.Skyline.systemSpacing);
+      QUnit.test('Score Layout Spacing', VFT.Skyline.scoreLayoutSpacing);
+      VFT.runTests('Draw System Spacing', VFT.Skyline.drawSystemSpacing);
+    },
+
+    skylines: function(assert) {
+      var above = new VF.Skyline(VF.Skyline.ABOVE);
+      var below = new VF.Skyline(VF.Skyline.BELOW);
+      assert.equal(above.getY(), null, 'empty skylines have no height');
+
+      above.insert(0, 100, 50).insert(40, 20, 30);
+      assert.equal(above.getY(), 30);
+      assert.equal(above.getY(0, 20), 50);
+      assert.equal(above.getY(45, 5), 30);
+      assert.equal(above.getY(200, 10), null);
+
+      below.insert(0, 100, 80).insert(70, 10, 95);
+      assert.equal(below.getY(), 95);
+      assert.equal(below.getY(0, 50), 80);
+
+      var lower = new VF.Skyline(VF.Skyline.ABOVE).insert(0, 100, 120).insert(20, 10, 90);
+      assert.equal(VF.Skyline.distance(below, lower), -10, 'skylines that are apart have a negative distance');
+      lower.insert(72, 4, 85);
+      assert.equal(VF.Skyline.distance(below, lower), 10, 'only overlapping columns count');
+      assert.equal(VF.Skyline.distance(below, new VF.Skyline().insert(300, 10, 0)), -Infinity);
+
+      lower.shift(10);
+      assert.equal(VF.Skyline.distance(below, lower), 0);
+
+      var merged = new VF.Skyline(VF.Skyline.BELOW).insert(200, 10, 50).merge(below);
+      assert.equal(merged.getY(), 95);
+      assert.equal(merged.getY(200, 10), 50);
+    },
+
+    staveSkylines: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var crowded = crowdedSystem(vf, false);
+      crowded.system.format();
+
+      var skylines = crowded.system.getSkylines();
+      var middle = crowded.staves[1];
+      var chord = middle.getYForLine(-4);
+      assert.ok(skylines[1].above.getY() < chord, 'high notes and chord symbols are above the stave');
+      assert.equal(skylines[1].below.getY(), middle.getYForLine(5) + middle.getSpacingBetweenLines() / 2,
+        'a stem up C4 reaches just below the stave');
+      assert.ok(skylines[0].below.getY() > crowded.staves[0].getYForBottomText(2), 'text below the notes counts');
+      assert.equal(skylines[2].above.getY(), crowded.staves[2].getYForLine(0), 'a stave without notes above it');
+
+      var lyrics = VF.Factory.newFromElementId(null);
+      var score = lyrics.EasyScore();
+      var notes = score.notes('C5/q, D5, E5, F5');
+      notes[0].addModifier(0, lyrics.Lyric({ text: 'Hel', verse: 2 }).setHyphen(true));
+      var system = lyrics.System();
+      var stave = system.addStave({ voices: [score.voice(notes)] });
+      system.format();
+      assert.ok(VF.Skyline.fromStave(stave, [notes[0].getVoice()]).below.getY() > stave.getYForBottomText(4),
+        'lyrics count');
+    },
+
+    systemSpacing: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var fixed = crowdedSystem(vf, false);
+      fixed.system.format();
+      var fixedYs = fixed.staves.map(function(stave) { return stave.getY(); });
+      assert.deepEqual(fixedYs, [10, 130, 250], 'staves keep their spacing without autoSpace');
+      var gaps = fixed.system.getStaveGaps();
+      assert.equal(gaps[0], 0);
+      assert.ok(gaps[1] > 0, 'the high notes collide with the stave above');
+      assert.equal(gaps[2], 0, 'the third stave is clear');
+
+      var crowded = crowdedSystem(vf);
+      crowded.system.format();
+      var ys = crowded.staves.map(function(stave) { return stave.getY(); });
+      assert.equal(ys[0], 10);
+      assert.equal(ys[1], 130 + gaps[1], 'the stave is moved down');
+      assert.equal(ys[2], 250 + gaps[1], 'the staves below move with it');
+      assert.equal(crowded.system.lastY, 370 + gaps[1]);
+      assert.deepEqual(crowded.system.getStaveGaps(), [0, 0, 0], 'nothing overlaps');
+
+      var skylines = crowded.system.getSkylines();
+      var clearance = VF.Skyline.distance(skylines[0].below, skylines[1].above);
+      assert.ok(Math.abs(clearance + crowded.staves[1].space(1)) < 0.001, 'the staves are one space apart');
+      assert.equal(crowded.system.parts[1].voices[0].getTickables()[1].getStave(), crowded.staves[1]);
+      assert.ok(crowded.system.parts[1].voices[0].getTickables()[1].getYs()[0] > fixed.system.parts[1].voices[0]
+        .getTickables()[1].getYs()[0], 'the notes move with their stave');
+
+      crowded.system.setY(50);
+      assert.deepEqual(crowded.staves.map(function(stave) { return stave.getY(); }), ys.map(function(y) {
+        return y + 40;
+      }), 'formatted systems move their staves');
+    },
+
+    scoreLayoutSpacing: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = vf.EasyScore();
+      var layout = vf.ScoreLayout({ width: 300, spaceBetweenSystems: 0 });
+      // Odd measures collide within their line, and even measures with the
+      // measures below them on the next line.
+      var upper = ['A6/h[chordSymbol="C7"], F6/h', 'A3/h, F3/h'];
+      var lower = ['C3/h, A2/h', 'A6/h, G6/h'];
+      for (var m = 0; m < 8; m++) {
+        layout.addMeasure([
+          { voices: [score.voice(score.notes(upper[m % 2]))], clef: m === 0 ? 'treble' : undefined },
+          { voices: [score.voice(score.notes(lower[m % 2]))], clef: m === 0 ? 'treble' : undefined },
+        ]);
+      }
+      var lines = layout.format();
+      var spacedLines = 0;
+      var movedLines = 0;
+
+      assert.ok(lines.length > 1);
+      lines.forEach(function(line, l) {
+        var lowerYs = line.systems.map(function(system) { return system.parts[1].stave.getY(); });
+        lowerYs.forEach(function(y) { assert.equal(y, lowerYs[0], 'line ' + l + ' staves line up'); });
+        if (lowerYs[0] > line.y + 120) spacedLines++;
+        line.systems.forEach(function(system) {
+          assert.equal(system.parts[0].stave.getY(), line.y);
+          assert.deepEqual(system.getStaveGaps(), [0, 0], 'nothing overlaps');
+        });
+
+        if (l > 0) {
+          var previous = lines[l - 1];
+          var next = previous.y + layout.getLineHeight(previous.systems[0]);
+          assert.ok(line.y >= next, 'lines follow each other');
+          if (line.y > next) movedLines++;
+          assert.ok(layout.getLineGap(previous, line) < 0.001, 'lines are clear of each other');
+        }
+      });
+      assert.equal(spacedLines, lines.length, 'every line is spaced for its widest gap');
+      assert.ok(movedLines > 0, 'lines are moved apart');
+
+      var unspaced = VF.Factory.newFromElementId(null);
+      var plain = unspaced.ScoreLayout({ autoSpace: false });
+      plain.addMeasure([
+        { voices: [score.voice(score.notes('C4/w'))] },
+        { voices: [score.voice(score.notes('E6/w'))] },
+      ]);
+      assert.equal(plain.format()[0].systems[0].parts[1].stave.getY(), 130, 'autoSpace can be turned off');
+    },
+
+    drawSystemSpacing: function(options) {
+      var vf = VF.Test.makeFactory(options, 550, 500);
+      var crowded = crowdedSystem(vf);
+      crowded.system.addConnector('bracket');
+      vf.draw();
+
+      options.assert.deepEqual(crowded.system.getStaveGaps(), [0, 0, 0]);
+    },
+  };
+
+  return Skyline;
+})();
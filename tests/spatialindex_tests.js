@@ -0,0 +1,144 @@
+/**
+ * VexFlow - SpatialIndex Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.SpatialIndex = (function() {
+  // A stave with two beamed notes, a chord and a note with text above it.
+  function createScore(vf) {
+    var score = vf.EasyScore();
+    var system = vf.System({ width: 400 });
+    var notes = score.notes('C5/8, E5/8, (C4 E4 G4)/q, B4/h[annotations="dolce.above"]', { stem: 'up' });
+    var beam = vf.Beam({ notes: notes.slice(0, 2) });
+    var stave = system.addStave({ voices: [score.voice(notes)] }).addClef('treble');
+    return { system: system, stave: stave, notes: notes, beam: beam };
+  }
+
+  function center(bb) {
+    return { x: bb.getX() + (bb.getW() / 2), y: bb.getY() + (bb.getH() / 2) };
+  }
+
+  var SpatialIndex = {
+    Start: function() {
+      QUnit.module('SpatialIndex');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Keys For Y', VFT.SpatialIndex.keysForY);
+      QUnit.test('Elements At', VFT.SpatialIndex.elementsAt);
+      QUnit.test('Nearest', VFT.SpatialIndex.nearest);
+      QUnit.test('Rebuild', VFT.SpatialIndex.rebuild);
+      VFT.runTests('Draw Hit Boxes', VFT.SpatialIndex.drawHitBoxes);
+    },
+
+    keysForY: function(assert) {
+      var treble = new VF.Stave(10, 10, 300);
+      var bass = new VF.Stave(10, 150, 300).setClef('bass');
+
+      assert.equal(treble.getLineForY(treble.getYForLine(2)), 2);
+      assert.equal(treble.getLineForY(treble.getYForLine(-1.5)), -1.5);
+
+      ['a/3', 'c/4', 'e/4', 'b/4', 'f/5', 'c/7'].forEach(function(key) {
+        var y = treble.getYForNote(VF.keyProperties(key, 'treble').line);
+        assert.equal(treble.getKeyForY(y), key);
+        assert.equal(treble.getKeyForY(y + 2), key, 'the nearest line or space is used');
+      });
+
+      ['e/2', 'g/2', 'd/3', 'c/4'].forEach(function(key) {
+        var y = bass.getYForNote(VF.keyProperties(key, 'bass').line);
+        assert.equal(bass.getKeyForY(y), key, 'the stave clef is used');
+        assert.equal(treble.getKeyForY(treble.getYForNote(VF.keyProperties(key, 'bass').line), 'bass'), key);
+      });
+    },
+
+    elementsAt: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = createScore(vf);
+      var index = vf.SpatialIndex();
+      score.system.format();
+
+      var chord = score.notes[2];
+      var point = center(index.getBoundingBox(chord.note_heads[1]));
+      var elements = index.elementsAt(point.x, point.y);
+      assert.equal(elements[0], chord.note_heads[1], 'the note head is the smallest element');
+      assert.ok(elements.indexOf(chord) !== -1, 'the note is hit');
+      assert.equal(elements[elements.length - 1], score.stave, 'the stave is the largest element');
+      assert.equal(index.getParent(chord.note_heads[1]), chord);
+      assert.deepEqual(index.elementsAt(point.x, point.y, { type: 'StaveNote' }), [chord]);
+
+      point = center(index.getBoundingBox(score.beam));
+      assert.equal(index.elementsAt(point.x, point.y, { type: 'Beam' })[0], score.beam);
+
+      var annotation = score.notes[3].getModifiers().filter(function(modifier) {
+        return modifier.getCategory() === 'annotations';
+      })[0];
+      point = center(index.getBoundingBox(annotation));
+      assert.equal(index.elementsAt(point.x, point.y)[0], annotation);
+      assert.equal(index.getParent(annotation), score.notes[3]);
+
+      var bb = score.stave.getBoundingBox();
+      assert.deepEqual(index.elementsAt(bb.getX() + bb.getW() + 50, bb.getY()), [], 'nothing is there');
+      assert.deepEqual(index.elementsAt(bb.getX() + bb.getW() + 5, bb.getY(), { tolerance: 10 }), [score.stave]);
+    },
+
+    nearest: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = createScore(vf);
+      var index = vf.SpatialIndex();
+      score.system.format();
+
+      var last = score.notes[3];
+      var bb = index.getBoundingBox(last);
+      var x = bb.getX() + bb.getW() + 20;
+      assert.equal(index.nearest(x, bb.getY() + 10, { type: 'StaveNote' }), last);
+      assert.equal(index.nearest(x, bb.getY() + 10, { type: 'StaveNote', maxDistance: 10 }), null);
+      assert.equal(index.nearest(x, bb.getY() + 10), score.stave, 'the stave contains the point');
+
+      var chord = score.notes[2];
+      var head = index.getBoundingBox(chord.note_heads[2]);
+      assert.equal(index.nearest(head.getX() - 3, head.getY() + 1, { type: ['NoteHead', 'Accidental'] }), chord.note_heads[2]);
+
+      var y = center(head).y;
+      assert.equal(score.stave.getKeyForY(y), 'g/4', 'the key at the note head');
+    },
+
+    rebuild: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = createScore(vf);
+      var index = new VF.SpatialIndex().add(score.stave).add(score.notes[0]);
+      score.system.format();
+
+      assert.equal(index.getEntries().filter(function(entry) { return entry.element.getAttribute('type') === 'StaveNote'; }).length, 1);
+      var y = index.getBoundingBox(score.stave).getY();
+
+      score.system.setY(y + 100);
+      assert.equal(index.getBoundingBox(score.stave).getY(), y, 'the bounding boxes are kept');
+      index.build();
+      assert.equal(index.getBoundingBox(score.stave).getY(), y + 100, 'until the index is built again');
+
+      index.add(score.notes[1]);
+      assert.ok(index.getBoundingBox(score.notes[1]), 'adding elements builds the index again');
+      assert.equal(index.getBoundingBox(score.beam), null, 'elements that were not added are not indexed');
+    },
+
+    drawHitBoxes: function(options) {
+      var vf = VF.Test.makeFactory(options, 450, 200);
+      var score = createScore(vf);
+      var index = vf.SpatialIndex();
+      vf.draw();
+
+      var context = vf.getContext();
+      context.save();
+      context.setStrokeStyle('red');
+      index.getEntries().forEach(function(entry) {
+        if (entry.element === score.stave) return;
+        context.beginPath();
+        context.rect(entry.bb.getX(), entry.bb.getY(), entry.bb.getW(), entry.bb.getH());
+        context.stroke();
+      });
+      context.restore();
+
+      options.assert.ok(index.getEntries().length > 10);
+    },
+  };
+
+  return SpatialIndex;
+})();
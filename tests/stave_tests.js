@@ -9,6 +9,7 @@ VF.Test.Stave = (function() {
       var runTests = VF.Test.runTests;
       QUnit.module('Stave');
       test('StaveModifiers SortByCategory', Stave.sortByCategory);
+      test('System Breaks', Stave.systemBreaks);
       runTests('Stave Draw Test', Stave.draw);
       runTests('Open Stave Draw Test', Stave.drawOpenStave);
       runTests('Vertical Bar Test', Stave.drawVerticalBar);
@@ -736,6 +737,21 @@ VF.Test.Stave = (function() {
       ok(true, 'all pass');
     },
 
+    systemBreaks: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var piano = vf.System({ y: 10 });
+      var treble = piano.addStave({});
+      var bass = piano.addStave({});
+      var nextMeasure = vf.System({ x: 510, y: 10 }).addStave({});
+      var nextLine = vf.System({ y: 250 }).addStave({});
+
+      assert.equal(treble.getSystem(), piano);
+      assert.notOk(treble.isAcrossSystemBreak(bass), 'staves of the same system');
+      assert.notOk(treble.isAcrossSystemBreak(nextMeasure), 'systems on the same line');
+      assert.ok(treble.isAcrossSystemBreak(nextLine), 'systems on different lines');
+      assert.notOk(new VF.Stave(10, 10, 300).isAcrossSystemBreak(nextLine), 'staves outside systems');
+    },
+
     factoryAPI: function(options) {
       var vf = VF.Test.makeFactory(options, 900, 200);
       var stave = vf.Stave({ x: 300, y: 40, width: 300 });
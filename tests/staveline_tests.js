@@ -8,6 +8,38 @@ VF.Test.StaveLine = (function() {
       QUnit.module('StaveLine');
       VF.Test.runTests('Simple StaveLine', VF.Test.StaveLine.simple0);
       VF.Test.runTests('StaveLine Arrow Options', VF.Test.StaveLine.simple1);
+      VF.Test.runTests('StaveLine Across System Break', VF.Test.makeSystemBreakTest(
+        ['c4/2, g4', 'c4/2, d5'],
+        VF.Test.StaveLine.systemBreak,
+        {
+          width: 400,
+          clef: 'treble',
+          check: function(assert, line, first, second) {
+            assert.equal(line.halves.length, 2, 'the line is drawn in two halves');
+            assert.equal(line.halves[0][1], first[1].getStave().getTieEndX(), 'the first half runs to the end of the system');
+            assert.equal(line.halves[1][0], second[1].getStave().getTieStartX(), 'the second half starts the next system');
+          },
+        }
+      ));
+    },
+
+    systemBreak: function(vf, first, second) {
+      var line = vf.StaveLine({
+        from: first[1],
+        to: second[1],
+        options: { text: 'gliss.' },
+      });
+      line.render_options.draw_end_arrow = true;
+
+      // Record the x range of each half.
+      var drawSegment = line.drawSegment;
+      line.halves = [];
+      line.drawSegment = function(first_note, last_note) {
+        var positions = drawSegment.call(this, first_note, last_note);
+        this.halves.push([positions.start_position.x, positions.end_position.x]);
+        return positions;
+      };
+      return line;
     },
 
     simple0: function(options) {
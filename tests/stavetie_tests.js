@@ -109,6 +109,37 @@ VF.Test.StaveTie = (function() {
         }
       ));
 
+      run('Across System Break', VF.Test.makeSystemBreakTest(
+        [['(d4 e4 f4)/2, (cn4 f#4 a4)', { stem: 'down' }], ['(cn4 f#4 a4)/2, (d4 e4 f4)', { stem: 'up' }]],
+        function(vf, first, second) {
+          var tie = vf.StaveTie({
+            from: first[1],
+            to: second[0],
+            first_indices: [0, 1, 2],
+            last_indices: [0, 1, 2],
+          });
+
+          // Record the x range of each half.
+          var renderTie = tie.renderTie;
+          tie.halves = [];
+          tie.renderTie = function(params) {
+            this.halves.push([params.first_x_px, params.last_x_px]);
+            return renderTie.call(this, params);
+          };
+          return tie;
+        },
+        {
+          width: 300,
+          check: function(assert, tie, first, second) {
+            assert.equal(tie.halves.length, 2, 'the tie is drawn in two halves');
+            assert.equal(tie.halves[0][0], first[1].getTieRightX() + tie.render_options.tie_spacing);
+            assert.equal(tie.halves[0][1], first[1].getStave().getTieEndX(), 'the first half runs to the end of the system');
+            assert.equal(tie.halves[1][0], second[0].getStave().getTieStartX(), 'the second half starts the next system');
+            assert.equal(tie.halves[1][1], second[0].getTieLeftX() + tie.render_options.tie_spacing);
+          },
+        }
+      ));
+
       run('Set Direction Up', createTest(
         ['(cb4 e#4 a4)/2, (d4 e4 f4)', { stem: 'down' }],
         function(vf, notes) {
@@ -0,0 +1,102 @@
+/**
+ * VexFlow - SVGStringContext Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.SVGStringContext = (function() {
+  function count(svg, tag) {
+    return svg.split('<' + tag + ' ').length - 1;
+  }
+
+  function drawScore(vf) {
+    var score = vf.EasyScore();
+    var notes = score.notes('C4/8, D4, E4, F4, G4/q');
+    score.beam(notes.slice(0, 4));
+
+    vf.System({ width: 480 }).addStave({ voices: [score.voice(notes, { time: '3/4' })] })
+      .addClef('treble')
+      .addTimeSignature('3/4');
+    vf.draw();
+  }
+
+  var SVGStringContext = {
+    Start: function() {
+      QUnit.module('SVGStringContext');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Serialization', VFT.SVGStringContext.serialization);
+      QUnit.test('Measure Text', VFT.SVGStringContext.measureText);
+      QUnit.test('Renderer Backend', VFT.SVGStringContext.rendererBackend);
+      QUnit.test('Draw Score', VFT.SVGStringContext.drawScore);
+    },
+
+    serialization: function(assert) {
+      var ctx = new VF.SVGStringContext();
+      ctx.resize(200, 100);
+
+      var svg = ctx.toSVG();
+      assert.ok(/^<svg [^>]*xmlns="http:\/\/www.w3.org\/2000\/svg"/.test(svg), 'root has the SVG namespace');
+      assert.ok(svg.indexOf('width="200"') > 0 && svg.indexOf('height="100"') > 0, 'root has the size');
+
+      ctx.openGroup('note', 'n1');
+      ctx.fillRect(10, 20, 30, 40);
+      ctx.closeGroup();
+      ctx.setFont('Arial', 10);
+      ctx.fillText('<a & "b">', 5, 50);
+
+      svg = ctx.toSVG();
+      assert.ok(svg.indexOf('<g class="vf-note" id="vf-n1"><rect ') > 0, 'groups hold their children');
+      assert.ok(svg.indexOf('>&lt;a &amp; &quot;b&quot;&gt;</text>') > 0, 'text is escaped');
+      assert.equal(svg.slice(-6), '</svg>');
+
+      ctx.clear();
+      assert.equal(count(ctx.toSVG(), 'rect'), 0, 'clear removes everything');
+    },
+
+    measureText: function(assert) {
+      var ctx = new VF.SVGStringContext();
+      ctx.setFont('Arial', 10);
+
+      var textFont = VF.TextFont.getTextFontFromVexFontData({ family: 'Arial' }).setFontSize(10);
+      var expected = 'Hello'.split('').reduce(function(total, c) { return total + textFont.getWidthForCharacter(c); }, 0);
+      var bbox = ctx.measureText('Hello');
+
+      assert.equal(bbox.width, expected, 'width comes from the font metrics');
+      assert.equal(bbox.height, textFont.maxHeight);
+      assert.equal(bbox.y, -bbox.height, 'box is above the baseline');
+      assert.ok(ctx.measureText('Hello, world').width > bbox.width);
+
+      ctx.setFont('Arial', 20);
+      assert.ok(ctx.measureText('Hello').width > bbox.width * 1.9, 'width scales with the font size');
+
+      ctx.setRawFont('16px Arial');
+      assert.ok(Math.abs(ctx.measureText('Hello').width - (bbox.width * 1.2)) < bbox.width * 0.2, 'pixel sizes are converted');
+    },
+
+    rendererBackend: function(assert) {
+      var ctx = VF.Renderer.getSVGStringContext(300, 150);
+      assert.ok(ctx instanceof VF.SVGStringContext);
+      assert.ok(ctx.toSVG().indexOf('width="300"') > 0);
+
+      var vf = new VF.Factory({ renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 300, height: 150 } });
+      assert.ok(vf.getContext() instanceof VF.SVGStringContext, 'factories do not need an element');
+    },
+
+    drawScore: function(assert) {
+      var vf = new VF.Factory({ renderer: { backend: VF.Renderer.Backends.SVG_STRING, width: 500, height: 150 } });
+      drawScore(vf);
+      var svg = vf.getContext().toSVG();
+
+      var element = document.createElement('div');
+      var dom = VF.Factory.newFromElementId(element, 500, 150);
+      drawScore(dom);
+      var expected = element.innerHTML;
+
+      ['path', 'rect', 'g'].forEach(function(tag) {
+        assert.equal(count(svg, tag), count(expected, tag), 'same number of ' + tag + ' elements as SVGContext');
+      });
+      assert.ok(svg.indexOf('class="vf-stavenote"') > 0, 'notes are grouped');
+    },
+  };
+
+  return SVGStringContext;
+})();
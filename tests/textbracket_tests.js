@@ -9,6 +9,38 @@ VF.Test.TextBracket = (function() {
       QUnit.module('TextBracket');
       VF.Test.runTests('Simple TextBracket', VF.Test.TextBracket.simple0);
       VF.Test.runTests('TextBracket Styles', VF.Test.TextBracket.simple1);
+      VF.Test.runTests('TextBracket Across System Break', VF.Test.makeSystemBreakTest(
+        [['c5/4, d5, e5, f5', { stem: 'up' }], ['g5/4, f5, e5, d5', { stem: 'up' }]],
+        VF.Test.TextBracket.systemBreak,
+        {
+          width: 400,
+          clef: 'treble',
+          check: function(assert, bracket, first, second) {
+            assert.equal(bracket.halves.length, 2, 'the bracket is drawn in two halves');
+            assert.equal(bracket.halves[0][1], first[2].getStave().getTieEndX(), 'the first half runs to the end of the system');
+            assert.equal(bracket.halves[1][0], second[1].getStave().getTieStartX(), 'the second half starts the next system');
+          },
+        }
+      ));
+    },
+
+    systemBreak: function(vf, first, second) {
+      var bracket = vf.TextBracket({
+        from: first[2],
+        to: second[1],
+        text: '8',
+        options: { superscript: 'va', position: 'top' },
+      });
+
+      // Record the x range of each half.
+      var drawSegment = bracket.drawSegment;
+      bracket.halves = [];
+      bracket.drawSegment = function(start_note, stop_note) {
+        var positions = drawSegment.call(this, start_note, stop_note);
+        this.halves.push([positions.start.x, positions.stop.x]);
+        return positions;
+      };
+      return bracket;
     },
 
     simple0: function(options) {
@@ -0,0 +1,196 @@
+/**
+ * VexFlow - Transposer Tests
+ * Copyright Mohit Muthanna 2010 <mohit@muthanna.com>
+ */
+
+Vex.Flow.Test.Transposer = (function() {
+  function accidentals(note) {
+    return note.getModifiers()
+      .filter(function(modifier) { return modifier.getCategory() === 'accidentals'; })
+      .map(function(modifier) { return modifier.type; });
+  }
+
+  function describe(chordSymbol) {
+    return chordSymbol.symbolBlocks.map(function(block) {
+      return block.symbolType === VF.ChordSymbol.symbolTypes.GLYPH ? '<' + block.glyph.code + '>' : block.text;
+    }).join(' ');
+  }
+
+  var Transposer = {
+    Start: function() {
+      QUnit.module('Transposer');
+      var VFT = Vex.Flow.Test;
+      QUnit.test('Keys', VFT.Transposer.keys);
+      QUnit.test('Key Signatures', VFT.Transposer.keySignatures);
+      QUnit.test('Enharmonics', VFT.Transposer.enharmonics);
+      QUnit.test('StaveNotes', VFT.Transposer.staveNotes);
+      QUnit.test('Chord Symbols', VFT.Transposer.chordSymbols);
+      QUnit.test('TabNotes', VFT.Transposer.tabNotes);
+      VFT.runTests('Draw Transposed Part', VFT.Transposer.drawTransposedPart);
+    },
+
+    keys: function(assert) {
+      var up = new VF.Transposer('M2');
+      assert.equal(up.transposeKey('c/4'), 'd/4');
+      assert.equal(up.transposeKey('f#/4'), 'g#/4', 'sharps are kept by the diatonic interval');
+      assert.equal(up.transposeKey('bb/4'), 'c/5', 'octaves change at C');
+      assert.equal(up.transposeKey('e#/4'), 'f##/4');
+      assert.equal(up.transposeKey('C#/4/x2'), 'D#/4/x2', 'case and custom glyphs are kept');
+      assert.equal(up.transposeKey('f/4', '#'), 'g#/4', 'accidentals of keys without one');
+
+      var down = new VF.Transposer('m3', { direction: -1 });
+      assert.equal(down.transposeKey('c/5'), 'a/4');
+      assert.equal(down.transposeKey('eb/4'), 'c/4');
+      assert.equal(down.transposeKey('d/4'), 'b/3');
+
+      assert.equal(new VF.Transposer('M2', { octaves: 1 }).transposeKey('c/4'), 'd/5', 'compound intervals');
+      assert.equal(new VF.Transposer('m2').transposeKey('b/3'), 'c/4');
+      assert.equal(new VF.Transposer('p5').transposeKey('e#/4'), 'b#/4', 'octave follows the note name');
+      assert.equal(new VF.Transposer('octave').transposeKey('g/4'), 'g/5');
+
+      var inG = new VF.Transposer('M2', { key: 'G' });
+      assert.equal(inG.transposeKey('f/4'), 'g#/4', 'keys are read in the key signature');
+      assert.equal(inG.transposeKey('fn/4'), 'g/4');
+
+      assert.throws(function() { return new VF.Transposer('M2', { direction: 2 }); }, /direction/);
+      assert.throws(function() { return new VF.Transposer('X9'); }, /interval/);
+    },
+
+    keySignatures: function(assert) {
+      var transposer = new VF.Transposer('M2', { key: 'F' });
+      assert.equal(transposer.targetKey, 'G');
+      assert.equal(transposer.transposeKeySpec('Bb'), 'C');
+      assert.equal(transposer.transposeKeySpec('Dm'), 'Em');
+      assert.equal(transposer.transposeKeySpec('C#m'), 'D#m');
+
+      var keySignature = new VF.KeySignature('Bb', 'F');
+      transposer.transposeKeySignature(keySignature);
+      assert.equal(keySignature.keySpec, 'C');
+      assert.equal(keySignature.cancelKeySpec, 'G');
+
+      var stave = new VF.Stave(10, 10, 300).addKeySignature('Eb');
+      new VF.Transposer('p5', { key: 'Eb', direction: -1 }).transposeStave(stave);
+      assert.equal(stave.getModifiers(undefined, 'keysignatures')[0].keySpec, 'Ab');
+    },
+
+    enharmonics: function(assert) {
+      // D# major has no key signature, so C# major goes to Eb major.
+      var transposer = new VF.Transposer('M2', { key: 'C#' });
+      assert.equal(transposer.targetKey, 'Eb');
+      assert.equal(transposer.transposeKey('c#/4'), 'eb/4');
+      assert.equal(transposer.transposeKey('e#/4'), 'g/4');
+      assert.equal(transposer.transposeKeySpec('F#'), 'Ab', 'other keys are respelled too');
+
+      // Intervals in semitones use the key with the fewest accidentals.
+      var semitones = new VF.Transposer(3);
+      assert.equal(semitones.targetKey, 'Eb');
+      assert.equal(semitones.transposeKey('e/4'), 'g/4');
+      assert.equal(semitones.transposeKey('c#/4'), 'e/4');
+      assert.equal(new VF.Transposer(1, { key: 'A' }).targetKey, 'Bb');
+      assert.equal(new VF.Transposer(14).transposeKey('c/4'), 'd/5', 'semitones beyond an octave');
+      assert.equal(new VF.Transposer(-2, { key: 'C' }).transposeKey('c/4'), 'bb/3', 'negative semitones');
+      assert.equal(new VF.Transposer(-14).transposeKey('c/4'), 'bb/2', 'negative semitones beyond an octave');
+
+      // Notes needing triple accidentals are spelled in the new key.
+      assert.equal(new VF.Transposer('#4').transposeKey('b#/4'), 'e##/5');
+      assert.equal(new VF.Transposer('#4').transposeKey('e##/4'), 'c/5');
+    },
+
+    staveNotes: function(assert) {
+      var vf = VF.Factory.newFromElementId(null);
+      var score = vf.EasyScore();
+      var notes = score.notes('(C4 E4 G4)/q, F#4, Bb4, Cn5');
+      var grace = vf.GraceNote({ keys: ['d/5'], duration: '8', slash: true });
+      notes[1].addModifier(0, vf.GraceNoteGroup({ notes: [grace] }));
+
+      var transposer = new VF.Transposer('M2');
+      notes.forEach(function(note) { transposer.transposeNote(note); });
+
+      assert.deepEqual(notes[0].getKeys(), ['D/4', 'F#/4', 'A/4']);
+      assert.deepEqual(notes[1].getKeys(), ['G#/4']);
+      assert.deepEqual(accidentals(notes[1]), ['#']);
+      assert.deepEqual(notes[2].getKeys(), ['C/5']);
+      assert.deepEqual(accidentals(notes[2]), ['n'], 'chromatic notes keep an accidental');
+      assert.deepEqual(notes[3].getKeys(), ['D/5']);
+      assert.deepEqual(accidentals(notes[3]), ['n']);
+      assert.deepEqual(grace.getKeys(), ['e/5'], 'grace notes are transposed');
+      assert.equal(notes[0].getKeyProps()[0].line, 0.5, 'key properties are updated');
+
+      var rest = score.notes('B4/q/r')[0];
+      transposer.transposeNote(rest);
+      assert.deepEqual(rest.getKeys(), ['B/4'], 'rests are left alone');
+    },
+
+    chordSymbols: function(assert) {
+      var transposer = new VF.Transposer('M2');
+
+      var glyphs = new VF.ChordSymbol()
+        .addText('F')
+        .addGlyph('#')
+        .addText('m7')
+        .addGlyph('/')
+        .addText('C');
+      transposer.transposeChordSymbol(glyphs);
+      assert.equal(describe(glyphs), 'G <accidentalSharp> m7 <csymDiagonalArrangementSlash> D');
+
+      var text = new VF.ChordSymbol().addText('Bb7').addTextSuperscript('b9');
+      transposer.transposeChordSymbol(text);
+      assert.equal(describe(text), 'C7 b9', 'superscripts are not roots');
+
+      var flat = new VF.ChordSymbol().addText('E').addGlyphSuperscript('dim');
+      new VF.Transposer('m2').transposeChordSymbol(flat);
+      assert.equal(describe(flat), 'F <csymDiminished>');
+
+      var sharp = new VF.ChordSymbol().addText('B');
+      transposer.transposeChordSymbol(sharp);
+      assert.equal(describe(sharp), 'C <accidentalSharp>', 'accidentals become glyphs');
+      assert.ok(sharp.getWidth() > 0);
+    },
+
+    tabNotes: function(assert) {
+      var note = new VF.TabNote({ positions: [{ str: 1, fret: 3 }, { str: 2, fret: '5' }], duration: 'q' });
+      new VF.Transposer('M2').transposeTabNote(note);
+      assert.deepEqual(note.getPositions(), [{ str: 1, fret: 5 }, { str: 2, fret: '7' }]);
+
+      var low = new VF.TabNote({ positions: [{ str: 2, fret: 1 }, { str: 1, fret: 'X' }], duration: 'q' });
+      new VF.Transposer('m3', { direction: -1 }).transposeTabNote(low);
+      assert.deepEqual(low.getPositions(), [{ str: 3, fret: 2 }, { str: 1, fret: 'X' }], 'positions move to another string');
+
+      var open = new VF.TabNote({ positions: [{ str: 6, fret: 0 }], duration: 'q' });
+      assert.throws(function() { new VF.Transposer('M2', { direction: -1 }).transposeTabNote(open); }, /No string/);
+    },
+
+    drawTransposedPart: function(options) {
+      var vf = VF.Test.makeFactory(options, 500, 300);
+      var score = vf.EasyScore();
+
+      function part(y, transposer) {
+        var notes = score.notes('F4/q, Bb4, A4/8, G4, C#5/q', { stem: 'up' });
+        notes[0].addModifier(0, new VF.ChordSymbol().setVertical('top').addText('F'));
+        notes[1].addModifier(0, new VF.ChordSymbol()
+          .setVertical('top')
+          .addText('B')
+          .addGlyph('b')
+          .addText('maj7'));
+        notes[4].addModifier(0, new VF.ChordSymbol().setVertical('top').addText('A7'));
+        var voice = score.voice(notes);
+        var system = vf.System({ y: y, width: 480 });
+        var stave = system.addStave({ voices: [voice] }).addClef('treble').addKeySignature('F').addTimeSignature('4/4');
+
+        if (transposer) {
+          transposer.transposeVoice(voice);
+          transposer.transposeStave(stave);
+        }
+        return notes;
+      }
+
+      part(0);
+      var notes = part(140, new VF.Transposer('M2', { key: 'F' }));
+      vf.draw();
+
+      options.assert.deepEqual(notes.map(function(note) { return note.getKeys()[0]; }), ['G/4', 'C/5', 'B/4', 'A/4', 'D#/5']);
+    },
+  };
+
+  return Transposer;
+})();
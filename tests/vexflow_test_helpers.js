@@ -159,6 +159,78 @@ VF.Test = (function () {
       });
     },
 
+    // Returns a test that draws two systems, one above the other, so that
+    // music running from the first onto the second crosses a system break.
+    // `lines` has the notes of each system, as the arguments to
+    // `EasyScore.notes` (or just the notes string). `setup(vf, first, second)`
+    // gets the notes of each system, and returns the spanner across the
+    // break, which is checked to be split. `params` has the `width` and
+    // `height` of the drawing, the `y` of the first system and the `spacing`
+    // between them, a `clef` and a `time` for the staves, `beam` to beam the
+    // notes of each system, and a `check(assert, spanner, first, second)` to
+    // run after drawing.
+    makeSystemBreakTest: function (lines, setup, params) {
+      params = params || {};
+      return function (options) {
+        var assert = options.assert;
+        var width = params.width || 350;
+        var vf = VF.Test.makeFactory(options, width, params.height || 250);
+        var score = vf.EasyScore();
+
+        var notes = lines.map(function (line, i) {
+          var system = vf.System({ y: (params.y || 10) + (i * (params.spacing || 110)), width: width - 20 });
+          var tickables = score.notes.apply(score, [].concat(line));
+          if (params.beam) score.beam(tickables);
+          var stave = system.addStave({ voices: [score.voice(tickables, { time: params.time || '4/4' })] });
+          if (params.clef) stave.addClef(params.clef);
+          return tickables;
+        });
+
+        var spanner = setup(vf, notes[0], notes[1]);
+        vf.draw();
+
+        assert.ok(notes[0][0].getStave().isAcrossSystemBreak(notes[1][0].getStave()), 'the systems are on two lines');
+        if (spanner.isSplit) assert.ok(spanner.isSplit(), 'the spanner is split');
+        if (params.check) params.check(assert, spanner, notes[0], notes[1]);
+      };
+    },
+
+    // Builds the two-system piano score that the exporter tests export: a
+    // treble stave with a chord, beams, a tuplet, an accent and a tie into
+    // the second system, and a bass stave that ends with a whole rest.
+    // `params.voices` are added to the treble stave of the first system.
+    // Returns the `systems`, the `ties` and the treble `notes`.
+    makeExportScore: function (vf, params) {
+      params = params || {};
+      var score = vf.EasyScore();
+
+      var system = vf.System();
+      var first = score.notes('(C4 E4)/q, D4/8, E4, F4/8, G4, A4', { stem: 'up' });
+      score.beam(first.slice(1, 3));
+      score.tuplet(first.slice(3, 6));
+      first[3].addArticulation(0, vf.Articulation({ type: 'a.', position: 'above' }));
+      var last = score.notes('B4/q', { stem: 'up' });
+      system.addStave({
+        voices: [score.voice(first.concat(last))].concat(params.voices || []),
+      }).addClef('treble').addKeySignature('G').addTimeSignature('4/4');
+
+      var bass = score.notes('C3/h., B2/q', { clef: 'bass', stem: 'down' });
+      system.addStave({ voices: [score.voice(bass)] }).addClef('bass').addKeySignature('G').addTimeSignature('4/4');
+
+      var next = vf.System({ x: system.options.x + system.options.width });
+      var second = score.notes('B4/h, F#4/h', { stem: 'up' });
+      next.addStave({ voices: [score.voice(second)] }).setEndBarType(VF.Barline.type.END);
+      next.addStave({ voices: [score.voice(score.notes('B2/1/r', { clef: 'bass' }))] })
+        .setEndBarType(VF.Barline.type.END);
+      next.parts[1].stave.clef = 'bass';
+
+      return {
+        systems: [system, next],
+        ties: [vf.StaveTie({ from: last[0], to: second[0], first_indices: [0], last_indices: [0] })],
+        notes: first.concat(last, second),
+      };
+    },
+
     runCanvasTest: function (name, func, params) {
       QUnit.test(name, function (assert) {
         var elementId = VF.Test.genID('canvas_');
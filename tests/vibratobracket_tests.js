@@ -59,6 +59,36 @@ VF.Test.VibratoBracket = (function() {
         }
       ));
 
+      run('VibratoBracket Across System Break', VF.Test.makeSystemBreakTest(
+        ['c4/4, c4, c4, c4', 'c4/4, c4, c4, c4'],
+        function(vf, first, second) {
+          var bracket = vf.VibratoBracket({
+            from: first[2],
+            to: second[2],
+            options: {
+              line: 2,
+            },
+          });
+
+          // Record the x range of each half.
+          var drawSegment = bracket.drawSegment;
+          bracket.halves = [];
+          bracket.drawSegment = function(start, stop) {
+            var range = drawSegment.call(this, start, stop);
+            this.halves.push([range.start_x, range.stop_x]);
+            return range;
+          };
+          return bracket;
+        },
+        {
+          check: function(assert, bracket, first, second) {
+            assert.equal(bracket.halves.length, 2, 'the vibrato is drawn in two halves');
+            assert.equal(bracket.halves[0][1], first[2].getStave().getTieEndX() - 10, 'the first half runs to the end of the system');
+            assert.equal(bracket.halves[1][0], second[2].getStave().getTieStartX(), 'the second half starts the next system');
+          },
+        }
+      ));
+
       run('Harsh VibratoBracket Without Start Note', createTest(
         ['c4/4, c4, c4, c4'],
         function(vf, notes) {